@@ -0,0 +1,186 @@
+/**
+ * DataPackManager.js - Loads BioDatabase from JSON packs at startup
+ *
+ * Layering (see data/DataPackMerge.js for add / replace / delete semantics):
+ *   base     → bundled BioDatabase, or manifest.base (full database JSON)
+ *   packs    → manifest.active in order, or ?packs=a,b from the URL
+ *
+ *   public/packs/manifest.json:
+ *     { "base": null, "active": [], "available": ["diabetes"] }
+ *
+ * The merged result is written INTO the shared BioDatabase object, so every
+ * module that imports it (systems, HUD, MapGenerator) sees the packs without
+ * code changes. Must run before the Engine / SimulationInitializer are created.
+ *
+ * reload() re-reads the same manifest + packs in a running session; listeners get
+ * the diff against the previous database (SimulationInitializer.applyDatabaseReload).
+ */
+
+import BioDatabase from '../data/BioDatabase.js';
+import { mergePacks } from '../data/DataPackMerge.js';
+import { diffDatabases } from '../data/BioDatabaseDiff.js';
+
+const DEFAULT_MANIFEST_URL = 'packs/manifest.json';
+
+class DataPackManager {
+    constructor() {
+        // Untouched copy of the bundled database (packs always layer on a clean base)
+        this.bundled = structuredClone(BioDatabase);
+        this.base = this.bundled;
+        this.baseSource = 'bundled';
+
+        this.activePacks = [];                  // [{ id, name, version, description, source }]
+        this.issues = { errors: [], warnings: [] };
+        this.listeners = [];                    // callback({ base, packs, diff })
+
+        // Last manifest request, replayed by reload()
+        this.manifestUrl = DEFAULT_MANIFEST_URL;
+        this.search = '';
+    }
+
+    /**
+     * Browser startup: read the manifest (+ optional ?packs= override) and apply
+     * A missing manifest is not an error - the bundled database is used as is.
+     */
+    async loadFromManifest(manifestUrl = DEFAULT_MANIFEST_URL, search = window.location.search) {
+        this.manifestUrl = manifestUrl;
+        this.search = search;
+
+        const manifestHref = new URL(manifestUrl, window.location.href);
+        const manifest = await this._fetchJson(manifestHref);
+        if (!manifest) {
+            console.log('[DataPackManager] No pack manifest - using bundled BioDatabase');
+            return this.applyPacks([]);
+        }
+
+        // ?packs=diabetes,lesson2 overrides manifest.active (?packs= with nothing → none)
+        const params = new URLSearchParams(search);
+        const names = params.has('packs')
+            ? params.get('packs').split(',').map(name => name.trim()).filter(Boolean)
+            : (manifest.active || []);
+
+        let base = this.bundled;
+        let baseSource = 'bundled';
+        if (manifest.base) {
+            const baseHref = this._packHref(manifest.base, manifestHref);
+            const baseDb = await this._fetchJson(baseHref);
+            if (baseDb) {
+                base = baseDb;
+                baseSource = baseHref.pathname;
+            } else {
+                console.warn(`[DataPackManager] Base pack ${manifest.base} failed to load - using bundled BioDatabase`);
+            }
+        }
+
+        const packs = [];
+        for (const name of names) {
+            const href = this._packHref(name, manifestHref);
+            const pack = await this._fetchJson(href);
+            if (pack) {
+                packs.push({ ...pack, source: href.pathname });
+            } else {
+                console.warn(`[DataPackManager] Pack '${name}' failed to load - skipped`);
+            }
+        }
+
+        return this.applyPacks(packs, base, baseSource);
+    }
+
+    /**
+     * Hot reload: re-read the manifest and packs (edited JSON is picked up,
+     * no page reload). Returns the merge result with its diff.
+     */
+    async reload() {
+        console.log('[DataPackManager] Reloading data packs...');
+        return this.loadFromManifest(this.manifestUrl, this.search);
+    }
+
+    /**
+     * Merge packs onto a base and make the result the live BioDatabase
+     * (Node entry points call this directly with packs read from disk)
+     */
+    applyPacks(packs, base = this.bundled, baseSource = 'bundled') {
+        const result = mergePacks(base, packs);
+
+        result.errors.forEach(issue => console.error(`[DataPackManager] ${issue.path}: ${issue.message}`));
+        result.warnings.forEach(issue => console.warn(`[DataPackManager] ${issue.path}: ${issue.message}`));
+
+        result.diff = diffDatabases(BioDatabase, result.db);
+        this._commit(result.db);
+        this.base = base;
+        this.baseSource = baseSource;
+        this.activePacks = result.active;
+        this.issues = { errors: result.errors, warnings: result.warnings };
+
+        const names = this.activePacks.map(pack => `${pack.id}${pack.version ? ` v${pack.version}` : ''}`);
+        console.log(
+            `[DataPackManager] ✓ BioDatabase v${BioDatabase.meta?.version} (${this.baseSource})` +
+            (names.length > 0 ? ` + ${names.join(' + ')}` : '')
+        );
+
+        this._notify(result.diff);
+        return result;
+    }
+
+    getActivePacks() {
+        return [...this.activePacks];
+    }
+
+    getBaseSource() {
+        return this.baseSource;
+    }
+
+    getIssues() {
+        return this.issues;
+    }
+
+    /**
+     * Subscribe to pack changes, returns unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Replace the contents of the shared BioDatabase object in place
+     */
+    _commit(db) {
+        Object.keys(BioDatabase).forEach(key => {
+            if (!(key in db)) delete BioDatabase[key];
+        });
+        Object.assign(BioDatabase, db);
+    }
+
+    /**
+     * 'diabetes' → packs/diabetes.json (relative to the manifest)
+     */
+    _packHref(name, manifestHref) {
+        const file = name.endsWith('.json') ? name : `${name}.json`;
+        return new URL(file, manifestHref);
+    }
+
+    async _fetchJson(href) {
+        try {
+            // no-store: a reload must see the file as edited, not a cached copy
+            const response = await fetch(href, { cache: 'no-store' });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            console.warn(`[DataPackManager] Could not read ${href}: ${error.message}`);
+            return null;
+        }
+    }
+
+    _notify(diff) {
+        const state = { base: this.baseSource, packs: this.getActivePacks(), diff };
+        this.listeners.forEach(cb => cb(state));
+    }
+}
+
+// Singleton instance
+const dataPackManager = new DataPackManager();
+
+export default dataPackManager;
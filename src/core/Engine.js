@@ -8,6 +8,7 @@ import VesselSystemV2 from '../entities/VesselSystemV2.js';
 import InputManagerV2 from './InputManagerV2.js';
 import HUD from '../ui/HUD_NEW.js';
 import AssetManager from './AssetManager.js';
+import simulationSpeed from './SimulationSpeed.js';
 import MapGenerator from '../world/MapGenerator.js';
 import DemoFactory from '../scenarios/DemoFactory.js';
 import { COLORS } from '../data/Colors.js';
@@ -155,11 +156,18 @@ class Engine {
         
         // Delta time tracking
         this.lastFrameTime = Date.now();
-        this.deltaTime = 0;
+        this.deltaTime = 0;        // Real seconds since last frame (camera, cosmetics)
+        this.simDeltaTime = 0;     // Simulated seconds: deltaTime × speed (0 while paused)
+        
+        // Per-frame hook for simulation systems (receives simDeltaTime)
+        this.onUpdate = null;
         
         // Biomarker update counter (update every 500ms)
         this.biomarkerUpdateCounter = 0;
-        
+
+        // Transport queues HUD counter (update every 500ms)
+        this.transportHudCounter = 0;
+
         window.addEventListener('resize', this.onWindowResize.bind(this), false);
     }
 
@@ -980,6 +988,9 @@ class Engine {
         this.deltaTime = this.lastFrameTime ? (currentTime - this.lastFrameTime) / 1000 : 0;
         this.lastFrameTime = currentTime;
         
+        // Scale by speed controls so factory systems and simulation ticks stay in sync
+        this.simDeltaTime = simulationSpeed.scaleDelta(this.deltaTime);
+        
         // Update RTS camera
         if (this.rtsCamera) {
             this.rtsCamera.update();
@@ -1032,10 +1043,10 @@ class Engine {
         
         // Update factory systems
         if (this.transportSystem) {
-            this.transportSystem.update(this.deltaTime);
+            this.transportSystem.update(this.simDeltaTime);
         }
         if (this.placementManager) {
-            this.placementManager.update(this.deltaTime);
+            this.placementManager.update(this.simDeltaTime);
         }
         if (this.resourceManager) {
             this.resourceManager.updateAll(time);
@@ -1043,12 +1054,17 @@ class Engine {
         
         // Update resource transport packets moving through vessels
         if (this.resourceTransport) {
-            this.resourceTransport.update(this.deltaTime);
+            this.resourceTransport.update(this.simDeltaTime);
         }
         
         // Update vessel flow animations
         if (this.vesselSystem && this.vesselSystem.updateFlowAnimation) {
-            this.vesselSystem.updateFlowAnimation(this.deltaTime);
+            this.vesselSystem.updateFlowAnimation(this.simDeltaTime);
+        }
+        
+        // External simulation hook (SimulationInitializer ticks, see main.js)
+        if (this.onUpdate) {
+            this.onUpdate(this.simDeltaTime);
         }
         
         // Update UI systems
@@ -1061,12 +1077,19 @@ class Engine {
         }
 
         // Update biomarkers (simulate health fluctuations)
-        this.biomarkerUpdateCounter += this.deltaTime * 1000;
+        this.biomarkerUpdateCounter += this.simDeltaTime * 1000;
         if (this.biomarkerUpdateCounter > 500 && this.hud) { // Update every 500ms
             this.hud.simulateBiomarkers();
             this.biomarkerUpdateCounter = 0;
         }
         
+        // Show transport queues / stalled extractors on HUD (every 500ms)
+        this.transportHudCounter += this.simDeltaTime * 1000;
+        if (this.transportHudCounter > 500 && this.hud && this.resourceTransport) {
+            this.hud.updateTransportQueues(this.resourceTransport.getBottlenecks());
+            this.transportHudCounter = 0;
+        }
+        
         // Render the scene
         this.renderer.render(this.scene, this.camera);
     }
@@ -0,0 +1,153 @@
+/**
+ * Localization.js - ru / en strings for the UI and BioDatabase entities
+ *
+ * String tables live in data/locales/<lang>.js:
+ *   ui:       'settings.language' → 'Language'   (t(key, { param }))
+ *   entities: 'RES_ATP' → { name, description }  (entityName / entityText)
+ *
+ * Fallbacks:
+ *   ui key       → current language → en → the key itself
+ *   entity text  → current language → BioDatabase field (Russian) → caller fallback → id
+ *
+ * Static HUD markup opts in with data-i18n / data-i18n-title / data-i18n-placeholder
+ * attributes (applyTo). Dynamic text re-renders from onChange listeners.
+ * The choice is kept in localStorage (separate from the game save).
+ */
+
+import BioDatabase from '../data/BioDatabase.js';
+import en from '../data/locales/en.js';
+import ru from '../data/locales/ru.js';
+
+const LOCALES = { en, ru };
+const FALLBACK_LANGUAGE = 'en';
+const STORAGE_KEY = 'bio_factory_language';
+
+// BioDatabase sections searched for entity ids
+const ENTITY_SECTIONS = [
+    'resources', 'buildings', 'vessel_classes', 'recipes', 'units', 'research', 'biomarkers',
+    'effects', 'diseases', 'disease_types', 'drug_tags', 'drugs'
+];
+
+class Localization {
+    constructor() {
+        this.language = this._loadLanguage();
+        this.listeners = [];      // callback(language)
+    }
+
+    getLanguage() {
+        return this.language;
+    }
+
+    /**
+     * [{ id, label }] for the language switcher
+     */
+    getLanguages() {
+        return Object.values(LOCALES).map(locale => ({ id: locale.id, label: locale.label }));
+    }
+
+    setLanguage(language) {
+        if (!LOCALES[language]) {
+            console.warn(`[Localization] Unsupported language: ${language}`);
+            return;
+        }
+        if (language === this.language) return;
+
+        this.language = language;
+        this._saveLanguage(language);
+        console.log(`[Localization] Language: ${language}`);
+        this._notify();
+    }
+
+    /**
+     * UI string by key, '{name}' placeholders filled from params
+     */
+    t(key, params = {}) {
+        const template = LOCALES[this.language].ui[key] ?? LOCALES[FALLBACK_LANGUAGE].ui[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Display name of a BioDatabase entity
+     */
+    entityName(id, fallback = null) {
+        return this.entityText(id, 'name', fallback) ?? id;
+    }
+
+    /**
+     * Any translatable entity field (name, description); null if nothing found
+     */
+    entityText(id, field, fallback = null) {
+        const translated = LOCALES[this.language].entities[id]?.[field];
+        if (translated) return translated;
+
+        return this._findEntity(id)?.[field] ?? fallback;
+    }
+
+    /**
+     * Refresh static markup under root:
+     *   <span data-i18n="hud.position">POSITION</span>
+     *   <button data-i18n-title="menu.guide_title" title="...">
+     *   <input data-i18n-placeholder="guide.search">
+     */
+    applyTo(root) {
+        if (!root) return;
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+    }
+
+    /**
+     * Subscribe to language changes, returns unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    _findEntity(id) {
+        for (const section of ENTITY_SECTIONS) {
+            const entity = BioDatabase[section]?.find(entry => entry.id === id);
+            if (entity) return entity;
+        }
+        return null;
+    }
+
+    /**
+     * Saved choice, else the browser language (ru-* → ru), else en
+     */
+    _loadLanguage() {
+        try {
+            const saved = globalThis.localStorage?.getItem(STORAGE_KEY);
+            if (saved && LOCALES[saved]) return saved;
+        } catch (error) {
+            console.warn('[Localization] Could not read saved language:', error);
+        }
+        const browser = globalThis.navigator?.language || '';
+        return browser.toLowerCase().startsWith('ru') ? 'ru' : FALLBACK_LANGUAGE;
+    }
+
+    _saveLanguage(language) {
+        try {
+            globalThis.localStorage?.setItem(STORAGE_KEY, language);
+        } catch (error) {
+            console.warn('[Localization] Could not save language:', error);
+        }
+    }
+
+    _notify() {
+        this.listeners.forEach(cb => cb(this.language));
+    }
+}
+
+// Singleton instance
+const localization = new Localization();
+
+export default localization;
@@ -0,0 +1,117 @@
+/**
+ * RandomService.js - Seeded random numbers for all procedural generation
+ *
+ * One seed per map. Every procedural system (Grid terrain + textures, MapGenerator,
+ * ParticleSpawner) draws from its own NAMED stream derived from that seed:
+ *
+ *   const rng = randomService.stream('grid.terrain');
+ *   rng.next();        // [0, 1) - drop-in for Math.random()
+ *   rng.int(1, 4);     // integer in [1, 4]
+ *
+ * Streams are independent: adding draws to one system never shifts another,
+ * and asking for the same stream again restarts it (regeneration is reproducible).
+ *
+ * Cosmetic per-frame noise (ambient particles, pulse phases) may keep Math.random().
+ */
+
+/**
+ * FNV-1a hash: seed string → 32-bit state
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Mulberry32 PRNG stream
+ */
+export class SeededRandom {
+    constructor(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * True with probability p
+     */
+    chance(p) {
+        return this.next() < p;
+    }
+}
+
+class RandomService {
+    constructor() {
+        this.seed = RandomService.generateSeed();
+    }
+
+    /**
+     * New human-friendly seed (6 digits) - the only place Math.random() picks a map
+     */
+    static generateSeed() {
+        return String(Math.floor(Math.random() * 900000) + 100000);
+    }
+
+    /**
+     * Set the map seed (any string or number; whitespace trimmed)
+     */
+    setSeed(seed) {
+        const normalized = String(seed ?? '').trim();
+        this.seed = normalized || RandomService.generateSeed();
+        console.log(`[RandomService] Seed set: ${this.seed}`);
+        return this.seed;
+    }
+
+    /**
+     * Current map seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Fresh stream for a named consumer, e.g. 'grid.terrain', 'particles.calcium'
+     */
+    stream(name) {
+        return new SeededRandom(hashString(`${this.seed}::${name}`));
+    }
+}
+
+// Singleton instance
+const randomService = new RandomService();
+
+export default randomService;
@@ -0,0 +1,131 @@
+/**
+ * SimulationSpeed.js - Pause / single-step / fast-forward control
+ *
+ * One speed value scales BOTH clocks of the game, so they never drift apart:
+ * - Engine.animate(): frame deltaTime → scaleDelta() → onUpdate / ResourceTransport / buildings
+ * - SimulationInitializer: advance(simDelta) turns scaled time into fixed ticks
+ *   (startSimulationLoop() asks ticksPerInterval() when driven by setInterval instead)
+ *
+ * Speeds: 0 (paused), 1, 2, 4, 8. A step while paused advances exactly one tick.
+ */
+
+const SPEED_LEVELS = [1, 2, 4, 8];
+
+class SimulationSpeed {
+    constructor() {
+        this.speed = 1;           // Current multiplier (ignored while paused)
+        this.paused = false;
+        this.pendingSteps = 0;    // Single-tick steps requested while paused
+        this.stepSeconds = 1;     // Simulated seconds per tick (set from SimulationClock)
+        this.listeners = [];      // callback({ speed, paused })
+    }
+
+    /**
+     * Set the fast-forward multiplier (1, 2, 4 or 8); also resumes
+     */
+    setSpeed(speed) {
+        if (!SPEED_LEVELS.includes(speed)) {
+            console.warn(`[SimulationSpeed] Unsupported speed: ${speed}`);
+            return;
+        }
+        this.speed = speed;
+        this.paused = false;
+        this._notify();
+    }
+
+    /**
+     * Next / previous speed level
+     */
+    faster() {
+        const index = SPEED_LEVELS.indexOf(this.speed);
+        this.setSpeed(SPEED_LEVELS[Math.min(index + 1, SPEED_LEVELS.length - 1)]);
+    }
+
+    slower() {
+        const index = SPEED_LEVELS.indexOf(this.speed);
+        this.setSpeed(SPEED_LEVELS[Math.max(index - 1, 0)]);
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        this.pendingSteps = 0;
+        this._notify();
+    }
+
+    /**
+     * Advance one tick; pauses first if running
+     */
+    step() {
+        if (!this.paused) {
+            this.paused = true;
+        }
+        this.pendingSteps++;
+        this._notify();
+    }
+
+    /**
+     * Effective multiplier: 0 while paused
+     */
+    getMultiplier() {
+        return this.paused ? 0 : this.speed;
+    }
+
+    /**
+     * Convert a real frame delta (seconds) into simulated seconds
+     * A pending step yields exactly one tick of simulated time
+     */
+    scaleDelta(realDeltaSeconds) {
+        if (this.paused) {
+            if (this.pendingSteps > 0) {
+                this.pendingSteps--;
+                return this.stepSeconds;
+            }
+            return 0;
+        }
+        return realDeltaSeconds * this.speed;
+    }
+
+    /**
+     * For setInterval-driven loops: how many ticks to run this interval
+     */
+    ticksPerInterval() {
+        if (this.paused) {
+            const steps = this.pendingSteps;
+            this.pendingSteps = 0;
+            return steps;
+        }
+        return this.speed;
+    }
+
+    /**
+     * Keep the step size equal to one simulation tick
+     */
+    setTickDuration(tickDurationMs) {
+        this.stepSeconds = tickDurationMs / 1000;
+    }
+
+    getLevels() {
+        return [...SPEED_LEVELS];
+    }
+
+    /**
+     * Subscribe to speed changes, returns unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    _notify() {
+        const state = { speed: this.speed, paused: this.paused };
+        this.listeners.forEach(cb => cb(state));
+        console.log(`[SimulationSpeed] ${this.paused ? 'PAUSED' : `${this.speed}x`}`);
+    }
+}
+
+// Singleton instance
+const simulationSpeed = new SimulationSpeed();
+
+export default simulationSpeed;
@@ -8,7 +8,10 @@
  * - Buildings (cells, vessels, pumps, diffusers)
  * - Effects (terrain/unit effects with spread)
  * - Diseases (conditions with biomarker triggers)
- * - Drug profiles (medication effectiveness)
+ * - Drug profiles (medication effectiveness, antimicrobial resistance)
+ * - Drugs (potency, compartment PK per route, side effects, cost, regimens,
+ *   therapeutic window, toxicity)
+ * - Drug interactions (synergy, antagonism, shared metabolism between drug tags)
  * - Research (tech unlocks)
  * - Units (immune cells)
  * - Pressure system (logistics efficiency)
@@ -27,9 +30,9 @@ const BioDatabase = {
         tags: []
       },
       diffusion: {
-        to_neighbors_per_tick: 0.10,
-        to_local_system_per_tick: 0.05,
-        to_global_system_per_tick: 0.01
+        to_neighbors_per_tick: 0.10,       // обмен с соседними клетками / регионами
+        to_local_system_per_tick: 0.05,    // регион → к системному значению (местный гомеостаз)
+        to_global_system_per_tick: 0.01    // отклонение региона → в системное значение
       },
       effects: {
         inflammation: {
@@ -54,9 +57,13 @@ const BioDatabase = {
     resource: [
       "ENERGY_BLOODBORNE",
       "ENERGY_INTRACELLULAR",
+      "DRUG",
       "SIGNAL",
       "TOXIN",
-      "WASTE"
+      "WASTE",
+      "RESPIRATORY_GAS",
+      "NUTRIENT",
+      "LIPID"
     ],
     building: [
       "SYSTEM_STRUCTURE",
@@ -65,9 +72,11 @@ const BioDatabase = {
       "BALANCER",
       "VESSEL",
       "PUMP",
-      "DIFFUSER"
+      "DIFFUSER",
+      "INFUSION_PORT"
     ],
     drug: [
+      "ANTIBIOTIC",
       "ANTI_INFLAMMATORY",
       "IMMUNO_SUPPRESSANT",
       "THROMB_BUSTER",
@@ -76,7 +85,9 @@ const BioDatabase = {
     effect: [
       "INFLAMMATORY",
       "ATHEROMA",
-      "AUTOIMMUNE"
+      "AUTOIMMUNE",
+      "NECROTIC",
+      "TOXIC"
     ]
   },
 
@@ -86,6 +97,7 @@ const BioDatabase = {
       name: "pH крови (артериальной)",
       metric: "pH",
       normal_range: [7.35, 7.45],
+      model: "ACID_BASE",
       notes: "Клиническая HH-модель: pH = 6.1 + log10([HCO3-] / (0.03 * PaCO2))"
     },
     {
@@ -93,6 +105,7 @@ const BioDatabase = {
       name: "Лактат (сыворотка)",
       metric: "ммоль/л",
       normal_range: [0.5, 2.2],
+      model: "ACID_BASE",
       notes: "≥2 — гиперлактатемия; ≥4–5 — выраженная"
     },
     {
@@ -124,6 +137,7 @@ const BioDatabase = {
       tags: ["ENERGY_BLOODBORNE"],
       transferable: true,
       metric: "мг/дл",
+      inventory: { start: 100, icon: "🍯", unit: "mg/dL" },   // ресурс игрока (Inventory): стартовый запас; им платят за здания и дозы
       environment_effects: {
         biomarker_mods: [
           { marker_id: "BM_GLUC", mode: "add", value: 5 }
@@ -134,9 +148,10 @@ const BioDatabase = {
       id: "RES_OXYGEN",
       name: "Кислород",
       tier: "t1",
-      tags: [],
+      tags: ["RESPIRATORY_GAS"],
       transferable: true,
       metric: "мл/дл",
+      inventory: { start: 100, icon: "💨", unit: "%" },
       environment_effects: {
         biomarker_mods: [
           { marker_id: "BM_OXYGEN_SAT", mode: "add", value: 1.0 }
@@ -150,6 +165,7 @@ const BioDatabase = {
       tags: ["ENERGY_INTRACELLULAR"],
       transferable: false,
       metric: "µмоль",
+      inventory: { start: 50, icon: "⚡", unit: "μmol" },
       environment_effects: null
     },
     {
@@ -159,27 +175,32 @@ const BioDatabase = {
       tags: ["WASTE", "TOXIN"],
       transferable: true,
       metric: "ммоль/л",
+      inventory: { start: 0, icon: "☒", unit: "mmol" },
       environment_effects: {
-        biomarker_mods: [
-          { marker_id: "BM_LACTATE", mode: "add", value: 0.3 },
-          { marker_id: "BM_PH_BLOOD", mode: "add", value: -0.05 }
+        // На единицу отхода в клетке, только в её регионе (regions);
+        // объём ткани региона мал, поэтому сдвиг сильнее системного
+        local_biomarker_mods: [
+          { marker_id: "BM_LACTATE", mode: "add", value: 1.0 },
+          { marker_id: "BM_PH_BLOOD", mode: "add", value: -0.06 }
         ]
-      }
+      },
+      notes: "Системное влияние на кровь (BM_LACTATE, BM_PH_BLOOD) считает модель acid_base"
     },
     {
       id: "RES_AMINO_ACID",
       name: "Аминокислота",
       tier: "t0",
-      tags: [],
+      tags: ["NUTRIENT"],
       transferable: true,
       metric: "ммоль/л",
+      inventory: { start: 30, icon: "⬡", unit: "mmol" },
       environment_effects: null
     },
     {
       id: "RES_CALCIUM",
       name: "Кальций",
       tier: "t0",
-      tags: [],
+      tags: ["NUTRIENT"],
       transferable: true,
       metric: "ммоль/л",
       environment_effects: null
@@ -201,6 +222,27 @@ const BioDatabase = {
       transferable: false,
       metric: "ед.",
       environment_effects: null
+    },
+    {
+      id: "RES_DRUG",
+      name: "Лекарственный болюс",
+      tier: "t0",
+      tags: ["DRUG"],
+      transferable: true,
+      metric: "мг",
+      environment_effects: null,
+      notes: "Пакет препарата в сосудах (DrugDeliverySystem); какой препарат - в самом пакете (drug_id)"
+    },
+    {
+      id: "RES_LIPID",
+      name: "Липиды (хиломикроны)",
+      tier: "t1",
+      tags: ["LIPID"],
+      transferable: true,
+      metric: "мг/дл",
+      inventory: { start: 0, icon: "◆", unit: "mg/dL" },
+      environment_effects: null,
+      notes: "Слишком крупные для капилляров - переносятся только лимфой (vessel_classes)"
     }
   ],
 
@@ -330,6 +372,7 @@ const BioDatabase = {
       atp_capacity: 40,
       atp_production_per_minute: 0,
       vessel_type: "straight_x",
+      vessel_class: "VCLASS_CAPILLARY",
       immersion: 0.5
     },
     {
@@ -345,6 +388,7 @@ const BioDatabase = {
       atp_capacity: 40,
       atp_production_per_minute: 0,
       vessel_type: "straight_z",
+      vessel_class: "VCLASS_CAPILLARY",
       immersion: 0.5
     },
     {
@@ -360,6 +404,7 @@ const BioDatabase = {
       atp_capacity: 40,
       atp_production_per_minute: 0,
       vessel_type: "elbow",
+      vessel_class: "VCLASS_CAPILLARY",
       immersion: 0.5
     },
     {
@@ -375,6 +420,7 @@ const BioDatabase = {
       atp_capacity: 40,
       atp_production_per_minute: 0,
       vessel_type: "tee",
+      vessel_class: "VCLASS_CAPILLARY",
       immersion: 0.5
     },
     {
@@ -390,6 +436,7 @@ const BioDatabase = {
       atp_capacity: 40,
       atp_production_per_minute: 0,
       vessel_type: "cross",
+      vessel_class: "VCLASS_CAPILLARY",
       immersion: 0.5
     },
     {
@@ -405,6 +452,7 @@ const BioDatabase = {
       atp_capacity: 20,
       atp_production_per_minute: 0,
       vessel_type: "endcap",
+      vessel_class: "VCLASS_CAPILLARY",
       immersion: 0.5
     },
     {
@@ -420,6 +468,7 @@ const BioDatabase = {
       atp_capacity: 30,
       atp_production_per_minute: 0,
       vessel_type: "empty_connector",
+      vessel_class: "VCLASS_CAPILLARY",
       immersion: 0.5,
       description: "Разъём для смены направления потока без производства/потребления"
     },
@@ -435,6 +484,94 @@ const BioDatabase = {
       atp_consumption_per_minute: 15,
       atp_capacity: 200,
       atp_production_per_minute: 0
+    },
+    {
+      id: "BLD_INFUSION_PORT",
+      name: "Инфузионный порт",
+      icon: "💉",
+      tier: "t0",
+      tags: ["INFUSION_PORT", "SYSTEM_STRUCTURE"],
+      size: [1, 1],
+      hp: 80,
+      atp_consumption_per_minute: 0.5,
+      atp_capacity: 20,
+      atp_production_per_minute: 0,
+      description: "Вводит препарат в сосудистую сеть; доходит только до перфузируемых регионов"
+    },
+    {
+      id: "BLD_ARTERY",
+      name: "Артерия",
+      icon: "═",
+      tier: "t1",
+      tags: ["VESSEL", "SYSTEM_STRUCTURE"],
+      size: [1, 1],
+      hp: 120,
+      throughput: 1.0,
+      atp_consumption_per_minute: 3,
+      atp_capacity: 60,
+      atp_production_per_minute: 0,
+      vessel_type: "straight_x",
+      vessel_class: "VCLASS_ARTERY",
+      immersion: 0.5
+    },
+    {
+      id: "BLD_LYMPH_CHANNEL",
+      name: "Лимфатический канал",
+      icon: "┅",
+      tier: "t1",
+      tags: ["VESSEL", "SYSTEM_STRUCTURE"],
+      size: [1, 1],
+      hp: 50,
+      throughput: 1.0,
+      atp_consumption_per_minute: 0.5,
+      atp_capacity: 30,
+      atp_production_per_minute: 0,
+      vessel_type: "straight_x",
+      vessel_class: "VCLASS_LYMPH",
+      immersion: 0.5,
+      description: "Отдельная сеть: не соединяется с сосудами крови, единственный путь для липидов"
+    }
+  ],
+
+  // Классы сосудов (buildings[].vessel_class): PressureSystem, ResourceTransport.
+  // speed - множитель скорости пакетов, capacity - множитель throughput здания
+  // (проводимость сегмента), leak_per_tile - утечка в ткань на единицу давления,
+  // allowed_resource_tags - какие ресурсы может принять сосуд (нет списка = любые).
+  // Сосуды соединяются только внутри одной сети (network)
+  vessel_classes: [
+    {
+      id: "VCLASS_CAPILLARY",
+      name: "Капилляр",
+      network: "BLOOD",
+      speed: 1.0,
+      capacity: 1.0,
+      leak_per_tile: 0.02,
+      // АТФ (ENERGY_INTRACELLULAR) - между клетками фабрики
+      allowed_resource_tags: [
+        "ENERGY_BLOODBORNE", "ENERGY_INTRACELLULAR", "RESPIRATORY_GAS", "NUTRIENT",
+        "DRUG", "SIGNAL", "TOXIN", "WASTE"
+      ],
+      visual: { preset: "capillary", radius_scale: 1.0 }
+    },
+    {
+      id: "VCLASS_ARTERY",
+      name: "Артерия",
+      network: "BLOOD",
+      speed: 2.5,                      // кислород и глюкоза быстрее всего - по артериям
+      capacity: 3.0,
+      leak_per_tile: 0.005,            // толстая стенка почти не теряет
+      allowed_resource_tags: ["ENERGY_BLOODBORNE", "RESPIRATORY_GAS", "NUTRIENT", "DRUG", "SIGNAL"],
+      visual: { preset: "artery", radius_scale: 1.5 }
+    },
+    {
+      id: "VCLASS_LYMPH",
+      name: "Лимфатический канал",
+      network: "LYMPH",
+      speed: 0.4,
+      capacity: 0.5,
+      leak_per_tile: 0.01,
+      allowed_resource_tags: ["LIPID", "SIGNAL", "TOXIN", "WASTE"],
+      visual: { preset: "lymph", radius_scale: 0.8 }
     }
   ],
 
@@ -448,7 +585,16 @@ const BioDatabase = {
       biomarker_mods: [
         { marker_id: "BM_WBC", mode: "mul", value: 1.10 }
       ],
-      spread: { speed: 0.5, radius: 1 }
+      // Распространение клеточным автоматом (EffectsSystem)
+      spread: {
+        diffusion_per_s: 0.4,              // доля разницы интенсивности, уходящая к 4 соседям за секунду (× dt, не больше 1)
+        decay_per_s: 0.01,                 // затухание (e^(-k·dt))
+        threshold: 0.1,                    // с этой интенсивности клетка считается воспалённой
+        max_intensity: 3,
+        terrain: { CALCIFIED: 0, CAPILLARY: 1.5 },   // проницаемость по типу клетки Grid (0 = барьер)
+        vessel_permeability: 0.3,          // стенка сосуда замедляет распространение
+        waste_amplification: 0.05          // рост за секунду на единицу отходов в клетке (WasteInventorySystem)
+      }
     },
     {
       id: "EFFECT_ATHEROMA_INFECTION",
@@ -456,7 +602,19 @@ const BioDatabase = {
       scope: "terrain",
       tags: ["ATHEROMA"],
       visual_filter: { preset: "lipidic", hue_shift: -0.05 },
-      biomarker_mods: []
+      biomarker_mods: [
+        { marker_id: "BM_OXYGEN_SAT", mode: "sub", value: 2 }
+      ]
+    },
+    {
+      id: "EFFECT_NECROSIS",
+      name: "Некроз",
+      scope: "terrain",
+      tags: ["NECROTIC"],
+      visual_filter: { preset: "cool-fade", saturation: -0.3 },
+      biomarker_mods: [
+        { marker_id: "BM_WBC", mode: "mul", value: 1.05 }
+      ]
     },
     {
       id: "EFFECT_AUTOIMMUNE_CONFUSION",
@@ -465,6 +623,17 @@ const BioDatabase = {
       tags: ["AUTOIMMUNE"],
       visual_filter: { preset: "cool-fade", saturation: -0.1 },
       biomarker_mods: []
+    },
+    {
+      // Токсичность препарата: появляется на зданиях, повреждённых передозировкой
+      id: "EFFECT_DRUG_TOXICITY",
+      name: "Лекарственная токсичность",
+      scope: "terrain",
+      tags: ["TOXIC", "NECROTIC"],
+      visual_filter: { preset: "lipidic", hue_shift: 0.15, saturation: -0.2 },
+      biomarker_mods: [
+        { marker_id: "BM_WBC", mode: "mul", value: 1.02 }
+      ]
     }
   ],
 
@@ -473,10 +642,16 @@ const BioDatabase = {
       id: "DT_INFECTION_BACTERIAL",
       name: "Бактериальная инфекция",
       default_drug_profile: {
+        "ANTIBIOTIC": { weight: 1.0, min_power_threshold: 0.3 },
         "ANTI_INFLAMMATORY": { weight: 0.3, min_power_threshold: 0.2 },
         "IMMUNO_SUPPRESSANT": { weight: 0.0, min_power_threshold: 0.5 },
         "THROMB_BUSTER": { weight: 0.0, min_power_threshold: 0.6 }
-      }
+      },
+      // Резистентность (DiseaseSystem), отдельно у каждой активной инфекции:
+      // растёт, пока препарат с тегом из drug_tags ниже терапевтического окна
+      // (gain_per_s × C / min_mg_l - окно селекции мутантов), и снижает вес тега
+      // в drug_profile: weight × (1 - резистентность)
+      resistance: { drug_tags: ["ANTIBIOTIC"], gain_per_s: 0.003, max: 0.9 }
     },
     {
       id: "DT_INFLAMMATION",
@@ -500,6 +675,14 @@ const BioDatabase = {
       id: "DIS_ECOLI_SWARM",
       name: "Кишечная инфекция E. coli",
       type: "DT_INFECTION_BACTERIAL",
+      // Лейкоцитоз
+      triggers: [{ marker_id: "BM_WBC", op: ">=", value: 15, remit_value: 12 }],
+      severity_tiers: [
+        {
+          name: "Локальная инфекция",
+          symptoms: [{ id: "SYM_FEVER", name: "Лихорадка" }]
+        }
+      ],
       drug_profile_overrides: {},
       effects: ["EFFECT_INFLAMMATION"]
     },
@@ -507,21 +690,228 @@ const BioDatabase = {
       id: "DIS_LACTIC_ACIDOSIS",
       name: "Лактацидоз",
       type: "DT_METABOLIC_ACIDOSIS",
+      // remit_value: гистерезис - ремиссия только после возврата ниже/выше порога
       triggers: [
-        { marker_id: "BM_LACTATE", op: ">=", value: 4.0 },
-        { marker_id: "BM_PH_BLOOD", op: "<=", value: 7.35 }
+        { marker_id: "BM_LACTATE", op: ">=", value: 4.0, remit_value: 3.5 },
+        { marker_id: "BM_PH_BLOOD", op: "<=", value: 7.35, remit_value: 7.37 }
+      ],
+      // Взаимодействия: правило лежит на болезни, на которую влияет
+      // (PROGRESSION_RATE | SUPPRESSED_BY | REQUIRES, disease_id - источник)
+      interactions: [
+        // Сепсис ускоряет лактацидоз (гипоперфузия + катаболизм)
+        { type: "PROGRESSION_RATE", disease_id: "DIS_ECOLI_SWARM", factor: 1.5 }
+      ],
+      // Тяжесть: enter - условие входа, progress_after_s - минимум времени на уровне
+      severity_tiers: [
+        {
+          name: "Компенсированный",
+          progress_after_s: 10,
+          systemic_modifier: { resource_gain: 0.95 },
+          symptoms: [{ id: "SYM_FATIGUE", name: "Слабость, утомляемость" }]
+        },
+        {
+          name: "Декомпенсированный",
+          enter: { marker_id: "BM_PH_BLOOD", op: "<=", value: 7.25, remit_value: 7.28 },
+          progress_after_s: 20,
+          systemic_modifier: { resource_gain: 0.85, unit_speed: 0.9 },
+          symptoms: [{ id: "SYM_KUSSMAUL", name: "Дыхание Куссмауля" }]
+        },
+        {
+          name: "Лактатный шок",
+          enter: {
+            all: [
+              { marker_id: "BM_PH_BLOOD", op: "<=", value: 7.15, remit_value: 7.2 },
+              { marker_id: "BM_LACTATE", op: ">=", value: 8.0, remit_value: 7.0 }
+            ]
+          },
+          systemic_modifier: { resource_gain: 0.7, unit_speed: 0.75, build_cost: 1.2 },
+          symptoms: [{ id: "SYM_HYPOTENSION", name: "Артериальная гипотензия" }]
+        }
+      ],
+      drug_profile_overrides: {}
+    },
+    {
+      id: "DIS_TISSUE_ISCHEMIA",
+      name: "Ишемия ткани (локальный лактацидоз)",
+      type: "DT_METABOLIC_ACIDOSIS",
+      // Лактат И (ацидоз ИЛИ гипоксия) в одном регионе, 5 тиков подряд;
+      // системный pH может оставаться в норме
+      triggers: {
+        all: [
+          { marker_id: "BM_LACTATE", op: ">=", value: 4.0, remit_value: 3.0, scope: "regional" },
+          {
+            any: [
+              { marker_id: "BM_PH_BLOOD", op: "<=", value: 7.30, remit_value: 7.33, scope: "regional" },
+              { marker_id: "BM_OXYGEN_SAT", op: "<=", value: 90, scope: "regional" }
+            ]
+          }
+        ],
+        for_ticks: 5
+      },
+      // Системный лактацидоз поглощает локальную ишемию
+      interactions: [{ type: "SUPPRESSED_BY", disease_id: "DIS_LACTIC_ACIDOSIS" }],
+      // Региональная болезнь: biomarker_mods и effects - в пораженных регионах
+      severity_tiers: [
+        {
+          name: "Локальная гипоксия",
+          progress_after_s: 5,
+          symptoms: [{ id: "SYM_LOCAL_PAIN", name: "Локальная боль" }]
+        },
+        {
+          name: "Инфаркт ткани",
+          enter: { marker_id: "BM_LACTATE", op: ">=", value: 6.0, remit_value: 5.0, scope: "regional" },
+          systemic_modifier: { resource_gain: 0.9 },
+          biomarker_mods: [{ marker_id: "BM_OXYGEN_SAT", mode: "sub", value: 0.5 }],
+          effects: ["EFFECT_NECROSIS"],
+          symptoms: [{ id: "SYM_NECROSIS", name: "Некроз ткани" }]
+        }
       ],
       drug_profile_overrides: {}
     }
   ],
 
   drug_tags: [
+    { id: "ANTIBIOTIC", name: "Антибиотик", notes: "Подавляет бактерии; при недостаточной дозе отбирает резистентные штаммы" },
     { id: "ANTI_INFLAMMATORY", name: "Противовоспалительный", notes: "Снижает системные воспалительные медиаторы" },
     { id: "IMMUNO_SUPPRESSANT", name: "Иммуносупрессивный", notes: "Понижает активность иммунных клеток" },
     { id: "THROMB_BUSTER", name: "Тромболитический", notes: "Влияет на тромбы и фибрин" },
     { id: "ALPHA_SYNUCLEIN_TARGETER", name: "Ингибитор α‑синуклеина", notes: "Нишевый тег для нейродегенеративных сценариев" }
   ],
 
+  // Каталог препаратов (DrugProfileSystem, DrugRegimenSystem)
+  // Время — симулированные секунды (сжато относительно реального: часы → минуты)
+  drugs: [
+    {
+      id: "DRUG_AMOXICILLIN",
+      name: "Амоксициллин",
+      tags: ["ANTIBIOTIC"],
+      default_dose_mg: 500,
+      potency: { ec50_mg_l: 4, emax: 1.0 },
+      cost: [{ id: "RES_GLUCOSE", amount: 3 }],
+      default_regimen: { interval_ticks: 30, doses: 8 },
+      // Ниже min_mg_l бактерии выживают и отбираются резистентные (DT_INFECTION_BACTERIAL.resistance)
+      therapeutic_window: { min_mg_l: 4, max_mg_l: 40 },
+      pk: {
+        model: "ONE_COMPARTMENT",
+        half_life_s: 30,
+        vd_l: 15,
+        routes: {
+          ORAL: { bioavailability: 0.8, absorption_rate_per_s: 0.05 },
+          IV: { bioavailability: 1.0 }
+        }
+      }
+    },
+    {
+      id: "DRUG_IBUPROFEN",
+      name: "Ибупрофен",
+      tags: ["ANTI_INFLAMMATORY"],
+      default_dose_mg: 400,
+      potency: { ec50_mg_l: 20, emax: 1.0 },   // сила = emax·C / (EC50 + C), сравнивается с drug_profile
+      cost: [{ id: "RES_GLUCOSE", amount: 5 }],  // за каждую дозу
+      default_regimen: { interval_ticks: 60, doses: 5, loading_dose_mg: 800 },
+      // Ниже min - нет лечебного эффекта; выше threshold_mg_l - токсичность каждый тик
+      therapeutic_window: { min_mg_l: 10, max_mg_l: 70 },
+      toxicity: {
+        threshold_mg_l: 90,
+        biomarker_mods: [{ marker_id: "BM_OXYGEN_SAT", mode: "sub", value: 0.2 }],  // ЖК-кровотечение → анемия
+        building_damage: { tags: ["GENERATOR"], hp_per_tick: 1 },
+        effects: ["EFFECT_DRUG_TOXICITY"]                                          // на повреждённых зданиях
+      },
+      pk: {
+        model: "ONE_COMPARTMENT",
+        half_life_s: 90,
+        vd_l: 10,
+        routes: {
+          ORAL: { bioavailability: 0.8, absorption_rate_per_s: 0.02 },
+          IV: { bioavailability: 1.0 }
+        }
+      }
+    },
+    {
+      id: "DRUG_DEXAMETHASONE",
+      name: "Дексаметазон",
+      tags: ["IMMUNO_SUPPRESSANT"],
+      default_dose_mg: 8,
+      potency: { ec50_mg_l: 0.2, emax: 1.2 },
+      cost: [{ id: "RES_AMINO_ACID", amount: 2 }, { id: "RES_ATP", amount: 4 }],
+      default_regimen: { interval_ticks: 120, doses: 3 },
+      therapeutic_window: { min_mg_l: 0.05, max_mg_l: 0.6 },
+      toxicity: {
+        threshold_mg_l: 1.0,
+        biomarker_mods: [{ marker_id: "BM_GLUC", mode: "add", value: 4 }]
+      },
+      side_effects: {
+        // каждый тик, × занятость рецепторов C / (EC50 + C)
+        biomarker_mods: [
+          { marker_id: "BM_GLUC", mode: "add", value: 2 },   // стероидная гипергликемия
+          { marker_id: "BM_WBC", mode: "add", value: 0.1 }   // демаргинация нейтрофилов
+        ]
+      },
+      pk: {
+        model: "TWO_COMPARTMENT",          // быстрое распределение в ткани, затем медленная фаза β
+        half_life_s: 120,
+        vd_l: 20,                          // центральный объём
+        k12_per_s: 0.03,
+        k21_per_s: 0.015,
+        routes: {
+          IV: { bioavailability: 1.0 },
+          ORAL: { bioavailability: 0.8, absorption_rate_per_s: 0.01 }
+        }
+      }
+    },
+    {
+      id: "DRUG_ALTEPLASE",
+      name: "Альтеплаза",
+      tags: ["THROMB_BUSTER"],
+      default_dose_mg: 50,
+      potency: { ec50_mg_l: 5, emax: 1.0 },
+      cost: [{ id: "RES_AMINO_ACID", amount: 10 }, { id: "RES_ATP", amount: 10 }],
+      default_regimen: { interval_ticks: 1, doses: 1 },
+      therapeutic_window: { min_mg_l: 2, max_mg_l: 15 },
+      toxicity: {
+        threshold_mg_l: 20,                                      // кровотечение
+        building_damage: { tags: ["VESSEL"], hp_per_tick: 3 },
+        effects: ["EFFECT_DRUG_TOXICITY"]
+      },
+      pk: {
+        model: "ONE_COMPARTMENT",
+        half_life_s: 20,
+        vd_l: 4,
+        routes: {
+          IV: { bioavailability: 1.0 }     // белок — только внутривенно
+        }
+      }
+    }
+  ],
+
+  // Лекарственные взаимодействия (DrugProfileSystem) - между тегами препаратов,
+  // действуют, пока оба препарата присутствуют в одной локации:
+  //   SYNERGY           - сила обоих × factor
+  //   ANTAGONISM        - сила препаратов с tags[0] × factor, пока есть tags[1]
+  //   SHARED_METABOLISM - общий путь выведения: новая доза любого из них получает
+  //                       период полувыведения × half_life_factor
+  drug_interactions: [
+    {
+      id: "DDI_NSAID_STEROID_SYNERGY",
+      type: "SYNERGY",
+      tags: ["ANTI_INFLAMMATORY", "IMMUNO_SUPPRESSANT"],
+      factor: 1.25
+    },
+    {
+      id: "DDI_NSAID_STEROID_CYP",
+      type: "SHARED_METABOLISM",
+      tags: ["ANTI_INFLAMMATORY", "IMMUNO_SUPPRESSANT"],
+      half_life_factor: 1.5
+    },
+    {
+      // Стероиды повышают свёртываемость - тромболизис слабее
+      id: "DDI_STEROID_THROMBOLYSIS",
+      type: "ANTAGONISM",
+      tags: ["THROMB_BUSTER", "IMMUNO_SUPPRESSANT"],
+      factor: 0.6
+    }
+  ],
+
   research: [
     {
       id: "TECH_MITOCHONDRIA",
@@ -581,10 +971,77 @@ const BioDatabase = {
     base_efficiency_without_pump: 0.10,
     pump_nodes: {
       default_head_gain: 1.0,
-      leak_per_tile: 0.02
+      leak_per_tile: 0.02              // утечка в ткань из сосуда на единицу давления
+    },
+    // Гидравлика сети (PressureSystem + HydraulicSolver): насосы - источники давления,
+    // сосуды - сопротивления, потребители (здания с inputs рядом с сосудом) - стоки.
+    // Эффективность сосуда = давление / pump_head; потребитель получает
+    // давление / consumer_resistance единиц входа в секунду
+    hydraulics: {
+      pump_head: 10,                   // давление насоса при head_gain 1
+      resistance_per_tile: 0.5,        // сопротивление сосуда на клетку (/ throughput)
+      consumer_resistance: 5,
+      max_pressure: 12,                // выше - сосуд повреждается
+      overpressure_damage_per_s: 2     // hp в секунду
+    },
+    // Тромбоз (ThrombosisSystem): шансы образования тромба - в секунду (× длительность тика).
+    // Тромб сужает просвет сосуда (obstruction: проводимость × (1 - obstruction)) и растёт;
+    // при 1 сосуд закупорен. Тромболитик в регионе сосуда растворяет тромб
+    thrombosis: {
+      low_flow: { pressure_ratio: 0.3, chance_per_s: 0.004 },      // застой: давление < доли pump_head (сеть с насосом)
+      atheroma: { effect_tags: ["ATHEROMA"], chance_per_s: 0.02 },  // × интенсивность эффекта на клетке сосуда
+      wrong_resource_chance: 0.3,      // за каждую передачу, отклонённую классом сосуда
+      initial_obstruction: 0.3,
+      growth_per_s: 0.02,              // до полной закупорки ~35 с
+      lysis: { drug_tags: ["THROMB_BUSTER"], rate_per_s: 0.15 }    // × сила препарата emax·C / (EC50 + C)
+    },
+    // Доставка препаратов по сосудам (DrugDeliverySystem): доза из порта делится
+    // поровну между сосудами сети, каждый отдаёт долю × свою эффективность
+    // в свой регион (regions); остальное - утечка. Регион без сосудов не получает ничего
+    drug_delivery: {
+      resource_id: "RES_DRUG",
+      port_tags: ["INFUSION_PORT"],
+      route: "IV",                     // путь PK в регионе
+      packet_speed_tiles_per_s: 2      // задержка = длина пути по сети / скорость
     }
   },
 
+  // Кислотно-щелочное равновесие (AcidBaseSystem)
+  // pH = pka + log10([HCO3-] / (co2_solubility * PaCO2)); времена — секунды симуляции
+  acid_base: {
+    ph_marker_id: "BM_PH_BLOOD",
+    lactate_marker_id: "BM_LACTATE",
+    pka: 6.1,
+    co2_solubility: 0.03,              // ммоль/л на мм рт. ст.
+    normal_hco3: 24,                   // ммоль/л
+    normal_paco2: 40,                  // мм рт. ст.
+    lactate: {
+      resource_id: "RES_LACTATE",      // waste_outputs рецептов (гликолиз)
+      blood_per_unit: 0.2,             // ммоль/л лактата крови на единицу отхода
+      bicarbonate_buffered: 1.0,       // HCO3- на 1 ммоль лактата (остальное — небикарбонатные буферы)
+      clearance_time_constant_s: 60    // печень (цикл Кори), возвращает HCO3-
+    },
+    respiratory: {
+      time_constant_s: 10,             // быстрая компенсация (вентиляция)
+      acidosis_slope: 1.2,             // PaCO2 ↓1.2 на 1 ммоль/л ↓HCO3-
+      alkalosis_slope: 0.7,            // PaCO2 ↑0.7 на 1 ммоль/л ↑HCO3-
+      paco2_range: [10, 60]
+    },
+    renal: {
+      time_constant_s: 600,            // медленная компенсация (почки)
+      hco3_range: [2, 45]
+    }
+  },
+
+  // Регионы для локальных биомаркеров (BiomarkerSystem)
+  // Сетка симуляции делится на квадраты cell_size × cell_size клеток;
+  // скорости обмена — meta.defaults.diffusion
+  regions: {
+    cell_size: 16,                     // клеток на сторону региона
+    grid_size: 64,                     // сетка симуляции (WasteInventorySystem) → 4×4 региона
+    biomarkers: ["BM_LACTATE", "BM_OXYGEN_SAT", "BM_PH_BLOOD"]
+  },
+
   particles: {
     calcium: {
       gridSize: 50,
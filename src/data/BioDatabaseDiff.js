@@ -0,0 +1,94 @@
+/**
+ * BioDatabaseDiff.js - What changed between two BioDatabase versions
+ *
+ * MECHANICS:
+ * - Entity sections (arrays of { id }) compare by id: added / removed / changed
+ * - Everything else (meta, tags, pressure_system, particles) compares per top-level key
+ * - Entities compare by JSON; key order is stable because packs keep the base layout
+ *
+ * Result:
+ *   {
+ *     changed: bool,
+ *     sections: { recipes: { added: [id], removed: [id], changed: [id] }, ... },  // only touched sections
+ *     settings: ["pressure_system", ...]                                          // changed plain keys
+ *   }
+ *
+ * Used by DataPackManager on reload; systems react through SimulationInitializer.applyDatabaseReload().
+ */
+
+export function diffDatabases(oldDb, newDb) {
+  const sections = {};
+  const settings = [];
+  const keys = new Set([...Object.keys(oldDb || {}), ...Object.keys(newDb || {})]);
+
+  keys.forEach((key) => {
+    const before = oldDb?.[key];
+    const after = newDb?.[key];
+
+    if (isEntityList(before) || isEntityList(after)) {
+      const sectionDiff = diffEntities(before || [], after || []);
+      if (sectionDiff.added.length + sectionDiff.removed.length + sectionDiff.changed.length > 0) {
+        sections[key] = sectionDiff;
+      }
+      return;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      settings.push(key);
+    }
+  });
+
+  return {
+    changed: Object.keys(sections).length > 0 || settings.length > 0,
+    sections,
+    settings
+  };
+}
+
+/**
+ * Ids of one section in one bucket ("added" | "removed" | "changed")
+ */
+export function diffIds(diff, section, bucket) {
+  return diff?.sections?.[section]?.[bucket] || [];
+}
+
+/**
+ * One line per touched section, e.g. "recipes: +1 -0 ~2"
+ */
+export function summarizeDiff(diff) {
+  const lines = Object.entries(diff.sections).map(
+    ([section, { added, removed, changed }]) =>
+      `${section}: +${added.length} -${removed.length} ~${changed.length}`
+  );
+  if (diff.settings.length > 0) {
+    lines.push(`settings: ${diff.settings.join(", ")}`);
+  }
+  return lines;
+}
+
+function diffEntities(before, after) {
+  const oldById = new Map(before.map((entity) => [entity?.id, entity]));
+  const newById = new Map(after.map((entity) => [entity?.id, entity]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  newById.forEach((entity, id) => {
+    if (!oldById.has(id)) {
+      added.push(id);
+    } else if (JSON.stringify(oldById.get(id)) !== JSON.stringify(entity)) {
+      changed.push(id);
+    }
+  });
+  oldById.forEach((entity, id) => {
+    if (!newById.has(id)) {
+      removed.push(id);
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+function isEntityList(value) {
+  return Array.isArray(value) && value.every((entry) => entry && typeof entry === "object" && "id" in entry);
+}
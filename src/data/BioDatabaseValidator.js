@@ -0,0 +1,1179 @@
+/**
+ * BioDatabaseValidator.js - Schema + cross-reference checks for BioDatabase
+ *
+ * MECHANICS:
+ * - Structure: required fields, field types, unique ids per section
+ * - Cross-references: every id that points into another section must exist
+ *   (recipe machine_ids, building supported_recipes, research unlocks,
+ *    disease type/effects, biomarker_mods marker_id, unlock_condition ids, ...)
+ * - Tags: entity tags must be declared in tags.<category>
+ * - Ranges: amounts, rates, weights and thresholds within sane bounds
+ * - Models: biomarkers with `model` need their config section (acid_base)
+ * - Regions: regional triggers / local mods need their biomarker in regions.biomarkers
+ * - Severity tiers: enter expressions, timing, modifier values, reachable tiers
+ * - Disease interactions: known rule types, other disease ids, REQUIRES cycles
+ * - Player inventory: resources[].inventory starting amounts; drugs[].cost only in
+ *   resources the inventory holds (the regimen resource pool)
+ * - Drugs: tags, potency, cost, side-effect mods, PK model constants, routes, default regimen,
+ *   therapeutic window below the toxic threshold, toxicity mods / building damage / effects
+ * - Drug interactions: known rule types, two distinct drug tags, factors
+ * - Vessel classes: network, speed / capacity / leak, allowed resource tags, visual preset;
+ *   buildings[].vessel_class only on VESSEL buildings
+ * - Thrombosis: chances, growth, effect tags and thrombolytic drug tags
+ *
+ * Every issue carries a precise path, e.g. recipes[1].machine_ids[0]
+ * - error: the data is broken (dangling id, missing field, out of range)
+ * - warning: suspicious but playable (one-sided recipe/building link, ids
+ *   pointing into a section that does not exist yet)
+ *
+ * Runs at startup (SimulationInitializer) and from the CLI: npm run validate:db
+ */
+
+const ID_SECTIONS = [
+  "biomarkers",
+  "resources",
+  "recipes",
+  "buildings",
+  "vessel_classes",
+  "effects",
+  "disease_types",
+  "diseases",
+  "drug_tags",
+  "drugs",
+  "drug_interactions",
+  "research",
+  "units"
+];
+
+const TRIGGER_OPS = [">", ">=", "<", "<=", "==", "!="];
+const TRIGGER_SCOPES = ["systemic", "regional"];
+const TRIGGER_MEASURES = ["value", "rate"];
+const MODIFIER_MODES = ["add", "sub", "mul"];
+const EFFECT_SCOPES = ["terrain", "unit"];
+// Presets drawn by the Grid effect overlay (shaders/EffectOverlayShader.js)
+const VISUAL_FILTER_PRESETS = ["warm-rim", "lipidic", "cool-fade"];
+// Vessel class looks (entities/VesselGeometryFactory.js)
+const VESSEL_VISUAL_PRESETS = ["capillary", "artery", "lymph"];
+const UNLOCK_TYPES = ["RESEARCH_COMPLETE"];
+const BIOMARKER_MODELS = ["ACID_BASE"];
+const INTERACTION_TYPES = ["PROGRESSION_RATE", "SUPPRESSED_BY", "REQUIRES"];
+const PK_MODELS = ["ONE_COMPARTMENT", "TWO_COMPARTMENT"];
+const PK_ROUTES = ["IV", "ORAL"];
+const DRUG_INTERACTION_TYPES = ["SYNERGY", "ANTAGONISM", "SHARED_METABOLISM"];
+
+// research.unlocks may point at any of these sections
+// ABILITY_* ids live in units[].abilities until an abilities section exists
+const UNLOCK_TARGETS = ["recipes", "buildings", "units", "abilities"];
+
+export class BioDatabaseValidator {
+  constructor(db) {
+    this.db = db;
+    this.errors = []; // [{ path, message }]
+    this.warnings = []; // [{ path, message }]
+    this.ids = {}; // section -> Set<id>
+  }
+
+  /**
+   * Run all checks and return the report
+   */
+  validate() {
+    this.errors = [];
+    this.warnings = [];
+    const db = this.db;
+
+    if (!db || typeof db !== "object") {
+      this.error("", "BioDatabase is missing or not an object");
+      return this.report();
+    }
+
+    this.validateMeta(db.meta);
+    this.validateTags(db.tags);
+    this.collectIds();
+
+    this.eachEntry("biomarkers", (entry, path) => this.validateBiomarker(entry, path));
+    this.eachEntry("resources", (entry, path) => this.validateResource(entry, path));
+    this.eachEntry("recipes", (entry, path) => this.validateRecipe(entry, path));
+    this.eachEntry("buildings", (entry, path) => this.validateBuilding(entry, path));
+    this.eachEntry("vessel_classes", (entry, path) => this.validateVesselClass(entry, path));
+    this.eachEntry("effects", (entry, path) => this.validateEffect(entry, path));
+    this.eachEntry("disease_types", (entry, path) => this.validateDiseaseType(entry, path));
+    this.eachEntry("diseases", (entry, path) => this.validateDisease(entry, path));
+    this.eachEntry("drug_tags", (entry, path) => this.validateDrugTag(entry, path));
+    this.eachEntry("drugs", (entry, path) => this.validateDrug(entry, path));
+    this.eachEntry("drug_interactions", (entry, path) => this.validateDrugInteraction(entry, path));
+    this.eachEntry("research", (entry, path) => this.validateResearch(entry, path));
+    this.eachEntry("units", (entry, path) => this.validateUnit(entry, path));
+
+    this.validateRecipeBuildingLinks();
+    this.validatePressureSystem(db.pressure_system);
+    this.validateAcidBase(db.acid_base);
+    this.validateRegions(db.regions);
+
+    return this.report();
+  }
+
+  report() {
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  error(path, message) {
+    this.errors.push({ path, message });
+  }
+
+  warn(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  // ============ STRUCTURE ============
+
+  validateMeta(meta) {
+    if (!meta || typeof meta !== "object") {
+      this.error("meta", "missing section");
+      return;
+    }
+    this.requireString(meta, "version", "meta");
+    this.requireString(meta, "language", "meta");
+
+    const diffusion = meta.defaults?.diffusion;
+    if (diffusion) {
+      Object.entries(diffusion).forEach(([key, value]) => {
+        this.checkFraction(value, `meta.defaults.diffusion.${key}`);
+      });
+    }
+  }
+
+  validateTags(tags) {
+    if (!tags || typeof tags !== "object") {
+      this.error("tags", "missing section");
+      return;
+    }
+    Object.entries(tags).forEach(([category, list]) => {
+      if (!Array.isArray(list)) {
+        this.error(`tags.${category}`, "must be an array of tag names");
+        return;
+      }
+      this.checkDuplicates(list, `tags.${category}`);
+    });
+  }
+
+  /**
+   * Index ids per section; report missing / duplicate ids
+   */
+  collectIds() {
+    this.ids = {};
+    ID_SECTIONS.forEach((section) => {
+      this.ids[section] = new Set();
+      const list = this.db[section];
+      if (list === undefined) {
+        this.error(section, "missing section");
+        return;
+      }
+      if (!Array.isArray(list)) {
+        this.error(section, "must be an array");
+        return;
+      }
+      list.forEach((entry, index) => {
+        const path = `${section}[${index}]`;
+        if (!entry || typeof entry.id !== "string" || entry.id === "") {
+          this.error(`${path}.id`, "missing id");
+          return;
+        }
+        if (this.ids[section].has(entry.id)) {
+          this.error(`${path}.id`, `duplicate id '${entry.id}'`);
+        }
+        this.ids[section].add(entry.id);
+      });
+    });
+
+    // Abilities are only declared inline on units for now
+    this.ids.abilities = new Set();
+    (this.db.units || []).forEach((unit) => {
+      (unit?.abilities || []).forEach((ability) => this.ids.abilities.add(ability));
+    });
+  }
+
+  eachEntry(section, fn) {
+    const list = this.db[section];
+    if (!Array.isArray(list)) return;
+    list.forEach((entry, index) => {
+      if (entry && typeof entry === "object") {
+        fn(entry, `${section}[${index}]`);
+      }
+    });
+  }
+
+  // ============ SECTIONS ============
+
+  validateBiomarker(marker, path) {
+    this.requireString(marker, "name", path);
+    this.requireString(marker, "metric", path);
+
+    const range = marker.normal_range;
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) {
+      this.error(`${path}.normal_range`, "must be [min, max] numbers");
+    } else if (range[0] > range[1]) {
+      this.error(`${path}.normal_range`, `min ${range[0]} > max ${range[1]}`);
+    }
+
+    if (marker.model !== undefined && !BIOMARKER_MODELS.includes(marker.model)) {
+      this.error(`${path}.model`, `must be one of ${BIOMARKER_MODELS.join(", ")}`);
+    }
+  }
+
+  validateResource(resource, path) {
+    this.requireString(resource, "name", path);
+    this.checkTags(resource.tags, "resource", `${path}.tags`);
+
+    if (resource.transferable !== undefined && typeof resource.transferable !== "boolean") {
+      this.error(`${path}.transferable`, "must be a boolean");
+    }
+    if (resource.inventory !== undefined) {
+      this.checkNonNegative(resource.inventory?.start, `${path}.inventory.start`);
+    }
+    if (resource.environment_effects) {
+      this.checkBiomarkerMods(
+        resource.environment_effects.biomarker_mods,
+        `${path}.environment_effects.biomarker_mods`
+      );
+      this.checkBiomarkerMods(
+        resource.environment_effects.local_biomarker_mods,
+        `${path}.environment_effects.local_biomarker_mods`,
+        true
+      );
+    }
+  }
+
+  validateRecipe(recipe, path) {
+    this.requireString(recipe, "name", path);
+    this.checkRefList(recipe.machine_ids, "buildings", `${path}.machine_ids`, true);
+    this.checkAmounts(recipe.inputs, `${path}.inputs`, true);
+    this.checkAmounts(recipe.outputs, `${path}.outputs`, true);
+    this.checkAmounts(recipe.waste_outputs, `${path}.waste_outputs`, false);
+    this.checkRefList(recipe.unlock_by_research, "research", `${path}.unlock_by_research`, false);
+
+    if (!(recipe.time_seconds > 0)) {
+      this.error(`${path}.time_seconds`, "must be a number > 0");
+    }
+    if (recipe.accumulation?.resource) {
+      this.checkRef(recipe.accumulation.resource, "resources", `${path}.accumulation.resource`);
+    }
+  }
+
+  validateBuilding(building, path) {
+    this.requireString(building, "name", path);
+    this.checkTags(building.tags, "building", `${path}.tags`);
+
+    const size = building.size;
+    if (!Array.isArray(size) || size.length !== 2 || !size.every((n) => Number.isInteger(n) && n > 0)) {
+      this.error(`${path}.size`, "must be [width, depth] positive integers");
+    }
+    if (building.hp !== undefined && !(building.hp > 0)) {
+      this.error(`${path}.hp`, "must be a number > 0");
+    }
+
+    this.checkRefList(building.supported_recipes, "recipes", `${path}.supported_recipes`, false);
+    this.checkRefList(building.inputs, "resources", `${path}.inputs`, false);
+    this.checkRefList(building.outputs, "resources", `${path}.outputs`, false);
+    this.checkResourceMap(building.capacity, `${path}.capacity`);
+    this.checkResourceMap(building.maintenance, `${path}.maintenance`);
+
+    ["storage_capacity", "throughput", "radius_ft"].forEach((field) => {
+      if (building[field] !== undefined) {
+        this.checkNonNegative(building[field], `${path}.${field}`);
+      }
+    });
+    Object.keys(building)
+      .filter((field) => field.startsWith("atp_"))
+      .forEach((field) => this.checkNonNegative(building[field], `${path}.${field}`));
+
+    if (building.vessel_class !== undefined) {
+      this.checkRef(building.vessel_class, "vessel_classes", `${path}.vessel_class`);
+      if (!(building.tags || []).includes("VESSEL")) {
+        this.warn(`${path}.vessel_class`, "only VESSEL buildings use a vessel class");
+      }
+    }
+
+    this.checkUnlockCondition(building.unlock_condition, `${path}.unlock_condition`);
+  }
+
+  validateVesselClass(vesselClass, path) {
+    this.requireString(vesselClass, "name", path);
+    this.requireString(vesselClass, "network", path);
+    ["speed", "capacity"].forEach((field) => {
+      if (vesselClass[field] !== undefined) {
+        this.checkPositive(vesselClass[field], `${path}.${field}`);
+      }
+    });
+    if (vesselClass.leak_per_tile !== undefined) {
+      this.checkFraction(vesselClass.leak_per_tile, `${path}.leak_per_tile`);
+    }
+    if (vesselClass.allowed_resource_tags !== undefined) {
+      this.checkTags(vesselClass.allowed_resource_tags, "resource", `${path}.allowed_resource_tags`);
+    }
+    if (vesselClass.visual && !VESSEL_VISUAL_PRESETS.includes(vesselClass.visual.preset)) {
+      this.error(`${path}.visual.preset`, `must be one of ${VESSEL_VISUAL_PRESETS.join(", ")}`);
+    }
+    if (vesselClass.visual?.radius_scale !== undefined) {
+      this.checkPositive(vesselClass.visual.radius_scale, `${path}.visual.radius_scale`);
+    }
+  }
+
+  validateEffect(effect, path) {
+    this.requireString(effect, "name", path);
+    this.checkTags(effect.tags, "effect", `${path}.tags`);
+
+    if (!EFFECT_SCOPES.includes(effect.scope)) {
+      this.error(`${path}.scope`, `must be one of ${EFFECT_SCOPES.join(", ")}`);
+    }
+    // Terrain effects apply their mods locally (regional biomarkers)
+    this.checkBiomarkerMods(
+      effect.biomarker_mods,
+      `${path}.biomarker_mods`,
+      effect.scope === "terrain"
+    );
+
+    if (effect.visual_filter && !VISUAL_FILTER_PRESETS.includes(effect.visual_filter.preset)) {
+      this.error(
+        `${path}.visual_filter.preset`,
+        `must be one of ${VISUAL_FILTER_PRESETS.join(", ")}`
+      );
+    }
+
+    if (effect.spread) {
+      this.checkSpread(effect.spread, `${path}.spread`);
+    }
+  }
+
+  /**
+   * Cellular-automaton spread block (EffectsSystem); every field is optional
+   */
+  checkSpread(spread, path) {
+    if (spread.vessel_permeability !== undefined) {
+      this.checkFraction(spread.vessel_permeability, `${path}.vessel_permeability`);
+    }
+    if (spread.diffusion !== undefined) {
+      this.error(`${path}.diffusion`, "renamed to diffusion_per_s (share exchanged per second)");
+    }
+    ["diffusion_per_s", "decay_per_s", "waste_amplification"].forEach((field) => {
+      if (spread[field] !== undefined) this.checkNonNegative(spread[field], `${path}.${field}`);
+    });
+    ["threshold", "max_intensity"].forEach((field) => {
+      if (spread[field] !== undefined) this.checkPositive(spread[field], `${path}.${field}`);
+    });
+    if (spread.threshold > spread.max_intensity) {
+      this.error(`${path}.threshold`, "must not exceed max_intensity");
+    }
+    Object.entries(spread.terrain || {}).forEach(([terrain, factor]) => {
+      this.checkNonNegative(factor, `${path}.terrain.${terrain}`);
+    });
+  }
+
+  validateDiseaseType(type, path) {
+    this.requireString(type, "name", path);
+    this.checkDrugProfile(type.default_drug_profile, `${path}.default_drug_profile`);
+    this.checkResistance(type.resistance, type.default_drug_profile, `${path}.resistance`);
+  }
+
+  validateDisease(disease, path) {
+    this.requireString(disease, "name", path);
+    this.checkRef(disease.type, "disease_types", `${path}.type`);
+    this.checkRefList(disease.effects, "effects", `${path}.effects`, false);
+    this.checkDrugProfile(disease.drug_profile_overrides, `${path}.drug_profile_overrides`);
+    const type = (this.db.disease_types || []).find((dt) => dt.id === disease.type);
+    this.checkResistance(
+      disease.resistance,
+      { ...type?.default_drug_profile, ...disease.drug_profile_overrides },
+      `${path}.resistance`
+    );
+
+    // Legacy list (implicit all) or one expression
+    if (Array.isArray(disease.triggers)) {
+      disease.triggers.forEach((trigger, index) =>
+        this.checkTriggerExpression(trigger, `${path}.triggers[${index}]`, false)
+      );
+    } else if (disease.triggers !== undefined) {
+      this.checkTriggerExpression(disease.triggers, `${path}.triggers`, false);
+    }
+
+    this.checkSeverityTiers(disease.severity_tiers, `${path}.severity_tiers`);
+    this.checkInteractions(disease, `${path}.interactions`);
+  }
+
+  /**
+   * diseases[].interactions: rules on the affected disease, disease_id = source
+   */
+  checkInteractions(disease, path) {
+    const rules = disease.interactions;
+    if (rules === undefined) return;
+    if (!Array.isArray(rules)) {
+      this.error(path, "must be an array");
+      return;
+    }
+
+    rules.forEach((rule, index) => {
+      const rulePath = `${path}[${index}]`;
+      if (!INTERACTION_TYPES.includes(rule?.type)) {
+        this.error(`${rulePath}.type`, `must be one of ${INTERACTION_TYPES.join(", ")}`);
+      }
+      this.checkRef(rule?.disease_id, "diseases", `${rulePath}.disease_id`);
+      if (rule?.disease_id === disease.id) {
+        this.error(`${rulePath}.disease_id`, "a disease cannot interact with itself");
+      }
+      if (rule?.type === "PROGRESSION_RATE") {
+        this.checkPositive(rule.factor, `${rulePath}.factor`);
+      }
+      if (rule?.type === "REQUIRES" && this.requiresChainReaches(rule.disease_id, disease.id)) {
+        this.warn(`${rulePath}.disease_id`, `REQUIRES cycle with ${rule.disease_id} - neither can ever start`);
+      }
+    });
+  }
+
+  /**
+   * True if fromId (transitively) REQUIRES targetId
+   */
+  requiresChainReaches(fromId, targetId, seen = new Set()) {
+    if (fromId === targetId) return true;
+    if (seen.has(fromId)) return false;
+    seen.add(fromId);
+
+    const disease = (this.db.diseases || []).find((d) => d?.id === fromId);
+    return (disease?.interactions || []).some(
+      (rule) => rule?.type === "REQUIRES" && this.requiresChainReaches(rule.disease_id, targetId, seen)
+    );
+  }
+
+  /**
+   * diseases[].severity_tiers (see SeverityTiers.js)
+   * Tier 1 is entered by the disease trigger; tier N+1 needs progress_after_s
+   * on tier N or its own enter expression, otherwise it is unreachable
+   */
+  checkSeverityTiers(tiers, path) {
+    if (tiers === undefined) return;
+    if (!Array.isArray(tiers)) {
+      this.error(path, "must be an array");
+      return;
+    }
+
+    tiers.forEach((tier, index) => {
+      const tierPath = `${path}[${index}]`;
+      if (!tier || typeof tier !== "object") {
+        this.error(tierPath, "must be an object");
+        return;
+      }
+
+      if (tier.enter !== undefined) {
+        if (index === 0) {
+          this.warn(`${tierPath}.enter`, "tier 1 is entered by the disease triggers - ignored");
+        }
+        this.checkTriggerExpression(tier.enter, `${tierPath}.enter`, false);
+      }
+      if (tier.progress_after_s !== undefined) {
+        this.checkNonNegative(tier.progress_after_s, `${tierPath}.progress_after_s`);
+      }
+      if (index > 0) {
+        const previous = tiers[index - 1];
+        if (previous?.progress_after_s === undefined && tier.enter === undefined) {
+          this.warn(tierPath, `unreachable - needs enter or tier ${index}.progress_after_s`);
+        }
+      }
+
+      if (tier.systemic_modifier !== undefined) {
+        if (!tier.systemic_modifier || typeof tier.systemic_modifier !== "object") {
+          this.error(`${tierPath}.systemic_modifier`, "must be an object { stat: multiplier }");
+        } else {
+          Object.entries(tier.systemic_modifier).forEach(([stat, multiplier]) =>
+            this.checkPositive(multiplier, `${tierPath}.systemic_modifier.${stat}`)
+          );
+        }
+      }
+      this.checkBiomarkerMods(tier.biomarker_mods, `${tierPath}.biomarker_mods`, true);
+      this.checkRefList(tier.effects, "effects", `${tierPath}.effects`, false);
+
+      if (tier.symptoms !== undefined) {
+        if (!Array.isArray(tier.symptoms)) {
+          this.error(`${tierPath}.symptoms`, "must be an array");
+        } else {
+          tier.symptoms.forEach((symptom, symptomIndex) => {
+            const symptomPath = `${tierPath}.symptoms[${symptomIndex}]`;
+            if (!symptom || typeof symptom !== "object") {
+              this.error(symptomPath, "must be { id, name }");
+              return;
+            }
+            this.requireString(symptom, "id", symptomPath);
+            this.requireString(symptom, "name", symptomPath);
+          });
+        }
+      }
+    });
+  }
+
+  validateDrugTag(drugTag, path) {
+    this.requireString(drugTag, "name", path);
+    const declared = this.db.tags?.drug;
+    if (Array.isArray(declared) && !declared.includes(drugTag.id)) {
+      this.warn(`${path}.id`, `'${drugTag.id}' is not declared in tags.drug`);
+    }
+  }
+
+  validateDrug(drug, path) {
+    this.requireString(drug, "name", path);
+    this.checkRefList(drug.tags, "drug_tags", `${path}.tags`, true);
+    this.checkPositive(drug.potency?.ec50_mg_l, `${path}.potency.ec50_mg_l`);
+    this.checkPositive(drug.potency?.emax, `${path}.potency.emax`);
+    if (drug.default_dose_mg !== undefined) {
+      this.checkPositive(drug.default_dose_mg, `${path}.default_dose_mg`);
+    }
+    this.checkAmounts(drug.cost, `${path}.cost`, false);
+    this.checkPoolCost(drug.cost, `${path}.cost`);
+    if (drug.side_effects !== undefined) {
+      this.checkBiomarkerMods(drug.side_effects?.biomarker_mods, `${path}.side_effects.biomarker_mods`);
+    }
+    this.checkPharmacokinetics(drug.pk, `${path}.pk`);
+    if (drug.default_regimen !== undefined) {
+      this.checkRegimen(drug.default_regimen, drug, `${path}.default_regimen`);
+    }
+    this.checkTherapeuticWindow(drug, path);
+  }
+
+  /**
+   * drug_interactions[]: rule between two drug tags (see DrugProfileSystem)
+   */
+  validateDrugInteraction(rule, path) {
+    if (!DRUG_INTERACTION_TYPES.includes(rule.type)) {
+      this.error(`${path}.type`, `must be one of ${DRUG_INTERACTION_TYPES.join(", ")}`);
+    }
+    if (!Array.isArray(rule.tags) || rule.tags.length !== 2) {
+      this.error(`${path}.tags`, "must be two drug tags");
+    } else {
+      this.checkRefList(rule.tags, "drug_tags", `${path}.tags`, true);
+      if (rule.tags[0] === rule.tags[1]) {
+        this.error(`${path}.tags`, "a drug tag cannot interact with itself");
+      }
+    }
+
+    if (rule.type === "SHARED_METABOLISM") {
+      this.checkPositive(rule.half_life_factor, `${path}.half_life_factor`);
+    } else if (rule.type === "SYNERGY" || rule.type === "ANTAGONISM") {
+      this.checkPositive(rule.factor, `${path}.factor`);
+      if (rule.type === "SYNERGY" && rule.factor < 1) {
+        this.warn(`${path}.factor`, "SYNERGY factor < 1 weakens the drugs - use ANTAGONISM");
+      } else if (rule.type === "ANTAGONISM" && rule.factor > 1) {
+        this.warn(`${path}.factor`, "ANTAGONISM factor > 1 strengthens the drug - use SYNERGY");
+      }
+    }
+  }
+
+  validateResearch(research, path) {
+    this.requireString(research, "name", path);
+
+    (research.unlocks || []).forEach((id, index) => {
+      const unlockPath = `${path}.unlocks[${index}]`;
+      const found = UNLOCK_TARGETS.some((section) => this.ids[section]?.has(id));
+      if (!found) {
+        this.error(unlockPath, `'${id}' not found in ${UNLOCK_TARGETS.join("/")}`);
+      }
+    });
+  }
+
+  validateUnit(unit, path) {
+    this.requireString(unit, "name", path);
+    if (!(unit.hp > 0)) {
+      this.error(`${path}.hp`, "must be a number > 0");
+    }
+    this.checkNonNegative(unit.damage, `${path}.damage`);
+    if (!(unit.speed > 0)) {
+      this.error(`${path}.speed`, "must be a number > 0");
+    }
+    if ((unit.abilities || []).length > 0 && !this.db.abilities) {
+      this.warn(`${path}.abilities`, "no abilities section - ability ids are not defined anywhere");
+    }
+    this.checkUnlockCondition(unit.unlock_condition, `${path}.unlock_condition`);
+  }
+
+  validatePressureSystem(pressure) {
+    if (!pressure) return;
+    this.checkFraction(
+      pressure.base_efficiency_without_pump,
+      "pressure_system.base_efficiency_without_pump"
+    );
+    if (pressure.pump_nodes) {
+      this.checkNonNegative(
+        pressure.pump_nodes.default_head_gain,
+        "pressure_system.pump_nodes.default_head_gain"
+      );
+      this.checkFraction(pressure.pump_nodes.leak_per_tile, "pressure_system.pump_nodes.leak_per_tile");
+    }
+
+    const hydraulics = pressure.hydraulics;
+    if (hydraulics) {
+      const path = "pressure_system.hydraulics";
+      ["pump_head", "resistance_per_tile", "consumer_resistance", "max_pressure"].forEach((field) => {
+        if (hydraulics[field] !== undefined) {
+          this.checkPositive(hydraulics[field], `${path}.${field}`);
+        }
+      });
+      if (hydraulics.overpressure_damage_per_s !== undefined) {
+        this.checkNonNegative(hydraulics.overpressure_damage_per_s, `${path}.overpressure_damage_per_s`);
+      }
+
+      const defaultHead = (hydraulics.pump_head || 10) * (pressure.pump_nodes?.default_head_gain || 1);
+      if (hydraulics.max_pressure <= defaultHead) {
+        this.warn(`${path}.max_pressure`, `<= default pump head ${defaultHead} - every pumped vessel is over-pressured`);
+      }
+    }
+
+    const thrombosis = pressure.thrombosis;
+    if (thrombosis) {
+      const path = "pressure_system.thrombosis";
+      if (thrombosis.low_flow) {
+        this.checkFraction(thrombosis.low_flow.pressure_ratio, `${path}.low_flow.pressure_ratio`);
+        this.checkNonNegative(thrombosis.low_flow.chance_per_s, `${path}.low_flow.chance_per_s`);
+      }
+      if (thrombosis.atheroma) {
+        this.checkTags(thrombosis.atheroma.effect_tags, "effect", `${path}.atheroma.effect_tags`);
+        this.checkNonNegative(thrombosis.atheroma.chance_per_s, `${path}.atheroma.chance_per_s`);
+      }
+      if (thrombosis.wrong_resource_chance !== undefined) {
+        this.checkFraction(thrombosis.wrong_resource_chance, `${path}.wrong_resource_chance`);
+      }
+      if (thrombosis.initial_obstruction !== undefined) {
+        this.checkFraction(thrombosis.initial_obstruction, `${path}.initial_obstruction`);
+      }
+      if (thrombosis.growth_per_s !== undefined) {
+        this.checkNonNegative(thrombosis.growth_per_s, `${path}.growth_per_s`);
+      }
+      if (thrombosis.lysis) {
+        this.checkRefList(thrombosis.lysis.drug_tags, "drug_tags", `${path}.lysis.drug_tags`, true);
+        this.checkPositive(thrombosis.lysis.rate_per_s, `${path}.lysis.rate_per_s`);
+      }
+    }
+
+    const delivery = pressure.drug_delivery;
+    if (delivery) {
+      const path = "pressure_system.drug_delivery";
+      this.checkRef(delivery.resource_id, "resources", `${path}.resource_id`);
+      this.checkTags(delivery.port_tags, "building", `${path}.port_tags`);
+      if (delivery.packet_speed_tiles_per_s !== undefined) {
+        this.checkPositive(delivery.packet_speed_tiles_per_s, `${path}.packet_speed_tiles_per_s`);
+      }
+      if (delivery.route !== undefined && !PK_ROUTES.includes(delivery.route)) {
+        this.error(`${path}.route`, `unknown route (must be one of ${PK_ROUTES.join(", ")})`);
+      }
+    }
+  }
+
+  validateAcidBase(acidBase) {
+    const modelled = (this.db.biomarkers || []).some((bm) => bm?.model === "ACID_BASE");
+    if (!acidBase) {
+      if (modelled) {
+        this.error("acid_base", "required by biomarkers with model ACID_BASE");
+      }
+      return;
+    }
+
+    this.checkRef(acidBase.ph_marker_id, "biomarkers", "acid_base.ph_marker_id");
+    if (acidBase.lactate_marker_id !== undefined) {
+      this.checkRef(acidBase.lactate_marker_id, "biomarkers", "acid_base.lactate_marker_id");
+    }
+    ["pka", "co2_solubility", "normal_hco3", "normal_paco2"].forEach((field) => {
+      this.checkPositive(acidBase[field], `acid_base.${field}`);
+    });
+
+    const { lactate, respiratory, renal } = acidBase;
+    if (lactate) {
+      this.checkRef(lactate.resource_id, "resources", "acid_base.lactate.resource_id");
+      this.checkNonNegative(lactate.blood_per_unit, "acid_base.lactate.blood_per_unit");
+      this.checkFraction(lactate.bicarbonate_buffered, "acid_base.lactate.bicarbonate_buffered");
+      this.checkPositive(
+        lactate.clearance_time_constant_s,
+        "acid_base.lactate.clearance_time_constant_s"
+      );
+    }
+    if (respiratory) {
+      this.checkPositive(respiratory.time_constant_s, "acid_base.respiratory.time_constant_s");
+      this.checkNonNegative(respiratory.acidosis_slope, "acid_base.respiratory.acidosis_slope");
+      this.checkNonNegative(respiratory.alkalosis_slope, "acid_base.respiratory.alkalosis_slope");
+      this.checkRange(respiratory.paco2_range, "acid_base.respiratory.paco2_range");
+    }
+    if (renal) {
+      this.checkPositive(renal.time_constant_s, "acid_base.renal.time_constant_s");
+      this.checkRange(renal.hco3_range, "acid_base.renal.hco3_range");
+    }
+  }
+
+  validateRegions(regions) {
+    if (!regions) return;
+
+    if (!Number.isInteger(regions.cell_size) || regions.cell_size <= 0) {
+      this.error("regions.cell_size", "must be an integer > 0");
+    }
+    if (!Number.isInteger(regions.grid_size) || regions.grid_size < regions.cell_size) {
+      this.error("regions.grid_size", "must be an integer >= cell_size");
+    }
+    this.checkRefList(regions.biomarkers, "biomarkers", "regions.biomarkers", false);
+    if (Array.isArray(regions.biomarkers)) {
+      this.checkDuplicates(regions.biomarkers, "regions.biomarkers");
+    }
+
+    const diffusion = this.db.meta?.defaults?.diffusion;
+    if (diffusion) {
+      ["to_neighbors_per_tick", "to_local_system_per_tick", "to_global_system_per_tick"].forEach(
+        (field) => this.checkFraction(diffusion[field], `meta.defaults.diffusion.${field}`)
+      );
+    }
+  }
+
+  /**
+   * recipe.machine_ids and building.supported_recipes should agree both ways
+   */
+  validateRecipeBuildingLinks() {
+    const buildings = new Map((this.db.buildings || []).map((b) => [b?.id, b]));
+
+    this.eachEntry("recipes", (recipe, path) => {
+      (recipe.machine_ids || []).forEach((machineId, index) => {
+        const building = buildings.get(machineId);
+        if (building && !(building.supported_recipes || []).includes(recipe.id)) {
+          this.warn(
+            `${path}.machine_ids[${index}]`,
+            `${machineId} does not list ${recipe.id} in supported_recipes`
+          );
+        }
+      });
+    });
+  }
+
+  // ============ HELPERS ============
+
+  requireString(entry, field, path) {
+    if (typeof entry[field] !== "string" || entry[field] === "") {
+      this.error(`${path}.${field}`, "required string is missing");
+    }
+  }
+
+  checkRef(id, section, path) {
+    if (id === undefined || id === null) {
+      this.error(path, `missing reference to ${section}`);
+      return;
+    }
+    if (!this.ids[section]?.has(id)) {
+      this.error(path, `unknown ${section} id '${id}'`);
+    }
+  }
+
+  checkRefList(list, section, path, required) {
+    if (list === undefined || list === null) {
+      if (required) this.error(path, "required list is missing");
+      return;
+    }
+    if (!Array.isArray(list)) {
+      this.error(path, "must be an array");
+      return;
+    }
+    if (required && list.length === 0) {
+      this.error(path, "must not be empty");
+    }
+    list.forEach((id, index) => this.checkRef(id, section, `${path}[${index}]`));
+  }
+
+  /**
+   * [{ id: RES_*, amount }]
+   */
+  checkAmounts(list, path, required) {
+    if (list === undefined || list === null) {
+      if (required) this.error(path, "required list is missing");
+      return;
+    }
+    if (!Array.isArray(list)) {
+      this.error(path, "must be an array");
+      return;
+    }
+    list.forEach((item, index) => {
+      this.checkRef(item?.id, "resources", `${path}[${index}].id`);
+      if (!(item?.amount > 0)) {
+        this.error(`${path}[${index}].amount`, "must be a number > 0");
+      }
+    });
+  }
+
+  /**
+   * A cost the player pays from the Inventory: every resource needs an inventory block
+   */
+  checkPoolCost(list, path) {
+    if (!Array.isArray(list)) return;
+
+    list.forEach((item, index) => {
+      const resource = (this.db.resources || []).find((r) => r.id === item?.id);
+      if (resource && !resource.inventory) {
+        this.error(`${path}[${index}].id`, `'${item.id}' is not in the player inventory (resources[].inventory), so it can never be paid`);
+      }
+    });
+  }
+
+  /**
+   * { RES_*: number >= 0 }
+   */
+  checkResourceMap(map, path) {
+    if (!map) return;
+    Object.entries(map).forEach(([id, value]) => {
+      this.checkRef(id, "resources", `${path}.${id}`);
+      this.checkNonNegative(value, `${path}.${id}`);
+    });
+  }
+
+  checkTags(tags, category, path) {
+    if (tags === undefined) return;
+    if (!Array.isArray(tags)) {
+      this.error(path, "must be an array");
+      return;
+    }
+    const declared = this.db.tags?.[category] || [];
+    tags.forEach((tag, index) => {
+      if (!declared.includes(tag)) {
+        this.error(`${path}[${index}]`, `unknown tag '${tag}' (not in tags.${category})`);
+      }
+    });
+  }
+
+  /**
+   * local = mods applied at a cell (regional biomarkers take them per region)
+   */
+  checkBiomarkerMods(mods, path, local = false) {
+    if (mods === undefined || mods === null) return;
+    if (!Array.isArray(mods)) {
+      this.error(path, "must be an array");
+      return;
+    }
+    mods.forEach((mod, index) => {
+      const modPath = `${path}[${index}]`;
+      this.checkRef(mod?.marker_id, "biomarkers", `${modPath}.marker_id`);
+      const marker = (this.db.biomarkers || []).find((bm) => bm?.id === mod?.marker_id);
+      if (marker?.model && !(local && this.isRegional(mod.marker_id))) {
+        this.warn(
+          `${modPath}.marker_id`,
+          `${mod.marker_id} is driven by model ${marker.model} - mod is ignored`
+        );
+      }
+      if (!MODIFIER_MODES.includes(mod?.mode)) {
+        this.error(`${modPath}.mode`, `must be one of ${MODIFIER_MODES.join(", ")}`);
+      }
+      if (!Number.isFinite(mod?.value)) {
+        this.error(`${modPath}.value`, "must be a number");
+      } else if (mod.mode === "mul" && mod.value <= 0) {
+        this.error(`${modPath}.value`, "mul value must be > 0 (removal divides by it)");
+      }
+    });
+  }
+
+  /**
+   * Trigger expression (see TriggerEvaluator): { all } | { any } | { not } | leaf,
+   * optional for_ticks on any node
+   * negated = inside an odd number of not (remit_value direction flips)
+   */
+  checkTriggerExpression(node, path, negated) {
+    if (!node || typeof node !== "object" || Array.isArray(node)) {
+      this.error(path, "must be a trigger expression object");
+      return;
+    }
+    if (node.for_ticks !== undefined && !(Number.isInteger(node.for_ticks) && node.for_ticks > 0)) {
+      this.error(`${path}.for_ticks`, "must be an integer > 0");
+    }
+
+    const composites = ["all", "any", "not"].filter((key) => node[key] !== undefined);
+    if (composites.length > 1) {
+      this.error(path, `only one of ${composites.join(", ")} per node`);
+      return;
+    }
+
+    if (composites[0] === "all" || composites[0] === "any") {
+      const key = composites[0];
+      if (!Array.isArray(node[key]) || node[key].length === 0) {
+        this.error(`${path}.${key}`, "must be a non-empty array");
+        return;
+      }
+      node[key].forEach((child, index) =>
+        this.checkTriggerExpression(child, `${path}.${key}[${index}]`, negated)
+      );
+      return;
+    }
+    if (composites[0] === "not") {
+      this.checkTriggerExpression(node.not, `${path}.not`, !negated);
+      return;
+    }
+
+    this.checkTriggerLeaf(node, path, negated);
+  }
+
+  checkTriggerLeaf(leaf, path, negated) {
+    if (leaf.resource_id !== undefined) {
+      this.checkRef(leaf.resource_id, "resources", `${path}.resource_id`);
+    } else {
+      this.checkRef(leaf.marker_id, "biomarkers", `${path}.marker_id`);
+    }
+    if (!TRIGGER_OPS.includes(leaf.op)) {
+      this.error(`${path}.op`, `unknown operator '${leaf.op}'`);
+    }
+    if (!Number.isFinite(leaf.value)) {
+      this.error(`${path}.value`, "must be a number");
+    }
+
+    if (leaf.scope !== undefined && !TRIGGER_SCOPES.includes(leaf.scope)) {
+      this.error(`${path}.scope`, `must be one of ${TRIGGER_SCOPES.join(", ")}`);
+    } else if (leaf.scope === "regional" && !this.isRegional(leaf.marker_id)) {
+      this.error(`${path}.scope`, `${leaf.marker_id} is not in regions.biomarkers`);
+    }
+
+    if (leaf.measure !== undefined && !TRIGGER_MEASURES.includes(leaf.measure)) {
+      this.error(`${path}.measure`, `must be one of ${TRIGGER_MEASURES.join(", ")}`);
+    }
+    if (leaf.window_ticks !== undefined) {
+      if (leaf.measure !== "rate") {
+        this.warn(`${path}.window_ticks`, "only used with measure: \"rate\"");
+      } else if (!(Number.isInteger(leaf.window_ticks) && leaf.window_ticks > 0)) {
+        this.error(`${path}.window_ticks`, "must be an integer > 0");
+      }
+    }
+
+    if (leaf.remit_value !== undefined) {
+      this.checkRemitValue(leaf, `${path}.remit_value`, negated);
+    }
+  }
+
+  /**
+   * Hysteresis: the remission threshold must sit on the healthy side of the onset one
+   * (>= 4 → remit below 4; inside not the direction flips)
+   */
+  checkRemitValue(leaf, path, negated) {
+    if (!Number.isFinite(leaf.remit_value)) {
+      this.error(path, "must be a number");
+      return;
+    }
+    if (leaf.op === "==" || leaf.op === "!=") {
+      this.error(path, `not supported with operator '${leaf.op}'`);
+      return;
+    }
+
+    const onsetAbove = leaf.op === ">" || leaf.op === ">=";
+    const remitBelow = negated ? !onsetAbove : onsetAbove;
+    if (remitBelow ? leaf.remit_value > leaf.value : leaf.remit_value < leaf.value) {
+      this.error(
+        path,
+        `${leaf.remit_value} must be ${remitBelow ? "<=" : ">="} value ${leaf.value} (hysteresis)`
+      );
+    }
+  }
+
+  /**
+   * pk: { model, half_life_s, vd_l, k12_per_s?, k21_per_s?, routes: { IV|ORAL: {...} } }
+   * (see Pharmacokinetics)
+   */
+  checkPharmacokinetics(pk, path) {
+    if (!pk || typeof pk !== "object") {
+      this.error(path, "missing pk section");
+      return;
+    }
+    if (!PK_MODELS.includes(pk.model)) {
+      this.error(`${path}.model`, `must be one of ${PK_MODELS.join(", ")}`);
+    }
+    this.checkPositive(pk.half_life_s, `${path}.half_life_s`);
+    this.checkPositive(pk.vd_l, `${path}.vd_l`);
+
+    if (pk.model === "TWO_COMPARTMENT") {
+      this.checkPositive(pk.k12_per_s, `${path}.k12_per_s`);
+      this.checkPositive(pk.k21_per_s, `${path}.k21_per_s`);
+    } else if (pk.k12_per_s !== undefined || pk.k21_per_s !== undefined) {
+      this.warn(path, "k12_per_s / k21_per_s only used with TWO_COMPARTMENT");
+    }
+
+    const routes = Object.entries(pk.routes || {});
+    if (routes.length === 0) {
+      this.error(`${path}.routes`, "must declare at least one route");
+    }
+    routes.forEach(([route, entry]) => {
+      const routePath = `${path}.routes.${route}`;
+      if (!PK_ROUTES.includes(route)) {
+        this.error(routePath, `unknown route (must be one of ${PK_ROUTES.join(", ")})`);
+        return;
+      }
+      this.checkFraction(entry?.bioavailability, `${routePath}.bioavailability`);
+      if (entry?.bioavailability === 0) {
+        this.error(`${routePath}.bioavailability`, "must be > 0");
+      }
+      if (route === "ORAL") {
+        this.checkPositive(entry?.absorption_rate_per_s, `${routePath}.absorption_rate_per_s`);
+      } else if (entry?.absorption_rate_per_s !== undefined) {
+        this.warn(`${routePath}.absorption_rate_per_s`, "IV is a bolus - absorption rate is ignored");
+      }
+    });
+  }
+
+  /**
+   * { interval_ticks, doses, loading_dose_mg?, dose_mg?, route? } (see DrugRegimenSystem)
+   */
+  checkRegimen(regimen, drug, path) {
+    if (!(Number.isInteger(regimen?.interval_ticks) && regimen.interval_ticks > 0)) {
+      this.error(`${path}.interval_ticks`, "must be an integer > 0");
+    }
+    if (!(Number.isInteger(regimen?.doses) && regimen.doses > 0)) {
+      this.error(`${path}.doses`, "must be an integer > 0");
+    }
+    ["loading_dose_mg", "dose_mg"].forEach((field) => {
+      if (regimen?.[field] !== undefined) this.checkPositive(regimen[field], `${path}.${field}`);
+    });
+    if (regimen?.dose_mg === undefined && drug.default_dose_mg === undefined) {
+      this.error(`${path}.dose_mg`, "required when the drug has no default_dose_mg");
+    }
+    if (regimen?.route !== undefined && !drug.pk?.routes?.[regimen.route]) {
+      this.error(`${path}.route`, `'${regimen.route}' is not declared in pk.routes`);
+    }
+  }
+
+  /**
+   * therapeutic_window: { min_mg_l, max_mg_l }
+   * toxicity: { threshold_mg_l, biomarker_mods?, building_damage?: { tags?, hp_per_tick }, effects? }
+   * The toxic threshold must lie above the window; toxicity effects spawn on the
+   * buildings it damages, so they need building_damage
+   */
+  checkTherapeuticWindow(drug, path) {
+    const window = drug.therapeutic_window;
+    if (window !== undefined) {
+      this.checkNonNegative(window?.min_mg_l, `${path}.therapeutic_window.min_mg_l`);
+      this.checkPositive(window?.max_mg_l, `${path}.therapeutic_window.max_mg_l`);
+      if (window?.min_mg_l >= window?.max_mg_l) {
+        this.error(`${path}.therapeutic_window`, `min ${window.min_mg_l} >= max ${window.max_mg_l}`);
+      }
+    }
+
+    const toxicity = drug.toxicity;
+    if (toxicity === undefined) return;
+
+    const toxicityPath = `${path}.toxicity`;
+    this.checkPositive(toxicity?.threshold_mg_l, `${toxicityPath}.threshold_mg_l`);
+    if (window?.max_mg_l > toxicity?.threshold_mg_l) {
+      this.error(
+        `${toxicityPath}.threshold_mg_l`,
+        `below therapeutic_window.max_mg_l ${window.max_mg_l}`
+      );
+    }
+    this.checkBiomarkerMods(toxicity?.biomarker_mods, `${toxicityPath}.biomarker_mods`);
+
+    const damage = toxicity?.building_damage;
+    if (damage !== undefined) {
+      this.checkTags(damage?.tags, "building", `${toxicityPath}.building_damage.tags`);
+      this.checkPositive(damage?.hp_per_tick, `${toxicityPath}.building_damage.hp_per_tick`);
+    }
+    this.checkRefList(toxicity?.effects, "effects", `${toxicityPath}.effects`, false);
+    if (toxicity?.effects?.length && damage === undefined) {
+      this.warn(`${toxicityPath}.effects`, "spawn on damaged buildings - ignored without building_damage");
+    }
+  }
+
+  /**
+   * { DRUG_TAG: { weight, min_power_threshold } }
+   */
+  checkDrugProfile(profile, path) {
+    if (!profile) return;
+    Object.entries(profile).forEach(([tag, entry]) => {
+      this.checkRef(tag, "drug_tags", `${path}.${tag}`);
+      this.checkFraction(entry?.weight, `${path}.${tag}.weight`);
+      this.checkFraction(entry?.min_power_threshold, `${path}.${tag}.min_power_threshold`);
+    });
+  }
+
+  /**
+   * resistance: { drug_tags, gain_per_s, max } (disease_types / diseases)
+   * profile: the drug_profile it applies to - a tag outside it never treats anyway
+   */
+  checkResistance(resistance, profile, path) {
+    if (!resistance) return;
+    this.checkRefList(resistance.drug_tags, "drug_tags", `${path}.drug_tags`, true);
+    this.checkPositive(resistance.gain_per_s, `${path}.gain_per_s`);
+    if (resistance.max !== undefined) {
+      this.checkFraction(resistance.max, `${path}.max`);
+    }
+
+    (resistance.drug_tags || [])
+      .filter((tag) => !profile?.[tag])
+      .forEach((tag) =>
+        this.warn(`${path}.drug_tags`, `'${tag}' is not in the drug profile - resistance to it has no effect`)
+      );
+  }
+
+  checkUnlockCondition(condition, path) {
+    if (!condition) return;
+    if (!UNLOCK_TYPES.includes(condition.type)) {
+      this.error(`${path}.type`, `unknown unlock type '${condition.type}'`);
+      return;
+    }
+    this.checkRef(condition.id, "research", `${path}.id`);
+  }
+
+  checkNonNegative(value, path) {
+    if (!Number.isFinite(value) || value < 0) {
+      this.error(path, "must be a number >= 0");
+    }
+  }
+
+  isRegional(biomarkerId) {
+    return (this.db.regions?.biomarkers || []).includes(biomarkerId);
+  }
+
+  checkPositive(value, path) {
+    if (!Number.isFinite(value) || value <= 0) {
+      this.error(path, "must be a number > 0");
+    }
+  }
+
+  /**
+   * [min, max] numbers with min < max
+   */
+  checkRange(range, path) {
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) {
+      this.error(path, "must be [min, max] numbers");
+    } else if (range[0] >= range[1]) {
+      this.error(path, `min ${range[0]} >= max ${range[1]}`);
+    }
+  }
+
+  checkFraction(value, path) {
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      this.error(path, "must be a number in [0, 1]");
+    }
+  }
+
+  checkDuplicates(list, path) {
+    const seen = new Set();
+    list.forEach((value, index) => {
+      if (seen.has(value)) {
+        this.error(`${path}[${index}]`, `duplicate '${value}'`);
+      }
+      seen.add(value);
+    });
+  }
+}
+
+/**
+ * Validate a database object: { valid, errors, warnings }
+ */
+export function validateBioDatabase(db) {
+  return new BioDatabaseValidator(db).validate();
+}
+
+/**
+ * Human-readable report lines (console / CLI)
+ */
+export function formatValidationReport(report) {
+  const lines = [
+    ...report.errors.map((issue) => `ERROR   ${issue.path}: ${issue.message}`),
+    ...report.warnings.map((issue) => `WARNING ${issue.path}: ${issue.message}`)
+  ];
+  lines.push(
+    `${report.errors.length} error(s), ${report.warnings.length} warning(s)`
+  );
+  return lines.join("\n");
+}
+
+export default BioDatabaseValidator;
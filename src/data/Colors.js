@@ -13,6 +13,11 @@ export const COLORS = {
     // Grid and UI - less aggressive cyan
     GRID_LINES: 0x00D2EE,              // Reduced from 0x00FFFF - less "neon" feel
     
+    // Effect overlays (effects[].visual_filter.preset, shifted by hue_shift / saturation)
+    EFFECT_WARM_RIM: 0xFF7A3D,         // Orange-red - inflammation
+    EFFECT_LIPIDIC: 0xF2D45C,          // Fatty yellow - atheroma, toxicity
+    EFFECT_COOL_FADE: 0x5C7FD9,        // Cold blue - necrosis, dying tissue
+    
     // Building placement feedback
     PLACEMENT_VALID: 0x00E676,         // Green - valid placement zone
     PLACEMENT_INVALID: 0xE05353,       // Red - invalid placement zone (matches ground)
@@ -25,6 +30,12 @@ export const COLORS = {
     EXTRACTOR_COLOR: 0xC83E3E,         // Reduced from 0xDD4444 - more subdued flesh tone
     NUCLEUS_GLOW: 0xFF00FF,            // Magenta - nucleus glow (for potential future use)
     
+    // Vessel classes (vessel_classes[].visual.preset)
+    VESSEL_CAPILLARY: 0xCC5544,        // Warm red - the original vein colour
+    VESSEL_ARTERY: 0xE0243C,           // Bright oxygenated red
+    VESSEL_LYMPH: 0xE8E2B8,            // Milky pale yellow - chyle
+    THROMBUS: 0x4A0E18,                // Dark clotted maroon - thrombus in a vessel
+    
     // UI and feedback - slightly enhanced text contrast
     OUTLINE_BLACK: 0x000000,           // Black - outline effect
     TEXT_PRIMARY: 0xE6E6E6,            // Slightly brighter from 0xE0E0E0
@@ -0,0 +1,163 @@
+/**
+ * DataPackMerge.js - Layered override packs on top of a base BioDatabase
+ *
+ * MECHANICS:
+ * - Base = a full database object (bundled BioDatabase or a base JSON file)
+ * - Override packs are applied in order; later packs win
+ * - Entity sections merge by `id`:
+ *     delete  → remove entity by id
+ *     replace → swap the whole entity (id must exist)
+ *     add     → append a new entity (id must NOT exist)
+ *   Applied in that order inside one pack, so a pack may delete + re-add
+ * - tags.<category>: add / delete tag names
+ * - merge: deep-merge plain objects (meta, pressure_system, particles, ...)
+ *
+ * Pack file shape:
+ *   {
+ *     "pack": { "id": "PACK_DIABETES", "name": "...", "version": "1.0.0", "description": "..." },
+ *     "entities": { "diseases": { "add": [...], "replace": [...], "delete": ["DIS_..."] } },
+ *     "tags": { "drug": { "add": ["INSULIN_SENSITIZER"] } },
+ *     "merge": { "pressure_system": { "base_efficiency_without_pump": 0.3 } }
+ *   }
+ *
+ * Inputs are never mutated: mergePacks() works on a clone.
+ * Issues use the same { path, message } shape as BioDatabaseValidator.
+ */
+
+const ENTITY_OPS = ["delete", "replace", "add"];
+
+/**
+ * Apply packs in order: { db, active, errors, warnings }
+ * active: [{ id, name, version, description, source }]
+ */
+export function mergePacks(base, packs = []) {
+  const db = structuredClone(base);
+  const errors = [];
+  const warnings = [];
+  const active = [];
+
+  packs.forEach((pack, index) => {
+    const header = pack?.pack || {};
+    const packId = header.id || `pack_${index}`;
+    const issues = applyPack(db, pack, packId);
+    errors.push(...issues.errors);
+    warnings.push(...issues.warnings);
+    active.push({
+      id: packId,
+      name: header.name || packId,
+      version: header.version || null,
+      description: header.description || "",
+      source: pack?.source || null
+    });
+  });
+
+  return { db, active, errors, warnings };
+}
+
+/**
+ * Apply one pack to db IN PLACE (db must already be a private copy)
+ */
+export function applyPack(db, pack, packId) {
+  const errors = [];
+  const warnings = [];
+  const root = `packs[${packId}]`;
+
+  if (!pack || typeof pack !== "object") {
+    errors.push({ path: root, message: "pack is not an object" });
+    return { errors, warnings };
+  }
+
+  // Entity sections
+  Object.entries(pack.entities || {}).forEach(([section, ops]) => {
+    const sectionPath = `${root}.entities.${section}`;
+    if (db[section] === undefined) {
+      db[section] = [];
+      warnings.push({ path: sectionPath, message: `new section '${section}'` });
+    }
+    if (!Array.isArray(db[section])) {
+      errors.push({ path: sectionPath, message: `'${section}' is not an entity list` });
+      return;
+    }
+
+    Object.keys(ops || {})
+      .filter((op) => !ENTITY_OPS.includes(op))
+      .forEach((op) => {
+        errors.push({ path: `${sectionPath}.${op}`, message: `unknown operation (use ${ENTITY_OPS.join("/")})` });
+      });
+
+    const list = db[section];
+    const indexOf = (id) => list.findIndex((entity) => entity?.id === id);
+
+    (ops?.delete || []).forEach((id, i) => {
+      const at = indexOf(id);
+      if (at === -1) {
+        warnings.push({ path: `${sectionPath}.delete[${i}]`, message: `'${id}' not found, nothing deleted` });
+        return;
+      }
+      list.splice(at, 1);
+    });
+
+    (ops?.replace || []).forEach((entity, i) => {
+      const at = indexOf(entity?.id);
+      if (at === -1) {
+        errors.push({ path: `${sectionPath}.replace[${i}]`, message: `'${entity?.id}' not found (use add)` });
+        return;
+      }
+      list[at] = structuredClone(entity);
+    });
+
+    (ops?.add || []).forEach((entity, i) => {
+      if (!entity?.id) {
+        errors.push({ path: `${sectionPath}.add[${i}]`, message: "entity has no id" });
+        return;
+      }
+      if (indexOf(entity.id) !== -1) {
+        errors.push({ path: `${sectionPath}.add[${i}]`, message: `'${entity.id}' already exists (use replace)` });
+        return;
+      }
+      list.push(structuredClone(entity));
+    });
+  });
+
+  // Tag lists
+  Object.entries(pack.tags || {}).forEach(([category, ops]) => {
+    const tags = (db.tags = db.tags || {});
+    const list = (tags[category] = tags[category] || []);
+    (ops?.delete || []).forEach((tag) => {
+      const at = list.indexOf(tag);
+      if (at !== -1) list.splice(at, 1);
+    });
+    (ops?.add || []).forEach((tag) => {
+      if (!list.includes(tag)) list.push(tag);
+    });
+  });
+
+  // Plain object sections
+  Object.entries(pack.merge || {}).forEach(([key, value]) => {
+    if (Array.isArray(db[key])) {
+      errors.push({ path: `${root}.merge.${key}`, message: `'${key}' is an entity list (use entities)` });
+      return;
+    }
+    db[key] = deepMerge(db[key], value);
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Objects merge key by key; anything else (numbers, arrays) replaces
+ */
+function deepMerge(target, source) {
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return structuredClone(source);
+  }
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    result[key] = deepMerge(target[key], value);
+  });
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
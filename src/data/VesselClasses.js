@@ -0,0 +1,51 @@
+/**
+ * VesselClasses.js - Vessel class lookup shared by simulation and world
+ *
+ * buildings[].vessel_class points into vessel_classes:
+ *   { id, name, network, speed, capacity, leak_per_tile, allowed_resource_tags, visual }
+ *
+ * MECHANICS:
+ * - Vessels without a class (or with an unknown one) fall back to DEFAULT_VESSEL_CLASS:
+ *   blood network, speed and capacity 1, no leak override, every resource allowed
+ * - A resource may enter a vessel when one of its tags is in allowed_resource_tags
+ *   (no list = anything goes)
+ * - Vessels only join vessels of the same network (blood never mixes with lymph)
+ * Used by PressureSystem (hydraulics, transfers), DrugDeliverySystem (via
+ * PressureSystem.getNetworkFrom), ResourceTransport and the validator.
+ */
+
+export const DEFAULT_VESSEL_CLASS = {
+  id: null,
+  network: "BLOOD",
+  speed: 1,
+  capacity: 1,
+  leak_per_tile: null, // null = pressure_system.pump_nodes.leak_per_tile
+  allowed_resource_tags: null,
+  visual: null
+};
+
+/**
+ * vessel_classes entry by id, merged over the defaults
+ */
+export function getVesselClassById(db, classId) {
+  const vesselClass = (db.vessel_classes || []).find((c) => c.id === classId);
+  return { ...DEFAULT_VESSEL_CLASS, ...vesselClass };
+}
+
+/**
+ * Vessel class of a building type (defaults for non-vessels and classless vessels)
+ */
+export function getVesselClass(db, buildingType) {
+  const building = (db.buildings || []).find((b) => b.id === buildingType);
+  return getVesselClassById(db, building?.vessel_class);
+}
+
+/**
+ * Whether a resource may enter a vessel of this class
+ */
+export function vesselClassAllows(db, vesselClass, resourceId) {
+  if (!vesselClass?.allowed_resource_tags) return true;
+
+  const tags = (db.resources || []).find((r) => r.id === resourceId)?.tags || [];
+  return tags.some((tag) => vesselClass.allowed_resource_tags.includes(tag));
+}
@@ -0,0 +1,358 @@
+/**
+ * en.js - English string table
+ *
+ * ui:       UI strings by key ({param} placeholders, see Localization.t)
+ * entities: BioDatabase entity text by ID ({ name, description })
+ *
+ * English is the UI fallback language: every ui key must exist here.
+ * Entities missing here fall back to the BioDatabase name.
+ */
+
+const en = {
+  id: "en",
+  label: "English",
+
+  ui: {
+    // Common
+    "common.none": "None",
+    "common.unknown": "Unknown",
+    "common.free": "Free",
+    "common.na": "N/A",
+
+    // Top info panel
+    "hud.position": "POSITION",
+    "hud.terrain": "TERRAIN",
+    "hud.building": "BUILDING",
+    "hud.selection": "SELECTION",
+    "hud.seed": "SEED",
+    "hud.seed_title": "Map seed - share it to reproduce this map",
+
+    // Menus and toggles
+    "menu.vessels": "VESSELS",
+    "menu.vessels_title": "Vessel Tracing Mode [V]",
+    "menu.settings": "SETTINGS",
+    "menu.settings_title": "Settings",
+    "menu.guide": "GUIDE",
+    "menu.guide_title": "Game Guide",
+    "toggle.resources": "RESOURCES",
+    "toggle.resources_title": "Toggle resources panel [R]",
+    "toggle.buildings": "BUILDINGS",
+    "toggle.buildings_title": "Toggle buildings panel [B]",
+    "toggle.draft": "DRAFT",
+    "toggle.draft_title": "Toggle draft panel [D]",
+    "toggle.drugs": "DRUGS",
+    "toggle.drugs_title": "Toggle drugs panel [M]",
+    "toggle.inventory": "INVENTORY",
+    "toggle.inventory_title": "Toggle inventory panel [I]",
+
+    // Speed widget
+    "speed.paused": "PAUSED",
+    "speed.tick": "TICK",
+    "speed.pause_title": "Pause / resume [Space]",
+    "speed.step_title": "Step one tick [.]",
+    "speed.speed_title": "Speed {speed}x",
+
+    // Selection actions
+    "actions.title": "ACTIONS",
+    "actions.cancel": "CANCEL",
+    "actions.cancel_title": "Deselect buildings [Esc]",
+    "actions.move": "MOVE",
+    "actions.move_title": "Move selected buildings",
+    "actions.move_todo": "Move action - not yet implemented",
+    "actions.cell_death": "CELL DEATH",
+    "actions.cell_death_title": "Deconstruct buildings",
+
+    // Selection readout
+    "selection.selected": "✓ SELECTED: [{x}, {z}]",
+    "selection.selecting": "📦 SELECTING: [{minX},{minZ}] → [{maxX},{maxZ}] ({width}×{height}={count} cells)",
+    "selection.highlighted": "✅ BUILDINGS HIGHLIGHTED: {count} cells [{minX},{minZ}]→[{maxX},{maxZ}]",
+
+    // Panels
+    "resources.title": "RESOURCES",
+    "resources.filter_title": "Toggle resource display mode",
+    "resources.all": "ALL",
+    "resources.loaded": "LOADED",
+    "resources.empty": "No resources yet",
+    "transport.title": "TRANSPORT QUEUES",
+    "transport.no_queues": "Packets flow freely",
+    "transport.stalled": "Extractor [{x},{z}] stalled",
+    "transport.reason.queue_full": "output queue full - the vessel ahead is packed",
+    "transport.reason.no_destination": "no storage with room for {resource}",
+    "transport.kind.vessel": "Vessel",
+    "transport.kind.extractor": "Extractor",
+    "transport.kind.storage": "Storage",
+    "transport.queue_row": "{queued} waiting (holds {capacity})",
+    "draft.title": "DRAFT",
+    "draft.empty": "No drafts yet. Plan your construction here!",
+
+    // Drugs panel
+    "drugs.title": "DRUGS",
+    "drugs.drug": "Drug",
+    "drugs.route": "Route",
+    "drugs.route.IV": "IV",
+    "drugs.route.ORAL": "Oral",
+    "drugs.delivery": "Delivery",
+    "drugs.delivery_systemic": "Systemic (whole body)",
+    "drugs.delivery_port": "Infusion port {id} ({x}, {y})",
+    "drugs.loading_dose": "Loading dose, mg",
+    "drugs.dose": "Dose, mg",
+    "drugs.interval": "Every N ticks",
+    "drugs.doses": "Doses",
+    "drugs.cost": "Cost per dose: {cost}",
+    "drugs.prescribe": "PRESCRIBE",
+    "drugs.regimens": "Regimens",
+    "drugs.no_regimens": "No regimens running",
+    "drugs.regimen_row": "{route} {dose} mg - dose {given}/{total}, next at tick {next}",
+    "drugs.cancel_title": "Cancel regimen",
+    "drugs.levels": "Plasma levels (mg/L)",
+    "drugs.level_row": "C {current} ({window}) · Cmax {cmax} (Tmax {tmax} s) · trough {trough}",
+    "drugs.window.SUBTHERAPEUTIC": "subtherapeutic",
+    "drugs.window.THERAPEUTIC": "therapeutic",
+    "drugs.window.SUPRATHERAPEUTIC": "above window",
+    "drugs.window.TOXIC": "TOXIC",
+    "drugs.interaction.SYNERGY": "synergy",
+    "drugs.interaction.ANTAGONISM": "antagonism",
+    "drugs.interaction.SHARED_METABOLISM": "shared metabolism (slower clearance)",
+    "drugs.warning_interaction": "{type} with {name}",
+    "drugs.warning_peak": "projected peak {cmax} mg/L - {window}",
+    "drugs.regions": "Regional levels (mg/L)",
+    "drugs.regions_legend": "{name} delivered through vessels: blue below window, green therapeutic, orange above, red toxic",
+    "drugs.regions_empty": "{name} has not reached any region through vessels",
+    "drugs.offline": "Simulation not connected",
+    "buildings.title": "BUILDINGS",
+
+    // Properties window
+    "properties.title": "Cell [{x}, {z}] Properties",
+    "properties.position": "Position:",
+    "properties.terrain": "Terrain:",
+    "properties.building": "Building:",
+    "properties.health": "Health:",
+
+    // Guide
+    "guide.title": "GUIDE",
+    "guide.search": "Search guide...",
+    "guide.locked": "LOCKED",
+    "guide.unknown_entry": "??? Unknown",
+    "guide.requirements_unknown": "Requirements unknown",
+    "guide.unlocked": "Unlocked:",
+    "guide.section.resources": "RESOURCES",
+    "guide.section.buildings": "BUILDINGS",
+    "guide.section.units": "UNITS",
+    "guide.section.terrain": "TERRAIN",
+    "guide.section.technologies": "TECHNOLOGIES",
+    "guide.section.research": "RESEARCH",
+    "guide.stat.cost": "Cost:",
+    "guide.stat.produces": "Produces:",
+    "guide.stat.consumes": "Consumes:",
+    "guide.stat.health": "Health:",
+    "guide.stat.speed": "Speed:",
+    "guide.stat.attack": "Attack:",
+    "guide.stat.behaviors": "Behaviors:",
+
+    // Settings
+    "settings.title": "SETTINGS",
+    "settings.language": "Language",
+    "settings.language_hint": "Names without a translation are shown from BioDatabase",
+    "settings.shader_profile": "Shader Profile",
+    "settings.shader_hint": "Select building visual style",
+    "settings.volume": "Volume",
+    "settings.map_seed": "Map Seed",
+    "settings.map_seed_placeholder": "Empty = random seed",
+    "settings.new_map": "NEW MAP FROM SEED",
+    "settings.new_map_title": "Rebuild the map from this seed (progress is kept)",
+    "settings.map_seed_hint": "Same seed → same terrain, structures and deposits",
+    "settings.data_packs": "Data Packs",
+    "settings.data_packs_hint": "Set in public/packs/manifest.json or with ?packs=name1,name2",
+    "settings.reload_data": "RELOAD DATA",
+    "settings.reload_data_title": "Re-read the pack JSON files into the running game (factory is kept)",
+    "settings.pack_errors": "{count} pack error(s) - see console",
+    "settings.save": "SAVE GAME",
+    "settings.save_title": "Save your progress",
+    "settings.load": "LOAD GAME",
+    "settings.load_title": "Load saved game",
+
+    // Hotbar
+    "hotbar.label": "HOTBAR",
+    "hotbar.empty": "Empty",
+
+    // Inventory resources (legacy UI keys)
+    "inventory.resource.glucose": "Glucose",
+    "inventory.resource.oxygen": "Oxygen",
+    "inventory.resource.atp": "ATP",
+    "inventory.resource.lactate": "Lactate",
+    "inventory.resource.lipid": "Lipid",
+    "inventory.resource.amino_acid": "Amino acid",
+
+    // Inventory buildings not in BioDatabase yet (legacy UI keys)
+    "inventory.building.extractor.name": "Extractor",
+    "inventory.building.extractor.description": "Extracts resources from terrain",
+    "inventory.building.vessel.name": "Vessel (Pipe)",
+    "inventory.building.vessel.description": "Transports resources. Auto-connects.",
+    "inventory.building.mitochondria.name": "Mitochondria",
+    "inventory.building.mitochondria.description": "Converts Glucose + O2 to ATP (Energy)",
+    "inventory.building.cytosol.name": "Cytosol Vat",
+    "inventory.building.cytosol.description": "Anaerobic processing. Creates Lactate.",
+    "inventory.building.storage.name": "Storage",
+    "inventory.building.storage.description": "Stores resources safely",
+    "inventory.building.defender.name": "Immune Cell",
+    "inventory.building.defender.description": "Attacks pathogens",
+
+    // Simulation alerts (UIUpdateBridge)
+    "alert.biomarker": "Biomarker Alert: {name} {threshold}",
+    "alert.disease": "Disease: {name}",
+    "alert.disease_regional": "Disease: {name} (regions {regions})",
+    "alert.disease_progressed": "{name} - Severity Tier {tier}",
+    "alert.disease_remitted": "{name} REMITTED",
+    "alert.disease_regressed": "{name} - improved to Severity Tier {tier}",
+    "alert.disease_symptom": "{name}: {symptom}",
+    "alert.disease_suppressed": "{name} suppressed by {cause}",
+    "alert.disease_requirement_lost": "{name} ended - {cause} resolved",
+    "alert.disease_resistance": "{name} resistant to {tag}: {percent}% ({drug} under-dosed)",
+    "alert.treatment": "Treatment available for {name}: {drugs}",
+    "alert.regimen_dose_skipped": "{name}: dose {dose} missed - not enough resources",
+    "alert.regimen_completed": "{name}: regimen complete ({given} doses given)",
+    "alert.drug_delivery_failed": "{name} not delivered from {port}: {reason}",
+    "alert.drug_delivery_reason.unknown_port": "no infusion port there",
+    "alert.drug_delivery_reason.unknown_drug": "unknown drug",
+    "alert.drug_delivery_reason.no_route": "drug has no route for vessel delivery",
+    "alert.drug_delivery_reason.no_dosage": "no dose",
+    "alert.drug_delivery_reason.no_vessels": "no vessels connected to the port",
+    "alert.vessel_blocked": "Vessel {vessel} blocked by a thrombus ({cause})",
+    "alert.thrombus_cause.low_flow": "low flow",
+    "alert.thrombus_cause.atheroma": "atheroma",
+    "alert.thrombus_cause.wrong_resource": "wrong resource pushed in",
+    "alert.thrombus_dissolved": "Thrombus in {vessel} dissolved",
+    "alert.treatment_warning": "Before giving {name}: {warnings}",
+    "alert.drug_toxic": "{name} is TOXIC: {concentration} mg/L (threshold {threshold})",
+    "alert.drug_above_window": "{name} above its therapeutic window: {concentration} mg/L",
+    "alert.drug_interaction": "Drug interaction: {names} - {type}",
+    "alert.recipe_unlocked": "Recipe Unlocked: {name} ({reason})",
+    "alert.reason_research": "Research Complete",
+    "alert.reason_default": "Available",
+    "alert.recipe_complete": "Recipe Complete: {outputs}",
+    "alert.storage_full": "Storage {percent}% full at {building}",
+    "alert.spillage": "Spillage: {amount} units affecting {cells} cells",
+    "alert.waste": "{icon} {name}: {percent}% accumulated",
+    "alert.data_reloaded": "Data reloaded: {sections}",
+    "alert.data_orphan": "Removed {section}/{id}: {instance} {action}",
+    "alert.data_errors": "Reloaded data has {count} error(s) - see console"
+  },
+
+  entities: {
+    // Biomarkers
+    BM_PH_BLOOD: { name: "Blood pH (arterial)" },
+    BM_LACTATE: { name: "Lactate (serum)" },
+    BM_OXYGEN_SAT: { name: "Oxygen saturation (SpO2)" },
+    BM_GLUC: { name: "Glucose (blood)" },
+    BM_WBC: { name: "White blood cells (WBC)" },
+
+    // Resources
+    RES_GLUCOSE: { name: "Glucose" },
+    RES_OXYGEN: { name: "Oxygen" },
+    RES_ATP: { name: "ATP" },
+    RES_LACTATE: { name: "Lactate" },
+    RES_AMINO_ACID: { name: "Amino acid" },
+    RES_CALCIUM: { name: "Calcium" },
+    RES_CELL_DEBRIS: { name: "Cell debris" },
+    RES_CALCIUM_DEPOSIT: { name: "Calcium deposit (node)" },
+    RES_DRUG: { name: "Drug bolus" },
+    RES_LIPID: { name: "Lipids (chylomicrons)" },
+
+    // Recipes
+    RECIPE_ATP_GLYCOLYSIS: { name: "ATP synthesis (glycolysis)" },
+    RECIPE_ATP_AEROBIC: { name: "ATP synthesis (aerobic, mitochondria)" },
+
+    // Buildings
+    BLD_PERICYTE_EXTRACTOR: { name: "Catabolic cell (pericyte)" },
+    BLD_ANABOLIC_CELL: { name: "Anabolic cell" },
+    BLD_SPONGE_CELL: { name: "Sponge cell (balancer)" },
+    BLD_RESOURCE_DIFFUSER: { name: "Resource diffuser" },
+    BLD_STORAGE_MICRO: { name: "Micro vacuole" },
+    BLD_VESSEL_STRAIGHT_X: { name: "Vessel (straight X)" },
+    BLD_VESSEL_STRAIGHT_Z: { name: "Vessel (straight Z)" },
+    BLD_VESSEL_ELBOW: { name: "Vessel (90° elbow)" },
+    BLD_VESSEL_TEE: { name: "Vessel (tee)" },
+    BLD_VESSEL_CROSS: { name: "Vessel (cross)" },
+    BLD_VESSEL_ENDCAP: { name: "Vessel (end cap)" },
+    BLD_VESSEL_EMPTY_CONNECTOR: {
+      name: "Connector (no inputs)",
+      description: "Changes flow direction without producing or consuming"
+    },
+    BLD_CARDIOCYTE_PUMP: { name: "Cardiocyte pump" },
+    BLD_INFUSION_PORT: {
+      name: "Infusion port",
+      description: "Injects drugs into the vessel network; only perfused regions receive them"
+    },
+    BLD_ARTERY: { name: "Artery" },
+    BLD_LYMPH_CHANNEL: {
+      name: "Lymph channel",
+      description: "A separate network: never joins blood vessels, the only way lipids travel"
+    },
+
+    // Vessel classes
+    VCLASS_CAPILLARY: { name: "Capillary" },
+    VCLASS_ARTERY: { name: "Artery" },
+    VCLASS_LYMPH: { name: "Lymph channel" },
+
+    // Effects
+    EFFECT_INFLAMMATION: { name: "Inflammation" },
+    EFFECT_ATHEROMA_INFECTION: { name: "Atheroma infection" },
+    EFFECT_NECROSIS: { name: "Necrosis" },
+    EFFECT_AUTOIMMUNE_CONFUSION: { name: "Autoimmune confusion" },
+
+    // Disease types and diseases
+    DT_INFECTION_BACTERIAL: { name: "Bacterial infection" },
+    DT_INFLAMMATION: { name: "Inflammatory state" },
+    DT_METABOLIC_ACIDOSIS: { name: "Metabolic acidosis" },
+    DIS_ECOLI_SWARM: { name: "E. coli intestinal infection" },
+    DIS_LACTIC_ACIDOSIS: { name: "Lactic acidosis" },
+    DIS_TISSUE_ISCHEMIA: { name: "Tissue ischemia (local lactic acidosis)" },
+
+    // Symptoms (diseases[].severity_tiers[].symptoms)
+    SYM_FEVER: { name: "Fever" },
+    SYM_FATIGUE: { name: "Weakness, fatigue" },
+    SYM_KUSSMAUL: { name: "Kussmaul breathing" },
+    SYM_HYPOTENSION: { name: "Arterial hypotension" },
+    SYM_LOCAL_PAIN: { name: "Local pain" },
+    SYM_NECROSIS: { name: "Tissue necrosis" },
+
+    // Drug tags
+    ANTIBIOTIC: { name: "Antibiotic" },
+    ANTI_INFLAMMATORY: { name: "Anti-inflammatory" },
+    IMMUNO_SUPPRESSANT: { name: "Immunosuppressant" },
+    THROMB_BUSTER: { name: "Thrombolytic" },
+    ALPHA_SYNUCLEIN_TARGETER: { name: "α-synuclein inhibitor" },
+
+    // Drugs
+    DRUG_AMOXICILLIN: { name: "Amoxicillin" },
+    DRUG_IBUPROFEN: { name: "Ibuprofen" },
+    DRUG_DEXAMETHASONE: { name: "Dexamethasone" },
+    DRUG_ALTEPLASE: { name: "Alteplase" },
+
+    // Research
+    TECH_MITOCHONDRIA: {
+      name: "Mitochondrial symbiosis",
+      description: "Unlocks the high-priority aerobic ATP synthesis recipe"
+    },
+    TECH_PHAGOCYTOSIS: {
+      name: "Phagocytosis protocol",
+      description: "Unlocks the phagocytosis ability and the macrophage unit"
+    },
+    TECH_LOGISTICS_NODES: {
+      name: "Logistics nodes",
+      description: "Enables advanced pump nodes for better flow efficiency"
+    },
+
+    // Units
+    UNIT_NEUTROPHIL_JUNIOR: { name: "Neutrophil (junior)" },
+    UNIT_NEUTROPHIL: { name: "Neutrophil" },
+    UNIT_MACROPHAGE: { name: "Macrophage" },
+
+    // public/packs/diabetes.json
+    INSULIN_SENSITIZER: { name: "Insulin sensitizer" },
+    DT_METABOLIC_ENDOCRINE: { name: "Endocrine-metabolic disorder" },
+    DIS_DIABETES_T2: { name: "Type 2 diabetes mellitus" }
+  }
+};
+
+export default en;
@@ -0,0 +1,242 @@
+/**
+ * ru.js - Russian string table
+ *
+ * BioDatabase names are already Russian, so `entities` only lists
+ * overrides; everything else falls back to the database name.
+ * Missing ui keys fall back to en.js.
+ */
+
+const ru = {
+  id: "ru",
+  label: "Русский",
+
+  ui: {
+    // Common
+    "common.none": "Нет",
+    "common.unknown": "Неизвестно",
+    "common.free": "Бесплатно",
+    "common.na": "Н/Д",
+
+    // Top info panel
+    "hud.position": "ПОЗИЦИЯ",
+    "hud.terrain": "МЕСТНОСТЬ",
+    "hud.building": "ЗДАНИЕ",
+    "hud.selection": "ВЫДЕЛЕНИЕ",
+    "hud.seed": "СИД",
+    "hud.seed_title": "Сид карты - поделитесь им, чтобы воспроизвести карту",
+
+    // Menus and toggles
+    "menu.vessels": "СОСУДЫ",
+    "menu.vessels_title": "Режим трассировки сосудов [V]",
+    "menu.settings": "НАСТРОЙКИ",
+    "menu.settings_title": "Настройки",
+    "menu.guide": "СПРАВКА",
+    "menu.guide_title": "Справочник игры",
+    "toggle.resources": "РЕСУРСЫ",
+    "toggle.resources_title": "Панель ресурсов [R]",
+    "toggle.buildings": "ЗДАНИЯ",
+    "toggle.buildings_title": "Панель зданий [B]",
+    "toggle.draft": "ЧЕРНОВИК",
+    "toggle.draft_title": "Панель черновиков [D]",
+    "toggle.drugs": "ПРЕПАРАТЫ",
+    "toggle.drugs_title": "Панель препаратов [M]",
+    "toggle.inventory": "ИНВЕНТАРЬ",
+    "toggle.inventory_title": "Панель инвентаря [I]",
+
+    // Speed widget
+    "speed.paused": "ПАУЗА",
+    "speed.tick": "ТИК",
+    "speed.pause_title": "Пауза / продолжить [Space]",
+    "speed.step_title": "Шаг на один тик [.]",
+    "speed.speed_title": "Скорость {speed}x",
+
+    // Selection actions
+    "actions.title": "ДЕЙСТВИЯ",
+    "actions.cancel": "ОТМЕНА",
+    "actions.cancel_title": "Снять выделение [Esc]",
+    "actions.move": "ПЕРЕМЕСТИТЬ",
+    "actions.move_title": "Переместить выбранные здания",
+    "actions.move_todo": "Перемещение - ещё не реализовано",
+    "actions.cell_death": "ГИБЕЛЬ КЛЕТКИ",
+    "actions.cell_death_title": "Разобрать здания",
+
+    // Selection readout
+    "selection.selected": "✓ ВЫБРАНО: [{x}, {z}]",
+    "selection.selecting": "📦 ВЫДЕЛЕНИЕ: [{minX},{minZ}] → [{maxX},{maxZ}] ({width}×{height}={count} клеток)",
+    "selection.highlighted": "✅ ЗДАНИЯ ВЫДЕЛЕНЫ: {count} клеток [{minX},{minZ}]→[{maxX},{maxZ}]",
+
+    // Panels
+    "resources.title": "РЕСУРСЫ",
+    "resources.filter_title": "Режим отображения ресурсов",
+    "resources.all": "ВСЕ",
+    "resources.loaded": "ЗАГРУЖЕННЫЕ",
+    "resources.empty": "Ресурсов пока нет",
+    "transport.title": "ОЧЕРЕДИ ТРАНСПОРТА",
+    "transport.no_queues": "Пакеты идут свободно",
+    "transport.stalled": "Экстрактор [{x},{z}] остановлен",
+    "transport.reason.queue_full": "выходная очередь полна - сосуд впереди забит",
+    "transport.reason.no_destination": "нет хранилища с местом для {resource}",
+    "transport.kind.vessel": "Сосуд",
+    "transport.kind.extractor": "Экстрактор",
+    "transport.kind.storage": "Хранилище",
+    "transport.queue_row": "ждут: {queued} (вмещает {capacity})",
+    "draft.title": "ЧЕРНОВИК",
+    "draft.empty": "Черновиков пока нет. Планируйте строительство здесь!",
+
+    // Drugs panel
+    "drugs.title": "ПРЕПАРАТЫ",
+    "drugs.drug": "Препарат",
+    "drugs.route": "Путь введения",
+    "drugs.route.IV": "в/в",
+    "drugs.route.ORAL": "внутрь",
+    "drugs.delivery": "Доставка",
+    "drugs.delivery_systemic": "Системно (во весь организм)",
+    "drugs.delivery_port": "Инфузионный порт {id} ({x}, {y})",
+    "drugs.loading_dose": "Нагрузочная доза, мг",
+    "drugs.dose": "Доза, мг",
+    "drugs.interval": "Каждые N тиков",
+    "drugs.doses": "Доз",
+    "drugs.cost": "Стоимость дозы: {cost}",
+    "drugs.prescribe": "НАЗНАЧИТЬ",
+    "drugs.regimens": "Схемы",
+    "drugs.no_regimens": "Нет активных схем",
+    "drugs.regimen_row": "{route} {dose} мг - доза {given}/{total}, следующая на тике {next}",
+    "drugs.cancel_title": "Отменить схему",
+    "drugs.levels": "Концентрации в плазме (мг/л)",
+    "drugs.level_row": "C {current} ({window}) · Cmax {cmax} (Tmax {tmax} с) · минимум {trough}",
+    "drugs.window.SUBTHERAPEUTIC": "ниже окна",
+    "drugs.window.THERAPEUTIC": "терапевтическая",
+    "drugs.window.SUPRATHERAPEUTIC": "выше окна",
+    "drugs.window.TOXIC": "ТОКСИЧНО",
+    "drugs.interaction.SYNERGY": "синергизм",
+    "drugs.interaction.ANTAGONISM": "антагонизм",
+    "drugs.interaction.SHARED_METABOLISM": "общий метаболизм (медленнее выведение)",
+    "drugs.warning_interaction": "{type} с препаратом {name}",
+    "drugs.warning_peak": "ожидаемый пик {cmax} мг/л - {window}",
+    "drugs.regions": "Концентрации по регионам (мг/л)",
+    "drugs.regions_legend": "{name} доставлен по сосудам: синий ниже окна, зелёный терапевтический, оранжевый выше, красный токсично",
+    "drugs.regions_empty": "{name} не дошёл по сосудам ни до одного региона",
+    "drugs.offline": "Симуляция не подключена",
+    "buildings.title": "ЗДАНИЯ",
+
+    // Properties window
+    "properties.title": "Клетка [{x}, {z}]: свойства",
+    "properties.position": "Позиция:",
+    "properties.terrain": "Местность:",
+    "properties.building": "Здание:",
+    "properties.health": "Здоровье:",
+
+    // Guide
+    "guide.title": "СПРАВКА",
+    "guide.search": "Поиск по справке...",
+    "guide.locked": "ЗАКРЫТО",
+    "guide.unknown_entry": "??? Неизвестно",
+    "guide.requirements_unknown": "Требования неизвестны",
+    "guide.unlocked": "Открыто:",
+    "guide.section.resources": "РЕСУРСЫ",
+    "guide.section.buildings": "ЗДАНИЯ",
+    "guide.section.units": "ЮНИТЫ",
+    "guide.section.terrain": "МЕСТНОСТЬ",
+    "guide.section.technologies": "ТЕХНОЛОГИИ",
+    "guide.section.research": "ИССЛЕДОВАНИЯ",
+    "guide.stat.cost": "Стоимость:",
+    "guide.stat.produces": "Производит:",
+    "guide.stat.consumes": "Потребляет:",
+    "guide.stat.health": "Здоровье:",
+    "guide.stat.speed": "Скорость:",
+    "guide.stat.attack": "Атака:",
+    "guide.stat.behaviors": "Поведение:",
+
+    // Settings
+    "settings.title": "НАСТРОЙКИ",
+    "settings.language": "Язык",
+    "settings.language_hint": "Названия без перевода берутся из BioDatabase",
+    "settings.shader_profile": "Профиль шейдеров",
+    "settings.shader_hint": "Визуальный стиль зданий",
+    "settings.volume": "Громкость",
+    "settings.map_seed": "Сид карты",
+    "settings.map_seed_placeholder": "Пусто = случайный сид",
+    "settings.new_map": "НОВАЯ КАРТА ИЗ СИДА",
+    "settings.new_map_title": "Перестроить карту из этого сида (прогресс сохраняется)",
+    "settings.map_seed_hint": "Тот же сид → та же местность, структуры и залежи",
+    "settings.data_packs": "Пакеты данных",
+    "settings.data_packs_hint": "Задаются в public/packs/manifest.json или через ?packs=name1,name2",
+    "settings.reload_data": "ПЕРЕЗАГРУЗИТЬ ДАННЫЕ",
+    "settings.reload_data_title": "Перечитать JSON пакетов в запущенную игру (фабрика сохраняется)",
+    "settings.pack_errors": "Ошибок в пакетах: {count} - см. консоль",
+    "settings.save": "СОХРАНИТЬ",
+    "settings.save_title": "Сохранить прогресс",
+    "settings.load": "ЗАГРУЗИТЬ",
+    "settings.load_title": "Загрузить сохранение",
+
+    // Hotbar
+    "hotbar.label": "ПАНЕЛЬ",
+    "hotbar.empty": "Пусто",
+
+    // Inventory resources (legacy UI keys)
+    "inventory.resource.glucose": "Глюкоза",
+    "inventory.resource.oxygen": "Кислород",
+    "inventory.resource.atp": "АТФ",
+    "inventory.resource.lactate": "Лактат",
+    "inventory.resource.lipid": "Липид",
+    "inventory.resource.amino_acid": "Аминокислота",
+
+    // Inventory buildings not in BioDatabase yet (legacy UI keys)
+    "inventory.building.extractor.name": "Экстрактор",
+    "inventory.building.extractor.description": "Добывает ресурсы из местности",
+    "inventory.building.vessel.name": "Сосуд (труба)",
+    "inventory.building.vessel.description": "Переносит ресурсы. Соединяется автоматически.",
+    "inventory.building.mitochondria.name": "Митохондрия",
+    "inventory.building.mitochondria.description": "Превращает глюкозу + O2 в АТФ (энергию)",
+    "inventory.building.cytosol.name": "Цитозольный чан",
+    "inventory.building.cytosol.description": "Анаэробная переработка. Производит лактат.",
+    "inventory.building.storage.name": "Хранилище",
+    "inventory.building.storage.description": "Надёжно хранит ресурсы",
+    "inventory.building.defender.name": "Иммунная клетка",
+    "inventory.building.defender.description": "Атакует патогены",
+
+    // Simulation alerts (UIUpdateBridge)
+    "alert.biomarker": "Тревога биомаркера: {name} {threshold}",
+    "alert.disease": "Болезнь: {name}",
+    "alert.disease_regional": "Болезнь: {name} (регионы {regions})",
+    "alert.disease_progressed": "{name} - стадия тяжести {tier}",
+    "alert.disease_remitted": "{name}: РЕМИССИЯ",
+    "alert.disease_regressed": "{name} - улучшение до стадии {tier}",
+    "alert.disease_symptom": "{name}: {symptom}",
+    "alert.disease_suppressed": "{name}: подавлено ({cause})",
+    "alert.disease_requirement_lost": "{name}: завершено - {cause} разрешилось",
+    "alert.disease_resistance": "{name}: резистентность к {tag} {percent}% ({drug} в недостаточной дозе)",
+    "alert.treatment": "Доступно лечение {name}: {drugs}",
+    "alert.regimen_dose_skipped": "{name}: доза {dose} пропущена - не хватает ресурсов",
+    "alert.regimen_completed": "{name}: курс завершён (введено доз: {given})",
+    "alert.drug_delivery_failed": "{name} не доставлен из {port}: {reason}",
+    "alert.drug_delivery_reason.unknown_port": "там нет инфузионного порта",
+    "alert.drug_delivery_reason.unknown_drug": "неизвестный препарат",
+    "alert.drug_delivery_reason.no_route": "у препарата нет пути введения для доставки по сосудам",
+    "alert.drug_delivery_reason.no_dosage": "нет дозы",
+    "alert.drug_delivery_reason.no_vessels": "к порту не подключены сосуды",
+    "alert.vessel_blocked": "Сосуд {vessel} закупорен тромбом ({cause})",
+    "alert.thrombus_cause.low_flow": "слабый кровоток",
+    "alert.thrombus_cause.atheroma": "атерома",
+    "alert.thrombus_cause.wrong_resource": "чужой ресурс в сосуде",
+    "alert.thrombus_dissolved": "Тромб в {vessel} растворён",
+    "alert.treatment_warning": "Перед назначением {name}: {warnings}",
+    "alert.drug_toxic": "{name} - ТОКСИЧЕСКАЯ концентрация: {concentration} мг/л (порог {threshold})",
+    "alert.drug_above_window": "{name} выше терапевтического окна: {concentration} мг/л",
+    "alert.drug_interaction": "Лекарственное взаимодействие: {names} - {type}",
+    "alert.recipe_unlocked": "Рецепт открыт: {name} ({reason})",
+    "alert.reason_research": "исследование завершено",
+    "alert.reason_default": "доступен",
+    "alert.recipe_complete": "Рецепт выполнен: {outputs}",
+    "alert.storage_full": "Хранилище заполнено на {percent}%: {building}",
+    "alert.spillage": "Разлив: {amount} ед. затрагивает {cells} клеток",
+    "alert.waste": "{icon} {name}: накоплено {percent}%",
+    "alert.data_reloaded": "Данные перезагружены: {sections}",
+    "alert.data_orphan": "Удалено {section}/{id}: {instance} {action}",
+    "alert.data_errors": "В перезагруженных данных ошибок: {count} - см. консоль"
+  },
+
+  entities: {}
+};
+
+export default ru;
@@ -202,13 +202,16 @@ class BaseBuilding {
         this.maxATP = 100;            // Capacity (overridden by BioDatabase)
         this.atpConsumption = 0;      // ATP/min cost
         this.atpProduction = 0;       // ATP/min output (only for generator buildings)
-        this.isStalled = false;       // True when ATP > capacity
+        this.isStalled = false;       // True when ATP > capacity or transport backs up
+        this.transportStalled = false; // Set by ResourceTransport backpressure
         this.stallOutline = null;     // Visual indicator for stall (yellow-orange)
         
         // Resource Transport System
         this.resourceType = 'RES_ATP'; // Default resource produced (overridden by BioDatabase)
         this.storedResources = {};     // { resourceType: amount }
         this.resourceCapacity = 100;   // Max storable amount
+        this.acceptedResources = [];   // BioDatabase inputs, also accepted from transport
+        this.resourceCapacities = {};  // { resourceType: max } from BioDatabase capacity
         this.isTransportBuilding = false; // Whether this building participates in (T/F) transport
         
         // Create a visual indicator showing the grid cell this building occupies
@@ -228,7 +231,7 @@ class BaseBuilding {
         
         // Check for overflow (stall condition)
         const wasStalled = this.isStalled;
-        this.isStalled = this.currentATP > this.maxATP;
+        this.isStalled = this.currentATP > this.maxATP || this.transportStalled;
         
         // Update visual indicator if stall state changed
         this.updateStallOutlineVisibility();
@@ -279,14 +282,34 @@ class BaseBuilding {
         }
         if (dbEntry.inputs && dbEntry.inputs.length > 0) {
             this.isTransportBuilding = true; // Inputs suggest this participates in transport
+            this.acceptedResources = [...dbEntry.inputs];
         }
         
         // Set capacity if specified
         if (dbEntry.capacity) {
             this.resourceCapacity = dbEntry.capacity[this.resourceType] || 100;
+            this.resourceCapacities = { ...dbEntry.capacity };
         }
     }
 
+    /**
+     * Free room for a resource, advertised to ResourceTransport routing
+     * Accepts the primary resource and the BioDatabase inputs; anything else has no demand
+     * @returns {{ free: number, capacity: number }}
+     */
+    getDemand(resourceType) {
+        const isPrimary = resourceType === this.resourceType;
+        if (!this.isTransportBuilding || (!isPrimary && !this.acceptedResources.includes(resourceType))) {
+            return { free: 0, capacity: 0 };
+        }
+        
+        const capacity = isPrimary
+            ? this.resourceCapacity
+            : (this.resourceCapacities[resourceType] ?? this.resourceCapacity);
+        const current = this.storedResources[resourceType] || 0;
+        return { free: Math.max(0, capacity - current), capacity };
+    }
+
     /**
      * Receive a resource from the transport system
      * Used by ResourceTransport packets to deposit resources
@@ -297,22 +320,21 @@ class BaseBuilding {
             return false;
         }
         
-        // Check if we can accept this resource type
-        if (this.resourceType && resourceType !== this.resourceType) {
-            // Only accept our primary resource type
+        // Check if we can accept this resource type (primary or an input)
+        const { free, capacity } = this.getDemand(resourceType);
+        if (capacity === 0) {
             return false;
         }
         
         // Check capacity
-        const current = this.storedResources[resourceType] || 0;
-        if (current >= this.resourceCapacity) {
+        if (free <= 0) {
             console.warn(`[BaseBuilding] Storage full at [${this.gridX},${this.gridZ}]`);
             return false;
         }
         
         // Store the resource
-        const remaining = this.resourceCapacity - current;
-        const stored = Math.min(amount, remaining);
+        const current = this.storedResources[resourceType] || 0;
+        const stored = Math.min(amount, free);
         
         this.storedResources[resourceType] = current + stored;
         console.log(`[BaseBuilding] Received ${stored} × ${resourceType}, total: ${this.storedResources[resourceType]}`);
@@ -428,6 +450,16 @@ class BaseBuilding {
         this.scene.add(this.stallOutline);
     }
 
+    /**
+     * Stall (or resume) because transport has nowhere to take the output
+     * Called by ResourceTransport backpressure; shows the same outline as an ATP stall
+     */
+    setTransportStalled(stalled) {
+        this.transportStalled = stalled;
+        this.isStalled = this.currentATP > this.maxATP || stalled;
+        this.updateStallOutlineVisibility();
+    }
+
     /**
      * Update stall outline visibility based on isStalled state
      */
@@ -1,4 +1,9 @@
 import { Extractor, Storage, Nucleus } from './BaseBuilding.js';
+import BioDatabase from '../data/BioDatabase.js';
+import { getVesselClassById } from '../data/VesselClasses.js';
+
+// Vessels placed without a class (hotbar BLD_VESSEL, demo factory) are capillaries
+const DEFAULT_VESSEL_CLASS_ID = 'VCLASS_CAPILLARY';
 
 class PlacementManager {
     constructor(grid, scene, resourceManager, transportSystem, engine = null) {
@@ -163,9 +168,11 @@ class PlacementManager {
 
     /**
      * Place a Bio-Vessel (conveyor belt)
+     * @param {string|null} vesselClassId - vessel_classes id (null = VCLASS_CAPILLARY)
      */
-    placeVessel(gridX, gridZ, direction) {
-        const vessel = this.transportSystem.placeVessel(gridX, gridZ, direction, this.scene);
+    placeVessel(gridX, gridZ, direction, vesselClassId = null) {
+        const vesselClass = getVesselClassById(BioDatabase, vesselClassId || DEFAULT_VESSEL_CLASS_ID);
+        const vessel = this.transportSystem.placeVessel(gridX, gridZ, direction, this.scene, vesselClass);
         
         if (vessel) {
             const key = `${gridX}_${gridZ}`;
@@ -176,7 +183,7 @@ class PlacementManager {
             
             // Register vessel with resource transport system (for pathfinding)
             if (this.engine && this.engine.resourceTransport) {
-                this.engine.resourceTransport.registerVessel(gridX, gridZ, vessel);
+                this.engine.resourceTransport.registerVessel(gridX, gridZ, vessel, vesselClass);
             }
         }
 
@@ -343,6 +350,8 @@ class PlacementManager {
             'BLD_ANABOLIC_CELL': 'storage',
             'BLD_STORAGE_MICRO': 'storage',
             'BLD_VESSEL': 'vessel',
+            'BLD_ARTERY': 'vessel',
+            'BLD_LYMPH_CHANNEL': 'vessel',
             'BLD_CARDIOCYTE_PUMP': 'storage', // Use storage as placeholder for pump
             'BLD_SPONGE_CELL': 'storage',      // Use storage as placeholder for balancer
             'BLD_RESOURCE_DIFFUSER': 'storage' // Use storage as placeholder for diffuser
@@ -362,7 +371,8 @@ class PlacementManager {
             return this.placeStorage(gridX, gridZ);
         } else if (uiType === 'vessel') {
             // Default to horizontal vessel direction
-            return this.placeVessel(gridX, gridZ, 'right');
+            const def = BioDatabase.buildings.find(b => b.id === databaseId);
+            return this.placeVessel(gridX, gridZ, 'right', def?.vessel_class || null);
         }
 
         console.warn(`[PlacementManager] No placement handler for type: ${uiType}`);
@@ -1,12 +1,19 @@
 import * as THREE from 'three';
+import VesselGeometryFactory from './VesselGeometryFactory.js';
+import { COLORS } from '../data/Colors.js';
+
+const vesselFactory = new VesselGeometryFactory();
 
 class BioVessel {
-    constructor(gridX, gridZ, direction, grid, resourceManager) {
+    constructor(gridX, gridZ, direction, grid, resourceManager, vesselClass = null) {
         this.gridX = gridX;
         this.gridZ = gridZ;
         this.direction = direction; // 'N', 'S', 'E', 'W'
         this.grid = grid;
         this.resourceManager = resourceManager;
+        this.vesselClass = vesselClass; // vessel_classes entry (null = capillary look)
+        this.obstruction = 0;           // thrombus 0-1 (1 = blocked)
+        this.clotMesh = null;
         
         this.mesh = this.createMesh();
         this.connectedVessels = [];
@@ -19,15 +26,11 @@ class BioVessel {
 
     createMesh() {
         // Create a cylinder pointing in direction (biological vein)
-        const geometry = new THREE.CylinderGeometry(0.15, 0.15, 0.8, 8);
-        const material = new THREE.MeshStandardMaterial({
-            color: 0xcc5544,      // Warm red/orange (vein color)
-            emissive: 0xaa3322,   // Deep red emissive glow
-            metalness: 0.2,
-            roughness: 0.5,
-            transparent: true,
-            opacity: 0.9
-        });
+        // Thickness and colour follow the vessel class (artery, capillary, lymph)
+        const { radius_scale } = VesselGeometryFactory.getClassVisual(this.vesselClass);
+        const radius = 0.15 * radius_scale;
+        const geometry = new THREE.CylinderGeometry(radius, radius, 0.8, 8);
+        const material = vesselFactory.createVesselMaterial(this.vesselClass);
 
         const mesh = new THREE.Mesh(geometry, material);
         mesh.rotation.z = Math.PI / 2;
@@ -47,6 +50,39 @@ class BioVessel {
         return mesh;
     }
 
+    /**
+     * Show a thrombus: the tube darkens towards the clot colour and a clot
+     * swells inside it with the obstruction (0 removes it)
+     */
+    setObstruction(obstruction) {
+        this.obstruction = obstruction;
+
+        const { color, emissive } = VesselGeometryFactory.getClassVisual(this.vesselClass);
+        const clot = new THREE.Color(COLORS.THROMBUS);
+        this.mesh.material.color.set(color).lerp(clot, obstruction);
+        this.mesh.material.emissive.copy(emissive).lerp(clot, obstruction);
+
+        if (obstruction <= 0) {
+            if (this.clotMesh) {
+                this.mesh.remove(this.clotMesh);
+                this.clotMesh.geometry.dispose();
+                this.clotMesh.material.dispose();
+                this.clotMesh = null;
+            }
+            return;
+        }
+
+        if (!this.clotMesh) {
+            const radius = this.mesh.geometry.parameters.radiusTop;
+            this.clotMesh = new THREE.Mesh(
+                new THREE.SphereGeometry(radius * 1.3, 8, 8),
+                new THREE.MeshStandardMaterial({ color: COLORS.THROMBUS, roughness: 0.9 })
+            );
+            this.mesh.add(this.clotMesh);
+        }
+        this.clotMesh.scale.setScalar(0.4 + 0.6 * obstruction);
+    }
+
     /**
      * Get next grid cell in direction of this vessel
      */
@@ -121,7 +157,7 @@ class TransportSystem {
     /**
      * Create and register a bio-vessel
      */
-    placeVessel(gridX, gridZ, direction, scene) {
+    placeVessel(gridX, gridZ, direction, scene, vesselClass = null) {
         const key = `${gridX}_${gridZ}`;
         
         if (this.vessels.has(key)) {
@@ -129,7 +165,7 @@ class TransportSystem {
             return null;
         }
 
-        const vessel = new BioVessel(gridX, gridZ, direction, this.grid, this.resourceManager);
+        const vessel = new BioVessel(gridX, gridZ, direction, this.grid, this.resourceManager, vesselClass);
         this.vessels.set(key, vessel);
         scene.add(vessel.mesh);
 
@@ -12,9 +12,20 @@
  * - 2 neighbors (90°) → elbow
  * - 3 neighbors → tee
  * - 4 neighbors → cross
+ *
+ * Vessel classes (vessel_classes[].visual) change the look, not the shape:
+ * preset → colour (VESSEL_CLASS_PRESETS), radius_scale → tube thickness
  */
 
 import * as THREE from 'three';
+import { COLORS } from '../data/Colors.js';
+
+// vessel_classes[].visual.preset → tube colour
+export const VESSEL_CLASS_PRESETS = {
+  capillary: COLORS.VESSEL_CAPILLARY,
+  artery: COLORS.VESSEL_ARTERY,
+  lymph: COLORS.VESSEL_LYMPH
+};
 
 class VesselGeometryFactory {
   constructor() {
@@ -28,26 +39,29 @@ class VesselGeometryFactory {
    * @param {string} type - Vessel type (straight_x, straight_z, elbow, tee, cross, endcap, empty_connector)
    * @param {number} gridX - Grid X position
    * @param {number} gridZ - Grid Z position
+   * @param {Object|null} vesselClass - vessel_classes entry (thicker arteries, thinner lymph)
    * @returns {THREE.BufferGeometry}
    */
-  createVesselGeometry(type, gridX, gridZ) {
+  createVesselGeometry(type, gridX, gridZ, vesselClass = null) {
+    const radius = this.radius * VesselGeometryFactory.getClassVisual(vesselClass).radius_scale;
+
     switch (type) {
       case 'straight_x':
-        return this._createStraightX();
+        return this._createStraightX(radius);
       case 'straight_z':
-        return this._createStraightZ();
+        return this._createStraightZ(radius);
       case 'elbow':
-        return this._createElbow();
+        return this._createElbow(radius);
       case 'tee':
-        return this._createTee();
+        return this._createTee(radius);
       case 'cross':
-        return this._createCross();
+        return this._createCross(radius);
       case 'endcap':
-        return this._createEndcap();
+        return this._createEndcap(radius);
       case 'empty_connector':
-        return this._createEmptyConnector();
+        return this._createEmptyConnector(radius);
       default:
-        return this._createStraightX();
+        return this._createStraightX(radius);
     }
   }
 
@@ -55,10 +69,10 @@ class VesselGeometryFactory {
    * Create straight vessel along X axis
    * 50% above ground (y=0), 50% below
    */
-  _createStraightX() {
+  _createStraightX(radius = this.radius) {
     const geom = new THREE.CylinderGeometry(
-      this.radius,           // radius top
-      this.radius,           // radius bottom
+      radius,           // radius top
+      radius,           // radius bottom
       this.cellHeight,       // height (full cell, half submerged)
       8,                     // segments
       1,                     // height segments
@@ -77,10 +91,10 @@ class VesselGeometryFactory {
   /**
    * Create straight vessel along Z axis
    */
-  _createStraightZ() {
+  _createStraightZ(radius = this.radius) {
     const geom = new THREE.CylinderGeometry(
-      this.radius,
-      this.radius,
+      radius,
+      radius,
       this.cellHeight,
       8,
       1,
@@ -100,16 +114,16 @@ class VesselGeometryFactory {
    * Create elbow (90° corner)
    * Two perpendicular cylinders meeting at origin
    */
-  _createElbow() {
+  _createElbow(radius = this.radius) {
     const group = new THREE.Group();
     
     // Horizontal segment (X)
-    const horz = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const horz = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     horz.rotateZ(Math.PI / 2);
     horz.translate(-this.cellHeight / 4, -this.cellHeight / 4, 0);
     
     // Vertical segment (Z)
-    const vert = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const vert = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     vert.rotateX(Math.PI / 2);
     vert.translate(0, -this.cellHeight / 4, -this.cellHeight / 4);
     
@@ -125,14 +139,14 @@ class VesselGeometryFactory {
   /**
    * Create tee (3 connections: one direction, two perpendicular)
    */
-  _createTee() {
+  _createTee(radius = this.radius) {
     // Main line along X
-    const mainLine = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const mainLine = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     mainLine.rotateZ(Math.PI / 2);
     mainLine.translate(-this.cellHeight / 4, -this.cellHeight / 4, 0);
     
     // Branch along Z (upward from center)
-    const branch = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const branch = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     branch.rotateX(Math.PI / 2);
     branch.translate(0, -this.cellHeight / 4, this.cellHeight / 4);
     
@@ -142,24 +156,24 @@ class VesselGeometryFactory {
   /**
    * Create cross (4 connections)
    */
-  _createCross() {
+  _createCross(radius = this.radius) {
     // +X direction
-    const segX1 = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const segX1 = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     segX1.rotateZ(Math.PI / 2);
     segX1.translate(this.cellHeight / 4, -this.cellHeight / 4, 0);
     
     // -X direction
-    const segX2 = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const segX2 = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     segX2.rotateZ(Math.PI / 2);
     segX2.translate(-this.cellHeight / 4, -this.cellHeight / 4, 0);
     
     // +Z direction
-    const segZ1 = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const segZ1 = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     segZ1.rotateX(Math.PI / 2);
     segZ1.translate(0, -this.cellHeight / 4, this.cellHeight / 4);
     
     // -Z direction
-    const segZ2 = new THREE.CylinderGeometry(this.radius, this.radius, this.cellHeight / 2, 8, 1, false);
+    const segZ2 = new THREE.CylinderGeometry(radius, radius, this.cellHeight / 2, 8, 1, false);
     segZ2.rotateX(Math.PI / 2);
     segZ2.translate(0, -this.cellHeight / 4, -this.cellHeight / 4);
     
@@ -170,9 +184,9 @@ class VesselGeometryFactory {
   /**
    * Create endcap (1 connection, dead end)
    */
-  _createEndcap() {
+  _createEndcap(radius = this.radius) {
     // Simple sphere at the end
-    const geom = new THREE.SphereGeometry(this.radius * 2, 8, 8);
+    const geom = new THREE.SphereGeometry(radius * 2, 8, 8);
     geom.translate(0, -this.cellHeight / 4, 0);
     
     return geom;
@@ -181,15 +195,48 @@ class VesselGeometryFactory {
   /**
    * Create empty connector (junction with no I/O, for routing only)
    */
-  _createEmptyConnector() {
+  _createEmptyConnector(radius = this.radius) {
     // Hollow junction sphere
-    const inner = new THREE.SphereGeometry(this.radius * 1.5, 8, 8);
+    const inner = new THREE.SphereGeometry(radius * 1.5, 8, 8);
     inner.translate(0, -this.cellHeight / 4, 0);
     
     // Could add visual distinction (lighter color or outlined)
     return inner;
   }
 
+  /**
+   * Material for a vessel of a class (capillary look without one)
+   * @param {Object|null} vesselClass - vessel_classes entry
+   * @returns {THREE.MeshStandardMaterial}
+   */
+  createVesselMaterial(vesselClass = null) {
+    const { color, emissive } = VesselGeometryFactory.getClassVisual(vesselClass);
+
+    return new THREE.MeshStandardMaterial({
+      color,
+      emissive,
+      metalness: 0.2,
+      roughness: 0.5,
+      transparent: true,
+      opacity: 0.9
+    });
+  }
+
+  /**
+   * Colour, glow and thickness of a vessel class
+   * @param {Object|null} vesselClass - vessel_classes entry
+   * @returns {{ color: number, emissive: THREE.Color, radius_scale: number }}
+   */
+  static getClassVisual(vesselClass) {
+    const color = VESSEL_CLASS_PRESETS[vesselClass?.visual?.preset] ?? COLORS.VESSEL_CAPILLARY;
+
+    return {
+      color,
+      emissive: new THREE.Color(color).multiplyScalar(0.8),
+      radius_scale: vesselClass?.visual?.radius_scale || 1
+    };
+  }
+
   /**
    * Merge multiple geometries into one
    */
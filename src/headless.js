@@ -0,0 +1,130 @@
+/**
+ * headless.js - Node entry point for headless simulation runs
+ *
+ * Usage:
+ *   npm run headless -- [--scenario SCN_ID|path/to/scenario.json] [--ticks N] [--out report.json] [--quiet]
+ *                       [--packs public/packs/diabetes.json,other.json] [--round-trip]
+ *
+ * Writes the report (final state + event counts) as JSON to --out, or to stdout.
+ * System logs go to stderr during the run; --quiet mutes them instead.
+ * --packs layers BioDatabase override packs (in order) before the run.
+ * --round-trip saves the final state, restores it into a fresh simulation and fails
+ *   (exit 1) when diseases/resistance, medications, regimens, boluses or thrombi differ.
+ * --help (-h) prints the usage and the built-in scenario ids.
+ */
+
+import fs from 'node:fs';
+import { HeadlessRunner } from './simulation/HeadlessRunner.js';
+import dataPackManager from './core/DataPackManager.js';
+import { getHeadlessScenario, HEADLESS_SCENARIOS } from './scenarios/HeadlessScenarios.js';
+
+const USAGE = `Usage: npm run headless -- [options]
+
+  --scenario SCN_ID|path.json  built-in scenario id or a scenario JSON file (default SCN_BASELINE)
+  --ticks N                    run N ticks instead of the scenario's own count
+  --out report.json            write the report there instead of stdout
+  --quiet                      mute system logs (otherwise they go to stderr)
+  --packs a.json,b.json        BioDatabase override packs, applied in order
+  --round-trip                 save → restore the final state and check it comes back unchanged
+  --help, -h                   show this help`;
+
+function printUsage() {
+    const scenarios = Object.keys(HEADLESS_SCENARIOS).map((id) => `  ${id}`).join('\n');
+    process.stdout.write(`${USAGE}\n\nBuilt-in scenarios:\n${scenarios}\n`);
+}
+
+function parseArgs(argv) {
+    const args = { scenario: 'SCN_BASELINE', ticks: null, out: null, quiet: false, packs: [], roundTrip: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--scenario') {
+            args.scenario = argv[++i];
+        } else if (arg === '--ticks') {
+            args.ticks = parseInt(argv[++i], 10);
+        } else if (arg === '--out') {
+            args.out = argv[++i];
+        } else if (arg === '--packs') {
+            args.packs = argv[++i].split(',').filter(Boolean);
+        } else if (arg === '--round-trip') {
+            args.roundTrip = true;
+        } else if (arg === '--quiet') {
+            args.quiet = true;
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (args.ticks !== null && (!Number.isInteger(args.ticks) || args.ticks < 0)) {
+        throw new Error('--ticks must be a non-negative integer');
+    }
+
+    return args;
+}
+
+function loadScenario(nameOrPath) {
+    const builtIn = getHeadlessScenario(nameOrPath);
+    if (builtIn) return builtIn;
+
+    if (fs.existsSync(nameOrPath)) {
+        return JSON.parse(fs.readFileSync(nameOrPath, 'utf8'));
+    }
+
+    throw new Error(
+        `Unknown scenario '${nameOrPath}'. Built-in: ${Object.keys(HEADLESS_SCENARIOS).join(', ')}`
+    );
+}
+
+function readPack(path) {
+    return { ...JSON.parse(fs.readFileSync(path, 'utf8')), source: path };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        printUsage();
+        return;
+    }
+
+    const scenario = loadScenario(args.scenario);
+
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    // Keep stdout clean for the JSON report: system logs go to stderr (or nowhere)
+    console.log = args.quiet ? () => {} : console.error;
+    console.warn = args.quiet ? () => {} : console.error;
+
+    let report;
+    try {
+        if (args.packs.length > 0) {
+            dataPackManager.applyPacks(args.packs.map(readPack));
+        }
+        report = await new HeadlessRunner({ roundTrip: args.roundTrip }).run(scenario, args.ticks);
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+    }
+
+    const json = JSON.stringify(report, null, 2);
+    if (args.out) {
+        fs.writeFileSync(args.out, json);
+        console.error(`[Headless] ${report.ticks} ticks in ${report.wall_time_ms}ms → ${args.out}`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+
+    if (report.round_trip && !report.round_trip.ok) {
+        const failed = Object.entries(report.round_trip.sections)
+            .filter(([, section]) => !section.identical)
+            .map(([name]) => name);
+        console.error(`[Headless] Save round trip changed: ${failed.join(', ')}`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error('[Headless] Run failed:', error.message);
+    process.exit(1);
+});
@@ -1,46 +1,76 @@
 import Engine from './core/Engine.js';
 import Grid from './world/Grid.js';
+import SaveManager from './systems/SaveManager.js';
+import randomService from './core/RandomService.js';
+import dataPackManager from './core/DataPackManager.js';
+import { simulationInitializer } from './simulation/SimulationInitializer.js';
 import * as THREE from 'three';
 
-// Initialize engine
-try {
-    console.log('[INIT] Creating Engine...');
-    const engine = new Engine();
-    console.log('[INIT] Engine created, scene has', engine.scene.children.length, 'children');
-
-    // Create grid
-    console.log('[INIT] Creating Grid...');
-    const grid = new Grid(engine.scene);
-    console.log('[INIT] Grid created, gridSize:', grid.gridSize, 'cellSize:', grid.cellSize, 'scene children:', engine.scene.children.length);
-
-    // Initialize grid and camera systems
-    console.log('[INIT] Initializing Grid and Camera...');
-    engine.initializeGridAndCamera(grid);
-    console.log('[INIT] Grid and Camera initialized, scene children:', engine.scene.children.length);
-
-    // Create demo factory using engine's placement manager
-    console.log('[INIT] Generating demo factory...');
-    engine.placementManager.createDemoFactory();
-    console.log('[INIT] Demo factory created');
-
-    // Setup update loop with all systems
-    engine.onUpdate = (deltaTime) => {
-        engine.transportSystem.update(deltaTime);
-        engine.placementManager.update(deltaTime);
-    };
-
-    // Log final initialization state
-    console.log('[INIT] Scene children count:', engine.scene.children.length);
-    if (grid.gridGroup) {
-        console.log('[INIT] GridGroup merged tiles:', grid.gridGroup.children[0]?.name);
-    }
+// Restore the map seed before anything procedural runs (Grid, MapGenerator, particles)
+const savedSeed = new SaveManager().getSavedSeed();
+if (savedSeed !== null) {
+    randomService.setSeed(savedSeed);
+}
+console.log('[INIT] Map seed:', randomService.getSeed());
+
+// Initialize engine (after data packs: every system reads the merged BioDatabase)
+function startGame() {
+    try {
+        console.log('[INIT] Creating Engine...');
+        const engine = new Engine();
+        console.log('[INIT] Engine created, scene has', engine.scene.children.length, 'children');
+
+        // Create grid
+        console.log('[INIT] Creating Grid...');
+        const grid = new Grid(engine.scene);
+        console.log('[INIT] Grid created, gridSize:', grid.gridSize, 'cellSize:', grid.cellSize, 'scene children:', engine.scene.children.length);
+
+        // Initialize grid and camera systems
+        console.log('[INIT] Initializing Grid and Camera...');
+        engine.initializeGridAndCamera(grid);
+        console.log('[INIT] Grid and Camera initialized, scene children:', engine.scene.children.length);
+
+        // Create demo factory using engine's placement manager
+        console.log('[INIT] Generating demo factory...');
+        engine.placementManager.createDemoFactory();
+        console.log('[INIT] Demo factory created');
 
-    // Start animation loop
-    console.log('[INIT] Starting animation loop...');
-    engine.start();
-    console.log('[INIT] All systems initialized successfully!');
+        // Start v5.1.0 simulation systems and wire them to the HUD
+        console.log('[INIT] Initializing simulation systems...');
+        engine.simulation = simulationInitializer;
+        simulationInitializer.initialize().then((ok) => {
+            if (ok) {
+                simulationInitializer.wireUI(engine.uiManager, engine.hud?.biomarkerMonitor, engine.hud);
+                simulationInitializer.wireWorld(grid, engine.resourceTransport);
+            }
+        });
 
-} catch (error) {
-    console.error('[INIT] CRITICAL INITIALIZATION ERROR:', error);
-    console.error('[INIT] Stack:', error.stack);
+        // Setup update loop: Engine already updates transport/placement itself,
+        // here the simulation turns speed-scaled frame time into fixed ticks
+        engine.onUpdate = (simDeltaTime) => {
+            simulationInitializer.advance(simDeltaTime);
+        };
+
+        // Log final initialization state
+        console.log('[INIT] Scene children count:', engine.scene.children.length);
+        if (grid.gridGroup) {
+            console.log('[INIT] GridGroup merged tiles:', grid.gridGroup.children[0]?.name);
+        }
+
+        // Start animation loop
+        console.log('[INIT] Starting animation loop...');
+        engine.start();
+        console.log('[INIT] All systems initialized successfully!');
+
+    } catch (error) {
+        console.error('[INIT] CRITICAL INITIALIZATION ERROR:', error);
+        console.error('[INIT] Stack:', error.stack);
+    }
 }
+
+// Load BioDatabase packs (public/packs/manifest.json or ?packs=a,b), then start
+dataPackManager.loadFromManifest()
+    .catch((error) => {
+        console.error('[INIT] Data pack loading failed, using bundled BioDatabase:', error);
+    })
+    .finally(startGame);
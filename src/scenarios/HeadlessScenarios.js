@@ -0,0 +1,567 @@
+/**
+ * HeadlessScenarios.js - Scripted scenarios for headless simulation runs
+ *
+ * A scenario is plain data, so the same shape can also be loaded from a JSON file:
+ * {
+ *   id: "SCN_...",
+ *   name: "...",
+ *   seed: "123456",          // optional RandomService seed
+ *   ticks: 120,              // default run length (overridable from the CLI)
+ *   tick_duration_ms: 1000,  // simulated duration of one tick
+ *   actions: [
+ *     { tick: 0, event: "BUILDING_PLACED", data: { ... } }
+ *   ]
+ * }
+ *
+ * Actions are emitted on the EventBus right BEFORE the SIMULATION_TICK of their tick.
+ * tick: 0 means "during setup", before the first tick runs.
+ */
+
+export const HEADLESS_SCENARIOS = {
+  /**
+   * Empty body: no buildings, biomarkers drift on their own
+   */
+  SCN_BASELINE: {
+    id: "SCN_BASELINE",
+    name: "Baseline (no buildings)",
+    ticks: 120,
+    tick_duration_ms: 1000,
+    actions: []
+  },
+
+  /**
+   * Glycolysis line: two generators fed with glucose, storage, vessels and a pump
+   * Produces lactate waste and exercises the diffusion and pressure paths
+   */
+  SCN_GLYCOLYSIS_LINE: {
+    id: "SCN_GLYCOLYSIS_LINE",
+    name: "Glycolysis line with vessels",
+    ticks: 300,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "gen_1", building_type: "BLD_PERICYTE_EXTRACTOR", position: { x: 10, y: 10 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "gen_2", building_type: "BLD_ANABOLIC_CELL", position: { x: 12, y: 10 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "store_1", building_type: "BLD_STORAGE_MICRO", position: { x: 14, y: 10 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "vessel_1", building_type: "BLD_VESSEL_STRAIGHT_X", position: { x: 11, y: 10 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "vessel_2", building_type: "BLD_VESSEL_STRAIGHT_X", position: { x: 13, y: 10 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "pump_1", building_type: "BLD_CARDIOCYTE_PUMP", position: { x: 11, y: 11 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_STORAGE_ADD",
+        data: { building_id: "gen_1", resource_id: "RES_GLUCOSE", amount: 50 }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_STORAGE_ADD",
+        data: { building_id: "gen_2", resource_id: "RES_GLUCOSE", amount: 50 }
+      },
+      {
+        tick: 60,
+        event: "RESEARCH_START",
+        data: { tech_id: "TECH_MITOCHONDRIA" }
+      }
+    ]
+  },
+
+  /**
+   * Sustained anaerobic load: one glycolysis completion (lactate waste) per tick
+   * for two minutes, then recovery. Blood pH falls below 7.35, respiratory
+   * compensation follows, DIS_LACTIC_ACIDOSIS triggers and clears as the liver
+   * removes the lactate (DIS_TISSUE_ISCHEMIA in the producing region comes first,
+   * is suppressed while the systemic acidosis lasts and returns after it)
+   */
+  SCN_LACTIC_ACIDOSIS: {
+    id: "SCN_LACTIC_ACIDOSIS",
+    name: "Lactic acidosis from glycolysis",
+    ticks: 400,
+    tick_duration_ms: 1000,
+    actions: Array.from({ length: 120 }, (_, index) => ({
+      tick: index + 1,
+      event: "RECIPE_COMPLETED",
+      data: {
+        building_id: "glycolysis_1",
+        recipe_id: "RECIPE_ATP_GLYCOLYSIS",
+        outputs: [{ id: "RES_ATP", amount: 2 }],
+        waste_outputs: [{ id: "RES_LACTATE", amount: 1 }],
+        cell_x: 10,
+        cell_y: 10
+      }
+    }))
+  },
+
+  /**
+   * Local infarct zone: a glycolysis cell dumping lactate into one region
+   * (region 2,2) while an atheroma starves it of oxygen. Regional lactate and
+   * pH cross DIS_TISSUE_ISCHEMIA there; the systemic pH stays normal
+   */
+  SCN_TISSUE_ISCHEMIA: {
+    id: "SCN_TISSUE_ISCHEMIA",
+    name: "Local tissue ischemia",
+    ticks: 300,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 1,
+        event: "EFFECT_APPLY_TERRAIN",
+        data: { x: 40, y: 40, effect_id: "EFFECT_ATHEROMA_INFECTION", intensity: 2 }
+      },
+      ...Array.from({ length: 40 }, (_, index) => ({
+        tick: index * 3 + 1,
+        event: "RECIPE_COMPLETED",
+        data: {
+          building_id: "ischemic_1",
+          recipe_id: "RECIPE_ATP_GLYCOLYSIS",
+          outputs: [{ id: "RES_ATP", amount: 2 }],
+          waste_outputs: [{ id: "RES_LACTATE", amount: 1 }],
+          cell_x: 40,
+          cell_y: 40
+        }
+      }))
+    ]
+  },
+
+  /**
+   * Septic cascade: a bacterial infection (leukocytosis → DIS_ECOLI_SWARM) on top
+   * of the glycolysis lactate load. DIS_LACTIC_ACIDOSIS starts with the causal
+   * chain E. coli → lactic acidosis and progresses 1.5x faster; the local
+   * DIS_TISSUE_ISCHEMIA it subsumes is suppressed
+   */
+  SCN_SEPTIC_CASCADE: {
+    id: "SCN_SEPTIC_CASCADE",
+    name: "Septic cascade (disease interactions)",
+    ticks: 400,
+    tick_duration_ms: 1000,
+    actions: [
+      ...Array.from({ length: 200 }, (_, index) => ({
+        tick: index + 1,
+        event: "BIOMARKER_MOD_APPLIED",
+        data: { biomarker_id: "BM_WBC", mode: "add", cascaded_value: 0.8, source: "scenario_infection" }
+      })),
+      ...Array.from({ length: 120 }, (_, index) => ({
+        tick: index + 20,
+        event: "RECIPE_COMPLETED",
+        data: {
+          building_id: "glycolysis_1",
+          recipe_id: "RECIPE_ATP_GLYCOLYSIS",
+          outputs: [{ id: "RES_ATP", amount: 2 }],
+          waste_outputs: [{ id: "RES_LACTATE", amount: 1 }],
+          cell_x: 10,
+          cell_y: 10
+        }
+      }))
+    ]
+  },
+
+  /**
+   * PK dosing: oral ibuprofen 400 mg every 60 s (five doses, accumulation with
+   * peaks and troughs) and one IV dexamethasone bolus (two-compartment:
+   * fast distribution phase, then slow elimination). Compare
+   * drugs.pk_summaries: Cmax, Tmax, troughs, AUC
+   */
+  SCN_PK_DOSING: {
+    id: "SCN_PK_DOSING",
+    name: "Pharmacokinetics: oral regimen and IV bolus",
+    ticks: 400,
+    tick_duration_ms: 1000,
+    actions: [
+      ...Array.from({ length: 5 }, (_, index) => ({
+        tick: index * 60 + 10,
+        event: "DRUG_ADMINISTERED",
+        data: { drug_id: "DRUG_IBUPROFEN", dosage: 400, route: "ORAL", location_id: "systemic" }
+      })),
+      {
+        tick: 30,
+        event: "DRUG_ADMINISTERED",
+        data: { drug_id: "DRUG_DEXAMETHASONE", dosage: 8, route: "IV", location_id: "systemic" }
+      }
+    ]
+  },
+
+  /**
+   * Scheduled dosing: ibuprofen on its default regimen (800 mg loading dose, then
+   * 400 mg every 60 ticks, five doses) and dexamethasone every 120 ticks, cancelled
+   * after the second dose. Dexamethasone side effects raise BM_GLUC while it is present
+   */
+  SCN_DRUG_REGIMEN: {
+    id: "SCN_DRUG_REGIMEN",
+    name: "Drug regimens (loading dose, maintenance, cancel)",
+    ticks: 400,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 5,
+        event: "REGIMEN_PRESCRIBE_REQUESTED",
+        data: { drug_id: "DRUG_IBUPROFEN" }
+      },
+      {
+        tick: 5,
+        event: "REGIMEN_PRESCRIBE_REQUESTED",
+        data: { drug_id: "DRUG_DEXAMETHASONE", route: "IV" }
+      },
+      {
+        tick: 200,
+        event: "REGIMEN_CANCEL_REQUESTED",
+        data: { regimen_id: "regimen_2" }
+      }
+    ]
+  },
+
+  /**
+   * Drug interactions and overdose: dexamethasone first, then ibuprofen
+   * (SYNERGY, and SHARED_METABOLISM stretches the ibuprofen half-life), then
+   * stacked ibuprofen doses push it past its toxic threshold. While TOXIC it
+   * damages the generators (EFFECT_DRUG_TOXICITY on each) until they are destroyed
+   */
+  SCN_DRUG_TOXICITY: {
+    id: "SCN_DRUG_TOXICITY",
+    name: "Drug interactions and toxicity",
+    ticks: 400,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "gen_1", building_type: "BLD_PERICYTE_EXTRACTOR", position: { x: 10, y: 10 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "gen_2", building_type: "BLD_ANABOLIC_CELL", position: { x: 30, y: 30 } }
+      },
+      {
+        tick: 5,
+        event: "DRUG_ADMINISTERED",
+        data: { drug_id: "DRUG_DEXAMETHASONE", dosage: 8, route: "IV", location_id: "systemic" }
+      },
+      ...[10, 20, 30, 40].map((tick) => ({
+        tick,
+        event: "DRUG_ADMINISTERED",
+        data: { drug_id: "DRUG_IBUPROFEN", dosage: 800, route: "ORAL", location_id: "systemic" }
+      }))
+    ]
+  },
+
+  /**
+   * Antimicrobial resistance: a bacterial infection (leukocytosis → DIS_ECOLI_SWARM)
+   * treated with under-dosed amoxicillin (60 mg every 40 ticks never reaches its
+   * therapeutic window), so resistance to ANTIBIOTIC climbs in 10% steps. The
+   * full-dose course started afterwards treats it at the reduced weight
+   * (DISEASE_TREATED drug_effect / resistance)
+   */
+  SCN_ANTIMICROBIAL_RESISTANCE: {
+    id: "SCN_ANTIMICROBIAL_RESISTANCE",
+    name: "Antimicrobial resistance from under-dosing",
+    ticks: 400,
+    tick_duration_ms: 1000,
+    actions: [
+      ...Array.from({ length: 300 }, (_, index) => ({
+        tick: index + 1,
+        event: "BIOMARKER_MOD_APPLIED",
+        data: { biomarker_id: "BM_WBC", mode: "add", cascaded_value: 0.8, source: "scenario_infection" }
+      })),
+      {
+        tick: 20,
+        event: "REGIMEN_PRESCRIBE_REQUESTED",
+        data: { drug_id: "DRUG_AMOXICILLIN", route: "ORAL", dose_mg: 60, interval_ticks: 40, doses: 6 }
+      },
+      {
+        tick: 270,
+        event: "REGIMEN_PRESCRIBE_REQUESTED",
+        data: { drug_id: "DRUG_AMOXICILLIN", route: "ORAL" }
+      }
+    ]
+  },
+
+  /**
+   * Vessel delivery: an infusion port at the start of a vessel line. The first
+   * vessels sit next to a pump (region 0,0, efficiency ~0.96); the line runs on
+   * into region 1,0, where the pressure has dropped along the way (~0.9) and
+   * fewer vessels sit. One amoxicillin injection, then its default regimen
+   * through the same port: region 1,0 gets about two thirds of region 0,0's dose,
+   * a few seconds later; both end THERAPEUTIC (drugs.getRegionalConcentrations)
+   */
+  SCN_VESSEL_DRUG_DELIVERY: {
+    id: "SCN_VESSEL_DRUG_DELIVERY",
+    name: "Drug delivery through vessels",
+    ticks: 400,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "pump_1", building_type: "BLD_CARDIOCYTE_PUMP", position: { x: 10, y: 11 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "port_1", building_type: "BLD_INFUSION_PORT", position: { x: 8, y: 10 } }
+      },
+      ...Array.from({ length: 12 }, (_, index) => ({
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: {
+          building_id: `vessel_${index + 1}`,
+          building_type: "BLD_VESSEL_STRAIGHT_X",
+          position: { x: 9 + index, y: 10 }
+        }
+      })),
+      {
+        tick: 5,
+        event: "DRUG_INJECTED",
+        data: { drug_id: "DRUG_AMOXICILLIN", dosage: 500, building_id: "port_1" }
+      },
+      {
+        tick: 120,
+        event: "REGIMEN_PRESCRIBE_REQUESTED",
+        data: { drug_id: "DRUG_AMOXICILLIN", building_id: "port_1" }
+      }
+    ]
+  },
+
+  /**
+   * Vessel classes: the SCN_VESSEL_DRUG_DELIVERY line rebuilt as an artery, with a
+   * lymph channel running beside it from the same port. The drug skips the lymph
+   * (it only joins lymph vessels, and they refuse DRUG), reaches both regions
+   * sooner and leaks less on the way. A lipid transfer is refused by the artery
+   * (VESSEL_TRANSFER_FAILED resource_not_allowed) and accepted by the lymph channel
+   */
+  SCN_VESSEL_CLASSES: {
+    id: "SCN_VESSEL_CLASSES",
+    name: "Vessel classes (artery vs lymph)",
+    seed: "424242",
+    ticks: 200,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "pump_1", building_type: "BLD_CARDIOCYTE_PUMP", position: { x: 10, y: 11 } }
+      },
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "port_1", building_type: "BLD_INFUSION_PORT", position: { x: 8, y: 10 } }
+      },
+      ...Array.from({ length: 12 }, (_, index) => ({
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: `artery_${index + 1}`, building_type: "BLD_ARTERY", position: { x: 9 + index, y: 10 } }
+      })),
+      ...Array.from({ length: 6 }, (_, index) => ({
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: {
+          building_id: `lymph_${index + 1}`,
+          building_type: "BLD_LYMPH_CHANNEL",
+          position: { x: 9 + index, y: 12 }
+        }
+      })),
+      {
+        tick: 2,
+        event: "RESOURCES_TRANSFER_ATTEMPT",
+        data: { from_vessel: "artery_2", to_vessel: "artery_1", resource_id: "RES_LIPID", amount: 5 }
+      },
+      {
+        tick: 2,
+        event: "RESOURCES_TRANSFER_ATTEMPT",
+        data: { from_vessel: "lymph_2", to_vessel: "lymph_1", resource_id: "RES_LIPID", amount: 5 }
+      },
+      {
+        tick: 5,
+        event: "DRUG_INJECTED",
+        data: { drug_id: "DRUG_AMOXICILLIN", dosage: 500, building_id: "port_1" }
+      }
+    ]
+  },
+
+  /**
+   * Effect spread: inflammation seeded at (26,30) between a calcified wall
+   * (x = 30) and a vessel line (x = 22), next to a glycolysis cell dumping
+   * lactate at (27,33). The field stops at the wall, leaks slowly past the
+   * vessels and keeps growing around the waste (effects.dump().spreading)
+   */
+  SCN_EFFECT_SPREAD: {
+    id: "SCN_EFFECT_SPREAD",
+    name: "Inflammation spread (cellular automaton)",
+    ticks: 300,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 0,
+        event: "TERRAIN_CHANGED",
+        data: {
+          cells: Array.from({ length: 21 }, (_, index) => ({ x: 30, y: 20 + index, terrain: "CALCIFIED" }))
+        }
+      },
+      ...Array.from({ length: 9 }, (_, index) => ({
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: {
+          building_id: `vessel_${index + 1}`,
+          building_type: "BLD_VESSEL_STRAIGHT_Z",
+          position: { x: 22, y: 26 + index }
+        }
+      })),
+      {
+        tick: 1,
+        event: "EFFECT_APPLY_TERRAIN",
+        data: { x: 26, y: 30, effect_id: "EFFECT_INFLAMMATION", intensity: 3 }
+      },
+      ...Array.from({ length: 60 }, (_, index) => ({
+        tick: index * 3 + 1,
+        event: "RECIPE_COMPLETED",
+        data: {
+          building_id: "glycolysis_1",
+          recipe_id: "RECIPE_ATP_GLYCOLYSIS",
+          outputs: [{ id: "RES_ATP", amount: 2 }],
+          waste_outputs: [{ id: "RES_LACTATE", amount: 2 }],
+          cell_x: 27,
+          cell_y: 33
+        }
+      }))
+    ]
+  },
+
+  /**
+   * Hydraulic network: one pump feeding a main line (y = 20) with a branch
+   * (x = 20) and three glycolysis cells drawing from it - next to the pump, at
+   * the end of the main line and at the end of the branch. The far cells get
+   * less flow (buildings.dump() delivered_flow, pressure.dump()). At tick 60 the
+   * pump head is doubled: the first vessels of the main line go over max_pressure and take
+   * damage until the head is set back at tick 80 (VESSEL_OVERPRESSURE,
+   * VESSEL_PRESSURE_NORMALIZED)
+   */
+  SCN_HYDRAULIC_NETWORK: {
+    id: "SCN_HYDRAULIC_NETWORK",
+    name: "Hydraulic vessel network",
+    ticks: 120,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "pump_1", building_type: "BLD_CARDIOCYTE_PUMP", position: { x: 10, y: 20 } }
+      },
+      ...Array.from({ length: 16 }, (_, index) => ({
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: {
+          building_id: `vessel_main_${index + 1}`,
+          building_type: "BLD_VESSEL_STRAIGHT_X",
+          position: { x: 12 + index, y: 20 }
+        }
+      })),
+      ...Array.from({ length: 8 }, (_, index) => ({
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: {
+          building_id: `vessel_branch_${index + 1}`,
+          building_type: "BLD_VESSEL_STRAIGHT_Z",
+          position: { x: 20, y: 22 + index }
+        }
+      })),
+      ...[
+        ["cell_near", { x: 13, y: 22 }],
+        ["cell_main_end", { x: 28, y: 22 }],
+        ["cell_branch_end", { x: 22, y: 30 }]
+      ].map(([buildingId, position]) => ({
+        tick: 1,
+        event: "BUILDING_PLACED",
+        data: { building_id: buildingId, building_type: "BLD_PERICYTE_EXTRACTOR", position }
+      })),
+      {
+        tick: 60,
+        event: "PUMP_HEAD_SET",
+        data: { pump_id: "pump_1", head_gain: 2 }
+      },
+      {
+        tick: 80,
+        event: "PUMP_HEAD_SET",
+        data: { pump_id: "pump_1", head_gain: 1.0 }
+      }
+    ]
+  },
+
+  /**
+   * Thrombosis: a pumped vessel line (y = 20) running through an atheroma
+   * patch (x 18..21). Thrombi form on the patch and block it; the starved
+   * vessels past it clot from low flow (pressure.dump() obstruction,
+   * thrombosis.dump()). An alteplase dose at tick 120 dissolves every
+   * thrombus within seconds (THROMBUS_CLEARED lysis); once it wears off the
+   * patch clots again. At tick 290 a blocked vessel is deconstructed
+   */
+  SCN_THROMBOSIS: {
+    id: "SCN_THROMBOSIS",
+    name: "Thrombosis and thrombolysis",
+    seed: "424242",
+    ticks: 300,
+    tick_duration_ms: 1000,
+    actions: [
+      {
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: { building_id: "pump_1", building_type: "BLD_CARDIOCYTE_PUMP", position: { x: 10, y: 20 } }
+      },
+      ...Array.from({ length: 16 }, (_, index) => ({
+        tick: 0,
+        event: "BUILDING_PLACED",
+        data: {
+          building_id: `vessel_${index + 1}`,
+          building_type: "BLD_VESSEL_STRAIGHT_X",
+          position: { x: 12 + index, y: 20 }
+        }
+      })),
+      ...Array.from({ length: 4 }, (_, index) => ({
+        tick: 1,
+        event: "EFFECT_APPLY_TERRAIN",
+        data: { x: 18 + index, y: 20, effect_id: "EFFECT_ATHEROMA_INFECTION", intensity: 2 }
+      })),
+      {
+        tick: 120,
+        event: "DRUG_ADMINISTERED",
+        data: { drug_id: "DRUG_ALTEPLASE", route: "IV", location_id: "systemic" }
+      },
+      {
+        tick: 290,
+        event: "BUILDING_DESTROYED",
+        data: {
+          building_id: "vessel_9",
+          building_type: "BLD_VESSEL_STRAIGHT_X",
+          position: { x: 20, y: 20 },
+          cause: "deconstructed"
+        }
+      }
+    ]
+  }
+};
+
+/**
+ * Look up a built-in scenario by id
+ */
+export function getHeadlessScenario(scenarioId) {
+  return HEADLESS_SCENARIOS[scenarioId] || null;
+}
@@ -0,0 +1,86 @@
+/**
+ * EffectOverlayShader.js - Terrain overlay for active effects
+ *
+ * Один прозрачный квад поверх сетки. Цвет и сила каждой клетки берутся из
+ * DataTexture (RGBA, клетка = тексель), которую заполняет Grid.updateEffectOverlay:
+ * - rgb: смесь цветов пресетов visual_filter, взвешенная по интенсивности
+ * - a: суммарная интенсивность
+ * LinearFilter сглаживает переходы между клетками, uTime даёт мерцание фронта.
+ */
+
+import * as THREE from 'three';
+import { COLORS } from '../data/Colors.js';
+
+// visual_filter.preset → base tint
+export const VISUAL_FILTER_PRESETS = {
+    'warm-rim': COLORS.EFFECT_WARM_RIM,
+    'lipidic': COLORS.EFFECT_LIPIDIC,
+    'cool-fade': COLORS.EFFECT_COOL_FADE
+};
+
+/**
+ * Overlay colour of a visual_filter: preset tint shifted by hue_shift / saturation
+ * @param {Object} visualFilter - { preset, hue_shift?, saturation? }
+ * @returns {THREE.Color}
+ */
+export function visualFilterColor(visualFilter) {
+    const base = VISUAL_FILTER_PRESETS[visualFilter?.preset] ?? COLORS.EFFECT_WARM_RIM;
+    return new THREE.Color(base).offsetHSL(visualFilter?.hue_shift || 0, visualFilter?.saturation || 0, 0);
+}
+
+const vertexShader = `
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const fragmentShader = `
+uniform sampler2D uEffectMap;
+uniform float uTime;
+uniform float uGridSize;
+varying vec2 vUv;
+
+void main() {
+    // Плоскость повёрнута на -90° по X: v растёт против оси Z сетки
+    vec2 cellUv = vec2(vUv.x, 1.0 - vUv.y);
+    vec4 effect = texture2D(uEffectMap, cellUv);
+    if (effect.a < 0.01) discard;
+
+    // Медленная «живая» рябь внутри очага
+    vec2 p = cellUv * uGridSize;
+    float ripple = sin(p.x * 1.3 + uTime * 1.7) * sin(p.y * 1.1 - uTime * 1.3);
+    float pulse = 0.85 + 0.15 * sin(uTime * 2.2 + ripple * 1.5);
+
+    // Фронт распространения (низкая интенсивность) светится ярче
+    float front = smoothstep(0.0, 0.35, effect.a) * (1.0 - smoothstep(0.35, 0.8, effect.a));
+    vec3 color = effect.rgb * (pulse + front * 0.35);
+
+    gl_FragColor = vec4(color, effect.a * pulse);
+}
+`;
+
+class EffectOverlayShader extends THREE.ShaderMaterial {
+    constructor(effectMap, gridSize) {
+        super({
+            uniforms: {
+                uEffectMap: { value: effectMap },
+                uTime: { value: 0 },
+                uGridSize: { value: gridSize }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+    }
+
+    updateTime(time) {
+        this.uniforms.uTime.value = time;
+    }
+}
+
+export default EffectOverlayShader;
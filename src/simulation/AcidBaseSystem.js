@@ -0,0 +1,269 @@
+/**
+ * AcidBaseSystem.js - Henderson–Hasselbalch acid-base model for blood pH
+ *
+ * pH = pKa + log10([HCO3-] / (0.03 * PaCO2))        (BioDatabase.acid_base)
+ *
+ * MECHANICS:
+ * - State: bicarbonate [HCO3-] (mmol/L), PaCO2 (mmHg), excess blood lactate (mmol/L)
+ * - Lactate load: recipes with lactate in waste_outputs (RECIPE_ATP_GLYCOLYSIS)
+ *   raise blood lactate; the lactic acid is titrated by bicarbonate
+ *   (HCO3- + H+ → CO2 + H2O, CO2 is exhaled)
+ * - Hepatic clearance (Cori cycle): lactate decays with its time constant and
+ *   gives the buffered bicarbonate back
+ * - Renal compensation: [HCO3-] relaxes toward normal (slow)
+ * - Respiratory compensation: PaCO2 relaxes toward the expected value for the
+ *   current [HCO3-] (fast; ventilation rises in acidosis, falls in alkalosis)
+ * - Every SIMULATION_TICK: integrate, compute pH, push pH + lactate to BiomarkerSystem
+ *   as BIOMARKER_MOD_APPLIED { mode: "set" } (biomarkers with model: "ACID_BASE")
+ *
+ * Time constants are simulated seconds; each tick relaxes by 1 - exp(-dt / tau).
+ */
+
+import { SimulationClock } from "./SimulationClock.js";
+
+export const ACID_BASE_MODEL = "ACID_BASE";
+
+// Used for any key missing from BioDatabase.acid_base
+const DEFAULT_CONFIG = {
+  ph_marker_id: "BM_PH_BLOOD",
+  lactate_marker_id: "BM_LACTATE",
+  pka: 6.1,
+  co2_solubility: 0.03,
+  normal_hco3: 24,
+  normal_paco2: 40,
+  lactate: {
+    resource_id: "RES_LACTATE",
+    blood_per_unit: 0.2,
+    bicarbonate_buffered: 1.0,
+    clearance_time_constant_s: 60
+  },
+  respiratory: {
+    time_constant_s: 10,
+    acidosis_slope: 1.2,
+    alkalosis_slope: 0.7,
+    paco2_range: [10, 60]
+  },
+  renal: {
+    time_constant_s: 600,
+    hco3_range: [2, 45]
+  }
+};
+
+export class AcidBaseSystem {
+  constructor(eventBus, bioDatabase, clock = null) {
+    this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
+    this.bioDatabase = bioDatabase;
+    this.config = this.resolveConfig();
+
+    // state = {
+    //   hco3: mmol/L,
+    //   paco2: mmHg,
+    //   lactate_excess: mmol/L above the lactate marker's normal midpoint,
+    //   ph: float
+    // }
+    this.state = this.createNormalState();
+
+    // Lactate units produced since the last tick (absorbed on the next tick)
+    this.pendingLactate = 0;
+
+    this.eventBus.on("RECIPE_COMPLETED", (eventData) => {
+      this.handleRecipeCompleted(eventData);
+    });
+
+    this.eventBus.on("SIMULATION_TICK", (eventData) => {
+      this.handleSimulationTick(eventData);
+    });
+  }
+
+  /**
+   * BioDatabase.acid_base over the defaults (one level of nesting)
+   */
+  resolveConfig() {
+    const data = this.bioDatabase.acid_base || {};
+    return {
+      ...DEFAULT_CONFIG,
+      ...data,
+      lactate: { ...DEFAULT_CONFIG.lactate, ...data.lactate },
+      respiratory: { ...DEFAULT_CONFIG.respiratory, ...data.respiratory },
+      renal: { ...DEFAULT_CONFIG.renal, ...data.renal }
+    };
+  }
+
+  createNormalState() {
+    const { normal_hco3, normal_paco2 } = this.config;
+    return {
+      hco3: normal_hco3,
+      paco2: normal_paco2,
+      lactate_excess: 0,
+      ph: this.computePh(normal_hco3, normal_paco2)
+    };
+  }
+
+  /**
+   * Henderson–Hasselbalch
+   */
+  computePh(hco3, paco2) {
+    const { pka, co2_solubility } = this.config;
+    return pka + Math.log10(hco3 / (co2_solubility * paco2));
+  }
+
+  /**
+   * Expected PaCO2 after respiratory compensation for a given [HCO3-]
+   * acidosis: PaCO2 falls acidosis_slope mmHg per mmol/L of HCO3- lost
+   * alkalosis: PaCO2 rises alkalosis_slope mmHg per mmol/L of HCO3- gained
+   */
+  expectedPaco2(hco3) {
+    const { normal_hco3, normal_paco2, respiratory } = this.config;
+    const delta = hco3 - normal_hco3;
+    const target = delta < 0
+      ? normal_paco2 + respiratory.acidosis_slope * delta
+      : normal_paco2 + respiratory.alkalosis_slope * delta;
+    return clamp(target, respiratory.paco2_range);
+  }
+
+  /**
+   * Collect lactate from recipe waste (absorbed into blood on the next tick)
+   */
+  handleRecipeCompleted(eventData) {
+    const { waste_outputs } = eventData;
+    if (!waste_outputs) return;
+
+    waste_outputs.forEach(({ id, amount }) => {
+      if (id === this.config.lactate.resource_id) {
+        this.pendingLactate += amount;
+      }
+    });
+  }
+
+  /**
+   * Integrate one tick and publish pH + lactate
+   */
+  handleSimulationTick(eventData) {
+    const dt = (eventData.delta_time_ms || this.clock.tickDurationMs) / 1000;
+    const { normal_hco3, lactate, respiratory, renal } = this.config;
+    const state = this.state;
+
+    // 1. Lactate load: lactic acid titrates bicarbonate
+    const load = this.pendingLactate * lactate.blood_per_unit;
+    this.pendingLactate = 0;
+    state.lactate_excess += load;
+    state.hco3 -= load * lactate.bicarbonate_buffered;
+
+    // 2. Hepatic clearance regenerates the bicarbonate it consumed
+    const cleared = state.lactate_excess * relaxation(dt, lactate.clearance_time_constant_s);
+    state.lactate_excess -= cleared;
+    state.hco3 += cleared * lactate.bicarbonate_buffered;
+
+    // 3. Renal compensation: bicarbonate back toward normal
+    state.hco3 += (normal_hco3 - state.hco3) * relaxation(dt, renal.time_constant_s);
+    state.hco3 = clamp(state.hco3, renal.hco3_range);
+
+    // 4. Respiratory compensation: PaCO2 follows the expected value
+    const targetPaco2 = this.expectedPaco2(state.hco3);
+    state.paco2 += (targetPaco2 - state.paco2) * relaxation(dt, respiratory.time_constant_s);
+
+    // 5. pH
+    state.ph = this.computePh(state.hco3, state.paco2);
+
+    this.publishBiomarkers();
+  }
+
+  /**
+   * Computed values → BiomarkerSystem (thresholds / BIOMARKER_CHANGED handled there)
+   */
+  publishBiomarkers() {
+    const { ph_marker_id, lactate_marker_id } = this.config;
+
+    this.eventBus.emit("BIOMARKER_MOD_APPLIED", {
+      biomarker_id: ph_marker_id,
+      mode: "set",
+      cascaded_value: this.state.ph,
+      source_model: ACID_BASE_MODEL
+    });
+
+    if (lactate_marker_id) {
+      this.eventBus.emit("BIOMARKER_MOD_APPLIED", {
+        biomarker_id: lactate_marker_id,
+        mode: "set",
+        cascaded_value: this.getBaselineLactate() + this.state.lactate_excess,
+        source_model: ACID_BASE_MODEL
+      });
+    }
+  }
+
+  /**
+   * Resting serum lactate = midpoint of the lactate marker's normal range
+   */
+  getBaselineLactate() {
+    const marker = this.bioDatabase.biomarkers.find(
+      (bm) => bm.id === this.config.lactate_marker_id
+    );
+    if (!marker?.normal_range) return 0;
+
+    const [min, max] = marker.normal_range;
+    return (min + max) / 2;
+  }
+
+  /**
+   * Hot reload: re-resolve the config; physiological state is kept
+   * No per-instance state depends on definitions, so nothing is orphaned
+   */
+  handleDatabaseReload(diff) {
+    if (diff.settings.includes("acid_base") || diff.sections.biomarkers) {
+      this.config = this.resolveConfig();
+      this.state.ph = this.computePh(this.state.hco3, this.state.paco2);
+    }
+    return [];
+  }
+
+  /**
+   * Current acid-base values
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  serialize() {
+    return { ...this.state, pending_lactate: this.pendingLactate };
+  }
+
+  restore(data) {
+    if (!data) return;
+
+    const { pending_lactate, ...state } = data;
+    this.state = { ...this.createNormalState(), ...state };
+    this.pendingLactate = pending_lactate || 0;
+  }
+
+  reset() {
+    this.state = this.createNormalState();
+    this.pendingLactate = 0;
+  }
+
+  /**
+   * Debug: Dump acid-base state
+   */
+  dump() {
+    return {
+      hco3: this.state.hco3,
+      paco2: this.state.paco2,
+      lactate_excess: this.state.lactate_excess,
+      ph: this.state.ph,
+      expected_paco2: this.expectedPaco2(this.state.hco3),
+      pending_lactate: this.pendingLactate
+    };
+  }
+}
+
+/**
+ * Fraction of the gap closed in dt for first-order relaxation with time constant tau
+ */
+function relaxation(dt, tau) {
+  return tau > 0 ? 1 - Math.exp(-dt / tau) : 1;
+}
+
+function clamp(value, range) {
+  if (!range) return value;
+  return Math.min(range[1], Math.max(range[0], value));
+}
@@ -11,11 +11,34 @@
  * MECHANICS:
  * - Subscribe to BIOMARKER_MOD_APPLIED events from DiffusionCascadeSystem
  * - Apply mods (add/sub/mul) to current values
+ * - Biomarkers with a `model` (e.g. "ACID_BASE": BM_PH_BLOOD, BM_LACTATE) are
+ *   computed by that model (AcidBaseSystem) and only accept mode "set";
+ *   add/sub/mul mods and homeostatic decay skip them
  * - Track deviation from normal_range
  * - Emit BIOMARKER_CHANGED events when values cross thresholds
  * - Used by disease trigger system to detect conditions
+ *
+ * REGIONS (BioDatabase.regions):
+ * - Biomarkers listed in regions.biomarkers also keep one value per grid region
+ *   (cell_size × cell_size cells), stored as an offset from the systemic value;
+ *   a region not in the map sits at the systemic value
+ * - Fed by mods with scope "local" + source_cell: waste accumulating in a cell
+ *   (WASTE_ACCUMULATED → resource.environment_effects.local_biomarker_mods) and
+ *   terrain effects (EffectsSystem)
+ * - Each tick (meta.defaults.diffusion):
+ *   to_neighbors_per_tick     - exchange between adjacent regions
+ *   to_local_system_per_tick  - offsets decay (region relaxes toward systemic)
+ *   to_global_system_per_tick - offsets mix into the systemic value
+ *                               (volume-weighted: one region of 16 moves it 1/16)
+ * - Model-driven markers skip the global mix: their model already takes the
+ *   systemic load (e.g. AcidBaseSystem gets lactate from RECIPE_COMPLETED)
  */
 
+import { diffIds } from "../data/BioDatabaseDiff.js";
+
+// A region closer than this to every systemic value is dropped from the map
+const REGION_SETTLE_EPSILON = 1e-4;
+
 export class BiomarkerSystem {
   constructor(eventBus, bioDatabase) {
     this.eventBus = eventBus;
@@ -25,6 +48,11 @@ export class BiomarkerSystem {
     this.biomarkerState = {};
     this.biomarkerHistory = new Map(); // [biomarker_id] = [value, value, ...]
 
+    // regionalState[region_id "rx,ry"] = { biomarker_id: offset from the systemic value }
+    // (regional biomarkers only; a region follows systemic moves, its offset decays)
+    this.regionalState = new Map();
+    this.regionConfig = this.resolveRegionConfig();
+
     // Initialize from bioDatabase
     this.initializeBiomarkers();
 
@@ -42,6 +70,11 @@ export class BiomarkerSystem {
       this.handleResourcesProduced(eventData);
     });
 
+    // Local waste feeds regional biomarkers
+    this.eventBus.on("WASTE_ACCUMULATED", (eventData) => {
+      this.handleWasteAccumulated(eventData);
+    });
+
     // Periodic update (e.g., natural decay/recovery)
     this.eventBus.on("SIMULATION_TICK", (eventData) => {
       this.handleSimulationTick(eventData);
@@ -53,15 +86,82 @@ export class BiomarkerSystem {
    */
   initializeBiomarkers() {
     this.bioDatabase.biomarkers.forEach((bm) => {
-      if (bm.normal_range && bm.normal_range.length === 2) {
-        const [min, max] = bm.normal_range;
-        this.biomarkerState[bm.id] = (min + max) / 2;
-      } else {
-        this.biomarkerState[bm.id] = 0;
+      this.initializeBiomarker(bm);
+    });
+  }
+
+  initializeBiomarker(bm) {
+    if (bm.normal_range && bm.normal_range.length === 2) {
+      const [min, max] = bm.normal_range;
+      this.biomarkerState[bm.id] = (min + max) / 2;
+    } else {
+      this.biomarkerState[bm.id] = 0;
+    }
+
+    this.biomarkerHistory.set(bm.id, [this.biomarkerState[bm.id]]);
+  }
+
+  /**
+   * BioDatabase.regions + meta.defaults.diffusion rates
+   */
+  resolveRegionConfig() {
+    const regions = this.bioDatabase.regions || {};
+    const diffusion = this.bioDatabase.meta?.defaults?.diffusion || {};
+
+    return {
+      cell_size: regions.cell_size || 16,
+      grid_size: regions.grid_size || 64,
+      biomarkers: regions.biomarkers || [],
+      to_neighbors: diffusion.to_neighbors_per_tick || 0,
+      to_local_system: diffusion.to_local_system_per_tick || 0,
+      to_global_system: diffusion.to_global_system_per_tick || 0
+    };
+  }
+
+  /**
+   * Hot reload: seed added biomarkers, drop removed ones
+   * Live values of kept biomarkers are untouched (a new normal_range only
+   * changes threshold checks from now on)
+   * regions / diffusion changes re-resolve the region config; regional values of
+   * biomarkers that are no longer regional are dropped (the systemic value stays)
+   * Returns orphan reports for removed definitions
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+
+    if (diff.settings.includes("regions") || diff.settings.includes("meta")) {
+      this.regionConfig = this.resolveRegionConfig();
+      this.regionalState.forEach((values) => {
+        Object.keys(values).forEach((biomarkerId) => {
+          if (!this.isRegional(biomarkerId)) delete values[biomarkerId];
+        });
+      });
+      this.pruneRegions();
+    }
+
+    diffIds(diff, "biomarkers", "added").forEach((biomarkerId) => {
+      const bm = this.bioDatabase.biomarkers.find((b) => b.id === biomarkerId);
+      if (bm) {
+        this.initializeBiomarker(bm);
       }
+    });
 
-      this.biomarkerHistory.set(bm.id, [this.biomarkerState[bm.id]]);
+    diffIds(diff, "biomarkers", "removed").forEach((biomarkerId) => {
+      if (!this.biomarkerState.hasOwnProperty(biomarkerId)) return;
+
+      orphans.push({
+        system: "BiomarkerSystem",
+        section: "biomarkers",
+        entity_id: biomarkerId,
+        instance_id: biomarkerId,
+        action: `value dropped (last ${this.biomarkerState[biomarkerId]})`
+      });
+      delete this.biomarkerState[biomarkerId];
+      this.biomarkerHistory.delete(biomarkerId);
+      this.regionalState.forEach((values) => delete values[biomarkerId]);
     });
+
+    return orphans;
   }
 
   /**
@@ -73,37 +173,40 @@ export class BiomarkerSystem {
       mode,
       cascaded_value,
       source_resource,
-      source_cell
+      source_cell,
+      scope
     } = modEvent;
 
     if (!this.biomarkerState.hasOwnProperty(biomarker_id)) {
       return; // Biomarker doesn't exist
     }
 
-    const oldValue = this.biomarkerState[biomarker_id];
-    let newValue = oldValue;
-
-    switch (mode) {
-      case "add":
-        newValue = oldValue + cascaded_value;
-        break;
-      case "sub":
-        newValue = oldValue - cascaded_value;
-        break;
-      case "mul":
-        newValue = oldValue * cascaded_value;
-        break;
-      default:
-        break;
+    // Local mods on regional biomarkers stay in the source cell's region
+    // (non-regional biomarkers take them systemically, as before)
+    if (scope === "local" && source_cell && this.isRegional(biomarker_id)) {
+      this.applyRegionalModifier(
+        this.getRegionId(source_cell.x, source_cell.y),
+        biomarker_id,
+        mode,
+        cascaded_value
+      );
+      return;
     }
 
+    const biomarker = this.bioDatabase.biomarkers.find(
+      (bm) => bm.id === biomarker_id
+    );
+    if (biomarker?.model && mode !== "set") {
+      return; // Computed by its model, arbitrary mods would desync it
+    }
+
+    const oldValue = this.biomarkerState[biomarker_id];
+    const newValue = applyMode(oldValue, mode, cascaded_value);
+
     this.biomarkerState[biomarker_id] = newValue;
     this.recordHistory(biomarker_id, newValue);
 
     // Check if value crossed critical threshold
-    const biomarker = this.bioDatabase.biomarkers.find(
-      (bm) => bm.id === biomarker_id
-    );
     const crossedThreshold = this.checkThresholdCrossing(
       biomarker,
       oldValue,
@@ -199,13 +302,150 @@ export class BiomarkerSystem {
     });
   }
 
+  /**
+   * Waste in a cell → its resource's local_biomarker_mods in that cell's region
+   */
+  handleWasteAccumulated(eventData) {
+    const { cell_x, cell_y, resource_id, amount } = eventData;
+    const resource = this.bioDatabase.resources.find((r) => r.id === resource_id);
+    const mods = resource?.environment_effects?.local_biomarker_mods;
+    if (!mods) return;
+
+    mods.forEach((mod) => {
+      this.applyBiomarkerModifier({
+        biomarker_id: mod.marker_id,
+        mode: mod.mode,
+        cascaded_value: mod.value * amount,
+        source_resource: resource_id,
+        source_cell: { x: cell_x, y: cell_y },
+        scope: "local"
+      });
+    });
+  }
+
+  /**
+   * Apply a mod to one region: the mod acts on the regional value,
+   * the offset from the systemic value is what is stored
+   */
+  applyRegionalModifier(regionId, biomarkerId, mode, value) {
+    const systemic = this.biomarkerState[biomarkerId];
+    const offsets = this.ensureRegion(regionId);
+    const current = systemic + (offsets[biomarkerId] || 0);
+    offsets[biomarkerId] = applyMode(current, mode, value) - systemic;
+  }
+
+  ensureRegion(regionId) {
+    if (!this.regionalState.has(regionId)) {
+      this.regionalState.set(regionId, {});
+    }
+    return this.regionalState.get(regionId);
+  }
+
+  isRegional(biomarkerId) {
+    return this.regionConfig.biomarkers.includes(biomarkerId);
+  }
+
+  /**
+   * Grid cell → region id "rx,ry"
+   */
+  getRegionId(x, y) {
+    const { cell_size } = this.regionConfig;
+    return `${Math.floor(x / cell_size)},${Math.floor(y / cell_size)}`;
+  }
+
+  /**
+   * Regions per side of the simulation grid
+   */
+  getRegionsPerSide() {
+    const { cell_size, grid_size } = this.regionConfig;
+    return Math.max(1, Math.ceil(grid_size / cell_size));
+  }
+
+  /**
+   * Regional exchange for one tick (see REGIONS in the header)
+   */
+  mixRegions() {
+    if (this.regionalState.size === 0) return;
+
+    const { biomarkers, to_neighbors, to_local_system, to_global_system } = this.regionConfig;
+    const perSide = this.getRegionsPerSide();
+    const regionCount = perSide * perSide;
+
+    biomarkers.forEach((biomarkerId) => {
+      const systemic = this.biomarkerState[biomarkerId];
+      if (systemic === undefined) return;
+
+      // 1. Neighbors: flux from a snapshot of offsets (absent regions = 0)
+      const snapshot = new Map();
+      this.regionalState.forEach((offsets, regionId) => {
+        snapshot.set(regionId, offsets[biomarkerId] || 0);
+      });
+
+      const fluxes = new Map(); // region_id -> delta
+      snapshot.forEach((offset, regionId) => {
+        const [rx, ry] = regionId.split(",").map(Number);
+        const neighbors = [[rx + 1, ry], [rx - 1, ry], [rx, ry + 1], [rx, ry - 1]].filter(
+          ([nx, ny]) => nx >= 0 && ny >= 0 && nx < perSide && ny < perSide
+        );
+
+        neighbors.forEach(([nx, ny]) => {
+          const neighborId = `${nx},${ny}`;
+          const flux = ((offset - (snapshot.get(neighborId) || 0)) * to_neighbors) / 4;
+          if (flux === 0) return;
+
+          fluxes.set(regionId, (fluxes.get(regionId) || 0) - flux);
+          // Pairs of present regions are visited from both sides
+          if (!snapshot.has(neighborId)) {
+            fluxes.set(neighborId, (fluxes.get(neighborId) || 0) + flux);
+          }
+        });
+      });
+
+      fluxes.forEach((delta, regionId) => {
+        const offsets = this.ensureRegion(regionId);
+        offsets[biomarkerId] = (offsets[biomarkerId] || 0) + delta;
+      });
+
+      // 2. Local homeostasis toward the systemic value, 3. global mix
+      let offsetSum = 0;
+      this.regionalState.forEach((offsets) => {
+        const offset = offsets[biomarkerId] || 0;
+        offsets[biomarkerId] = offset * (1 - to_local_system);
+        offsetSum += offset;
+      });
+
+      const biomarker = this.bioDatabase.biomarkers.find((bm) => bm.id === biomarkerId);
+      if (!biomarker?.model && offsetSum !== 0) {
+        const newValue = systemic + (offsetSum * to_global_system) / regionCount;
+        this.biomarkerState[biomarkerId] = newValue;
+        this.recordHistory(biomarkerId, newValue);
+      }
+    });
+
+    this.pruneRegions();
+  }
+
+  /**
+   * Forget regions that are back at the systemic values
+   */
+  pruneRegions() {
+    this.regionalState.forEach((offsets, regionId) => {
+      const settled = Object.values(offsets).every(
+        (offset) => Math.abs(offset) < REGION_SETTLE_EPSILON
+      );
+      if (settled) {
+        this.regionalState.delete(regionId);
+      }
+    });
+  }
+
   /**
    * Each simulation tick, apply natural recovery/decay
    */
   handleSimulationTick(eventData) {
     // Natural decay towards normal range (homeostasis)
     this.bioDatabase.biomarkers.forEach((bm) => {
-      if (!bm.normal_range) return;
+      if (!bm.normal_range || bm.model) return; // Models handle their own recovery
 
       const [min, max] = bm.normal_range;
       const target = (min + max) / 2;
@@ -219,6 +459,8 @@ export class BiomarkerSystem {
       this.biomarkerState[bm.id] = newValue;
       this.recordHistory(bm.id, newValue);
     });
+
+    this.mixRegions();
   }
 
   /**
@@ -289,6 +531,63 @@ export class BiomarkerSystem {
     return { ...this.biomarkerState };
   }
 
+  /**
+   * Values seen in one region: systemic + the region's offsets
+   */
+  getRegionalValues(regionId) {
+    const values = { ...this.biomarkerState };
+    Object.entries(this.regionalState.get(regionId) || {}).forEach(([biomarkerId, offset]) => {
+      values[biomarkerId] += offset;
+    });
+    return values;
+  }
+
+  /**
+   * Ids of regions that currently deviate from the systemic values
+   */
+  getRegionIds() {
+    return Array.from(this.regionalState.keys());
+  }
+
+  /**
+   * Regional values of the regional biomarkers: { region_id: { biomarker_id: value } }
+   */
+  getRegions() {
+    const result = {};
+    this.regionalState.forEach((offsets, regionId) => {
+      result[regionId] = {};
+      Object.entries(offsets).forEach(([biomarkerId, offset]) => {
+        result[regionId][biomarkerId] = this.biomarkerState[biomarkerId] + offset;
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Offsets from the systemic values, for saves: { region_id: { biomarker_id: offset } }
+   */
+  serializeRegions() {
+    const result = {};
+    this.regionalState.forEach((offsets, regionId) => {
+      result[regionId] = { ...offsets };
+    });
+    return result;
+  }
+
+  /**
+   * Replace regional offsets (save restore); non-regional biomarkers are skipped
+   */
+  restoreRegions(regions) {
+    this.regionalState.clear();
+    Object.entries(regions || {}).forEach(([regionId, offsets]) => {
+      const region = this.ensureRegion(regionId);
+      Object.entries(offsets).forEach(([biomarkerId, offset]) => {
+        if (this.isRegional(biomarkerId)) region[biomarkerId] = offset;
+      });
+    });
+    this.pruneRegions();
+  }
+
   /**
    * Get biomarker trend (average over last N samples)
    */
@@ -339,6 +638,27 @@ export class BiomarkerSystem {
         trend: this.getTrend(bm.id)
       };
     });
+    if (this.regionalState.size > 0) {
+      result.regions = this.getRegions();
+    }
     return result;
   }
 }
+
+/**
+ * New value after applying a mod (add / sub / mul / set)
+ */
+function applyMode(value, mode, amount) {
+  switch (mode) {
+    case "add":
+      return value + amount;
+    case "sub":
+      return value - amount;
+    case "mul":
+      return value * amount;
+    case "set":
+      return amount;
+    default:
+      return value;
+  }
+}
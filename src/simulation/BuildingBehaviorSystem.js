@@ -14,8 +14,18 @@
  * - Each building type has its own tick handler
  * - Buildings subscribe to SIMULATION_TICK and execute their behavior
  * - Buildings emit BUILDING_OUTPUT, BUILDING_STORAGE_CHANGE, etc events
+ * - BUILDING_DAMAGE (one building_id, or every building with one of `tags`)
+ *   takes hp (buildings[].hp, default meta.defaults.building.hp_base);
+ *   BUILDING_DAMAGED per hit, BUILDING_DESTROYED at 0 hp
+ * - Buildings fed by a pressurised vessel network (NETWORK_SOLVED consumers,
+ *   PressureSystem) build up an input budget at the delivered flow (units/s,
+ *   capped at their largest recipe's inputs); a recipe only starts once the
+ *   budget covers its inputs. Buildings off the network are not limited
+ * - Hot reload re-resolves definitions; storage and recipe progress survive
  */
 
+import { diffIds } from "../data/BioDatabaseDiff.js";
+
 export class BuildingBehaviorSystem {
   constructor(eventBus, bioDatabase, resourceManager) {
     this.eventBus = eventBus;
@@ -28,10 +38,17 @@ export class BuildingBehaviorSystem {
     //   tags: ["GENERATOR", "SYSTEM_STRUCTURE", ...],
     //   storage: {}, // { resource_id: amount }
     //   storage_capacity: number,
-    //   recipes_executing: [recipe_id, ...]
+    //   hp, max_hp,
+    //   recipes_executing: [recipe_id, ...],
+    //   input_budget: number,   // input units the vessels have delivered (network-fed only)
+    //   tags_from_event: bool,  // tags given on placement (not re-resolved on reload)
+    //   orphaned: bool          // definition removed by a reload: frozen, state kept
     // }
     this.buildingState = new Map();
 
+    // deliveredFlow[building_id] = input units/s from the vessel network (last NETWORK_SOLVED)
+    this.deliveredFlow = new Map();
+
     // Subscribe to building placement
     this.eventBus.on("BUILDING_PLACED", (eventData) => {
       this.registerBuilding(eventData);
@@ -48,6 +65,14 @@ export class BuildingBehaviorSystem {
     this.eventBus.on("BUILDING_STORAGE_REMOVE", (eventData) => {
       this.handleStorageRemove(eventData);
     });
+
+    this.eventBus.on("BUILDING_DAMAGE", (eventData) => {
+      this.handleBuildingDamage(eventData);
+    });
+
+    this.eventBus.on("NETWORK_SOLVED", (eventData) => {
+      this.deliveredFlow = new Map(Object.entries(eventData.consumers || {}));
+    });
   }
 
   /**
@@ -69,10 +94,14 @@ export class BuildingBehaviorSystem {
       type: building_type,
       position,
       tags: tags || buildingDef.tags || [],
+      tags_from_event: Boolean(tags),
       storage: {},
       storage_capacity: buildingDef.storage_capacity || 0,
+      hp: this.getMaxHp(buildingDef),
+      max_hp: this.getMaxHp(buildingDef),
       current_recipe: null,
-      recipe_progress: 0
+      recipe_progress: 0,
+      input_budget: 0
     };
 
     this.buildingState.set(building_id, state);
@@ -89,6 +118,10 @@ export class BuildingBehaviorSystem {
    */
   handleSimulationTick(eventData) {
     this.buildingState.forEach((state, buildingId) => {
+      if (state.orphaned) {
+        return; // No definition since last reload
+      }
+
       const handlerName = `handle_${state.tags[0]}`; // Use first tag as primary type
 
       switch (state.tags[0]) {
@@ -129,6 +162,9 @@ export class BuildingBehaviorSystem {
       return;
     }
 
+    const deltaTime = (eventData.delta_time_ms || 1000) / 1000; // Seconds of simulated time per tick
+    this.accumulateInputBudget(buildingId, state, buildingDef, deltaTime);
+
     // No recipe executing: try to start one
     if (!state.current_recipe) {
       // Select recipe based on priority
@@ -142,6 +178,9 @@ export class BuildingBehaviorSystem {
       if (availableRecipes.length > 0) {
         state.current_recipe = availableRecipes[0].id;
         state.recipe_progress = 0;
+        if (this.deliveredFlow.has(buildingId)) {
+          state.input_budget -= this.getRecipeInputTotal(availableRecipes[0]);
+        }
 
         this.eventBus.emit("RECIPE_STARTED", {
           building_id: buildingId,
@@ -160,7 +199,6 @@ export class BuildingBehaviorSystem {
       return;
     }
 
-    const deltaTime = 1; // 1 second per tick
     state.recipe_progress += deltaTime;
 
     if (state.recipe_progress >= recipe.time_seconds) {
@@ -175,6 +213,11 @@ export class BuildingBehaviorSystem {
    * Check if recipe can execute (inputs available, not already full)
    */
   canExecuteRecipe(buildingId, state, recipe) {
+    // Network-fed: the vessels must have delivered enough
+    if (this.deliveredFlow.has(buildingId) && (state.input_budget || 0) < this.getRecipeInputTotal(recipe)) {
+      return false;
+    }
+
     // Check inputs
     for (const input of recipe.inputs) {
       const stored = state.storage[input.id] || 0;
@@ -195,6 +238,28 @@ export class BuildingBehaviorSystem {
     return true;
   }
 
+  /**
+   * Input units one run of a recipe draws
+   */
+  getRecipeInputTotal(recipe) {
+    return recipe.inputs.reduce((sum, input) => sum + input.amount, 0);
+  }
+
+  /**
+   * Network-fed generator: add delivered flow × dt to the input budget, up to
+   * what its largest recipe needs (vessels don't stockpile for an idle cell)
+   */
+  accumulateInputBudget(buildingId, state, buildingDef, deltaTime) {
+    const flow = this.deliveredFlow.get(buildingId);
+    if (flow === undefined) return;
+
+    const cap = Math.max(0, ...buildingDef.supported_recipes.map((recipeId) => {
+      const recipe = this.bioDatabase.recipes.find((r) => r.id === recipeId);
+      return recipe ? this.getRecipeInputTotal(recipe) : 0;
+    }));
+    state.input_budget = Math.min(cap, (state.input_budget || 0) + flow * deltaTime);
+  }
+
   /**
    * Complete a recipe: consume inputs, produce outputs, emit waste
    */
@@ -383,6 +448,113 @@ export class BuildingBehaviorSystem {
     });
   }
 
+  /**
+   * Damage buildings: { building_id } or { tags } (null = every building), amount, source
+   */
+  handleBuildingDamage(eventData) {
+    const { building_id, tags, amount, source } = eventData;
+    if (!(amount > 0)) return;
+
+    const targets = building_id
+      ? [building_id]
+      : Array.from(this.buildingState.keys()).filter((id) => {
+          const state = this.buildingState.get(id);
+          return !tags || state.tags.some((tag) => tags.includes(tag));
+        });
+
+    targets.forEach((id) => {
+      const state = this.buildingState.get(id);
+      if (!state || state.orphaned) return;
+
+      state.hp = Math.max(0, state.hp - amount);
+      this.eventBus.emit("BUILDING_DAMAGED", {
+        building_id: id,
+        building_type: state.type,
+        position: state.position,
+        amount,
+        hp: state.hp,
+        max_hp: state.max_hp,
+        source
+      });
+
+      if (state.hp > 0) return;
+
+      this.buildingState.delete(id);
+      this.eventBus.emit("BUILDING_DESTROYED", {
+        building_id: id,
+        building_type: state.type,
+        position: state.position,
+        cause: source
+      });
+    });
+  }
+
+  getMaxHp(buildingDef) {
+    return buildingDef.hp || this.bioDatabase.meta?.defaults?.building?.hp_base || 100;
+  }
+
+  /**
+   * Hot reload: re-resolve cached definition fields of every live building
+   * - storage, recipe progress and position are kept
+   * - removed building type → building frozen (orphaned), reported
+   * - current recipe removed / no longer supported → recipe cancelled, reported
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+    const removedTypes = diffIds(diff, "buildings", "removed");
+    const removedRecipes = diffIds(diff, "recipes", "removed");
+
+    this.buildingState.forEach((state, buildingId) => {
+      const buildingDef = this.bioDatabase.buildings.find(
+        (b) => b.id === state.type
+      );
+
+      if (!buildingDef) {
+        if (!state.orphaned && removedTypes.includes(state.type)) {
+          orphans.push({
+            system: "BuildingBehaviorSystem",
+            section: "buildings",
+            entity_id: state.type,
+            instance_id: buildingId,
+            action: "building frozen (storage kept)"
+          });
+        }
+        state.orphaned = true;
+        state.current_recipe = null;
+        state.recipe_progress = 0;
+        return;
+      }
+
+      // Definition is back (re-added) or changed: refresh cached fields
+      state.orphaned = false;
+      state.storage_capacity = buildingDef.storage_capacity || 0;
+      state.max_hp = this.getMaxHp(buildingDef);
+      state.hp = Math.min(state.hp ?? state.max_hp, state.max_hp);
+      if (!state.tags_from_event) {
+        state.tags = buildingDef.tags || [];
+      }
+
+      const recipeId = state.current_recipe;
+      if (
+        recipeId &&
+        (removedRecipes.includes(recipeId) ||
+          !(buildingDef.supported_recipes || []).includes(recipeId))
+      ) {
+        state.current_recipe = null;
+        state.recipe_progress = 0;
+        orphans.push({
+          system: "BuildingBehaviorSystem",
+          section: "recipes",
+          entity_id: recipeId,
+          instance_id: buildingId,
+          action: "running recipe cancelled"
+        });
+      }
+    });
+
+    return orphans;
+  }
+
   /**
    * Get neighbor cells within radius
    */
@@ -431,8 +603,15 @@ export class BuildingBehaviorSystem {
         position: state.position,
         current_recipe: state.current_recipe,
         recipe_progress: state.recipe_progress,
+        ...(this.deliveredFlow.has(buildingId) && {
+          delivered_flow: this.deliveredFlow.get(buildingId),
+          input_budget: state.input_budget
+        }),
         storage: state.storage,
-        tags: state.tags
+        tags: state.tags,
+        hp: state.hp,
+        max_hp: state.max_hp,
+        orphaned: Boolean(state.orphaned)
       };
     });
     return result;
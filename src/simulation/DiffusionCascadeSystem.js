@@ -12,13 +12,17 @@
  * - Support local effects (spread to neighbors) for future expansion
  */
 
+import { SimulationClock } from "./SimulationClock.js";
+
 export class DiffusionCascadeSystem {
-  constructor(eventBus, bioDatabase) {
+  constructor(eventBus, bioDatabase, clock = null) {
     this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
     this.bioDatabase = bioDatabase;
 
     // Track active cascades for debugging
     this.activeCascades = new Map();
+    this.cascadeSequence = 0;
 
     // Subscribe to spillage events
     this.eventBus.on("SPILLAGE_OCCURRED", (eventData) => {
@@ -38,7 +42,9 @@ export class DiffusionCascadeSystem {
     const { cell_x, cell_y, spilled_resources, affected_neighbors } = spillageEvent;
 
     // Create cascade record
-    const cascadeId = `${cell_x},${cell_y},${Date.now()}`;
+    // Simulated time repeats within a tick, so a sequence keeps ids unique
+    this.cascadeSequence++;
+    const cascadeId = `${cell_x},${cell_y},${this.clock.now()},${this.cascadeSequence}`;
     this.activeCascades.set(cascadeId, spillageEvent);
 
     // For each spilled resource, apply environment_effects
@@ -172,7 +178,7 @@ export class DiffusionCascadeSystem {
    * Get active cascades for a specific region or time window
    */
   getActiveCascadesInRegion(x, y, radius = 3, timeWindow = 60000) {
-    const now = Date.now();
+    const now = this.clock.now();
     const result = [];
 
     this.activeCascades.forEach((cascade, cascadeId) => {
@@ -195,7 +201,7 @@ export class DiffusionCascadeSystem {
    * Cleanup cascades older than threshold
    */
   cleanup(maxAgeMs = 300000) {
-    const now = Date.now();
+    const now = this.clock.now();
     const toDelete = [];
 
     this.activeCascades.forEach((cascade, cascadeId) => {
@@ -1,30 +1,70 @@
 /**
  * DiseaseSystem.js - Evaluates and manages diseases triggered by biomarker conditions
  * 
- * Diseases now trigger via biomarker operators:
+ * Diseases trigger via biomarker expressions (TriggerEvaluator):
  * - E.g., "DIS_LACTIC_ACIDOSIS" triggers when BM_LACTATE >= 4.0 AND BM_PH_BLOOD <= 7.35
- * - Operators: >=, <=, ==, !=, >, <
+ *   and remits only once past its remit_value thresholds (no flapping)
+ * - all / any / not, for_ticks durations, rate-of-change leaves
+ * - Scope: leaf scope "systemic" (default) reads the body-wide value;
+ *   "regional" reads per-region values (BiomarkerSystem regions). The whole
+ *   expression is evaluated per region, so all regional leaves must hold in the
+ *   SAME region - a local infarct zone can trigger without the whole body being acidotic
+ * - Severity tiers come from diseases[].severity_tiers (SeverityTiers): tier
+ *   enter expressions and progress_after_s move the disease up or down one tier
+ * - Interactions (diseases[].interactions, resolved every tick against the
+ *   diseases active right now) - each rule sits on the disease it affects:
+ *   { type: "PROGRESSION_RATE", disease_id, factor } - tier time runs ×factor while disease_id is active
+ *   { type: "SUPPRESSED_BY", disease_id }  - cannot be active while disease_id is
+ *   { type: "REQUIRES", disease_id }       - can only be active while disease_id is
+ *   Active PROGRESSION_RATE / REQUIRES sources are the disease's causes: payloads
+ *   carry caused_by and causal_chain (root cause → ... → this disease)
+ * - Antimicrobial resistance (disease_types[].resistance, a disease's own
+ *   resistance overrides it): { drug_tags, gain_per_s, max }. Every active
+ *   disease keeps a resistance fraction per drug tag; DRUG_SUBTHERAPEUTIC_EXPOSURE
+ *   (DrugProfileSystem, a matching drug below its therapeutic window) raises it
+ *   by gain_per_s × selection_pressure per simulated second, up to max.
+ *   DrugProfileSystem scales that tag's drug_profile weight by (1 - resistance);
+ *   DISEASE_RESISTANCE_CHANGED at every 10% step. Resistance is per infection:
+ *   it is gone once the disease remits
  * 
  * MECHANICS:
  * - Track active diseases (onset time, severity tier)
  * - Evaluate triggers each SIMULATION_TICK
- * - Emit DISEASE_TRIGGERED, DISEASE_PROGRESSED, DISEASE_REMISSION events
- * - Apply disease effects (biomarker_mods, visual effects)
- * - Diseases modulate system behavior through ModifierSystem
+ * - Emit DISEASE_TRIGGERED, DISEASE_PROGRESSED, DISEASE_REGRESSED, DISEASE_REMITTED events
+ * - restore(): active diseases from a save (tier, timing, resistance), tier re-applied
+ * - DISEASE_MODIFIER_APPLY / DISEASE_MODIFIER_REMOVE on every tier change:
+ *   PathologySystem applies the tier (modifiers, biomarker_mods, effects, symptoms)
  */
 
+import { SimulationClock } from "./SimulationClock.js";
+import { diffIds } from "../data/BioDatabaseDiff.js";
+import { TriggerEvaluator, normalizeTrigger, collectLeaves } from "./TriggerEvaluator.js";
+import { getMaxTier, getSeverityTier, stepSeverityTier } from "./SeverityTiers.js";
+
+// DISEASE_RESISTANCE_CHANGED fires each time resistance crosses a multiple of this
+const RESISTANCE_REPORT_STEP = 0.1;
+
 export class DiseaseSystem {
-  constructor(eventBus, biomarkerSystem, bioDatabase) {
+  constructor(eventBus, biomarkerSystem, bioDatabase, clock = null) {
     this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
     this.biomarkerSystem = biomarkerSystem;
     this.bioDatabase = bioDatabase;
 
-    // activeDiseases[disease_id] = { onset_time, severity_tier, effect_ids }
+    // activeDiseases[disease_id] = {
+    //   onset_time, current_tier, last_progression (tier entered at),
+    //   tier_elapsed_ms (progression time at this tier, × PROGRESSION_RATE),
+    //   active_effects, region_ids, caused_by,
+    //   resistance: { [drug_tag]: 0-1 }
+    // }
     this.activeDiseases = new Map();
 
     // diseaseHistory[disease_id] = [{ timestamp, event }, ...]
     this.diseaseHistory = new Map();
 
+    // Durations / rate samples per disease (and region)
+    this.triggerEvaluator = new TriggerEvaluator();
+
     // Subscribe to simulation ticks
     this.eventBus.on("SIMULATION_TICK", (eventData) => {
       this.evaluateDiseaseTriggers();
@@ -34,113 +74,221 @@ export class DiseaseSystem {
     this.eventBus.on("BIOMARKER_THRESHOLD_CROSSED", (eventData) => {
       this.handleBiomarkerThresholdCrossed(eventData);
     });
+
+    // Under-dosed drugs select resistant strains
+    this.eventBus.on("DRUG_SUBTHERAPEUTIC_EXPOSURE", (eventData) => {
+      this.handleSubtherapeuticExposure(eventData);
+    });
   }
 
   /**
    * Evaluate all diseases each tick to detect onset/progression/remission
    */
   evaluateDiseaseTriggers() {
-    const biomarkersNow = this.biomarkerSystem.getAll();
-
     // Check each disease for trigger conditions
     this.bioDatabase.diseases.forEach((disease) => {
-      if (!disease.triggers || disease.triggers.length === 0) {
+      if (!normalizeTrigger(disease)) {
         return; // No triggers defined
       }
 
-      // Evaluate ALL trigger conditions (AND logic)
-      const allTriggersTrue = disease.triggers.every((trigger) =>
-        this.evaluateTrigger(trigger, biomarkersNow)
-      );
+      const { met: allTriggersTrue, region_ids } = this.evaluateDiseaseConditions(disease);
+      const interactions = this.resolveInteractions(disease);
 
       const isActive = this.activeDiseases.has(disease.id);
 
-      if (allTriggersTrue && !isActive) {
+      if (allTriggersTrue && !isActive && !interactions.blocked_by) {
         // Disease onset
-        this.onsetDisease(disease);
+        this.onsetDisease(disease, region_ids, interactions.caused_by);
+      } else if (isActive && interactions.blocked_by) {
+        // Suppressed / requirement lost
+        this.remitDisease(disease.id, interactions.blocked_by);
       } else if (!allTriggersTrue && isActive) {
         // Disease remission
         this.remitDisease(disease.id);
       } else if (allTriggersTrue && isActive) {
-        // Disease progression check
-        this.checkProgression(disease);
+        // Affected regions may move or grow while active
+        const active = this.activeDiseases.get(disease.id);
+        if ((active.region_ids || []).join(";") !== region_ids.join(";")) {
+          active.region_ids = region_ids;
+          this.eventBus.emit("DISEASE_REGIONS_CHANGED", {
+            disease_id: disease.id,
+            region_ids
+          });
+        }
+
+        // Progression time runs × PROGRESSION_RATE, then tier up / down
+        active.caused_by = interactions.caused_by;
+        active.tier_elapsed_ms += this.clock.tickDurationMs * interactions.progression_rate;
+        this.updateSeverityTier(disease, interactions);
       }
     });
   }
 
   /**
-   * Evaluate a single trigger condition
-   * trigger = { marker_id, op, value }
+   * Interaction rules of a disease against the currently active diseases
+   * Returns {
+   *   blocked_by: { reason: "suppressed" | "requirement_lost", disease_id } | null,
+   *   progression_rate: product of active PROGRESSION_RATE factors,
+   *   caused_by: [disease_id] - active PROGRESSION_RATE / REQUIRES sources
+   * }
+   */
+  resolveInteractions(disease) {
+    const result = { blocked_by: null, progression_rate: 1, caused_by: [] };
+
+    (disease.interactions || []).forEach((rule) => {
+      const sourceActive = this.activeDiseases.has(rule.disease_id);
+
+      switch (rule.type) {
+        case "PROGRESSION_RATE":
+          if (sourceActive) {
+            result.progression_rate *= rule.factor;
+            result.caused_by.push(rule.disease_id);
+          }
+          break;
+        case "SUPPRESSED_BY":
+          if (sourceActive && !result.blocked_by) {
+            result.blocked_by = { reason: "suppressed", disease_id: rule.disease_id };
+          }
+          break;
+        case "REQUIRES":
+          if (sourceActive) {
+            result.caused_by.push(rule.disease_id);
+          } else if (!result.blocked_by) {
+            result.blocked_by = { reason: "requirement_lost", disease_id: rule.disease_id };
+          }
+          break;
+        default:
+          break; // Unknown rule types are reported by the validator
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Causal chain ending at a disease: [root cause, ..., disease_id]
+   * Follows the first active cause at each step (stops at cycles)
+   */
+  getCausalChain(diseaseId, causedBy = this.activeDiseases.get(diseaseId)?.caused_by || []) {
+    const chain = [diseaseId];
+    let causes = causedBy;
+
+    while (causes.length > 0 && !chain.includes(causes[0])) {
+      chain.unshift(causes[0]);
+      causes = this.activeDiseases.get(causes[0])?.caused_by || [];
+    }
+    return chain;
+  }
+
+  /**
+   * Evaluate the trigger expression of a disease
+   * Returns { met, region_ids } - region_ids lists the regions where the
+   * expression holds (empty for purely systemic diseases)
+   * While active, leaves use their remit_value thresholds
    */
-  evaluateTrigger(trigger, biomarkerValues) {
-    const { marker_id, op, value } = trigger;
-    const currentValue = biomarkerValues[marker_id];
+  evaluateDiseaseConditions(disease) {
+    const active = this.activeDiseases.get(disease.id);
+    return this.evaluateExpression(normalizeTrigger(disease), disease.id, (regionId) =>
+      Boolean(regionId === null ? active : active?.region_ids?.includes(regionId))
+    );
+  }
 
-    if (currentValue === undefined || currentValue === null) {
-      return false; // Biomarker doesn't exist
+  /**
+   * Evaluate one expression against biomarkers
+   * key: evaluator state key; isActive(region_id | null) → use remit_value thresholds
+   * Expressions with regional leaves are evaluated per region
+   */
+  evaluateExpression(expression, key, isActive) {
+    if (!expression) {
+      return { met: false, region_ids: [] };
     }
 
-    switch (op) {
-      case ">=":
-        return currentValue >= value;
-      case "<=":
-        return currentValue <= value;
-      case ">":
-        return currentValue > value;
-      case "<":
-        return currentValue < value;
-      case "==":
-        return Math.abs(currentValue - value) < 0.001; // Float equality
-      case "!=":
-        return Math.abs(currentValue - value) >= 0.001;
-      default:
-        return false;
+    const biomarkersNow = this.biomarkerSystem.getAll();
+    const baseContext = {
+      tick: this.clock.getTickNumber(),
+      time_ms: this.clock.now()
+    };
+
+    if (!collectLeaves(expression).some((leaf) => leaf.scope === "regional")) {
+      const met = this.triggerEvaluator.evaluate(expression, {
+        ...baseContext,
+        key,
+        active: isActive(null),
+        getValue: (leaf) => biomarkersNow[leaf.marker_id]
+      });
+      return { met, region_ids: [] };
     }
+
+    const regionIds = this.biomarkerSystem.getRegionIds().filter((regionId) => {
+      const regionalValues = this.biomarkerSystem.getRegionalValues(regionId);
+      return this.triggerEvaluator.evaluate(expression, {
+        ...baseContext,
+        key: `${key}@${regionId}`,
+        active: isActive(regionId),
+        getValue: (leaf) =>
+          (leaf.scope === "regional" ? regionalValues : biomarkersNow)[leaf.marker_id]
+      });
+    });
+
+    return { met: regionIds.length > 0, region_ids: regionIds.sort() };
   }
 
   /**
    * Onset: Disease triggers and enters tier 1
    */
-  onsetDisease(disease) {
+  onsetDisease(disease, regionIds = [], causedBy = []) {
     const diseaseId = disease.id;
-    const onsetTime = Date.now();
+    const onsetTime = this.clock.now();
 
     this.activeDiseases.set(diseaseId, {
       onset_time: onsetTime,
       current_tier: 1,
       last_progression: onsetTime,
-      active_effects: disease.effects || []
+      tier_elapsed_ms: 0,
+      active_effects: disease.effects || [],
+      region_ids: regionIds,
+      caused_by: causedBy,
+      resistance: Object.fromEntries(
+        (this.getResistanceConfig(disease)?.drug_tags || []).map((tag) => [tag, 0])
+      )
     });
 
     this.recordToHistory(diseaseId, "onset");
 
-    // Emit onset event
+    // Emit onset event (region_ids empty = systemic)
     this.eventBus.emit("DISEASE_TRIGGERED", {
       disease_id: diseaseId,
       disease_name: disease.name,
       onset_time: onsetTime,
-      initial_severity_tier: 1
+      initial_severity_tier: 1,
+      region_ids: regionIds,
+      caused_by: causedBy,
+      causal_chain: this.getCausalChain(diseaseId)
     });
 
     // Apply tier 1 effects
-    this.applyDiseaseEffects(disease, 1);
+    this.applyDiseaseEffects(disease, 1, regionIds);
   }
 
   /**
-   * Remission: Disease triggers remit
+   * Remission: Disease triggers remit, or an interaction ends it
+   * blockedBy = { reason, disease_id } (see resolveInteractions)
    */
-  remitDisease(diseaseId) {
+  remitDisease(diseaseId, blockedBy = null) {
     const disease = this.bioDatabase.diseases.find((d) => d.id === diseaseId);
     if (!disease) return;
 
-    const remissionTime = Date.now();
+    const remissionTime = this.clock.now();
+    const resistance = this.activeDiseases.get(diseaseId)?.resistance || {};
     this.activeDiseases.delete(diseaseId);
-    this.recordToHistory(diseaseId, "remission");
+    this.recordToHistory(diseaseId, blockedBy ? `remission_${blockedBy.reason}` : "remission");
 
     this.eventBus.emit("DISEASE_REMITTED", {
       disease_id: diseaseId,
       disease_name: disease.name,
-      remission_time: remissionTime
+      remission_time: remissionTime,
+      resistance,
+      ...(blockedBy && { reason: blockedBy.reason, caused_by: [blockedBy.disease_id] })
     });
 
     // Remove effects
@@ -148,39 +296,50 @@ export class DiseaseSystem {
   }
 
   /**
-   * Progression: Disease advances to next severity tier
-   * Triggers after 30 seconds at current tier
+   * Progression / regression: one tier per tick, rules from severity_tiers
+   * (tier enter expressions are keyed "<disease_id>/tier<N>")
    */
-  checkProgression(disease) {
+  updateSeverityTier(disease, interactions) {
     const active = this.activeDiseases.get(disease.id);
     if (!active) return;
 
-    const timeSinceLastProgression = Date.now() - active.last_progression;
-    const progressionInterval = 30000; // 30 seconds per tier
-
-    if (timeSinceLastProgression > progressionInterval) {
-      const nextTier = active.current_tier + 1;
-      const maxTier = disease.severity_tiers
-        ? disease.severity_tiers.length
-        : 1;
-
-      if (nextTier <= maxTier) {
-        active.current_tier = nextTier;
-        active.last_progression = Date.now();
-
-        this.recordToHistory(disease.id, `progression_tier_${nextTier}`);
-
-        this.eventBus.emit("DISEASE_PROGRESSED", {
-          disease_id: disease.id,
-          disease_name: disease.name,
-          new_severity_tier: nextTier,
-          progression_time: active.last_progression
-        });
+    const previousTier = active.current_tier;
+    const nextTier = stepSeverityTier(
+      disease,
+      { tier: previousTier, elapsed_ms: active.tier_elapsed_ms },
+      (expression, tierNumber) =>
+        this.evaluateExpression(
+          expression,
+          `${disease.id}/tier${tierNumber}`,
+          () => active.current_tier >= tierNumber
+        ).met
+    );
+    if (nextTier === previousTier) return;
+
+    active.current_tier = nextTier;
+    active.last_progression = this.clock.now();
+    active.tier_elapsed_ms = 0;
+
+    const progressed = nextTier > previousTier;
+    this.recordToHistory(
+      disease.id,
+      `${progressed ? "progression" : "regression"}_tier_${nextTier}`
+    );
+
+    this.eventBus.emit(progressed ? "DISEASE_PROGRESSED" : "DISEASE_REGRESSED", {
+      disease_id: disease.id,
+      disease_name: disease.name,
+      previous_severity_tier: previousTier,
+      new_severity_tier: nextTier,
+      tier_name: getSeverityTier(disease, nextTier)?.name || null,
+      progression_time: active.last_progression,
+      progression_rate: interactions.progression_rate,
+      caused_by: active.caused_by,
+      causal_chain: this.getCausalChain(disease.id)
+    });
 
-        // Apply tier effects
-        this.applyDiseaseEffects(disease, nextTier);
-      }
-    }
+    // Apply tier effects
+    this.applyDiseaseEffects(disease, nextTier, active.region_ids);
   }
 
   /**
@@ -191,47 +350,107 @@ export class DiseaseSystem {
 
     // Scan diseases for any that reference this biomarker
     this.bioDatabase.diseases.forEach((disease) => {
-      if (!disease.triggers) return;
-
-      const relevantTrigger = disease.triggers.find(
-        (t) => t.marker_id === biomarker_id
+      const relevantTrigger = collectLeaves(normalizeTrigger(disease)).find(
+        (leaf) => leaf.marker_id === biomarker_id
       );
       if (!relevantTrigger) return;
 
       // Immediate re-evaluation of this disease
-      const biomarkersNow = this.biomarkerSystem.getAll();
-      const triggersTrue = disease.triggers.every((t) =>
-        this.evaluateTrigger(t, biomarkersNow)
-      );
+      const { met: triggersTrue, region_ids } = this.evaluateDiseaseConditions(disease);
+      const interactions = this.resolveInteractions(disease);
 
-      if (triggersTrue) {
+      if (triggersTrue && !interactions.blocked_by) {
         // Fast track: disease should be active
         if (!this.activeDiseases.has(disease.id)) {
-          this.onsetDisease(disease);
+          this.onsetDisease(disease, region_ids, interactions.caused_by);
         }
       }
     });
   }
 
+  /**
+   * Resistance settings of a disease: its own, else its disease_type's (null = none)
+   */
+  getResistanceConfig(disease) {
+    if (disease.resistance) return disease.resistance;
+
+    return (this.bioDatabase.disease_types || []).find((dt) => dt.id === disease.type)?.resistance || null;
+  }
+
+  /**
+   * Resistance (0-1) of an active disease against a drug tag
+   */
+  getResistance(diseaseId, drugTag) {
+    return this.activeDiseases.get(diseaseId)?.resistance?.[drugTag] || 0;
+  }
+
+  /**
+   * A drug sits below its therapeutic window: every active disease it reaches
+   * (systemic exposure, or one of the disease's regions; a systemic disease is
+   * reached from anywhere) gains resistance against the drug's tags
+   * { drug_id, drug_tags, location_id, selection_pressure, duration_ms }
+   */
+  handleSubtherapeuticExposure(eventData) {
+    const { drug_id, drug_tags = [], location_id, selection_pressure, duration_ms } = eventData;
+
+    this.activeDiseases.forEach((active, diseaseId) => {
+      const disease = this.bioDatabase.diseases.find((d) => d.id === diseaseId);
+      const config = disease && this.getResistanceConfig(disease);
+      if (!config) return;
+
+      const regionIds = active.region_ids || [];
+      const reached =
+        location_id === "systemic" || regionIds.length === 0 || regionIds.includes(location_id);
+      if (!reached) return;
+
+      drug_tags
+        .filter((tag) => config.drug_tags.includes(tag))
+        .forEach((tag) => {
+          const previous = active.resistance[tag] || 0;
+          const gain = config.gain_per_s * selection_pressure * (duration_ms / 1000);
+          const resistance = Math.min(config.max ?? 1, previous + gain);
+          active.resistance[tag] = resistance;
+
+          const step = Math.floor(resistance / RESISTANCE_REPORT_STEP + 1e-9);
+          if (step <= Math.floor(previous / RESISTANCE_REPORT_STEP + 1e-9)) return;
+
+          this.recordToHistory(diseaseId, `resistance_${tag}_${step * 10}`);
+          this.eventBus.emit("DISEASE_RESISTANCE_CHANGED", {
+            disease_id: diseaseId,
+            disease_name: disease.name,
+            drug_tag: tag,
+            drug_id,
+            resistance,
+            effectiveness_factor: 1 - resistance
+          });
+        });
+    });
+  }
+
   /**
    * Apply disease effects (visual, biomarker mods, modifiers)
    */
-  applyDiseaseEffects(disease, tierNumber) {
-    // Apply visual effects (if any)
-    if (disease.effects && disease.effects.length > 0) {
+  applyDiseaseEffects(disease, tierNumber, regionIds = []) {
+    // Apply visual effects (if any): disease-wide + the tier's own
+    const effectIds = [
+      ...(disease.effects || []),
+      ...(getSeverityTier(disease, tierNumber)?.effects || [])
+    ];
+    if (effectIds.length > 0) {
       this.eventBus.emit("DISEASE_VISUAL_EFFECTS", {
         disease_id: disease.id,
-        effect_ids: disease.effects,
+        effect_ids: effectIds,
         severity_tier: tierNumber
       });
     }
 
     // Emit modifier application event
-    // (ModifierSystem will listen and apply disease modifiers)
+    // (PathologySystem applies the tier: modifiers, biomarker_mods, effects, symptoms)
     this.eventBus.emit("DISEASE_MODIFIER_APPLY", {
       disease_id: disease.id,
       disease_name: disease.name,
-      severity_tier: tierNumber
+      severity_tier: tierNumber,
+      region_ids: regionIds
     });
   }
 
@@ -244,6 +463,55 @@ export class DiseaseSystem {
     });
   }
 
+  /**
+   * Hot reload: active diseases keep onset time and tier
+   * - changed definition → effects re-resolved and re-applied, tier capped to new tiers
+   * - removed definition → remitted (reason: definition_removed), reported as orphan
+   * Trigger and interaction changes need nothing here: both are read from bioDatabase every tick
+   * (duration / rate state is keyed by node path and restarts if the tree changes shape)
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+
+    diffIds(diff, "diseases", "changed").forEach((diseaseId) => {
+      const active = this.activeDiseases.get(diseaseId);
+      const disease = this.bioDatabase.diseases.find((d) => d.id === diseaseId);
+      if (!active || !disease) return;
+
+      active.current_tier = Math.min(active.current_tier, getMaxTier(disease));
+      active.active_effects = disease.effects || [];
+
+      // APPLY replaces the previous tier (PathologySystem), symptoms don't re-manifest
+      this.applyDiseaseEffects(disease, active.current_tier, active.region_ids);
+    });
+
+    diffIds(diff, "diseases", "removed").forEach((diseaseId) => {
+      if (!this.activeDiseases.has(diseaseId)) return;
+
+      this.activeDiseases.delete(diseaseId);
+      this.triggerEvaluator.forget(diseaseId);
+      this.recordToHistory(diseaseId, "definition_removed");
+
+      this.eventBus.emit("DISEASE_MODIFIER_REMOVE", { disease_id: diseaseId });
+      this.eventBus.emit("DISEASE_REMITTED", {
+        disease_id: diseaseId,
+        disease_name: diseaseId,
+        remission_time: this.clock.now(),
+        reason: "definition_removed"
+      });
+
+      orphans.push({
+        system: "DiseaseSystem",
+        section: "diseases",
+        entity_id: diseaseId,
+        instance_id: diseaseId,
+        action: "active disease remitted"
+      });
+    });
+
+    return orphans;
+  }
+
   /**
    * Get active disease info
    */
@@ -258,7 +526,11 @@ export class DiseaseSystem {
           disease_name: disease.name,
           severity_tier: data.current_tier,
           onset_time: data.onset_time,
-          duration_ms: Date.now() - data.onset_time
+          duration_ms: this.clock.now() - data.onset_time,
+          tier_elapsed_ms: data.tier_elapsed_ms,
+          region_ids: data.region_ids || [],
+          caused_by: data.caused_by || [],
+          resistance: { ...(data.resistance || {}) }
         });
       }
     });
@@ -281,7 +553,7 @@ export class DiseaseSystem {
       return [];
     }
 
-    const now = Date.now();
+    const now = this.clock.now();
     const history = this.diseaseHistory.get(diseaseId);
 
     return history.filter((entry) => now - entry.timestamp <= timeWindow);
@@ -297,7 +569,41 @@ export class DiseaseSystem {
 
     this.diseaseHistory.get(diseaseId).push({
       event,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
+    });
+  }
+
+  /**
+   * Restore active diseases from a save (getActiveDiseases() entries); onset and
+   * tier timing are shifted onto the restored clock, tiers re-applied
+   */
+  restore(activeDiseases) {
+    if (!Array.isArray(activeDiseases)) return;
+
+    this.activeDiseases.forEach((_, diseaseId) => this.removeDiseaseEffects({ id: diseaseId }));
+    this.activeDiseases.clear();
+
+    const now = this.clock.now();
+    activeDiseases.forEach((saved) => {
+      const disease = this.bioDatabase.diseases.find((d) => d.id === saved.disease_id);
+      if (!disease) {
+        console.warn(`[DiseaseSystem] Save references unknown disease ${saved.disease_id}`);
+        return;
+      }
+
+      const tier = Math.min(saved.severity_tier || 1, getMaxTier(disease));
+      this.activeDiseases.set(disease.id, {
+        onset_time: now - (saved.duration_ms || 0),
+        current_tier: tier,
+        last_progression: now - (saved.tier_elapsed_ms || 0),
+        tier_elapsed_ms: saved.tier_elapsed_ms || 0,
+        active_effects: disease.effects || [],
+        region_ids: saved.region_ids || [],
+        caused_by: saved.caused_by || [],
+        resistance: { ...(saved.resistance || {}) }
+      });
+
+      this.applyDiseaseEffects(disease, tier, saved.region_ids || []);
     });
   }
 
@@ -0,0 +1,284 @@
+/**
+ * DrugDeliverySystem.js - Drugs carried through the vessel network
+ *
+ * Instead of a global DRUG_ADMINISTERED, a dose can be injected at an infusion
+ * port (a building tagged with one of pressure_system.drug_delivery.port_tags):
+ *
+ *   DRUG_INJECTED { drug_id, dosage (mg, default drug.default_dose_mg), building_id }
+ *
+ * The dose travels as a drug bolus (drug_delivery.resource_id) through the
+ * PressureSystem vessels around the port.
+ *
+ * MECHANICS:
+ * - The port reaches every vessel connected to it whose class carries the bolus
+ *   (PressureSystem.getNetworkFrom; lymph channels don't take RES_DRUG), routing
+ *   around thrombus-blocked vessels; regions behind a blockage get nothing
+ * - The dose is split evenly between those vessels; each delivers its share ×
+ *   its efficiency into the region it sits in (BiomarkerSystem regions), the
+ *   rest leaks (LEAK_OCCURRED). Regions without vessels get nothing, vessels
+ *   without a pump nearby deliver a tenth (base_efficiency_without_pump)
+ * - A region's bolus arrives after the fastest path to its vessels (transit
+ *   tiles: each step / its vessel speed) / packet_speed_tiles_per_s, then
+ *   DRUG_ADMINISTERED { location_id: region id, route: drug_delivery.route }
+ *   for DrugProfileSystem: every region runs its own PK curve
+ *   (getRegionalConcentrations)
+ * - DRUG_DELIVERY_STARTED on injection (per-region plan), DRUG_DELIVERED when
+ *   the last bolus has arrived; DRUG_DELIVERY_FAILED for an unknown port or
+ *   drug, a drug without the delivery route, or a port with no vessels
+ * - Regimens with a building_id inject every dose here (DrugRegimenSystem)
+ */
+
+import { SimulationClock } from "./SimulationClock.js";
+import { diffIds } from "../data/BioDatabaseDiff.js";
+
+export class DrugDeliverySystem {
+  constructor(eventBus, bioDatabase, pressureSystem, biomarkerSystem, clock = null) {
+    this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
+    this.bioDatabase = bioDatabase;
+    this.pressureSystem = pressureSystem;
+    this.biomarkerSystem = biomarkerSystem;
+
+    // ports[building_id] = { building_type, position: { x, y } }
+    this.ports = new Map();
+
+    // inTransit = [{ delivery_id, drug_id, region_id, amount_mg, arrive_ms }]
+    this.inTransit = [];
+    this.nextDeliveryNumber = 1;
+
+    this.eventBus.on("BUILDING_PLACED", (eventData) => {
+      this.handleBuildingPlaced(eventData);
+    });
+
+    this.eventBus.on("BUILDING_DESTROYED", (eventData) => {
+      this.ports.delete(eventData.building_id);
+    });
+
+    this.eventBus.on("DRUG_INJECTED", (eventData) => {
+      this.inject(eventData);
+    });
+
+    this.eventBus.on("SIMULATION_TICK", () => {
+      this.deliverArrivals();
+    });
+  }
+
+  /**
+   * pressure_system.drug_delivery with defaults
+   */
+  getConfig() {
+    const config = this.bioDatabase.pressure_system?.drug_delivery || {};
+
+    return {
+      resource_id: config.resource_id || "RES_DRUG",
+      port_tags: config.port_tags || [],
+      route: config.route || "IV",
+      packet_speed_tiles_per_s: config.packet_speed_tiles_per_s || 1
+    };
+  }
+
+  /**
+   * Track infusion ports
+   */
+  handleBuildingPlaced(eventData) {
+    const { building_id, building_type, position } = eventData;
+    const tags = (this.bioDatabase.buildings || []).find((b) => b.id === building_type)?.tags || [];
+
+    if (tags.some((tag) => this.getConfig().port_tags.includes(tag))) {
+      this.ports.set(building_id, { building_type, position });
+    }
+  }
+
+  /**
+   * Send one dose from a port into the vessels; returns the delivery id, null if it failed
+   */
+  inject(request) {
+    const { drug_id, building_id } = request;
+    const config = this.getConfig();
+    const drug = (this.bioDatabase.drugs || []).find((d) => d.id === drug_id);
+    const port = this.ports.get(building_id);
+    const dosage = request.dosage ?? drug?.default_dose_mg;
+
+    const reason = this.getInjectionError(port, drug, dosage, config);
+    if (reason) {
+      this.eventBus.emit("DRUG_DELIVERY_FAILED", { drug_id, building_id, reason });
+      return null;
+    }
+
+    const vessels = this.pressureSystem.getNetworkFrom(port.position, config.resource_id);
+    if (vessels.length === 0) {
+      this.eventBus.emit("DRUG_DELIVERY_FAILED", { drug_id, building_id, reason: "no_vessels" });
+      return null;
+    }
+
+    // regions[region_id] = { amount_mg, transit_tiles (nearest vessel) }
+    const share = dosage / vessels.length;
+    const regions = new Map();
+    let leaked = 0;
+
+    vessels.forEach((vessel) => {
+      const regionId = this.biomarkerSystem.getRegionId(vessel.position.x, vessel.position.y);
+      const region = regions.get(regionId) || { amount_mg: 0, transit_tiles: Infinity };
+      region.amount_mg += share * vessel.efficiency;
+      region.transit_tiles = Math.min(region.transit_tiles, vessel.transit_tiles);
+      regions.set(regionId, region);
+      leaked += share * (1 - vessel.efficiency);
+    });
+
+    const deliveryId = `delivery_${this.nextDeliveryNumber++}`;
+    const now = this.clock.now();
+
+    regions.forEach((region, regionId) => {
+      if (!(region.amount_mg > 0)) return;
+
+      this.inTransit.push({
+        delivery_id: deliveryId,
+        drug_id,
+        region_id: regionId,
+        amount_mg: region.amount_mg,
+        arrive_ms: now + (region.transit_tiles / config.packet_speed_tiles_per_s) * 1000
+      });
+    });
+
+    if (leaked > 0) {
+      this.eventBus.emit("LEAK_OCCURRED", {
+        from_vessel: building_id,
+        resource_id: config.resource_id,
+        drug_id,
+        amount: leaked,
+        efficiency: (dosage - leaked) / dosage
+      });
+    }
+
+    this.eventBus.emit("DRUG_DELIVERY_STARTED", {
+      delivery_id: deliveryId,
+      drug_id,
+      building_id,
+      dosage,
+      resource_id: config.resource_id,
+      regions: Object.fromEntries(
+        Array.from(regions.entries()).map(([regionId, region]) => [regionId, region.amount_mg])
+      ),
+      leaked_mg: leaked,
+      ...(request.regimen_id && { regimen_id: request.regimen_id, dose_number: request.dose_number })
+    });
+
+    // Everything arrives this tick (port next to its vessels): deliver right away
+    this.deliverArrivals();
+    return deliveryId;
+  }
+
+  /**
+   * Why an injection can't start (null = it can)
+   */
+  getInjectionError(port, drug, dosage, config) {
+    if (!port) return "unknown_port";
+    if (!drug) return "unknown_drug";
+    if (!drug.pk?.routes?.[config.route]) return "no_route";
+    if (!(dosage > 0)) return "no_dosage";
+    return null;
+  }
+
+  /**
+   * Hand boluses that have reached their region to DrugProfileSystem
+   */
+  deliverArrivals() {
+    const now = this.clock.now();
+    const { route } = this.getConfig();
+    const arrived = this.inTransit.filter((bolus) => bolus.arrive_ms <= now);
+    if (arrived.length === 0) return;
+
+    this.inTransit = this.inTransit.filter((bolus) => bolus.arrive_ms > now);
+
+    arrived.forEach((bolus) => {
+      this.eventBus.emit("DRUG_ADMINISTERED", {
+        drug_id: bolus.drug_id,
+        dosage: bolus.amount_mg,
+        route,
+        location_id: bolus.region_id,
+        delivery_id: bolus.delivery_id
+      });
+    });
+
+    // Last bolus of a delivery in → delivered
+    new Set(arrived.map((bolus) => bolus.delivery_id)).forEach((deliveryId) => {
+      if (this.inTransit.some((bolus) => bolus.delivery_id === deliveryId)) return;
+
+      this.eventBus.emit("DRUG_DELIVERED", {
+        delivery_id: deliveryId,
+        drug_id: arrived.find((bolus) => bolus.delivery_id === deliveryId).drug_id
+      });
+    });
+  }
+
+  /**
+   * Hot reload: boluses of a removed drug are dropped, ports of a removed building type forgotten
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+    const removedDrugs = diffIds(diff, "drugs", "removed");
+    const removedBuildings = diffIds(diff, "buildings", "removed");
+
+    this.inTransit
+      .filter((bolus) => removedDrugs.includes(bolus.drug_id))
+      .forEach((bolus) => {
+        orphans.push({
+          system: "DrugDeliverySystem",
+          section: "drugs",
+          entity_id: bolus.drug_id,
+          instance_id: bolus.delivery_id,
+          action: `bolus to ${bolus.region_id} dropped`
+        });
+      });
+    this.inTransit = this.inTransit.filter((bolus) => !removedDrugs.includes(bolus.drug_id));
+
+    this.ports.forEach((port, buildingId) => {
+      if (!removedBuildings.includes(port.building_type)) return;
+
+      this.ports.delete(buildingId);
+      orphans.push({
+        system: "DrugDeliverySystem",
+        section: "buildings",
+        entity_id: port.building_type,
+        instance_id: buildingId,
+        action: "infusion port removed"
+      });
+    });
+
+    return orphans;
+  }
+
+  /**
+   * Infusion ports (for the HUD)
+   */
+  getPorts() {
+    return Array.from(this.ports.entries()).map(([buildingId, port]) => ({
+      building_id: buildingId,
+      ...port
+    }));
+  }
+
+  serialize() {
+    return {
+      in_transit: this.inTransit.map((bolus) => ({ ...bolus })),
+      next_delivery_number: this.nextDeliveryNumber
+    };
+  }
+
+  restore(data) {
+    if (!data) return;
+
+    this.inTransit = (data.in_transit || []).map((bolus) => ({ ...bolus }));
+    this.nextDeliveryNumber = data.next_delivery_number || this.nextDeliveryNumber;
+  }
+
+  /**
+   * Debug: Dump system state
+   */
+  dump() {
+    return {
+      ports: this.getPorts(),
+      in_transit: this.inTransit
+    };
+  }
+}
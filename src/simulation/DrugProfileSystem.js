@@ -11,29 +11,71 @@
  * DIS_LACTIC_ACIDOSIS has default from DT_METABOLIC_ACIDOSIS, plus overrides
  * 
  * MECHANICS:
- * - Track active medications (concentration, onset time, duration)
- * - Calculate total drug effect by summing weighted contributions
+ * - Drugs come from drugs[] with a compartment PK model per route
+ *   (see Pharmacokinetics); every dose is kept with its route and time
+ * - Concentration (mg/L) = sum of the closed-form curves of all doses, recomputed
+ *   each tick; a dose is dropped once it has cleared (~10 half-lives)
+ * - Drug power (Emax model) = potency.emax · C / (potency.ec50_mg_l + C), summed
+ *   per tag against the disease drug_profile (weight, min_power_threshold)
+ * - side_effects.biomarker_mods apply every tick while a drug is present, scaled
+ *   by its receptor occupancy C / (EC50 + C)
+ * - Therapeutic window: each drug's concentration is SUBTHERAPEUTIC (below
+ *   therapeutic_window.min_mg_l: no power), THERAPEUTIC, SUPRATHERAPEUTIC (above
+ *   max_mg_l) or TOXIC (at/above toxicity.threshold_mg_l); changes → DRUG_WINDOW_CHANGED
+ * - While TOXIC, every tick: toxicity.biomarker_mods, BUILDING_DAMAGE on buildings
+ *   with building_damage.tags (systemic), and toxicity.effects spawn once on each
+ *   building the episode damages
+ * - drug_interactions between tags of two different drugs at one location:
+ *   SYNERGY / ANTAGONISM scale power while both are present, SHARED_METABOLISM
+ *   stretches the half-life of new doses (DRUG_INTERACTION_STARTED / _ENDED)
+ * - A drug present but below its therapeutic window emits
+ *   DRUG_SUBTHERAPEUTIC_EXPOSURE every tick (selection_pressure = C / min_mg_l):
+ *   DiseaseSystem grows resistance against its tags, and a tag's drug_profile
+ *   weight is scaled by (1 - resistance) of the disease being treated
+ * - predictAdministration: interactions, projected peak and window of a planned
+ *   dose or regimen, before it is given (treatment options, HUD)
+ * - Locations: "systemic" (global administration) or a region id ("rx,ry",
+ *   doses delivered through the vessels by DrugDeliverySystem). A regional
+ *   disease is treated only by drugs in its regions; a systemic one by the
+ *   systemic level plus regional levels averaged over all regions
+ *   (getRegionalConcentrations feeds the HUD region overlay)
  * - Apply effect to disease progression (reduce severity tier gain)
- * - Events: DRUG_ADMINISTERED, DRUG_ACTIVE, DISEASE_TREATED
+ * - Curves are queryable past and projected: getConcentrationCurve / getPkSummary
+ *   (Cmax, Tmax, troughs, AUC) for the HUD
+ * - Events: DRUG_ADMINISTERED, DRUG_ACTIVE, DRUG_CLEARED, DISEASE_TREATED
  */
 
+import { SimulationClock } from "./SimulationClock.js";
+import { resolvePkParams, regimenConcentration, clearanceTimeMs } from "./Pharmacokinetics.js";
+
+// Default getConcentrationCurve window: this far back and projected ahead
+const CURVE_WINDOW_MS = 300000;
+
 export class DrugProfileSystem {
-  constructor(eventBus, bioDatabase, diseaseSystem, biomarkerSystem) {
+  constructor(eventBus, bioDatabase, diseaseSystem, biomarkerSystem, clock = null) {
     this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
     this.bioDatabase = bioDatabase;
     this.diseaseSystem = diseaseSystem;
     this.biomarkerSystem = biomarkerSystem;
 
     // activeMedications[cell_location_id] = [
-    //   { drug_id, drug_tag, concentration, onset_time, duration_ms }
+    //   { drug_id, drug_tag, concentration, occupancy, power, window, interaction_ids,
+    //     onset_time, doses: [{ route, amount_mg, time_ms, half_life_factor }] }
     // ]
     this.activeMedications = new Map();
 
     // medicationHistory[medicine_id] = [
-    //   { administered_time, dosage, location, duration }
+    //   { administered_time, dosage, route, location_id, clears_at, half_life_factor }
     // ]
     this.medicationHistory = new Map();
 
+    // activeInteractions["location_id|interaction_id"] = { interaction_id, type, location_id, drug_ids }
+    this.activeInteractions = new Map();
+
+    // toxicBuildings[drug_id] = Set(building_id) hit during the current TOXIC episode
+    this.toxicBuildings = new Map();
+
     // Subscribe to events
     this.eventBus.on("DRUG_ADMINISTERED", (eventData) => {
       this.handleDrugAdministered(eventData);
@@ -41,9 +83,15 @@ export class DrugProfileSystem {
 
     this.eventBus.on("SIMULATION_TICK", (eventData) => {
       this.updateMedicationConcentrations();
+      this.applySideEffects();
+      this.applyToxicity();
       this.applyMedicationEffects();
     });
 
+    this.eventBus.on("BUILDING_DAMAGED", (eventData) => {
+      this.handleToxicDamage(eventData);
+    });
+
     this.eventBus.on("DISEASE_TRIGGERED", (eventData) => {
       this.evaluateTreatmentOptions(eventData.disease_id);
     });
@@ -51,85 +99,353 @@ export class DrugProfileSystem {
 
   /**
    * Handle drug administration
+   * { drug_id, dosage (mg, default drug.default_dose_mg), route (default: first
+   *   declared in pk.routes), location_id }
    */
   handleDrugAdministered(eventData) {
-    const { drug_id, dosage, location_id, concentration } = eventData;
+    const { drug_id, location_id } = eventData;
+    const drug = this.getDrug(drug_id);
+
+    if (!drug) {
+      console.warn(`[DrugProfileSystem] Unknown drug ${drug_id}`);
+      return;
+    }
+
+    const route = eventData.route || Object.keys(drug.pk?.routes || {})[0];
+    const halfLifeFactor = this.getHalfLifeFactor(drug_id, location_id);
+    const params = resolvePkParams(drug, route, halfLifeFactor);
+    const dosage = eventData.dosage ?? drug.default_dose_mg;
+
+    if (!params || !(dosage > 0)) {
+      console.warn(`[DrugProfileSystem] ${drug_id}: no PK for route ${route} or no dosage`);
+      return;
+    }
 
     if (!this.activeMedications.has(location_id)) {
       this.activeMedications.set(location_id, []);
     }
 
     const medications = this.activeMedications.get(location_id);
+    const now = this.clock.now();
 
-    // Find or create medication entry
-    const existingIndex = medications.findIndex(
-      (m) => m.drug_id === drug_id
-    );
+    // Find or create medication entry; doses of one drug superpose
+    let medication = medications.find((m) => m.drug_id === drug_id);
 
-    if (existingIndex >= 0) {
-      // Stack: add to existing concentration
-      medications[existingIndex].concentration += concentration;
-    } else {
-      // New medication
-      medications.push({
+    if (!medication) {
+      medication = {
         drug_id,
         drug_tag: this.getDrugTag(drug_id),
-        concentration: concentration || 1.0,
-        onset_time: Date.now(),
-        duration_ms: 300000 // 5 minutes default
-      });
+        concentration: 0,
+        occupancy: 0,
+        power: 0,
+        window: this.classifyConcentration(drug, 0),
+        interaction_ids: [],
+        onset_time: now,
+        doses: []
+      };
+      medications.push(medication);
     }
 
+    medication.doses.push({ route, amount_mg: dosage, time_ms: now, half_life_factor: halfLifeFactor });
+
     // Record to history
     if (!this.medicationHistory.has(drug_id)) {
       this.medicationHistory.set(drug_id, []);
     }
 
     this.medicationHistory.get(drug_id).push({
-      administered_time: Date.now(),
+      administered_time: now,
       dosage,
+      route,
       location_id,
-      duration_ms: 300000
+      clears_at: now + clearanceTimeMs(params),
+      half_life_factor: halfLifeFactor
     });
 
     this.eventBus.emit("DRUG_ACTIVE", {
       drug_id,
-      drug_tag: this.getDrugTag(drug_id),
+      drug_tag: medication.drug_tag,
       location_id,
-      concentration
+      route,
+      dosage,
+      concentration: medication.concentration
     });
   }
 
   /**
    * Update medication concentrations (pharmacokinetics)
-   * Assume linear decay over duration
+   * Closed-form compartment curves summed over doses, so no error builds up per tick
    */
   updateMedicationConcentrations() {
-    const now = Date.now();
+    const now = this.clock.now();
+    const interactionKeys = new Set();
 
     this.activeMedications.forEach((medications, locationId) => {
-      const toRemove = [];
+      medications.forEach((med) => {
+        const drug = this.getDrug(med.drug_id);
 
-      medications.forEach((med, index) => {
-        const elapsed = now - med.onset_time;
-        const ratioRemaining = 1 - (elapsed / med.duration_ms);
+        med.doses = med.doses.filter((dose) => {
+          const params = this.getDoseParams(drug, dose);
+          return params && now - dose.time_ms < clearanceTimeMs(params);
+        });
 
-        if (ratioRemaining <= 0) {
-          toRemove.push(index);
-        } else {
-          med.concentration *= ratioRemaining;
-        }
+        med.concentration = this.concentrationAt(med.drug_id, med.doses, now);
+        med.occupancy = drug?.potency?.ec50_mg_l
+          ? med.concentration / (drug.potency.ec50_mg_l + med.concentration)
+          : 0;
+        this.updateTherapeuticWindow(med, drug, locationId);
+        med.power =
+          med.window === "SUBTHERAPEUTIC" ? 0 : (drug?.potency?.emax || 0) * med.occupancy;
+        this.reportSubtherapeuticExposure(med, drug, locationId);
       });
 
-      // Remove expired medications
-      toRemove.reverse().forEach((index) => {
-        medications.splice(index, 1);
-      });
+      // Remove cleared medications
+      medications
+        .filter((med) => med.doses.length === 0)
+        .forEach((med) => {
+          this.toxicBuildings.delete(med.drug_id);
+          this.eventBus.emit("DRUG_CLEARED", {
+            drug_id: med.drug_id,
+            drug_tag: med.drug_tag,
+            location_id: locationId
+          });
+        });
 
-      if (medications.length === 0) {
+      const remaining = medications.filter((med) => med.doses.length > 0);
+
+      if (remaining.length === 0) {
         this.activeMedications.delete(locationId);
+      } else {
+        this.activeMedications.set(locationId, remaining);
+        this.applyInteractions(locationId, remaining).forEach((key) => interactionKeys.add(key));
       }
     });
+
+    // Interactions whose drugs are no longer together
+    this.activeInteractions.forEach((interaction, key) => {
+      if (interactionKeys.has(key)) return;
+
+      this.activeInteractions.delete(key);
+      this.eventBus.emit("DRUG_INTERACTION_ENDED", {
+        interaction_id: interaction.interaction_id,
+        type: interaction.type,
+        location_id: interaction.location_id,
+        drug_ids: interaction.drug_ids
+      });
+    });
+  }
+
+  /**
+   * Classify a concentration against the drug's therapeutic window and toxic threshold
+   * (no window declared: everything below the threshold is THERAPEUTIC)
+   */
+  classifyConcentration(drug, concentration) {
+    const window = drug?.therapeutic_window;
+    const threshold = drug?.toxicity?.threshold_mg_l;
+
+    if (threshold !== undefined && concentration >= threshold) return "TOXIC";
+    if (window && concentration > window.max_mg_l) return "SUPRATHERAPEUTIC";
+    if (window && concentration < window.min_mg_l) return "SUBTHERAPEUTIC";
+    return "THERAPEUTIC";
+  }
+
+  /**
+   * Re-classify a medication; DRUG_WINDOW_CHANGED when it moves to another band
+   */
+  updateTherapeuticWindow(med, drug, locationId) {
+    const window = this.classifyConcentration(drug, med.concentration);
+    if (window === med.window) return;
+
+    const previous = med.window;
+    med.window = window;
+    if (previous === "TOXIC") {
+      this.toxicBuildings.delete(med.drug_id);
+    }
+
+    this.eventBus.emit("DRUG_WINDOW_CHANGED", {
+      drug_id: med.drug_id,
+      location_id: locationId,
+      window,
+      previous_window: previous,
+      concentration: med.concentration,
+      therapeutic_window: drug?.therapeutic_window || null,
+      toxic_threshold_mg_l: drug?.toxicity?.threshold_mg_l ?? null
+    });
+  }
+
+  /**
+   * Too little to treat but enough to select resistant strains: report it
+   * (DiseaseSystem turns it into resistance)
+   */
+  reportSubtherapeuticExposure(med, drug, locationId) {
+    const minConcentration = drug?.therapeutic_window?.min_mg_l;
+    if (med.window !== "SUBTHERAPEUTIC" || !(med.concentration > 0) || !minConcentration) return;
+
+    this.eventBus.emit("DRUG_SUBTHERAPEUTIC_EXPOSURE", {
+      drug_id: med.drug_id,
+      drug_tags: drug.tags || [],
+      location_id: locationId,
+      concentration: med.concentration,
+      selection_pressure: med.concentration / minConcentration,
+      duration_ms: this.clock.tickDurationMs
+    });
+  }
+
+  /**
+   * SYNERGY / ANTAGONISM between the drugs present at one location: scales
+   * their power and reports newly active rules; returns the active rule keys
+   */
+  applyInteractions(locationId, medications) {
+    const keys = [];
+    medications.forEach((med) => {
+      med.interaction_ids = [];
+    });
+
+    (this.bioDatabase.drug_interactions || []).forEach((rule) => {
+      const drugIds = medications.map((med) => med.drug_id);
+      const pair = this.findInteractionPair(rule, drugIds);
+      if (!pair) return;
+
+      const [tagA, tagB] = rule.tags;
+      medications.forEach((med) => {
+        const hasA = this.hasDrugTag(med.drug_id, tagA);
+        const hasB = this.hasDrugTag(med.drug_id, tagB);
+        if (!hasA && !hasB) return;
+
+        med.interaction_ids.push(rule.id);
+        if (rule.type === "SYNERGY" || (rule.type === "ANTAGONISM" && hasA)) {
+          med.power *= rule.factor;
+        }
+      });
+
+      const key = `${locationId}|${rule.id}`;
+      keys.push(key);
+      if (this.activeInteractions.has(key)) return;
+
+      const interaction = {
+        interaction_id: rule.id,
+        type: rule.type,
+        location_id: locationId,
+        drug_ids: pair
+      };
+      this.activeInteractions.set(key, interaction);
+      this.eventBus.emit("DRUG_INTERACTION_STARTED", {
+        ...interaction,
+        factor: rule.factor ?? null,
+        half_life_factor: rule.half_life_factor ?? null
+      });
+    });
+
+    return keys;
+  }
+
+  /**
+   * Two different drugs among drugIds carrying the rule's two tags, or null
+   * Returns [drug with tags[0], drug with tags[1]]
+   */
+  findInteractionPair(rule, drugIds) {
+    const [tagA, tagB] = rule.tags || [];
+    for (const drugA of drugIds.filter((id) => this.hasDrugTag(id, tagA))) {
+      const drugB = drugIds.find((id) => id !== drugA && this.hasDrugTag(id, tagB));
+      if (drugB) return [drugA, drugB];
+    }
+    return null;
+  }
+
+  /**
+   * Half-life multiplier for a new dose of a drug: SHARED_METABOLISM rules
+   * with the drugs already present at the location
+   */
+  getHalfLifeFactor(drugId, locationId) {
+    const drugIds = [drugId, ...this.getMedicationsAt(locationId).map((med) => med.drug_id)];
+
+    return (this.bioDatabase.drug_interactions || [])
+      .filter((rule) => rule.type === "SHARED_METABOLISM")
+      .filter((rule) => {
+        const pair = this.findInteractionPair(rule, drugIds);
+        return pair && pair.includes(drugId);
+      })
+      .reduce((factor, rule) => factor * rule.half_life_factor, 1);
+  }
+
+  /**
+   * Toxicity of every drug in its TOXIC band: biomarker mods and building damage each tick
+   */
+  applyToxicity() {
+    this.activeMedications.forEach((medications) => {
+      medications
+        .filter((med) => med.window === "TOXIC")
+        .forEach((med) => {
+          const toxicity = this.getDrug(med.drug_id)?.toxicity;
+          if (!toxicity) return;
+
+          (toxicity.biomarker_mods || []).forEach((mod) => {
+            this.eventBus.emit("BIOMARKER_MOD_APPLIED", {
+              biomarker_id: mod.marker_id,
+              mode: mod.mode,
+              cascaded_value: mod.value,
+              source: `drug_toxicity_${med.drug_id}`
+            });
+          });
+
+          if (toxicity.building_damage) {
+            this.eventBus.emit("BUILDING_DAMAGE", {
+              tags: toxicity.building_damage.tags || null,
+              amount: toxicity.building_damage.hp_per_tick,
+              source: `drug_${med.drug_id}`
+            });
+          }
+        });
+    });
+  }
+
+  /**
+   * toxicity.effects spawn once on each building a TOXIC episode damages
+   */
+  handleToxicDamage(eventData) {
+    const { building_id, position, source } = eventData;
+    if (!source?.startsWith("drug_") || !position) return;
+
+    const drugId = source.slice("drug_".length);
+    if (!this.toxicBuildings.has(drugId)) {
+      this.toxicBuildings.set(drugId, new Set());
+    }
+
+    const hit = this.toxicBuildings.get(drugId);
+    if (hit.has(building_id)) return;
+    hit.add(building_id);
+
+    (this.getDrug(drugId)?.toxicity?.effects || []).forEach((effectId) => {
+      this.eventBus.emit("EFFECT_APPLY_TERRAIN", {
+        x: position.x,
+        y: position.y,
+        effect_id: effectId,
+        intensity: 1.0
+      });
+    });
+  }
+
+  /**
+   * Side-effect biomarker mods of every present drug, scaled by occupancy
+   * (add/sub: value × occupancy, mul: value ^ occupancy)
+   */
+  applySideEffects() {
+    this.activeMedications.forEach((medications) => {
+      medications.forEach((med) => {
+        const mods = this.getDrug(med.drug_id)?.side_effects?.biomarker_mods || [];
+        if (med.occupancy <= 0) return;
+
+        mods.forEach((mod) => {
+          this.eventBus.emit("BIOMARKER_MOD_APPLIED", {
+            biomarker_id: mod.marker_id,
+            mode: mod.mode,
+            cascaded_value:
+              mod.mode === "mul" ? Math.pow(mod.value, med.occupancy) : mod.value * med.occupancy,
+            source: `drug_${med.drug_id}`
+          });
+        });
+      });
+    });
   }
 
   /**
@@ -159,8 +475,8 @@ export class DrugProfileSystem {
         drugProfile = { ...drugProfile, ...disease.drug_profile_overrides };
       }
 
-      // Calculate total drug effect for this disease
-      const drugEffect = this.calculateDrugEffect(drugProfile);
+      // Calculate total drug effect for this disease (minus its acquired resistance)
+      const drugEffect = this.calculateDrugEffect(drugProfile, disease_id, diseaseInfo.region_ids || []);
 
       if (drugEffect > 0) {
         // Apply treatment: reduce progression rate
@@ -169,8 +485,9 @@ export class DrugProfileSystem {
           disease_name: disease.name,
           severity_tier,
           drug_effect: drugEffect,
+          resistance: diseaseInfo.resistance || {},
           effect_description:
-            drugEffect > 0.7 ? "strong" : "moderate" : "weak"
+            drugEffect > 0.7 ? "strong" : drugEffect > 0.3 ? "moderate" : "weak"
         });
 
         // Slow down disease progression (increase time to next tier)
@@ -186,27 +503,32 @@ export class DrugProfileSystem {
   /**
    * Calculate total drug effect based on active medications and disease profile
    * Returns 0-1 where 1 = complete suppression
+   * diseaseId: weights are scaled by (1 - that disease's resistance to each tag)
+   * regionIds: where the disease is (null = count every location in full,
+   * [] = systemic disease, see getLocationReach)
    */
-  calculateDrugEffect(drugProfile) {
+  calculateDrugEffect(drugProfile, diseaseId = null, regionIds = null) {
     let totalEffect = 0;
 
     Object.entries(drugProfile).forEach(([drugTag, profileData]) => {
       // Find all active medications with this tag
-      let tagConcentration = 0;
+      let tagPower = 0;
 
-      this.activeMedications.forEach((medications) => {
+      this.activeMedications.forEach((medications, locationId) => {
+        const reach = this.getLocationReach(locationId, regionIds);
         medications.forEach((med) => {
           if (med.drug_tag === drugTag) {
-            tagConcentration += med.concentration;
+            tagPower += med.power * reach;
           }
         });
       });
 
-      if (tagConcentration >= profileData.min_power_threshold) {
+      if (tagPower >= profileData.min_power_threshold) {
         // Medication is active enough
+        const resistance = diseaseId ? this.diseaseSystem.getResistance(diseaseId, drugTag) : 0;
         const contribution = Math.min(
           1,
-          tagConcentration * profileData.weight
+          tagPower * profileData.weight * (1 - resistance)
         );
         totalEffect += contribution;
       }
@@ -215,20 +537,126 @@ export class DrugProfileSystem {
     return Math.min(1, totalEffect);
   }
 
+  /**
+   * Share of a location's drug power that reaches a disease
+   * - systemic administration reaches everything
+   * - regional disease: only its own regions
+   * - systemic disease: a region is 1 / (number of regions) of the body
+   */
+  getLocationReach(locationId, regionIds) {
+    if (locationId === "systemic" || regionIds === null) return 1;
+    if (regionIds.length > 0) return regionIds.includes(locationId) ? 1 : 0;
+
+    const perSide = this.biomarkerSystem?.getRegionsPerSide?.() || 1;
+    return 1 / (perSide * perSide);
+  }
+
   /**
    * Get drug tag from drug ID or BioDatabase lookup
    */
   getDrugTag(drugId) {
     // Look in drug_tags
-    const drugTag = this.bioDatabase.drug_tags.find((dt) =>
-      this.bioDatabase.pharmacology.find(
-        (p) => p.id === drugId && p.tags?.includes(dt.id)
-      )
+    const drugTag = (this.bioDatabase.drug_tags || []).find((dt) =>
+      this.getDrug(drugId)?.tags?.includes(dt.id)
     );
 
     return drugTag?.id || "UNKNOWN";
   }
 
+  /**
+   * drugs[] entry of a drug
+   */
+  getDrug(drugId) {
+    return (this.bioDatabase.drugs || []).find((p) => p.id === drugId) || null;
+  }
+
+  hasDrugTag(drugId, tag) {
+    return Boolean(this.getDrug(drugId)?.tags?.includes(tag));
+  }
+
+  /**
+   * PK constants of one dose (its route and shared-metabolism half-life factor)
+   */
+  getDoseParams(drug, dose) {
+    return resolvePkParams(drug, dose.route, dose.half_life_factor || 1);
+  }
+
+  /**
+   * Concentration (mg/L) of a drug's doses at an absolute time
+   */
+  concentrationAt(drugId, doses, timeMs) {
+    const drug = this.getDrug(drugId);
+    return regimenConcentration(
+      doses.map((dose) => ({ ...dose, params: this.getDoseParams(drug, dose) })),
+      timeMs
+    );
+  }
+
+  /**
+   * Predict a planned administration before it is given
+   * options = {
+   *   route (default: first in pk.routes), location_id (default "systemic"),
+   *   doses: [{ amount_mg, offset_ms }]   default: one default_dose_mg now
+   * }
+   * Returns {
+   *   drug_id, location_id, route,
+   *   interactions: [{ interaction_id, type, with_drug_id, factor, half_life_factor }],
+   *   projected_cmax, projected_window, toxic_threshold_mg_l
+   * } or null for an unknown drug / route
+   */
+  predictAdministration(drugId, options = {}) {
+    const drug = this.getDrug(drugId);
+    const route = options.route || Object.keys(drug?.pk?.routes || {})[0];
+    const locationId = options.location_id || "systemic";
+    if (!drug || !resolvePkParams(drug, route)) return null;
+
+    const presentIds = this.getMedicationsAt(locationId)
+      .map((med) => med.drug_id)
+      .filter((id) => id !== drugId);
+    const interactions = [];
+    (this.bioDatabase.drug_interactions || []).forEach((rule) => {
+      const pair = this.findInteractionPair(rule, [drugId, ...presentIds]);
+      if (!pair || !pair.includes(drugId)) return;
+
+      interactions.push({
+        interaction_id: rule.id,
+        type: rule.type,
+        with_drug_id: pair[0] === drugId ? pair[1] : pair[0],
+        factor: rule.factor ?? null,
+        half_life_factor: rule.half_life_factor ?? null
+      });
+    });
+
+    const now = this.clock.now();
+    const halfLifeFactor = this.getHalfLifeFactor(drugId, locationId);
+    const planned = (options.doses || [{ amount_mg: drug.default_dose_mg, offset_ms: 0 }])
+      .filter((dose) => dose.amount_mg > 0)
+      .map((dose) => ({
+        route,
+        amount_mg: dose.amount_mg,
+        time_ms: now + (dose.offset_ms || 0),
+        half_life_factor: halfLifeFactor
+      }));
+    const present = this.getMedicationsAt(locationId).find((med) => med.drug_id === drugId);
+    const doses = [...(present?.doses || []), ...planned];
+
+    const lastDose = Math.max(now, ...planned.map((dose) => dose.time_ms));
+    let cmax = 0;
+    for (let time = now; time <= lastDose + CURVE_WINDOW_MS; time += this.clock.tickDurationMs) {
+      cmax = Math.max(cmax, this.concentrationAt(drugId, doses, time));
+    }
+
+    return {
+      drug_id: drugId,
+      location_id: locationId,
+      route,
+      interactions,
+      projected_cmax: cmax,
+      projected_window: this.classifyConcentration(drug, cmax),
+      toxic_threshold_mg_l: drug.toxicity?.threshold_mg_l ?? null
+    };
+  }
+
   /**
    * Evaluate treatment options for newly triggered disease
    */
@@ -246,14 +674,18 @@ export class DrugProfileSystem {
     const effectiveDrugs = [];
 
     Object.entries(profile).forEach(([drugTag, profileData]) => {
-      const drugs = this.bioDatabase.pharmacology.filter(
+      const drugs = (this.bioDatabase.drugs || []).filter(
         (p) => p.tags?.includes(drugTag)
       );
 
       effectiveDrugs.push({
         drug_tag: drugTag,
         available_drugs: drugs.map((d) => d.id),
-        min_power: profileData.min_power_threshold
+        min_power: profileData.min_power_threshold,
+        // Default dose of each candidate against what is already given
+        predictions: drugs
+          .map((d) => this.predictAdministration(d.id))
+          .filter(Boolean)
       });
     });
 
@@ -286,14 +718,20 @@ export class DrugProfileSystem {
    */
   getAllActiveMedications() {
     const result = [];
+    const now = this.clock.now();
 
     this.activeMedications.forEach((medications, locationId) => {
       medications.forEach((med) => {
+        const drug = this.getDrug(med.drug_id);
+        const clearsAt = Math.max(
+          ...med.doses.map((dose) => dose.time_ms + clearanceTimeMs(this.getDoseParams(drug, dose)))
+        );
+
         result.push({
           ...med,
+          doses: med.doses.map((dose) => ({ ...dose })),
           location_id: locationId,
-          time_remaining_ms:
-            med.duration_ms - (Date.now() - med.onset_time)
+          time_to_clear_ms: Math.max(0, clearsAt - now)
         });
       });
     });
@@ -301,22 +739,176 @@ export class DrugProfileSystem {
     return result;
   }
 
+  /**
+   * Concentration of one drug in every region it was delivered to (vessel
+   * delivery, "systemic" excluded): { [region_id]: { concentration, window } }
+   */
+  getRegionalConcentrations(drugId) {
+    const result = {};
+
+    this.activeMedications.forEach((medications, locationId) => {
+      if (locationId === "systemic") return;
+
+      const med = medications.find((m) => m.drug_id === drugId);
+      if (med) {
+        result[locationId] = { concentration: med.concentration, window: med.window };
+      }
+    });
+
+    return result;
+  }
+
   /**
    * Get medication absorption history
    */
   getMedicationHistory(drugId, timeWindow = 300000) {
     const history = this.medicationHistory.get(drugId) || [];
-    const now = Date.now();
+    const now = this.clock.now();
 
     return history.filter(
       (entry) => now - entry.administered_time <= timeWindow
     );
   }
 
+  /**
+   * Sampled concentration curve of a drug at a location, from its full dose history
+   * Samples after now are a projection of the doses given so far
+   * options = { from_ms, to_ms, step_ms } (absolute simulated times; default:
+   * CURVE_WINDOW_MS back and ahead, one sample per tick)
+   * Returns [{ time_ms, concentration, projected }]
+   */
+  getConcentrationCurve(drugId, locationId, options = {}) {
+    const now = this.clock.now();
+    const from = Math.max(0, options.from_ms ?? now - CURVE_WINDOW_MS);
+    const to = options.to_ms ?? now + CURVE_WINDOW_MS;
+    const step = Math.max(1, options.step_ms || this.clock.tickDurationMs);
+    const doses = this.getDoseHistory(drugId, locationId);
+    const samples = [];
+
+    for (let time = from; time <= to; time += step) {
+      samples.push({
+        time_ms: time,
+        concentration: this.concentrationAt(drugId, doses, time),
+        projected: time > now
+      });
+    }
+
+    return samples;
+  }
+
+  /**
+   * PK summary of a drug at a location over a curve window (see getConcentrationCurve)
+   * Returns {
+   *   drug_id, location_id, concentration (now), ec50_mg_l,
+   *   cmax, cmax_time_ms, tmax_ms (peak time after the dose preceding it),
+   *   troughs: [{ time_ms, concentration }]   just before each repeat dose,
+   *   auc_mg_s_l                              area under the sampled curve
+   * } or null if the drug was never given there
+   */
+  getPkSummary(drugId, locationId, options = {}) {
+    const doses = this.getDoseHistory(drugId, locationId);
+    if (doses.length === 0) return null;
+
+    const curve = this.getConcentrationCurve(drugId, locationId, options);
+    const peak = curve.reduce(
+      (best, sample) => (sample.concentration > best.concentration ? sample : best),
+      { time_ms: null, concentration: 0 }
+    );
+    const peakDose =
+      peak.time_ms === null ? null : doses.filter((dose) => dose.time_ms <= peak.time_ms).pop();
+
+    const auc = curve.slice(1).reduce(
+      (sum, sample, index) =>
+        sum +
+        ((sample.concentration + curve[index].concentration) / 2) *
+          ((sample.time_ms - curve[index].time_ms) / 1000),
+      0
+    );
+
+    return {
+      drug_id: drugId,
+      location_id: locationId,
+      concentration: this.concentrationAt(drugId, doses, this.clock.now()),
+      ec50_mg_l: this.getDrug(drugId)?.potency?.ec50_mg_l ?? null,
+      cmax: peak.concentration,
+      cmax_time_ms: peak.time_ms,
+      tmax_ms: peakDose ? peak.time_ms - peakDose.time_ms : null,
+      troughs: doses.slice(1).map((dose) => ({
+        time_ms: dose.time_ms,
+        concentration: this.concentrationAt(
+          drugId,
+          doses.filter((other) => other.time_ms < dose.time_ms),
+          dose.time_ms
+        )
+      })),
+      auc_mg_s_l: auc
+    };
+  }
+
+  /**
+   * All doses of a drug ever given at a location: [{ route, amount_mg, time_ms, half_life_factor }]
+   */
+  getDoseHistory(drugId, locationId) {
+    return (this.medicationHistory.get(drugId) || [])
+      .filter((entry) => entry.location_id === locationId)
+      .map((entry) => ({
+        route: entry.route,
+        amount_mg: entry.dosage,
+        time_ms: entry.administered_time,
+        half_life_factor: entry.half_life_factor || 1
+      }));
+  }
+
+  /**
+   * Save state: active doses and dose history (times are simulated, restore the clock first)
+   */
+  serialize() {
+    return {
+      active_medications: this.getAllActiveMedications(),
+      history: Array.from(this.medicationHistory.entries()).map(([drugId, entries]) => ({
+        drug_id: drugId,
+        entries
+      }))
+    };
+  }
+
+  restore(data) {
+    if (!data) return;
+
+    this.activeMedications.clear();
+    (data.active_medications || []).forEach((med) => {
+      if (!med.doses) return; // saves before PK carry no doses
+
+      const { location_id, time_to_clear_ms, ...entry } = med;
+      if (!this.activeMedications.has(location_id)) {
+        this.activeMedications.set(location_id, []);
+      }
+      this.activeMedications.get(location_id).push({
+        interaction_ids: [],
+        window: this.classifyConcentration(this.getDrug(entry.drug_id), entry.concentration || 0),
+        ...entry
+      });
+    });
+
+    this.medicationHistory.clear();
+    (data.history || []).forEach(({ drug_id, entries }) => {
+      this.medicationHistory.set(drug_id, entries);
+    });
+  }
+
   /**
    * Debug: Dump system state
    */
   dump() {
+    const pkSummaries = [];
+    this.medicationHistory.forEach((entries, drugId) => {
+      new Set(entries.map((entry) => entry.location_id)).forEach((locationId) => {
+        pkSummaries.push(
+          this.getPkSummary(drugId, locationId, { from_ms: entries[0].administered_time })
+        );
+      });
+    });
+
     return {
       active_medications: this.getAllActiveMedications(),
       locations_with_meds: this.activeMedications.size,
@@ -324,7 +916,9 @@ export class DrugProfileSystem {
         Array.from(this.medicationHistory.values()).reduce(
           (sum, arr) => sum + arr.length,
           0
-        )
+        ),
+      pk_summaries: pkSummaries,
+      active_interactions: Array.from(this.activeInteractions.values())
     };
   }
 }
@@ -0,0 +1,256 @@
+/**
+ * DrugRegimenSystem.js - Scheduled drug administration (dosing regimens)
+ *
+ * A regimen gives one drug on a fixed tick interval:
+ * {
+ *   drug_id, route, location_id,
+ *   building_id: "port_1",         optional: inject every dose at this infusion
+ *                                  port (DRUG_INJECTED, DrugDeliverySystem)
+ *   interval_ticks: 8, doses: 5,   "every 8 ticks for 5 doses"
+ *   loading_dose_mg: 800,          first dose (optional)
+ *   dose_mg: 400                   maintenance doses
+ * }
+ * Omitted fields come from drugs[].default_regimen, then drugs[].default_dose_mg
+ * and the first route declared in pk.routes.
+ *
+ * MECHANICS:
+ * - REGIMEN_PRESCRIBE_REQUESTED → REGIMEN_PRESCRIBED; first dose at start_tick
+ *   (default: the next tick), then every interval_ticks
+ * - A due dose pays drugs[].cost from the resource pool (setResourcePool; without
+ *   one, e.g. headless, doses are free) and emits DRUG_ADMINISTERED for
+ *   DrugProfileSystem, or DRUG_INJECTED at the regimen's port (route is then
+ *   pressure_system.drug_delivery.route)
+ * - An unaffordable dose is missed (REGIMEN_DOSE_SKIPPED) and still counts toward
+ *   doses, so the PK curve shows the gap
+ * - REGIMEN_COMPLETED after the last dose; REGIMEN_CANCEL_REQUESTED drops the
+ *   remaining doses (REGIMEN_CANCELLED), what was given keeps clearing by its PK
+ * - Hot reload: regimens of a removed drug are cancelled; changed drugs need
+ *   nothing (cost and doses are read when each dose is due)
+ */
+
+import { SimulationClock } from "./SimulationClock.js";
+import { diffIds } from "../data/BioDatabaseDiff.js";
+
+export class DrugRegimenSystem {
+  constructor(eventBus, bioDatabase, clock = null) {
+    this.eventBus = eventBus;
+    this.bioDatabase = bioDatabase;
+    this.clock = clock || new SimulationClock();
+
+    // Pays dose costs: { canAffordResources(cost), spendResources(cost) },
+    // cost = [{ id: RES_*, amount }] (HUD inventory in the browser)
+    this.resourcePool = null;
+
+    // regimens[regimen_id] = {
+    //   regimen_id, drug_id, route, location_id, building_id, dose_mg, loading_dose_mg,
+    //   interval_ticks, doses, doses_given, doses_missed, next_tick, prescribed_tick
+    // }
+    this.regimens = new Map();
+    this.nextRegimenNumber = 1;
+
+    this.eventBus.on("REGIMEN_PRESCRIBE_REQUESTED", (eventData) => {
+      this.prescribe(eventData);
+    });
+
+    this.eventBus.on("REGIMEN_CANCEL_REQUESTED", (eventData) => {
+      this.cancel(eventData.regimen_id);
+    });
+
+    this.eventBus.on("SIMULATION_TICK", (eventData) => {
+      this.administerDueDoses(eventData.tick_number);
+    });
+  }
+
+  /**
+   * Resource pool that pays drugs[].cost (null = doses are free)
+   */
+  setResourcePool(resourcePool) {
+    this.resourcePool = resourcePool;
+  }
+
+  /**
+   * Start a regimen; returns its id, null if the drug or route is unknown
+   */
+  prescribe(request) {
+    const drug = (this.bioDatabase.drugs || []).find((d) => d.id === request.drug_id);
+    if (!drug) {
+      console.warn(`[DrugRegimenSystem] Unknown drug ${request.drug_id}`);
+      return null;
+    }
+
+    const defaults = drug.default_regimen || {};
+    const route = request.building_id
+      ? this.bioDatabase.pressure_system?.drug_delivery?.route || "IV"
+      : request.route || defaults.route || Object.keys(drug.pk?.routes || {})[0];
+    if (!drug.pk?.routes?.[route]) {
+      console.warn(`[DrugRegimenSystem] ${drug.id} has no route ${route}`);
+      return null;
+    }
+
+    const regimen = {
+      regimen_id: `regimen_${this.nextRegimenNumber++}`,
+      drug_id: drug.id,
+      route,
+      location_id: request.location_id || "systemic",
+      building_id: request.building_id || null,
+      dose_mg: request.dose_mg ?? defaults.dose_mg ?? drug.default_dose_mg,
+      loading_dose_mg: request.loading_dose_mg ?? defaults.loading_dose_mg ?? null,
+      interval_ticks: Math.max(1, request.interval_ticks ?? defaults.interval_ticks ?? 1),
+      doses: Math.max(1, request.doses ?? defaults.doses ?? 1),
+      doses_given: 0,
+      doses_missed: 0,
+      next_tick: request.start_tick ?? this.clock.getTickNumber() + 1,
+      prescribed_tick: this.clock.getTickNumber()
+    };
+
+    this.regimens.set(regimen.regimen_id, regimen);
+    this.eventBus.emit("REGIMEN_PRESCRIBED", { ...regimen, drug_name: drug.name });
+
+    return regimen.regimen_id;
+  }
+
+  /**
+   * Stop a regimen before its last dose
+   */
+  cancel(regimenId) {
+    const regimen = this.regimens.get(regimenId);
+    if (!regimen) return false;
+
+    this.regimens.delete(regimenId);
+    this.eventBus.emit("REGIMEN_CANCELLED", {
+      regimen_id: regimenId,
+      drug_id: regimen.drug_id,
+      doses_given: regimen.doses_given,
+      doses_remaining: this.getDosesRemaining(regimen)
+    });
+
+    return true;
+  }
+
+  /**
+   * Give (or miss) every dose due at this tick
+   */
+  administerDueDoses(tickNumber) {
+    this.regimens.forEach((regimen, regimenId) => {
+      if (tickNumber < regimen.next_tick) return;
+
+      const drug = (this.bioDatabase.drugs || []).find((d) => d.id === regimen.drug_id);
+      const cost = drug?.cost || [];
+      const doseNumber = regimen.doses_given + regimen.doses_missed + 1;
+      const dosage =
+        doseNumber === 1 && regimen.loading_dose_mg ? regimen.loading_dose_mg : regimen.dose_mg;
+
+      if (drug && this.payCost(cost)) {
+        regimen.doses_given++;
+        const dose = { drug_id: regimen.drug_id, dosage, regimen_id: regimenId, dose_number: doseNumber };
+
+        if (regimen.building_id) {
+          this.eventBus.emit("DRUG_INJECTED", { ...dose, building_id: regimen.building_id });
+        } else {
+          this.eventBus.emit("DRUG_ADMINISTERED", {
+            ...dose,
+            route: regimen.route,
+            location_id: regimen.location_id
+          });
+        }
+      } else {
+        regimen.doses_missed++;
+        this.eventBus.emit("REGIMEN_DOSE_SKIPPED", {
+          regimen_id: regimenId,
+          drug_id: regimen.drug_id,
+          dose_number: doseNumber,
+          reason: drug ? "unaffordable" : "drug_removed",
+          cost
+        });
+      }
+
+      if (this.getDosesRemaining(regimen) === 0) {
+        this.regimens.delete(regimenId);
+        this.eventBus.emit("REGIMEN_COMPLETED", {
+          regimen_id: regimenId,
+          drug_id: regimen.drug_id,
+          doses_given: regimen.doses_given,
+          doses_missed: regimen.doses_missed
+        });
+        return;
+      }
+
+      regimen.next_tick = tickNumber + regimen.interval_ticks;
+    });
+  }
+
+  /**
+   * Hot reload: cancel regimens whose drug definition was removed
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+    const removed = diffIds(diff, "drugs", "removed");
+
+    this.getRegimens()
+      .filter((regimen) => removed.includes(regimen.drug_id))
+      .forEach((regimen) => {
+        this.cancel(regimen.regimen_id);
+        orphans.push({
+          system: "DrugRegimenSystem",
+          section: "drugs",
+          entity_id: regimen.drug_id,
+          instance_id: regimen.regimen_id,
+          action: "regimen cancelled"
+        });
+      });
+
+    return orphans;
+  }
+
+  /**
+   * Take a dose cost from the resource pool; true if paid (or no pool)
+   */
+  payCost(cost) {
+    if (!this.resourcePool || cost.length === 0) return true;
+    if (!this.resourcePool.canAffordResources(cost)) return false;
+
+    this.resourcePool.spendResources(cost);
+    return true;
+  }
+
+  getDosesRemaining(regimen) {
+    return regimen.doses - regimen.doses_given - regimen.doses_missed;
+  }
+
+  /**
+   * Running regimens (for the HUD)
+   */
+  getRegimens() {
+    return Array.from(this.regimens.values()).map((regimen) => ({
+      ...regimen,
+      doses_remaining: this.getDosesRemaining(regimen)
+    }));
+  }
+
+  serialize() {
+    return {
+      regimens: this.getRegimens(),
+      next_regimen_number: this.nextRegimenNumber
+    };
+  }
+
+  restore(data) {
+    if (!data) return;
+
+    this.regimens.clear();
+    (data.regimens || []).forEach(({ doses_remaining, ...regimen }) => {
+      this.regimens.set(regimen.regimen_id, regimen);
+    });
+    this.nextRegimenNumber = data.next_regimen_number || this.regimens.size + 1;
+  }
+
+  /**
+   * Debug: Dump system state
+   */
+  dump() {
+    return {
+      active_regimens: this.getRegimens(),
+      resource_pool: this.resourcePool ? "connected" : "none (doses free)"
+    };
+  }
+}
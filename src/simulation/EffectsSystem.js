@@ -2,23 +2,61 @@
  * EffectsSystem.js - Manages active effects on terrain/units with spread mechanics
  * 
  * Effects are status conditions that modify biomarkers and behavior:
- * - EFFECT_INFLAMMATION: Increases WBC, spreads to neighbors (speed: 0.5)
- * - EFFECT_ATHEROMA_INFECTION: Lipid accumulation
+ * - EFFECT_INFLAMMATION: Increases WBC, spreads to neighbors (cellular automaton)
+ * - EFFECT_ATHEROMA_INFECTION: Lipid accumulation, local hypoxia (regional BM_OXYGEN_SAT)
  * - EFFECT_AUTOIMMUNE_CONFUSION: Affects units negatively
- * 
+ *
  * MECHANICS:
  * - Effects can be placed on terrain cells or units
- * - Each effect has spread speed and radius
- * - Spread happens passively each tick (speed determines % spread per tick)
- * - Apply biomarker_mods to all affected entities
- * - Events: EFFECT_APPLIED, EFFECT_SPREAD, EFFECT_CLEARED
+ * - Biomarker mods apply once where an effect is placed (terrain: scope "local"
+ *   at the cell, so regional biomarkers change only in that cell's region)
+ * - Effects with a spread block live in an intensity field over the simulation
+ *   grid (regions.grid_size², one Float32Array per effect). Every tick:
+ *   - intensity diffuses to the 4 neighbours (spread.diffusion_per_s × dt, the
+ *     share of the difference exchanged, capped at 1 for stability)
+ *   - each neighbour pair is scaled by the lower permeability of the two:
+ *     spread.terrain[Grid terrain name] (CALCIFIED: 0 = barrier) ×
+ *     spread.vessel_permeability in cells with a vessel
+ *   - waste in the cell (WasteInventorySystem) amplifies it
+ *     (× 1 + waste_amplification × waste × dt)
+ *   - it decays (× e^(-decay_per_s × dt)), capped at max_intensity
+ * - Only the active bounding box (+1 cell) is stepped and copied (+2: the
+ *   stepped cells' neighbours), so cost follows the spread, not the grid size
+ * - A cell counts as affected at ≥ spread.threshold: EFFECT_SPREAD / EFFECT_RECEDED
+ *   list the cells that crossed it this tick
+ * - Terrain comes from TERRAIN_CHANGED { cells: [{ x, y, terrain }] }
+ *   (SimulationInitializer.wireWorld from the Grid, or a scenario)
+ * - Events: EFFECT_APPLIED_TERRAIN, EFFECT_SPREAD, EFFECT_RECEDED, EFFECT_CLEARED
  */
 
+import { SimulationClock } from "./SimulationClock.js";
+import { diffIds } from "../data/BioDatabaseDiff.js";
+
+// effects[].spread without a value
+const SPREAD_DEFAULTS = {
+  diffusion_per_s: 0.2,
+  decay_per_s: 0.02,
+  threshold: 0.1,
+  max_intensity: 5,
+  terrain: {},
+  vessel_permeability: 1,
+  waste_amplification: 0
+};
+
+// Intensity below this is dropped (keeps the active bounds tight)
+const FIELD_EPSILON = 1e-3;
+
 export class EffectsSystem {
-  constructor(eventBus, biomarkerSystem, bioDatabase) {
+  constructor(eventBus, biomarkerSystem, bioDatabase, wasteSystem = null, clock = null) {
     this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
     this.biomarkerSystem = biomarkerSystem;
     this.bioDatabase = bioDatabase;
+    this.wasteSystem = wasteSystem;
+
+    // Simulation grid (same as WasteInventorySystem / BiomarkerSystem regions)
+    this.width = bioDatabase.regions?.grid_size || 64;
+    this.height = this.width;
 
     // terrainEffects[x][y] = [{ effect_id, intensity, applied_time }, ...]
     this.terrainEffects = new Map();
@@ -26,13 +64,28 @@ export class EffectsSystem {
     // unitEffects[unit_id] = [{ effect_id, intensity, applied_time }, ...]
     this.unitEffects = new Map();
 
-    // effectSpreading[x][y][effect_id] = {
-    //   source: { x, y },
-    //   intensity: float,
-    //   spread_progress: float 0-1,
-    //   speed: float from effect definition
+    // spreadFields[effect_id] = {
+    //   values: Float32Array (x + y * width) intensity,
+    //   bounds: { min_x, max_x, min_y, max_y } of non-zero cells (null = empty),
+    //   affected_cells: cells ≥ spread.threshold,
+    //   started_at: ms
     // }
-    this.effectSpreading = new Map();
+    this.spreadFields = new Map();
+    this.scratch = new Float32Array(this.width * this.height);
+
+    // terrainCodes[cell] = index into terrainNames (0 = plain tissue)
+    this.terrainNames = [null];
+    this.terrainCodes = new Uint8Array(this.width * this.height);
+
+    // vesselCells[cell] = vessels in it; vesselIndex[building_id] = cell
+    this.vesselCells = new Uint8Array(this.width * this.height);
+    this.vesselIndex = new Map();
+
+    // wasteField[cell] = total waste, refreshed every spread tick
+    this.wasteField = new Float32Array(this.width * this.height);
+
+    // permeabilityCache[effect_id] = Float32Array per cell
+    this.permeabilityCache = new Map();
 
     // Subscribe to events
     this.eventBus.on("DISEASE_VISUAL_EFFECTS", (eventData) => {
@@ -51,6 +104,18 @@ export class EffectsSystem {
         eventData.intensity
       );
     });
+
+    this.eventBus.on("TERRAIN_CHANGED", (eventData) => {
+      this.handleTerrainChanged(eventData);
+    });
+
+    this.eventBus.on("BUILDING_PLACED", (eventData) => {
+      this.handleBuildingPlaced(eventData);
+    });
+
+    this.eventBus.on("BUILDING_DESTROYED", (eventData) => {
+      this.handleBuildingDestroyed(eventData);
+    });
   }
 
   /**
@@ -58,6 +123,24 @@ export class EffectsSystem {
    */
   applyTerrainEffect(x, y, effectId, intensity = 1.0) {
     const cellId = `${x},${y}`;
+    const effectDef = this.bioDatabase.effects.find((e) => e.id === effectId);
+    const spread = this.getSpreadConfig(effectId);
+
+    // Spreading effects go into their field (inside the simulation grid)
+    if (spread && this.isInside(x, y)) {
+      this.seedSpread(x, y, effectId, spread, intensity);
+
+      this.eventBus.emit("EFFECT_APPLIED_TERRAIN", {
+        cell_x: x,
+        cell_y: y,
+        effect_id: effectId,
+        intensity,
+        total_effects_on_cell: this.getTerrainEffects(x, y).length
+      });
+
+      this.applyEffectBiomarkerMods(effectDef, intensity, { x, y });
+      return;
+    }
 
     if (!this.terrainEffects.has(cellId)) {
       this.terrainEffects.set(cellId, []);
@@ -75,7 +158,7 @@ export class EffectsSystem {
       effects.push({
         effect_id: effectId,
         intensity,
-        applied_time: Date.now()
+        applied_time: this.clock.now()
       });
     }
 
@@ -87,14 +170,8 @@ export class EffectsSystem {
       total_effects_on_cell: effects.length
     });
 
-    // Start spreading if effect has spread mechanics
-    const effectDef = this.bioDatabase.effects.find((e) => e.id === effectId);
-    if (effectDef && effectDef.spread) {
-      this.initializeSpread(x, y, effectId, effectDef.spread, intensity);
-    }
-
     // Apply biomarker mods immediately
-    this.applyEffectBiomarkerMods(effectDef, intensity);
+    this.applyEffectBiomarkerMods(effectDef, intensity, { x, y });
   }
 
   /**
@@ -114,7 +191,7 @@ export class EffectsSystem {
       effects.push({
         effect_id: effectId,
         intensity,
-        applied_time: Date.now()
+        applied_time: this.clock.now()
       });
     }
 
@@ -136,75 +213,278 @@ export class EffectsSystem {
   }
 
   /**
-   * Initialize spreading for an effect (called when effect is applied)
+   * An effect's spread block with defaults, null if it doesn't spread
    */
-  initializeSpread(centerX, centerY, effectId, spreadConfig, intensity) {
-    const { speed, radius } = spreadConfig;
+  getSpreadConfig(effectId) {
+    const spread = this.bioDatabase.effects.find((e) => e.id === effectId)?.spread;
+    if (!spread) return null;
+
+    return { ...SPREAD_DEFAULTS, ...spread, terrain: { ...spread.terrain } };
+  }
 
-    // Queue initial spread neighbors
-    const neighbors = this.getNeighborsInRadius(centerX, centerY, radius);
+  /**
+   * Seed intensity into an effect's spread field (cell inside the simulation grid)
+   */
+  seedSpread(x, y, effectId, config, intensity) {
+    if (!this.spreadFields.has(effectId)) {
+      this.spreadFields.set(effectId, {
+        values: new Float32Array(this.width * this.height),
+        bounds: null,
+        affected_cells: 0,
+        started_at: this.clock.now()
+      });
+    }
 
-    neighbors.forEach(({ nx, ny }) => {
-      const neighborId = `${nx},${ny}`;
-      if (!this.effectSpreading.has(neighborId)) {
-        this.effectSpreading.set(neighborId, {});
+    const field = this.spreadFields.get(effectId);
+    const index = x + y * this.width;
+    const before = field.values[index];
+    field.values[index] = Math.min(config.max_intensity, before + intensity);
+
+    if (before < config.threshold && field.values[index] >= config.threshold) {
+      field.affected_cells++;
+    }
+    field.bounds = field.bounds
+      ? {
+          min_x: Math.min(field.bounds.min_x, x),
+          max_x: Math.max(field.bounds.max_x, x),
+          min_y: Math.min(field.bounds.min_y, y),
+          max_y: Math.max(field.bounds.max_y, y)
+        }
+      : { min_x: x, max_x: x, min_y: y, max_y: y };
+  }
+
+  /**
+   * Spread tick: one cellular-automaton step of every spreading effect
+   */
+  handleSpreadTick(eventData) {
+    if (this.spreadFields.size === 0) return;
+
+    const dt = (eventData?.delta_time_ms || this.clock.tickDurationMs) / 1000;
+    this.refreshWasteField();
+
+    this.spreadFields.forEach((field, effectId) => {
+      const config = this.getSpreadConfig(effectId);
+      if (!config) {
+        this.spreadFields.delete(effectId);
+        return;
       }
 
-      const spreading = this.effectSpreading.get(neighborId);
-      if (!spreading[effectId]) {
-        spreading[effectId] = {
-          source: { x: centerX, y: centerY },
-          intensity: intensity * 0.5, // Attenuate
-          spread_progress: 0,
-          speed
-        };
+      this.stepField(effectId, field, config, dt);
+      if (!field.bounds) {
+        this.spreadFields.delete(effectId);
       }
     });
   }
 
   /**
-   * Spread tick: progress effects spreading
+   * Diffuse, amplify and decay one field inside its active bounds (+1 cell)
+   * Each neighbour pair exchanges diffusion_per_s × dt × min(permeability) of the
+   * difference / 4, so a barrier (permeability 0) on either side stops it
    */
-  handleSpreadTick(eventData) {
-    const spreadingMap = new Map(this.effectSpreading);
+  stepField(effectId, field, config, dt) {
+    const { width, height } = this;
+    const { values, bounds } = field;
+    const previous = this.scratch;
+    const permeability = this.getPermeability(effectId, config);
+    const decay = Math.exp(-config.decay_per_s * dt);
+    const amplification = config.waste_amplification * dt;
+    const diffusion = config.diffusion_per_s * dt;
+
+    const minX = Math.max(0, bounds.min_x - 1);
+    const maxX = Math.min(width - 1, bounds.max_x + 1);
+    const minY = Math.max(0, bounds.min_y - 1);
+    const maxY = Math.min(height - 1, bounds.max_y + 1);
+
+    // Snapshot of the stepped cells and the neighbours they read (scratch is
+    // shared between fields, so nothing outside this box is valid)
+    const copyMinX = Math.max(0, minX - 1);
+    const copyMaxX = Math.min(width - 1, maxX + 1);
+    for (let y = Math.max(0, minY - 1); y <= Math.min(height - 1, maxY + 1); y++) {
+      const row = y * width;
+      previous.set(values.subarray(row + copyMinX, row + copyMaxX + 1), row + copyMinX);
+    }
 
-    spreadingMap.forEach((effectsAtCell, cellId) => {
-      const [x, y] = cellId.split(",").map(Number);
+    let next = null;
+    const spread = [];
+    const receded = [];
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const index = x + y * width;
+        const current = previous[index];
+        const own = permeability[index];
+
+        let flow = 0;
+        if (own > 0) {
+          if (x > 0) flow += this.exchange(previous, permeability, own, current, index - 1, diffusion);
+          if (x < width - 1) flow += this.exchange(previous, permeability, own, current, index + 1, diffusion);
+          if (y > 0) flow += this.exchange(previous, permeability, own, current, index - width, diffusion);
+          if (y < height - 1) flow += this.exchange(previous, permeability, own, current, index + width, diffusion);
+        }
+
+        let value = current + flow / 4;
+        if (value > 0 && amplification > 0) {
+          value *= 1 + amplification * this.wasteField[index];
+        }
+        value = Math.min(config.max_intensity, value * decay);
+        if (value < FIELD_EPSILON) value = 0;
+        values[index] = value;
+
+        if (value > 0) {
+          next = next
+            ? {
+                min_x: Math.min(next.min_x, x),
+                max_x: Math.max(next.max_x, x),
+                min_y: Math.min(next.min_y, y),
+                max_y: Math.max(next.max_y, y)
+              }
+            : { min_x: x, max_x: x, min_y: y, max_y: y };
+        }
 
-      Object.entries(effectsAtCell).forEach(([effectId, spreadData]) => {
-        const { speed, spread_progress } = spreadData;
-
-        // Increment spread progress by speed (0.5 means 50% chance to spread per tick)
-        const newProgress = spread_progress + speed;
-
-        if (newProgress >= 1.0) {
-          // Spread to this cell!
-          this.applyTerrainEffect(
-            x,
-            y,
-            effectId,
-            spreadData.intensity
-          );
-
-          // Remove from spreading map
-          delete effectsAtCell[effectId];
-        } else {
-          // Update progress
-          spreadData.spread_progress = newProgress;
+        if (current < config.threshold && value >= config.threshold) {
+          spread.push({ x, y, intensity: value });
+        } else if (current >= config.threshold && value < config.threshold) {
+          receded.push({ x, y });
         }
+      }
+    }
+
+    field.bounds = next;
+    field.affected_cells += spread.length - receded.length;
+
+    if (spread.length > 0) {
+      this.eventBus.emit("EFFECT_SPREAD", {
+        effect_id: effectId,
+        cells: spread,
+        affected_cells: field.affected_cells
       });
+    }
+    if (receded.length > 0) {
+      this.eventBus.emit("EFFECT_RECEDED", {
+        effect_id: effectId,
+        cells: receded,
+        affected_cells: field.affected_cells
+      });
+    }
+  }
+
+  /**
+   * Flow into a cell from one neighbour (diffusion for this tick × conductance, capped at 1 to keep the step stable)
+   */
+  exchange(previous, permeability, own, current, neighbor, diffusion) {
+    const conductance = Math.min(1, diffusion * Math.min(own, permeability[neighbor]));
+    return conductance * (previous[neighbor] - current);
+  }
 
-      // Clean up empty cell entries
-      if (Object.keys(effectsAtCell).length === 0) {
-        this.effectSpreading.delete(cellId);
+  /**
+   * Per-cell permeability of an effect: terrain multiplier × vessel multiplier
+   * (cached until terrain, vessels or the database change)
+   */
+  getPermeability(effectId, config) {
+    if (this.permeabilityCache.has(effectId)) {
+      return this.permeabilityCache.get(effectId);
+    }
+
+    const terrainFactors = this.terrainNames.map((name) => (name ? config.terrain[name] ?? 1 : 1));
+    const permeability = new Float32Array(this.width * this.height);
+    for (let index = 0; index < permeability.length; index++) {
+      permeability[index] =
+        terrainFactors[this.terrainCodes[index]] *
+        (this.vesselCells[index] > 0 ? config.vessel_permeability : 1);
+    }
+
+    this.permeabilityCache.set(effectId, permeability);
+    return permeability;
+  }
+
+  /**
+   * Waste per cell (WasteInventorySystem), read once per tick for amplification
+   */
+  refreshWasteField() {
+    this.wasteField.fill(0);
+    if (!this.wasteSystem) return;
+
+    this.wasteSystem.waste.forEach((wasteMap, cellId) => {
+      const [x, y] = cellId.split(",").map(Number);
+      if (!this.isInside(x, y)) return;
+
+      this.wasteField[x + y * this.width] = Object.values(wasteMap).reduce((sum, amount) => sum + amount, 0);
+    });
+  }
+
+  /**
+   * Terrain under the simulation grid: cells = [{ x, y, terrain }] (Grid TERRAIN_TYPES name)
+   */
+  handleTerrainChanged(eventData) {
+    (eventData.cells || []).forEach(({ x, y, terrain }) => {
+      if (!this.isInside(x, y)) return;
+
+      let code = this.terrainNames.indexOf(terrain || null);
+      if (code < 0) {
+        code = this.terrainNames.push(terrain) - 1;
       }
+      this.terrainCodes[x + y * this.width] = code;
+    });
+
+    this.permeabilityCache.clear();
+  }
+
+  /**
+   * Vessels slow the spread in the cells they occupy
+   */
+  handleBuildingPlaced(eventData) {
+    const { building_id, building_type, position } = eventData;
+    const tags = (this.bioDatabase.buildings || []).find((b) => b.id === building_type)?.tags || [];
+    if (!tags.includes("VESSEL") || !position || !this.isInside(position.x, position.y)) return;
+
+    const index = position.x + position.y * this.width;
+    this.vesselCells[index]++;
+    this.vesselIndex.set(building_id, index);
+    this.permeabilityCache.clear();
+  }
+
+  handleBuildingDestroyed(eventData) {
+    const index = this.vesselIndex.get(eventData.building_id);
+    if (index === undefined) return;
+
+    this.vesselCells[index]--;
+    this.vesselIndex.delete(eventData.building_id);
+    this.permeabilityCache.clear();
+  }
+
+  /**
+   * Hot reload: spread parameters are re-read every tick; fields of removed effects are dropped
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+    const removed = diffIds(diff, "effects", "removed");
+
+    this.spreadFields.forEach((field, effectId) => {
+      if (!removed.includes(effectId)) return;
+
+      this.spreadFields.delete(effectId);
+      orphans.push({
+        system: "EffectsSystem",
+        section: "effects",
+        entity_id: effectId,
+        instance_id: `${field.affected_cells} cells`,
+        action: "spread field cleared"
+      });
     });
+
+    this.permeabilityCache.clear();
+    return orphans;
+  }
+
+  isInside(x, y) {
+    return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < this.width && y < this.height;
   }
 
   /**
    * Apply biomarker mods from an effect
+   * cell = { x, y } for terrain effects (local to its region), null = systemic
    */
-  applyEffectBiomarkerMods(effect, intensity) {
+  applyEffectBiomarkerMods(effect, intensity, cell = null) {
     if (!effect || !effect.biomarker_mods) {
       return;
     }
@@ -217,7 +497,9 @@ export class EffectsSystem {
         biomarker_id: mod.marker_id,
         mode: mod.mode,
         cascaded_value: scaledValue,
-        source: `effect_${effect.id}`
+        source: `effect_${effect.id}`,
+        source_cell: cell,
+        scope: cell ? "local" : "systemic"
       });
     });
   }
@@ -227,49 +509,52 @@ export class EffectsSystem {
    */
   clearTerrainEffect(x, y, effectId = null) {
     const cellId = `${x},${y}`;
-    const effects = this.terrainEffects.get(cellId);
-
-    if (!effects) return 0;
+    const effects = this.terrainEffects.get(cellId) || [];
+    let count = this.clearSpreadCell(x, y, effectId);
 
     if (effectId) {
       const index = effects.findIndex((e) => e.effect_id === effectId);
       if (index >= 0) {
-        const removed = effects.splice(index, 1);
-        this.eventBus.emit("EFFECT_CLEARED", {
-          cell_x: x,
-          cell_y: y,
-          effect_id: effectId
-        });
-        return 1;
+        effects.splice(index, 1);
+        count++;
       }
     } else {
-      const count = effects.length;
+      count += effects.length;
       effects.length = 0;
-      this.eventBus.emit("EFFECT_CLEARED", {
-        cell_x: x,
-        cell_y: y,
-        effects_cleared: count
-      });
-      return count;
     }
 
-    return 0;
+    if (count === 0) return 0;
+
+    this.eventBus.emit(
+      "EFFECT_CLEARED",
+      effectId
+        ? { cell_x: x, cell_y: y, effect_id: effectId }
+        : { cell_x: x, cell_y: y, effects_cleared: count }
+    );
+    return count;
   }
 
   /**
-   * Get neighbors within radius (spiral expansion)
+   * Zero a cell in the spread fields (one effect or all); returns how many were affecting it
    */
-  getNeighborsInRadius(x, y, radius) {
-    const neighbors = [];
+  clearSpreadCell(x, y, effectId = null) {
+    if (!this.isInside(x, y)) return 0;
+
+    const index = x + y * this.width;
+    let count = 0;
 
-    for (let dx = -radius; dx <= radius; dx++) {
-      for (let dy = -radius; dy <= radius; dy++) {
-        if (dx === 0 && dy === 0) continue;
-        neighbors.push({ nx: x + dx, ny: y + dy });
+    this.spreadFields.forEach((field, fieldEffectId) => {
+      if (effectId && fieldEffectId !== effectId) return;
+
+      const config = this.getSpreadConfig(fieldEffectId);
+      if (config && field.values[index] >= config.threshold) {
+        field.affected_cells--;
+        count++;
       }
-    }
+      field.values[index] = 0;
+    });
 
-    return neighbors;
+    return count;
   }
 
   /**
@@ -277,7 +562,35 @@ export class EffectsSystem {
    */
   getTerrainEffects(x, y) {
     const cellId = `${x},${y}`;
-    return this.terrainEffects.get(cellId) || [];
+    const effects = [...(this.terrainEffects.get(cellId) || [])];
+    if (!this.isInside(x, y)) return effects;
+
+    // Spread fields: cells at or above the effect's threshold
+    const index = x + y * this.width;
+    this.spreadFields.forEach((field, effectId) => {
+      const intensity = field.values[index];
+      if (intensity > 0 && intensity >= (this.getSpreadConfig(effectId)?.threshold ?? Infinity)) {
+        effects.push({ effect_id: effectId, intensity, applied_time: field.started_at });
+      }
+    });
+
+    return effects;
+  }
+
+  /**
+   * An effect's spread field (for overlays): { width, height, values, bounds, threshold }, null if none
+   */
+  getSpreadField(effectId) {
+    const field = this.spreadFields.get(effectId);
+    if (!field) return null;
+
+    return {
+      width: this.width,
+      height: this.height,
+      values: field.values,
+      bounds: field.bounds,
+      threshold: this.getSpreadConfig(effectId)?.threshold ?? SPREAD_DEFAULTS.threshold
+    };
   }
 
   /**
@@ -305,6 +618,42 @@ export class EffectsSystem {
     );
   }
 
+  /**
+   * Every terrain effect with its visual_filter, for the Grid overlay:
+   * [{ effect_id, visual_filter, cells: [{ x, y, intensity }] }]
+   * (spread fields list every non-zero cell, so fading fronts show too)
+   */
+  getVisualLayers() {
+    const layers = new Map();
+    const layerOf = (effectId) => {
+      if (!layers.has(effectId)) {
+        const effect = this.bioDatabase.effects.find((e) => e.id === effectId);
+        layers.set(effectId, { effect_id: effectId, visual_filter: effect?.visual_filter || null, cells: [] });
+      }
+      return layers.get(effectId);
+    };
+
+    this.terrainEffects.forEach((effects, cellId) => {
+      const [x, y] = cellId.split(",").map(Number);
+      effects.forEach((e) => layerOf(e.effect_id).cells.push({ x, y, intensity: e.intensity }));
+    });
+
+    this.spreadFields.forEach((field, effectId) => {
+      const { bounds, values } = field;
+      if (!bounds) return;
+
+      const layer = layerOf(effectId);
+      for (let y = bounds.min_y; y <= bounds.max_y; y++) {
+        for (let x = bounds.min_x; x <= bounds.max_x; x++) {
+          const intensity = values[x + y * this.width];
+          if (intensity > 0) layer.cells.push({ x, y, intensity });
+        }
+      }
+    });
+
+    return Array.from(layers.values()).filter((layer) => layer.visual_filter && layer.cells.length > 0);
+  }
+
   /**
    * Get visual filter for a terrain cell (for rendering)
    */
@@ -339,6 +688,15 @@ export class EffectsSystem {
       }));
     });
 
-    return { terrain, units, spreading: this.effectSpreading.size };
+    const spreading = {};
+    this.spreadFields.forEach((field, effectId) => {
+      spreading[effectId] = {
+        affected_cells: field.affected_cells,
+        total_intensity: field.values.reduce((sum, value) => sum + value, 0),
+        bounds: field.bounds
+      };
+    });
+
+    return { terrain, units, spreading };
   }
 }
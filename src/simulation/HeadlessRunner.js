@@ -0,0 +1,158 @@
+/**
+ * HeadlessRunner.js - Drives the v5.1.0 system stack without Three.js or the DOM
+ *
+ * MECHANICS:
+ * - Creates a fresh SimulationInitializer (never the shared singleton)
+ * - Replays scenario actions on the EventBus at their scheduled tick
+ * - Advances ticks synchronously via SimulationInitializer.step() (no setInterval)
+ * - Simulated time comes from SimulationClock, so identical scenarios give identical reports
+ * - Returns a report: final system dump + EventBus event counts
+ * - options.roundTrip: after the run, serialize the state (SaveManagerExtension format),
+ *   restore it into a fresh SimulationInitializer with the same buildings placed, and
+ *   report per save section whether it came back identical (report.round_trip)
+ *
+ * Used for balance sweeps and regression checks on BioDatabase edits.
+ * CLI wrapper: src/headless.js
+ */
+
+import { SimulationInitializer } from "./SimulationInitializer.js";
+import randomService from "../core/RandomService.js";
+import dataPackManager from "../core/DataPackManager.js";
+
+// Save sections checked by the round trip (resistance lives in diseases.active_diseases)
+const ROUND_TRIP_SECTIONS = {
+  diseases: (state) => state.diseases.active_diseases,
+  medications: (state) => state.medications.active_medications,
+  regimens: (state) => state.regimens,
+  delivery: (state) => state.delivery,
+  thrombosis: (state) => state.thrombosis
+};
+
+// JSON with sorted object keys (restore() may rebuild objects in another key order)
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, item) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? Object.fromEntries(Object.keys(item).sort().map((name) => [name, item[name]]))
+      : item
+  );
+}
+
+// Actions that rebuild the world layout (a save does not hold the grid)
+const LAYOUT_EVENTS = new Set(["BUILDING_PLACED", "BUILDING_DESTROYED"]);
+
+export class HeadlessRunner {
+  constructor(options = {}) {
+    this.options = options;
+    this.simulation = null;
+  }
+
+  /**
+   * Run a scenario for N ticks and return the report
+   */
+  async run(scenario, ticks = null) {
+    const tickCount = ticks ?? scenario.ticks ?? 100;
+    const { roundTrip, ...initOptions } = this.options;
+
+    // Optional scenario seed (same seed + same actions → same report)
+    if (scenario.seed !== undefined) {
+      randomService.setSeed(scenario.seed);
+    }
+
+    this.simulation = await this._createSimulation(scenario, initOptions);
+
+    const clock = this.simulation.getClock();
+    const eventBus = this.simulation.getEventBus();
+
+    // actionsByTick[tick] = [{ event, data }, ...]
+    const actionsByTick = new Map();
+    (scenario.actions || []).forEach((action) => {
+      const tick = action.tick || 0;
+      if (!actionsByTick.has(tick)) {
+        actionsByTick.set(tick, []);
+      }
+      actionsByTick.get(tick).push(action);
+    });
+
+    const emitActions = (tick) => {
+      (actionsByTick.get(tick) || []).forEach(({ event, data }) => {
+        eventBus.emit(event, { ...data });
+      });
+    };
+
+    // Setup actions, then the tick loop as fast as possible
+    // (wall time is only measured for the report, the simulation never sees it)
+    emitActions(0);
+    const startedAt = Date.now();
+    for (let tick = 1; tick <= tickCount; tick++) {
+      emitActions(tick);
+      this.simulation.step();
+    }
+    const wallTimeMs = Date.now() - startedAt;
+
+    const stats = eventBus.getStats();
+
+    const report = {
+      scenario: {
+        id: scenario.id || null,
+        name: scenario.name || null
+      },
+      seed: randomService.getSeed(),
+      packs: dataPackManager.getActivePacks().map((pack) => pack.id),
+      ticks: tickCount,
+      tick_duration_ms: clock.tickDurationMs,
+      simulated_ms: clock.now(),
+      wall_time_ms: wallTimeMs,
+      total_events: stats.totalEvents,
+      event_counts: stats.eventCounts,
+      final_state: this.simulation.debugDump()
+    };
+
+    if (roundTrip) {
+      report.round_trip = await this._roundTrip(scenario, initOptions, tickCount);
+    }
+
+    return report;
+  }
+
+  async _createSimulation(scenario, initOptions) {
+    const simulation = new SimulationInitializer();
+    const ok = await simulation.initialize({
+      tickDurationMs: scenario.tick_duration_ms || 1000,
+      ...initOptions
+    });
+    if (!ok) {
+      throw new Error("[HeadlessRunner] SimulationInitializer failed to initialize");
+    }
+    return simulation;
+  }
+
+  /**
+   * Save → restore → save again; every checked section must come back unchanged
+   */
+  async _roundTrip(scenario, initOptions, tickCount) {
+    const saved = this.simulation.serializeState();
+
+    const restored = await this._createSimulation(scenario, initOptions);
+    const eventBus = restored.getEventBus();
+    (scenario.actions || [])
+      .filter((action) => LAYOUT_EVENTS.has(action.event) && (action.tick || 0) <= tickCount)
+      .sort((a, b) => (a.tick || 0) - (b.tick || 0))
+      .forEach(({ event, data }) => eventBus.emit(event, { ...data }));
+    restored.restoreState(saved);
+
+    const reloaded = restored.serializeState();
+    const sections = {};
+    Object.entries(ROUND_TRIP_SECTIONS).forEach(([name, pick]) => {
+      const before = canonicalJson(pick(saved));
+      const after = canonicalJson(pick(reloaded));
+      sections[name] = { identical: before === after, bytes: before.length };
+    });
+
+    return {
+      ok: Object.values(sections).every((section) => section.identical),
+      sections
+    };
+  }
+}
+
+export default HeadlessRunner;
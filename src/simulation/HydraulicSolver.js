@@ -0,0 +1,120 @@
+/**
+ * HydraulicSolver.js - Steady-state flow in a vessel network (nodal analysis)
+ *
+ * Used by PressureSystem. The network is solved like a resistor circuit:
+ *
+ *   nodes: [{ id, fixed_pressure, ground_conductance }]
+ *     fixed_pressure:     pump head (a source); omitted = solved
+ *     ground_conductance: flow out of the network per unit of pressure
+ *                         (tissue perfusion along a vessel, a consumer's draw)
+ *   edges: [{ from, to, conductance }]   conductance = 1 / resistance
+ *
+ * MECHANICS:
+ * - Kirchhoff at every free node: flows through its edges and to ground sum to zero
+ * - Successive over-relaxation (Gauss-Seidel, ω = SOR_OMEGA) until no pressure
+ *   moves by more than TOLERANCE × the highest head; warm-started from the last
+ *   solution, so small network changes settle in a few sweeps
+ * - Nodes with no path to a source (breadth-first search from the fixed nodes over
+ *   open edges) are set to 0 and left out of the sweeps - a network cut off from
+ *   every pump drops to 0 at once instead of decaying from its old pressures
+ * - Edge flow = conductance × (p_from - p_to), positive from → to
+ */
+
+const SOR_OMEGA = 1.6;
+const TOLERANCE = 1e-6;
+const MAX_ITERATIONS = 2000;
+
+/**
+ * Solve pressures and flows
+ * initialPressures: Map(id → pressure) from a previous solve (optional)
+ * Returns {
+ *   pressures: Map(id → pressure),
+ *   edge_flows: [flow, ...] (same order as edges),
+ *   ground_flows: Map(id → flow to ground),
+ *   iterations, converged
+ * }
+ */
+export function solveNetwork(nodes, edges, initialPressures = null) {
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const pressures = new Float64Array(nodes.length);
+  const fixed = nodes.map((node) => Number.isFinite(node.fixed_pressure));
+
+  // adjacency[i] = [{ node: j, conductance }]
+  const adjacency = nodes.map(() => []);
+  edges.forEach(({ from, to, conductance }) => {
+    const a = index.get(from);
+    const b = index.get(to);
+    if (a === undefined || b === undefined || !(conductance > 0)) return;
+
+    adjacency[a].push({ node: b, conductance });
+    adjacency[b].push({ node: a, conductance });
+  });
+
+  // reachable[i]: node i has a path to a fixed-pressure node
+  const reachable = new Uint8Array(nodes.length);
+  const queue = [];
+  fixed.forEach((isFixed, i) => {
+    if (!isFixed) return;
+    reachable[i] = 1;
+    queue.push(i);
+  });
+  for (let head = 0; head < queue.length; head++) {
+    adjacency[queue[head]].forEach(({ node }) => {
+      if (reachable[node]) return;
+      reachable[node] = 1;
+      queue.push(node);
+    });
+  }
+
+  let maxHead = 0;
+  nodes.forEach((node, i) => {
+    if (fixed[i]) {
+      pressures[i] = node.fixed_pressure;
+      maxHead = Math.max(maxHead, node.fixed_pressure);
+    } else if (reachable[i]) {
+      pressures[i] = initialPressures?.get(node.id) || 0;
+    }
+  });
+
+  let iterations = 0;
+  let converged = maxHead === 0;
+  if (converged) pressures.fill(0);
+
+  while (!converged && iterations < MAX_ITERATIONS) {
+    iterations++;
+    let maxChange = 0;
+
+    for (let i = 0; i < nodes.length; i++) {
+      if (fixed[i] || !reachable[i]) continue;
+
+      let weighted = 0;
+      let total = nodes[i].ground_conductance || 0;
+      adjacency[i].forEach(({ node, conductance }) => {
+        weighted += conductance * pressures[node];
+        total += conductance;
+      });
+
+      const target = total > 0 ? weighted / total : 0;
+      const next = Math.max(0, pressures[i] + SOR_OMEGA * (target - pressures[i]));
+      maxChange = Math.max(maxChange, Math.abs(next - pressures[i]));
+      pressures[i] = next;
+    }
+
+    converged = maxChange <= TOLERANCE * maxHead;
+  }
+
+  const edgeFlows = edges.map(({ from, to, conductance }) => {
+    const a = index.get(from);
+    const b = index.get(to);
+    if (a === undefined || b === undefined || !(conductance > 0)) return 0;
+    return conductance * (pressures[a] - pressures[b]);
+  });
+
+  return {
+    pressures: new Map(nodes.map((node, i) => [node.id, pressures[i]])),
+    edge_flows: edgeFlows,
+    ground_flows: new Map(nodes.map((node, i) => [node.id, (node.ground_conductance || 0) * pressures[i]])),
+    iterations,
+    converged
+  };
+}
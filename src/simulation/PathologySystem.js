@@ -5,8 +5,13 @@
  * Creates the bridge between simulation state and game mechanics.
  * 
  * Responsibilities:
- * - Listen to disease progression events
- * - Apply severity-based modifiers via ModifierSystem
+ * - Apply the current severity tier of each disease (diseases[].severity_tiers,
+ *   see SeverityTiers.js) on DISEASE_MODIFIER_APPLY, undo it on DISEASE_MODIFIER_REMOVE:
+ *   - systemic_modifier → ModifierSystem (source "disease_<id>", replaced per tier)
+ *   - biomarker_mods → BIOMARKER_MOD_APPLIED every tick (regional diseases: in
+ *     each affected region for regional biomarkers)
+ *   - effects → EFFECT_APPLY_TERRAIN at the affected regions' centre cells
+ *   - symptoms → DISEASE_SYMPTOMS_MANIFESTED once per newly present symptom
  * - Update pH based on lactate/metabolic acid accumulation
  * - Handle medication application and pharmacokinetics
  * - Spread inflammation through terrain and units
@@ -16,19 +21,25 @@
  */
 
 import BioDatabase from '../data/BioDatabase.js';
+import { SimulationClock } from './SimulationClock.js';
+import { getSeverityTier, getTierSymptoms } from './SeverityTiers.js';
 
 class PathologySystem {
-  constructor(eventBus, simulationCore, modifierSystem) {
+  constructor(eventBus, simulationCore, modifierSystem, clock = null) {
     this.database = BioDatabase;
     this.eventBus = eventBus;
     this.simulationCore = simulationCore;
     this.modifierSystem = modifierSystem;
+    this.clock = clock || simulationCore?.clock || new SimulationClock();
     
     // Medication tracking (for pharmacokinetics)
     this.medications = new Map(); // { drugId: [{ amount, timestamp }, ...] }
     
     // Disease state cache
     this.diseaseModifiers = new Map(); // { diseaseId: modifier object }
+
+    // Applied severity tiers: { diseaseId: { tier, region_ids, symptom_ids: Set } }
+    this.diseaseTiers = new Map();
     
     // Listen to relevant events
     this._setupListeners();
@@ -40,11 +51,34 @@ class PathologySystem {
    * Register event listeners for disease/toxicity/pH events
    */
   _setupListeners() {
-    // Disease progression triggers modifier application
+    // DiseaseSystem: tier entered / disease gone
+    this.eventBus.on('DISEASE_MODIFIER_APPLY', (data) => {
+      this._applySeverityTier(data.disease_id, data.severity_tier, data.region_ids || []);
+    });
+
+    this.eventBus.on('DISEASE_MODIFIER_REMOVE', (data) => {
+      this._removeSeverityTier(data.disease_id);
+    });
+
+    this.eventBus.on('DISEASE_REGIONS_CHANGED', (data) => {
+      const applied = this.diseaseTiers.get(data.disease_id);
+      if (applied) applied.region_ids = data.region_ids;
+    });
+
+    // Tier biomarker_mods push every tick while the tier lasts
+    this.eventBus.on('SIMULATION_TICK', () => {
+      this._applyTierBiomarkerMods();
+    });
+
+    // SimulationCore (legacy payload { disease, newSeverity })
     this.eventBus.on('DISEASE_PROGRESSED', (data) => {
       this._onDiseaseProgressed(data);
     });
 
+    this.eventBus.on('DISEASE_REMITTED', (data) => {
+      if (data.disease) this._removeSeverityTier(data.disease);
+    });
+
     // Disease onset initiates effects
     this.eventBus.on('DISEASE_ONSET', (data) => {
       this._onDiseaseOnset(data);
@@ -71,53 +105,155 @@ class PathologySystem {
   }
 
   /**
-   * Handle disease progression
+   * Handle disease progression (SimulationCore; DiseaseSystem tiers arrive
+   * through DISEASE_MODIFIER_APPLY)
    */
   _onDiseaseProgressed(data) {
     const { disease, newSeverity } = data;
-    
-    const diseaseData = this.database.diseases?.find(d => d.id === disease);
+    if (!disease) return;
+
+    this._applySeverityTier(disease, newSeverity, []);
+  }
+
+  /**
+   * Apply severity tier N of a disease, replacing the previous tier
+   */
+  _applySeverityTier(diseaseId, tierNumber, regionIds) {
+    const diseaseData = this.database.diseases?.find(d => d.id === diseaseId);
     if (!diseaseData) return;
 
-    const severityTier = diseaseData.severity_tiers[newSeverity - 1];
-    if (!severityTier) return;
+    const previous = this.diseaseTiers.get(diseaseId);
+    const applied = {
+      tier: tierNumber,
+      region_ids: regionIds,
+      symptom_ids: previous?.symptom_ids || new Set()
+    };
+    this.diseaseTiers.set(diseaseId, applied);
 
-    // Apply systemic modifiers
-    if (severityTier.systemic_modifier) {
-      // Create modifier from disease data
+    const severityTier = getSeverityTier(diseaseData, tierNumber);
+
+    // Systemic modifiers (one source per disease, replaced on every tier change)
+    this.modifierSystem.removeModifier(`disease_${diseaseId}`);
+    this.diseaseModifiers.delete(diseaseId);
+    if (severityTier?.systemic_modifier) {
       const modifier = {
-        source: `disease_${disease}_severity_${newSeverity}`,
+        source: `disease_${diseaseId}`,
         values: severityTier.systemic_modifier
       };
-
-      // Remove old modifier for this disease if exists
-      this.modifierSystem.removeModifier(`disease_${disease}`);
-      
-      // Add new modifier
       this.modifierSystem.addModifier(modifier.source, modifier.values);
-      this.diseaseModifiers.set(disease, modifier);
+      this.diseaseModifiers.set(diseaseId, modifier);
 
-      console.log(`[PathologySystem] Applied ${disease} modifier (severity ${newSeverity})`);
+      console.log(`[PathologySystem] Applied ${diseaseId} modifier (severity ${tierNumber})`);
     }
 
+    // Effects spawn where the disease is (systemic diseases: DISEASE_VISUAL_EFFECTS only)
+    if (tierNumber !== previous?.tier) {
+      (severityTier?.effects || []).forEach(effectId => {
+        regionIds.forEach(regionId => {
+          const { x, y } = this._getRegionCenter(regionId);
+          this.eventBus.emit('EFFECT_APPLY_TERRAIN', { x, y, effect_id: effectId, intensity: 1.0 });
+        });
+      });
+    }
+
+    this._manifestSymptoms(diseaseData, applied);
+
     // Emit pH changes if applicable
-    if (severityTier.local_ph_decrease) {
+    if (severityTier?.local_ph_decrease) {
       this.eventBus.emit('pH_CHANGED', {
         delta: -severityTier.local_ph_decrease,
-        source: `disease_${disease}`,
-        severity: newSeverity
+        source: `disease_${diseaseId}`,
+        severity: tierNumber
       });
     }
 
     // Block construction if specified
-    if (severityTier.block_construction) {
+    if (severityTier?.block_construction) {
       this.eventBus.emit('CONSTRUCTION_BLOCKED', {
-        reason: `disease_${disease}`,
-        severity: newSeverity
+        reason: `disease_${diseaseId}`,
+        severity: tierNumber
       });
     }
   }
 
+  /**
+   * Undo the applied tier (remission / definition removed)
+   */
+  _removeSeverityTier(diseaseId) {
+    if (!this.diseaseTiers.delete(diseaseId)) return;
+
+    this.modifierSystem.removeModifier(`disease_${diseaseId}`);
+    this.diseaseModifiers.delete(diseaseId);
+  }
+
+  /**
+   * Emit DISEASE_SYMPTOMS_MANIFESTED for symptoms of tiers 1..N not yet shown;
+   * symptoms of tiers left behind are forgotten and manifest again on re-entry
+   */
+  _manifestSymptoms(diseaseData, applied) {
+    const symptoms = getTierSymptoms(diseaseData, applied.tier);
+    const shown = applied.symptom_ids;
+
+    symptoms.forEach(symptom => {
+      if (shown.has(symptom.id)) return;
+
+      this.eventBus.emit('DISEASE_SYMPTOMS_MANIFESTED', {
+        disease_id: diseaseData.id,
+        disease_name: diseaseData.name,
+        symptom_id: symptom.id,
+        symptom_name: symptom.name,
+        severity_tier: applied.tier,
+        region_ids: applied.region_ids
+      });
+    });
+
+    applied.symptom_ids = new Set(symptoms.map(symptom => symptom.id));
+  }
+
+  /**
+   * Tier biomarker_mods, once per tick per applied tier
+   * Regional diseases push regional biomarkers in each affected region;
+   * everything else is applied once, systemically
+   */
+  _applyTierBiomarkerMods() {
+    const regionalMarkers = this.database.regions?.biomarkers || [];
+
+    this.diseaseTiers.forEach((applied, diseaseId) => {
+      const diseaseData = this.database.diseases?.find(d => d.id === diseaseId);
+      const severityTier = getSeverityTier(diseaseData, applied.tier);
+      if (!severityTier?.biomarker_mods) return;
+
+      severityTier.biomarker_mods.forEach(mod => {
+        const local = applied.region_ids.length > 0 && regionalMarkers.includes(mod.marker_id);
+        const cells = local ? applied.region_ids.map(regionId => this._getRegionCenter(regionId)) : [null];
+
+        cells.forEach(cell => {
+          this.eventBus.emit('BIOMARKER_MOD_APPLIED', {
+            biomarker_id: mod.marker_id,
+            mode: mod.mode,
+            base_value: mod.value,
+            cascaded_value: mod.value,
+            source: `disease_${diseaseId}`,
+            source_cell: cell,
+            scope: cell ? 'local' : 'systemic'
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Centre cell of a biomarker region ("rx,ry", BioDatabase.regions.cell_size)
+   */
+  _getRegionCenter(regionId) {
+    const cellSize = this.database.regions?.cell_size || 1;
+    const [rx, ry] = regionId.split(',').map(Number);
+    return {
+      x: rx * cellSize + Math.floor(cellSize / 2),
+      y: ry * cellSize + Math.floor(cellSize / 2)
+    };
+  }
+
   /**
    * Handle disease onset
    */
@@ -129,6 +265,9 @@ class PathologySystem {
 
     console.log(`[PathologySystem] Disease onset: ${disease}`);
 
+    // SimulationCore diseases enter tier 1
+    this._applySeverityTier(disease, data.severity || 1, []);
+
     // Trigger biomarker updates if correlated
     const biomarker = this.database.biomarkers?.find(b => b.disease_correlation === disease);
     if (biomarker) {
@@ -238,7 +377,7 @@ class PathologySystem {
 
     this.medications.get(drugId).push({
       amount: amount,
-      administeredAt: Date.now()
+      administeredAt: this.clock.now()
     });
 
     console.log(`[PathologySystem] Administered ${drugId} x${amount}`);
@@ -255,12 +394,12 @@ class PathologySystem {
    */
   updateMedicationState(deltaTime) {
     for (const [drugId, doses] of this.medications) {
-      const drugData = this.database.pharmacology?.find(p => p.id === drugId);
+      const drugData = this.database.drugs?.find(p => p.id === drugId);
       if (!drugData) continue;
 
       // Remove expired doses (older than 10 half-lives = 99.9% cleared)
-      const maxAge = (drugData.half_life || 300) * 10;
-      const now = Date.now();
+      const maxAge = (drugData.pk?.half_life_s || 300) * 10;
+      const now = this.clock.now();
 
       this.medications.set(drugId, 
         doses.filter(dose => (now - dose.administeredAt) / 1000 < maxAge)
@@ -298,11 +437,11 @@ class PathologySystem {
    * Calculate effective dose (with half-life decay)
    */
   _calculateEffectiveDose(drugId, doses) {
-    const drugData = this.database.pharmacology?.find(p => p.id === drugId);
+    const drugData = this.database.drugs?.find(p => p.id === drugId);
     if (!drugData) return 0;
 
-    const halfLife = drugData.half_life || 300;
-    const now = Date.now();
+    const halfLife = drugData.pk?.half_life_s || 300;
+    const now = this.clock.now();
     let totalEffective = 0;
 
     for (const dose of doses) {
@@ -319,13 +458,15 @@ class PathologySystem {
    * Check if medication exists in database
    */
   _medicationExists(drugId) {
-    return this.database.pharmacology?.some(p => p.id === drugId) || false;
+    return this.database.drugs?.some(p => p.id === drugId) || false;
   }
 
   /**
    * Get current disease state summary
    */
   getDiseaseState() {
+    if (!this.simulationCore) return {};
+
     const state = this.simulationCore.getState();
     const summary = {};
 
@@ -334,7 +475,7 @@ class PathologySystem {
         summary[diseaseId] = {
           severity: diseaseState.severity,
           onsetTime: diseaseState.onset_time,
-          duration: Date.now() - diseaseState.onset_time
+          duration: this.clock.now() - diseaseState.onset_time
         };
       }
     }
@@ -349,6 +490,26 @@ class PathologySystem {
     return this.modifierSystem.serialize();
   }
 
+  /**
+   * Debug: applied tiers, symptoms, active modifiers
+   */
+  dump() {
+    const tiers = {};
+    this.diseaseTiers.forEach((applied, diseaseId) => {
+      tiers[diseaseId] = {
+        tier: applied.tier,
+        region_ids: applied.region_ids,
+        symptoms: Array.from(applied.symptom_ids)
+      };
+    });
+
+    return {
+      disease_tiers: tiers,
+      modifiers: Array.from(this.diseaseModifiers.values()),
+      medications: this.medications.size
+    };
+  }
+
   /**
    * Debug output
    */
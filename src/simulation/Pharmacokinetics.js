@@ -0,0 +1,140 @@
+/**
+ * Pharmacokinetics.js - Compartment models for drugs[].pk
+ *
+ * Used by DrugProfileSystem. A drug declares its PK in BioDatabase:
+ *
+ *   pk: {
+ *     model: "ONE_COMPARTMENT" | "TWO_COMPARTMENT",
+ *     half_life_s: 120,        elimination half-life from the central compartment
+ *                              (k10 = ln2 / half_life_s), simulated seconds
+ *     vd_l: 10,                volume of distribution (central volume for two compartments)
+ *     k12_per_s: 0.02,         TWO_COMPARTMENT: central → peripheral rate constant
+ *     k21_per_s: 0.01,         TWO_COMPARTMENT: peripheral → central rate constant
+ *     routes: {
+ *       IV:   { bioavailability: 1.0 },                            bolus into central
+ *       ORAL: { bioavailability: 0.8, absorption_rate_per_s: 0.03 }  first-order depot (ka)
+ *     }
+ *   }
+ *
+ * MECHANICS:
+ * - Closed-form plasma concentration (mg/L) of one dose at time t after it
+ *   (Bateman function for first-order absorption; bi-exponential α/β phases
+ *   for two compartments)
+ * - Models are linear, so a regimen is the sum of its doses (superposition):
+ *   curves can be sampled at any time, past or projected, without integrating
+ * - Coinciding rate constants (ka = k, ka = α...) are nudged apart so the
+ *   closed forms stay finite
+ * - halfLifeFactor stretches the elimination half-life of one dose (shared
+ *   metabolism with another drug, see drug_interactions); fixed per dose, so
+ *   superposition still holds
+ */
+
+export const PK_MODELS = ["ONE_COMPARTMENT", "TWO_COMPARTMENT"];
+export const PK_ROUTES = ["IV", "ORAL"];
+
+// A dose older than this many of its slowest half-lives contributes < 0.1%
+const CLEARANCE_HALF_LIVES = 10;
+
+/**
+ * Resolve a drug's PK constants for one route, null if the route isn't declared
+ * Returns { model, route, k10, k12, k21, ka, alpha, beta, vd_l, bioavailability }
+ * (ka = null for bolus routes; alpha/beta only for TWO_COMPARTMENT)
+ */
+export function resolvePkParams(drug, route, halfLifeFactor = 1) {
+  const pk = drug?.pk;
+  const routeData = pk?.routes?.[route];
+  if (!pk || !routeData) return null;
+
+  const k10 = Math.LN2 / (pk.half_life_s * halfLifeFactor);
+  const twoCompartment = pk.model === "TWO_COMPARTMENT";
+  const k12 = twoCompartment ? pk.k12_per_s : 0;
+  const k21 = twoCompartment ? pk.k21_per_s : 0;
+
+  let alpha = null;
+  let beta = null;
+  if (twoCompartment) {
+    // α, β: roots of s² − (k10 + k12 + k21)s + k10·k21 = 0
+    const sum = k10 + k12 + k21;
+    const root = Math.sqrt(sum * sum - 4 * k10 * k21);
+    alpha = (sum + root) / 2;
+    beta = separate((sum - root) / 2, [alpha]);
+  }
+
+  const ka = routeData.absorption_rate_per_s
+    ? separate(routeData.absorption_rate_per_s, twoCompartment ? [alpha, beta] : [k10])
+    : null;
+
+  return {
+    model: twoCompartment ? "TWO_COMPARTMENT" : "ONE_COMPARTMENT",
+    route,
+    k10,
+    k12,
+    k21,
+    ka,
+    alpha,
+    beta,
+    vd_l: pk.vd_l,
+    bioavailability: routeData.bioavailability ?? 1
+  };
+}
+
+/**
+ * Plasma concentration (mg/L) of a single dose (mg) elapsedMs after it was given
+ */
+export function doseConcentration(params, amountMg, elapsedMs) {
+  if (!params || elapsedMs < 0) return 0;
+
+  const t = elapsedMs / 1000;
+  const dose = (amountMg * params.bioavailability) / params.vd_l;
+  const { ka, k10, k21, alpha, beta } = params;
+
+  if (params.model === "ONE_COMPARTMENT") {
+    if (!ka) return dose * Math.exp(-k10 * t);
+    return ((dose * ka) / (ka - k10)) * (Math.exp(-k10 * t) - Math.exp(-ka * t));
+  }
+
+  if (!ka) {
+    return (
+      (dose / (alpha - beta)) *
+      ((alpha - k21) * Math.exp(-alpha * t) + (k21 - beta) * Math.exp(-beta * t))
+    );
+  }
+
+  return (
+    dose *
+    ka *
+    (((k21 - alpha) * Math.exp(-alpha * t)) / ((ka - alpha) * (beta - alpha)) +
+      ((k21 - beta) * Math.exp(-beta * t)) / ((ka - beta) * (alpha - beta)) +
+      ((k21 - ka) * Math.exp(-ka * t)) / ((alpha - ka) * (beta - ka)))
+  );
+}
+
+/**
+ * Concentration (mg/L) of a regimen at an absolute time
+ * doses = [{ amount_mg, time_ms, params }]; doses given after timeMs don't count
+ */
+export function regimenConcentration(doses, timeMs) {
+  return doses.reduce(
+    (sum, dose) => sum + doseConcentration(dose.params, dose.amount_mg, timeMs - dose.time_ms),
+    0
+  );
+}
+
+/**
+ * Time after a dose (ms) from which it no longer contributes meaningfully
+ */
+export function clearanceTimeMs(params) {
+  if (!params) return 0;
+
+  const slowest = Math.min(
+    ...[params.model === "TWO_COMPARTMENT" ? params.beta : params.k10, params.ka].filter(Boolean)
+  );
+  return (CLEARANCE_HALF_LIVES * Math.LN2 * 1000) / slowest;
+}
+
+/**
+ * Move a rate constant off any of the given values (relative 1e-6 apart)
+ */
+function separate(rate, others) {
+  return others.some((other) => Math.abs(rate - other) <= rate * 1e-6) ? rate * 1.001 : rate;
+}
@@ -1,42 +1,89 @@
 /**
  * PressureSystem.js - Manages vessel efficiency and pump-based logistics
  * 
- * Resources flow through vessels (BLD_VESSEL) and pumps (BLD_CARDIOCYTE_PUMP):
- * - Without pumps: base_efficiency = 10% (leaky vessels)
- * - With pumps: efficiency = 1.0 * (1 - leak_per_tile * distance)
- * - Pumps create "pressure head" to overcome resistance
+ * Resources flow through vessels (buildings tagged VESSEL) and pumps (tagged PUMP):
+ * - Pumps create "pressure head" (hydraulics.pump_head × head_gain) to overcome resistance
+ * - Buildings with inputs next to a vessel are consumers drawing from the network
  * - Auto-connecting vessels when pipes are available
  * 
  * MECHANICS:
  * - Each vessel tracks connections (neighbors, pumps)
- * - Efficiency == delivery success rate for resources
- * - Calculate path efficiency: start at pump, accumulate distance penalties
- * - High pressure can damage buildings (future)
- * - Events: VESSEL_CONNECTED, PUMP_ACTIVATED, LEAK_OCCURRED
+ * - Whenever the network changes (placed / destroyed buildings, reload, PUMP_HEAD_SET)
+ *   it is solved as a circuit (HydraulicSolver): pumps are fixed-pressure sources,
+ *   vessel connections are resistances (resistance_per_tile × distance / (throughput ×
+ *   vessel class capacity)), every vessel leaks to the tissue (its class leak_per_tile,
+ *   else pump_nodes.leak_per_tile, per unit of pressure) and every consumer draws
+ *   1 / consumer_resistance per unit of pressure
+ * - Vessel classes (data/VesselClasses.js): vessels only connect within their class
+ *   network (blood / lymph); a transfer of a resource the destination's class does
+ *   not allow fails (VESSEL_TRANSFER_FAILED resource_not_allowed)
+ * - Efficiency == delivery success rate for resources = vessel pressure / pump_head
+ *   (clamped to 1); vessels with no pressure (no pump in their network) stay at
+ *   base_efficiency_without_pump
+ * - NETWORK_SOLVED carries the flow delivered to each consumer on a pressurised
+ *   network - BuildingBehaviorSystem limits their recipe inputs to it
+ * - A vessel above max_pressure is over-pressured: VESSEL_OVERPRESSURE once, then
+ *   BUILDING_DAMAGE (source "overpressure") every tick until it bursts or the
+ *   pressure drops (VESSEL_PRESSURE_NORMALIZED)
+ * - Obstruction (0-1, set by ThrombosisSystem through setVesselObstructions): a
+ *   thrombus narrows the lumen - every pipe touching the vessel conducts × (1 -
+ *   obstruction) - and at 1 the vessel is blocked: no flow, no transfers
+ *   (VESSEL_TRANSFER_FAILED vessel_blocked), no drug routes through it
+ * - getNetworkFrom(position, resourceId): every vessel reachable from a point that
+ *   may carry the resource (fastest path: length / (class speed × open lumen),
+ *   efficiency) - DrugDeliverySystem routes drug boluses with it
+ * - Events: VESSEL_CONNECTED, PUMP_SUPPORTS_VESSEL, NETWORK_SOLVED, LEAK_OCCURRED
  */
 
+import { SimulationClock } from "./SimulationClock.js";
+import { diffIds } from "../data/BioDatabaseDiff.js";
+import { solveNetwork } from "./HydraulicSolver.js";
+import { getVesselClass, vesselClassAllows } from "../data/VesselClasses.js";
+
+// Vessels (and pumps, delivery ports) this many tiles apart are connected
+export const CONNECTION_DISTANCE = 3;
+
 export class PressureSystem {
-  constructor(eventBus, bioDatabase) {
+  constructor(eventBus, bioDatabase, clock = null) {
     this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
     this.bioDatabase = bioDatabase;
     this.pressureConfig = bioDatabase.pressure_system || {};
 
     // vesselNetwork[vessel_id] = {
-    //   position: { x, y },
+    //   building_type, position: { x, y },
     //   connections: [{ vessel_id, distance }, ...],
     //   pumps_upstream: [pump_id, ...],
-    //   efficiency: float 0-1
+    //   efficiency: float 0-1,
+    //   pressure: float (last solve),
+    //   flow: float (through the vessel, last solve),
+    //   pump_fed: bool (piped to an active pump, thrombi ignored; last solve),
+    //   obstruction: float 0-1 (thrombus; 1 = blocked)
     // }
     this.vesselNetwork = new Map();
 
     // pumpNetwork[pump_id] = {
-    //   position: { x, y },
+    //   building_type, position: { x, y },
     //   active: bool,
     //   head_gain: float (default 1.0),
     //   supported_vessels: [vessel_id, ...]
     // }
     this.pumpNetwork = new Map();
 
+    // consumerNetwork[building_id] = { building_type, position: { x, y } }
+    // (buildings with inputs; fed if a vessel is within CONNECTION_DISTANCE)
+    this.consumerNetwork = new Map();
+
+    // Last solve: segments = [{ from, to, flow, conductance }] (flow from → to),
+    // consumers[building_id] = delivered flow, overpressured = vessel ids above max_pressure
+    this.hydraulics = {
+      segments: [],
+      consumers: new Map(),
+      overpressured: new Set(),
+      iterations: 0,
+      converged: true
+    };
+
     // leakage[location_id] = { amount, from_vessel, timestamp }
     this.leakageHistory = [];
 
@@ -52,6 +99,14 @@ export class PressureSystem {
     this.eventBus.on("RESOURCES_TRANSFER_ATTEMPT", (eventData) => {
       this.handleResourceTransfer(eventData);
     });
+
+    this.eventBus.on("PUMP_HEAD_SET", (eventData) => {
+      this.setPumpHead(eventData.pump_id, eventData.head_gain);
+    });
+
+    this.eventBus.on("SIMULATION_TICK", (eventData) => {
+      this.applyOverpressureDamage(eventData);
+    });
   }
 
   /**
@@ -59,41 +114,62 @@ export class PressureSystem {
    */
   handleBuildingPlaced(eventData) {
     const { building_id, building_type, position } = eventData;
+    const tags = this.getBuildingTags(building_type);
 
-    if (building_type === "BLD_VESSEL") {
-      this.registerVessel(building_id, position);
+    if (tags.includes("VESSEL")) {
+      this.registerVessel(building_id, position, building_type);
       this.attemptVesselConnections(building_id);
-    } else if (building_type === "BLD_CARDIOCYTE_PUMP") {
-      this.registerPump(building_id, position);
+    } else if (tags.includes("PUMP")) {
+      this.registerPump(building_id, position, building_type);
       this.attemptPumpActivation(building_id);
+    } else if (this.getBuildingDef(building_type)?.inputs?.length > 0) {
+      this.consumerNetwork.set(building_id, { building_type, position });
+    } else {
+      return;
     }
+
+    this.solveNetwork();
+  }
+
+  /**
+   * buildings[].tags of a building type ([] if unknown)
+   */
+  getBuildingTags(buildingType) {
+    return this.getBuildingDef(buildingType)?.tags || [];
+  }
+
+  getBuildingDef(buildingType) {
+    return (this.bioDatabase.buildings || []).find((b) => b.id === buildingType);
   }
 
   /**
    * Unregister vessel or pump when destroyed
    */
   handleBuildingDestroyed(eventData) {
-    const { building_id, building_type } = eventData;
+    const { building_id } = eventData;
 
-    if (building_type === "BLD_VESSEL") {
-      this.vesselNetwork.delete(building_id);
-    } else if (building_type === "BLD_CARDIOCYTE_PUMP") {
-      this.pumpNetwork.delete(building_id);
-    }
+    const removed = [this.vesselNetwork, this.pumpNetwork, this.consumerNetwork]
+      .map((network) => network.delete(building_id));
+    if (!removed.includes(true)) return;
 
-    // Recalculate efficiency for affected vessels
-    this.recalculateNetworkEfficiency();
+    this.hydraulics.overpressured.delete(building_id);
+    this.solveNetwork();
   }
 
   /**
    * Register a vessel in the network
    */
-  registerVessel(vesselId, position) {
+  registerVessel(vesselId, position, buildingType = null) {
     this.vesselNetwork.set(vesselId, {
+      building_type: buildingType,
       position,
       connections: [],
       pumps_upstream: [],
-      efficiency: this.pressureConfig.base_efficiency_without_pump || 0.1
+      efficiency: this.pressureConfig.base_efficiency_without_pump || 0.1,
+      pressure: 0,
+      flow: 0,
+      pump_fed: false,
+      obstruction: 0
     });
 
     this.eventBus.emit("VESSEL_REGISTERED", {
@@ -106,8 +182,9 @@ export class PressureSystem {
   /**
    * Register a pump in the network
    */
-  registerPump(pumpId, position) {
+  registerPump(pumpId, position, buildingType = null) {
     this.pumpNetwork.set(pumpId, {
+      building_type: buildingType,
       position,
       active: true,
       head_gain: this.pressureConfig.pump_nodes?.default_head_gain || 1.0,
@@ -128,16 +205,18 @@ export class PressureSystem {
     if (!vessel) return;
 
     const { x: vx, y: vy } = vessel.position;
+    const { network } = getVesselClass(this.bioDatabase, vessel.building_type);
 
-    // Find nearby vessels
+    // Find nearby vessels of the same network
     this.vesselNetwork.forEach((otherVessel, otherVesselId) => {
       if (otherVesselId === vesselId) return;
+      if (getVesselClass(this.bioDatabase, otherVessel.building_type).network !== network) return;
 
       const { x: ox, y: oy } = otherVessel.position;
       const distance = Math.hypot(vx - ox, vy - oy);
 
-      // Connect if within pipeline distance (3 tiles)
-      if (distance <= 3) {
+      // Connect if within pipeline distance
+      if (distance <= CONNECTION_DISTANCE) {
         vessel.connections.push({
           vessel_id: otherVesselId,
           distance
@@ -158,7 +237,7 @@ export class PressureSystem {
       const { x: px, y: py } = pump.position;
       const distance = Math.hypot(vx - px, vy - py);
 
-      if (distance <= 3) {
+      if (distance <= CONNECTION_DISTANCE) {
         vessel.pumps_upstream.push(pumpId);
         pump.supported_vessels.push(vesselId);
 
@@ -169,8 +248,6 @@ export class PressureSystem {
         });
       }
     });
-
-    this.recalculateVesselEfficiency(vesselId);
   }
 
   /**
@@ -187,50 +264,319 @@ export class PressureSystem {
       const { x: vx, y: vy } = vessel.position;
       const distance = Math.hypot(vx - px, vy - py);
 
-      if (distance <= 3) {
+      if (distance <= CONNECTION_DISTANCE) {
         vessel.pumps_upstream.push(pumpId);
         pump.supported_vessels.push(vesselId);
+      }
+    });
+  }
+
+  /**
+   * pressure_system.hydraulics with defaults
+   */
+  getHydraulicsConfig() {
+    const config = this.pressureConfig.hydraulics || {};
+
+    return {
+      pump_head: config.pump_head || 10,
+      resistance_per_tile: config.resistance_per_tile || 0.5,
+      consumer_resistance: config.consumer_resistance || 5,
+      max_pressure: config.max_pressure || Infinity,
+      overpressure_damage_per_s: config.overpressure_damage_per_s || 0,
+      leak_per_tile: this.pressureConfig.pump_nodes?.leak_per_tile ?? 0.02
+    };
+  }
+
+  /**
+   * Conductance of a pipe between two buildings: the narrower one sets the
+   * throughput (buildings[].throughput, default 1, × vessel class capacity; 0 blocks the flow)
+   */
+  getSegmentConductance(typeA, typeB, distance, config) {
+    const throughput = Math.min(this.getThroughput(typeA), this.getThroughput(typeB));
+    return throughput / (config.resistance_per_tile * Math.max(1, distance));
+  }
+
+  getThroughput(buildingType) {
+    const throughput = this.getBuildingDef(buildingType)?.throughput ?? 1;
+    return throughput * getVesselClass(this.bioDatabase, buildingType).capacity;
+  }
+
+  /**
+   * Open share of a vessel's lumen: 1 - obstruction (0 = blocked)
+   */
+  getPatency(vesselId) {
+    return 1 - (this.vesselNetwork.get(vesselId)?.obstruction || 0);
+  }
+
+  isBlocked(vesselId) {
+    return this.getPatency(vesselId) <= 0;
+  }
+
+  /**
+   * Narrow or block vessels (obstructions[vessel_id] = 0-1) and re-solve once
+   */
+  setVesselObstructions(obstructions) {
+    let changed = false;
+    Object.entries(obstructions).forEach(([vesselId, obstruction]) => {
+      const vessel = this.vesselNetwork.get(vesselId);
+      const value = Math.min(1, Math.max(0, obstruction));
+      if (!vessel || vessel.obstruction === value) return;
+
+      vessel.obstruction = value;
+      changed = true;
+    });
+
+    if (changed) this.solveNetwork();
+  }
+
+  /**
+   * Ids piped to an active pump, blocked pipes included: vessels cut off by a
+   * thrombus are still pump-fed (starved, pressure 0), a network with no pump is not
+   */
+  getPumpFedIds(nodes, edges) {
+    const neighbours = new Map();
+    edges.forEach(({ from, to }) => {
+      if (!neighbours.has(from)) neighbours.set(from, []);
+      if (!neighbours.has(to)) neighbours.set(to, []);
+      neighbours.get(from).push(to);
+      neighbours.get(to).push(from);
+    });
+
+    const queue = nodes.filter((node) => Number.isFinite(node.fixed_pressure)).map((node) => node.id);
+    const fed = new Set(queue);
+    for (let head = 0; head < queue.length; head++) {
+      (neighbours.get(queue[head]) || []).forEach((id) => {
+        if (fed.has(id)) return;
+        fed.add(id);
+        queue.push(id);
+      });
+    }
+    return fed;
+  }
+
+  /**
+   * Solve pressure and flow over the whole network, then update vessel
+   * efficiencies, consumer flows and over-pressure flags
+   */
+  solveNetwork() {
+    const config = this.getHydraulicsConfig();
+    const nodes = [];
+    const edges = [];
+    const nearbyVessels = (position) => Array.from(this.vesselNetwork.entries()).filter(
+      ([, vessel]) => Math.hypot(vessel.position.x - position.x, vessel.position.y - position.y) <= CONNECTION_DISTANCE
+    );
+    const connect = (fromId, fromType, position) => {
+      nearbyVessels(position).forEach(([vesselId, vessel]) => {
+        const distance = Math.hypot(vessel.position.x - position.x, vessel.position.y - position.y);
+        edges.push({
+          from: fromId,
+          to: vesselId,
+          conductance: this.getSegmentConductance(fromType, vessel.building_type, distance, config) *
+            this.getPatency(vesselId)
+        });
+      });
+    };
+
+    this.vesselNetwork.forEach((vessel, vesselId) => {
+      nodes.push({
+        id: vesselId,
+        ground_conductance: getVesselClass(this.bioDatabase, vessel.building_type).leak_per_tile ?? config.leak_per_tile
+      });
+
+      // Connections are stored on the vessel placed later - each pipe once
+      vessel.connections.forEach(({ vessel_id, distance }) => {
+        const other = this.vesselNetwork.get(vessel_id);
+        if (!other) return;
+
+        edges.push({
+          from: vesselId,
+          to: vessel_id,
+          conductance: this.getSegmentConductance(vessel.building_type, other.building_type, distance, config) *
+            Math.min(this.getPatency(vesselId), this.getPatency(vessel_id))
+        });
+      });
+    });
+
+    this.pumpNetwork.forEach((pump, pumpId) => {
+      if (!pump.active) return;
+
+      nodes.push({ id: pumpId, fixed_pressure: config.pump_head * pump.head_gain });
+      connect(pumpId, pump.building_type, pump.position);
+    });
+
+    this.consumerNetwork.forEach((consumer, consumerId) => {
+      nodes.push({ id: consumerId, ground_conductance: 1 / config.consumer_resistance });
+      connect(consumerId, consumer.building_type, consumer.position);
+    });
+
+    const previous = new Map(Array.from(this.vesselNetwork.entries()).map(([id, vessel]) => [id, vessel.pressure]));
+    const solution = solveNetwork(nodes, edges, previous);
+
+    // Vessels: pressure, flow through (half of everything entering and leaving) and efficiency
+    const throughFlow = new Map();
+    const segments = edges.map((edge, i) => {
+      const flow = solution.edge_flows[i];
+      [edge.from, edge.to].forEach((id) => {
+        throughFlow.set(id, (throughFlow.get(id) || 0) + Math.abs(flow) / 2);
+      });
+      return { from: edge.from, to: edge.to, flow, conductance: edge.conductance };
+    });
+
+    const pumpFed = this.getPumpFedIds(nodes, edges);
+    const baseEfficiency = this.pressureConfig.base_efficiency_without_pump || 0.1;
+    this.vesselNetwork.forEach((vessel, vesselId) => {
+      vessel.pressure = solution.pressures.get(vesselId);
+      vessel.flow = throughFlow.get(vesselId) || 0;
+      vessel.pump_fed = pumpFed.has(vesselId);
+      vessel.efficiency = vessel.pressure > 0
+        ? Math.max(baseEfficiency, Math.min(1, vessel.pressure / config.pump_head))
+        : baseEfficiency;
+    });
 
-        this.recalculateVesselEfficiency(vesselId);
+    // Consumers on a pressurised network; the rest are not fed by vessels
+    const consumers = new Map();
+    this.consumerNetwork.forEach((consumer, consumerId) => {
+      if (solution.pressures.get(consumerId) > 0) {
+        consumers.set(consumerId, solution.ground_flows.get(consumerId));
       }
     });
+
+    this.hydraulics = {
+      ...this.hydraulics,
+      segments,
+      consumers,
+      iterations: solution.iterations,
+      converged: solution.converged
+    };
+    this.updateOverpressure(config);
+
+    this.eventBus.emit("NETWORK_SOLVED", {
+      vessels: this.vesselNetwork.size,
+      pumps: nodes.filter((node) => Number.isFinite(node.fixed_pressure)).length,
+      consumers: Object.fromEntries(consumers),
+      total_inflow: segments
+        .filter((segment) => this.pumpNetwork.has(segment.from))
+        .reduce((sum, segment) => sum + segment.flow, 0),
+      overpressured: Array.from(this.hydraulics.overpressured),
+      converged: solution.converged
+    });
   }
 
   /**
-   * Calculate efficiency for a vessel based on pump support and distance
+   * Flag vessels above max_pressure (VESSEL_OVERPRESSURE / VESSEL_PRESSURE_NORMALIZED on change)
    */
-  recalculateVesselEfficiency(vesselId) {
-    const vessel = this.vesselNetwork.get(vesselId);
-    if (!vessel) return;
+  updateOverpressure(config) {
+    this.hydraulics.overpressured.forEach((vesselId) => {
+      if (!this.vesselNetwork.has(vesselId)) this.hydraulics.overpressured.delete(vesselId);
+    });
 
-    if (vessel.pumps_upstream.length === 0) {
-      // No pump support: base efficiency
-      vessel.efficiency = this.pressureConfig.base_efficiency_without_pump || 0.1;
-    } else {
-      // With pump support: calculate by closest pump
-      const bestPump = vessel.pumps_upstream[0]; // Could optimize to find closest
-      const pump = this.pumpNetwork.get(bestPump);
-
-      if (pump) {
-        const { x: vx, y: vy } = vessel.position;
-        const { x: px, y: py } = pump.position;
-        const distance = Math.hypot(vx - px, vy - py);
-
-        // Efficiency = pump_head * (1 - leak_per_tile * distance)
-        const leakPerTile = this.pressureConfig.pump_nodes?.leak_per_tile || 0.02;
-        vessel.efficiency = pump.head_gain * (1 - leakPerTile * distance);
-        vessel.efficiency = Math.max(0, Math.min(1, vessel.efficiency)); // Clamp 0-1
+    this.vesselNetwork.forEach((vessel, vesselId) => {
+      const over = vessel.pressure > config.max_pressure;
+      if (over === this.hydraulics.overpressured.has(vesselId)) return;
+
+      if (over) {
+        this.hydraulics.overpressured.add(vesselId);
+        this.eventBus.emit("VESSEL_OVERPRESSURE", {
+          vessel_id: vesselId,
+          pressure: vessel.pressure,
+          max_pressure: config.max_pressure
+        });
+      } else {
+        this.hydraulics.overpressured.delete(vesselId);
+        this.eventBus.emit("VESSEL_PRESSURE_NORMALIZED", {
+          vessel_id: vesselId,
+          pressure: vessel.pressure
+        });
       }
-    }
+    });
   }
 
   /**
-   * Recalculate all vessel efficiencies after network change
+   * Over-pressured vessels take overpressure_damage_per_s (BuildingBehaviorSystem hp)
    */
-  recalculateNetworkEfficiency() {
+  applyOverpressureDamage(eventData) {
+    const { overpressure_damage_per_s } = this.getHydraulicsConfig();
+    if (this.hydraulics.overpressured.size === 0 || !(overpressure_damage_per_s > 0)) return;
+
+    const dt = (eventData.delta_time_ms || this.clock.tickDurationMs) / 1000;
+    // Copy: a vessel bursting mid-loop re-solves the network
+    Array.from(this.hydraulics.overpressured).forEach((vesselId) => {
+      this.eventBus.emit("BUILDING_DAMAGE", {
+        building_id: vesselId,
+        amount: overpressure_damage_per_s * dt,
+        source: "overpressure"
+      });
+    });
+  }
+
+  /**
+   * PUMP_HEAD_SET: change a pump's head gain and re-solve
+   */
+  setPumpHead(pumpId, headGain) {
+    const pump = this.pumpNetwork.get(pumpId);
+    if (!pump || !(headGain >= 0)) return;
+
+    pump.head_gain = headGain;
+    this.solveNetwork();
+  }
+
+  /**
+   * Hot reload: re-resolve pressure_system config and recompute efficiencies
+   * Removed vessel / pump definitions drop those nodes from the network
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+
+    if (diff.settings.includes("pressure_system")) {
+      const oldDefaultHead = this.pressureConfig.pump_nodes?.default_head_gain || 1.0;
+      this.pressureConfig = this.bioDatabase.pressure_system || {};
+      const newDefaultHead = this.pressureConfig.pump_nodes?.default_head_gain || 1.0;
+
+      // Pumps still on the old default follow the new one
+      this.pumpNetwork.forEach((pump) => {
+        if (pump.head_gain === oldDefaultHead) {
+          pump.head_gain = newDefaultHead;
+        }
+      });
+    }
+
+    const removedTypes = diffIds(diff, "buildings", "removed");
+    this.pumpNetwork.forEach((pump, pumpId) => {
+      if (!removedTypes.includes(pump.building_type)) return;
+
+      orphans.push({
+        system: "PressureSystem",
+        section: "buildings",
+        entity_id: pump.building_type,
+        instance_id: pumpId,
+        action: "pump removed from network"
+      });
+      this.pumpNetwork.delete(pumpId);
+      this.vesselNetwork.forEach((vessel) => {
+        vessel.pumps_upstream = vessel.pumps_upstream.filter((id) => id !== pumpId);
+      });
+    });
     this.vesselNetwork.forEach((vessel, vesselId) => {
-      this.recalculateVesselEfficiency(vesselId);
+      if (!removedTypes.includes(vessel.building_type)) return;
+
+      orphans.push({
+        system: "PressureSystem",
+        section: "buildings",
+        entity_id: vessel.building_type,
+        instance_id: vesselId,
+        action: "vessel removed from network"
+      });
+      this.vesselNetwork.delete(vesselId);
     });
+
+    this.consumerNetwork.forEach((consumer, consumerId) => {
+      if (removedTypes.includes(consumer.building_type)) {
+        this.consumerNetwork.delete(consumerId);
+      }
+    });
+
+    this.solveNetwork();
+    return orphans;
   }
 
   /**
@@ -261,6 +607,28 @@ export class PressureSystem {
       return;
     }
 
+    // A thrombus blocking either end stops the transfer
+    const blocked = [from_vessel, to_vessel].find((vesselId) => this.isBlocked(vesselId));
+    if (blocked) {
+      this.eventBus.emit("VESSEL_TRANSFER_FAILED", {
+        reason: "vessel_blocked",
+        resource_id,
+        vessel_id: blocked
+      });
+      return;
+    }
+
+    // The destination's vessel class must accept the resource (lipids: lymph only)
+    if (!this.canCarry(to_vessel, resource_id)) {
+      this.eventBus.emit("VESSEL_TRANSFER_FAILED", {
+        reason: "resource_not_allowed",
+        resource_id,
+        vessel_id: to_vessel,
+        vessel_class: getVesselClass(this.bioDatabase, destVessel.building_type).id
+      });
+      return;
+    }
+
     // Calculate successful transfer based on efficiency
     const efficiency = destVessel.efficiency;
     const transferSuccessful = amount * efficiency;
@@ -272,7 +640,7 @@ export class PressureSystem {
         amount: leaked,
         from_vessel,
         resource_id,
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       });
 
       this.eventBus.emit("LEAK_OCCURRED", {
@@ -295,6 +663,86 @@ export class PressureSystem {
     });
   }
 
+  /**
+   * Whether a vessel's class lets a resource in (unknown vessel: false)
+   */
+  canCarry(vesselId, resourceId) {
+    const vessel = this.vesselNetwork.get(vesselId);
+    if (!vessel) return false;
+
+    return vesselClassAllows(this.bioDatabase, getVesselClass(this.bioDatabase, vessel.building_type), resourceId);
+  }
+
+  /**
+   * Vessels reachable from a point (a port next to the network): entry vessels
+   * are within CONNECTION_DISTANCE of it, then connections both ways. With a
+   * resourceId only vessels whose class may carry it take part; blocked vessels never do
+   * Returns [{ vessel_id, position, efficiency, path_tiles, transit_tiles }]:
+   * the fastest path from the point along the network, transit_tiles = its
+   * length with every step divided by the slower vessel speed (class speed ×
+   * open lumen, so narrowed vessels are slow)
+   */
+  getNetworkFrom(position, resourceId = null) {
+    const usable = (vesselId) => this.vesselNetwork.has(vesselId) && !this.isBlocked(vesselId) &&
+      (resourceId === null || this.canCarry(vesselId, resourceId));
+    const speed = (vesselId) =>
+      getVesselClass(this.bioDatabase, this.vesselNetwork.get(vesselId).building_type).speed * this.getPatency(vesselId);
+
+    // Connections are stored on the vessel placed later - walk them both ways
+    const neighbors = new Map();
+    const link = (a, b, distance) => {
+      if (!usable(a) || !usable(b)) return;
+      if (!neighbors.has(a)) neighbors.set(a, []);
+      neighbors.get(a).push({ vessel_id: b, distance, transit: distance / Math.min(speed(a), speed(b)) });
+    };
+    this.vesselNetwork.forEach((vessel, vesselId) => {
+      vessel.connections.forEach(({ vessel_id, distance }) => {
+        link(vesselId, vessel_id, distance);
+        link(vessel_id, vesselId, distance);
+      });
+    });
+
+    // best[vessel_id] = { transit, tiles }
+    const best = new Map();
+    this.vesselNetwork.forEach((vessel, vesselId) => {
+      const distance = Math.hypot(vessel.position.x - position.x, vessel.position.y - position.y);
+      if (distance <= CONNECTION_DISTANCE && usable(vesselId)) {
+        best.set(vesselId, { transit: distance / speed(vesselId), tiles: distance });
+      }
+    });
+
+    // Dijkstra on transit; networks are small, a linear scan for the next vessel is enough
+    const settled = new Set();
+    while (settled.size < best.size) {
+      let current = null;
+      best.forEach((path, vesselId) => {
+        if (!settled.has(vesselId) && (current === null || path.transit < best.get(current).transit)) {
+          current = vesselId;
+        }
+      });
+      settled.add(current);
+
+      const here = best.get(current);
+      (neighbors.get(current) || []).forEach(({ vessel_id, distance, transit }) => {
+        const through = here.transit + transit;
+        if (!best.has(vessel_id) || through < best.get(vessel_id).transit) {
+          best.set(vessel_id, { transit: through, tiles: here.tiles + distance });
+        }
+      });
+    }
+
+    return Array.from(best.entries()).map(([vesselId, path]) => {
+      const vessel = this.vesselNetwork.get(vesselId);
+      return {
+        vessel_id: vesselId,
+        position: vessel.position,
+        efficiency: vessel.efficiency,
+        path_tiles: path.tiles,
+        transit_tiles: path.transit
+      };
+    });
+  }
+
   /**
    * Get network efficiency stats
    */
@@ -327,7 +775,7 @@ export class PressureSystem {
     }
 
     // Leakage in last 24 hours
-    const now = Date.now();
+    const now = this.clock.now();
     const day = 24 * 60 * 60 * 1000;
     this.leakageHistory.forEach((leak) => {
       if (now - leak.timestamp <= day) {
@@ -357,6 +805,7 @@ export class PressureSystem {
       pump_id: pumpId,
       active: pump.active,
       head_gain: pump.head_gain,
+      head: pump.active ? this.getHydraulicsConfig().pump_head * pump.head_gain : 0,
       supported_vessels: pump.supported_vessels.length,
       position: pump.position
     };
@@ -371,7 +820,11 @@ export class PressureSystem {
       vessels: Array.from(this.vesselNetwork.entries()).map(
         ([id, vessel]) => ({
           id,
+          vessel_class: getVesselClass(this.bioDatabase, vessel.building_type).id,
           efficiency: vessel.efficiency,
+          pressure: vessel.pressure,
+          flow: vessel.flow,
+          obstruction: vessel.obstruction,
           connections: vessel.connections.length,
           pumps: vessel.pumps_upstream.length
         })
@@ -379,8 +832,16 @@ export class PressureSystem {
       pumps: Array.from(this.pumpNetwork.entries()).map(([id, pump]) => ({
         id,
         active: pump.active,
+        head_gain: pump.head_gain,
         supported_vessels: pump.supported_vessels.length
       })),
+      consumers: Object.fromEntries(this.hydraulics.consumers),
+      overpressured: Array.from(this.hydraulics.overpressured),
+      solver: {
+        segments: this.hydraulics.segments.length,
+        iterations: this.hydraulics.iterations,
+        converged: this.hydraulics.converged
+      },
       recent_leaks: this.leakageHistory.slice(-10)
     };
   }
@@ -13,9 +13,13 @@
  * - Events: RECIPE_UNLOCKED, RECIPE_LOCKED, RESEARCH_COMPLETED, RESEARCH_STARTED
  */
 
+import { SimulationClock } from "./SimulationClock.js";
+import { diffIds } from "../data/BioDatabaseDiff.js";
+
 export class RecipeUnlockSystem {
-  constructor(eventBus, bioDatabase) {
+  constructor(eventBus, bioDatabase, clock = null) {
     this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
     this.bioDatabase = bioDatabase;
 
     // completedResearch = Set<tech_id>
@@ -49,26 +53,85 @@ export class RecipeUnlockSystem {
    */
   initializeDefaultRecipes() {
     this.bioDatabase.recipes.forEach((recipe) => {
-      if (!recipe.unlock_by_research || recipe.unlock_by_research.length === 0) {
-        this.unlockedRecipes.add(recipe.id);
-        this.recipeState.set(recipe.id, {
-          unlocked: true,
-          unlock_reason: "default"
+      this.initializeRecipeState(recipe);
+    });
+  }
+
+  initializeRecipeState(recipe) {
+    if (!recipe.unlock_by_research || recipe.unlock_by_research.length === 0) {
+      this.unlockedRecipes.add(recipe.id);
+      this.recipeState.set(recipe.id, {
+        unlocked: true,
+        unlock_reason: "default"
+      });
+
+      this.eventBus.emit("RECIPE_UNLOCKED", {
+        recipe_id: recipe.id,
+        recipe_name: recipe.name,
+        reason: "default"
+      });
+    } else {
+      this.recipeState.set(recipe.id, {
+        unlocked: false,
+        unlock_reason: null,
+        required_research: recipe.unlock_by_research
+      });
+    }
+  }
+
+  /**
+   * Hot reload: research progress and already-unlocked recipes are kept
+   * - added recipe / changed LOCKED recipe → unlock state re-derived
+   *   (research requirements are re-checked on the next tick)
+   * - removed recipe → unlock dropped; removed research in progress → cancelled
+   */
+  handleDatabaseReload(diff) {
+    const orphans = [];
+
+    [...diffIds(diff, "recipes", "added"), ...diffIds(diff, "recipes", "changed")]
+      .forEach((recipeId) => {
+        if (this.unlockedRecipes.has(recipeId)) return;
+        const recipe = this.bioDatabase.recipes.find((r) => r.id === recipeId);
+        if (recipe) {
+          this.initializeRecipeState(recipe);
+        }
+      });
+
+    diffIds(diff, "recipes", "removed").forEach((recipeId) => {
+      const wasUnlocked = this.unlockedRecipes.delete(recipeId);
+      this.recipeState.delete(recipeId);
+      if (wasUnlocked) {
+        orphans.push({
+          system: "RecipeUnlockSystem",
+          section: "recipes",
+          entity_id: recipeId,
+          instance_id: recipeId,
+          action: "unlocked recipe removed"
         });
+      }
+    });
 
-        this.eventBus.emit("RECIPE_UNLOCKED", {
-          recipe_id: recipe.id,
-          recipe_name: recipe.name,
-          reason: "default"
+    diffIds(diff, "research", "removed").forEach((techId) => {
+      if (this.pendingResearch.delete(techId)) {
+        orphans.push({
+          system: "RecipeUnlockSystem",
+          section: "research",
+          entity_id: techId,
+          instance_id: techId,
+          action: "research in progress cancelled"
         });
-      } else {
-        this.recipeState.set(recipe.id, {
-          unlocked: false,
-          unlock_reason: null,
-          required_research: recipe.unlock_by_research
+      } else if (this.completedResearch.has(techId)) {
+        orphans.push({
+          system: "RecipeUnlockSystem",
+          section: "research",
+          entity_id: techId,
+          instance_id: techId,
+          action: "completed research kept without definition"
         });
       }
     });
+
+    return orphans;
   }
 
   /**
@@ -93,7 +156,7 @@ export class RecipeUnlockSystem {
     const duration = 30000; // 30 seconds
 
     this.pendingResearch.set(techId, {
-      start_time: Date.now(),
+      start_time: this.clock.now(),
       duration,
       progress: 0
     });
@@ -109,7 +172,7 @@ export class RecipeUnlockSystem {
    * Evaluate all pending research, mark completed when time expires
    */
   evaluateResearch() {
-    const now = Date.now();
+    const now = this.clock.now();
     const toComplete = [];
 
     this.pendingResearch.forEach((research, techId) => {
@@ -182,7 +245,7 @@ export class RecipeUnlockSystem {
       const state = this.recipeState.get(recipeId);
       state.unlocked = true;
       state.unlock_reason = "research_complete";
-      state.unlocked_by: requiredResearch;
+      state.unlocked_by = requiredResearch;
 
       this.eventBus.emit("RECIPE_UNLOCKED", {
         recipe_id: recipeId,
@@ -264,7 +327,7 @@ export class RecipeUnlockSystem {
           tech_id: techId,
           tech_name: tech.name,
           progress: research.progress,
-          elapsed_ms: Date.now() - research.start_time,
+          elapsed_ms: this.clock.now() - research.start_time,
           duration_ms: research.duration
         });
       }
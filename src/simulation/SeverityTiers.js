@@ -0,0 +1,86 @@
+/**
+ * SeverityTiers.js - Data-driven disease severity tiers
+ *
+ * Used by DiseaseSystem and SimulationCore to step a disease through
+ * diseases[].severity_tiers; PathologySystem applies what a tier declares:
+ *
+ *   severity_tiers: [
+ *     {
+ *       name,
+ *       enter: <trigger expression>   entry condition (TriggerEvaluator); tier 1
+ *                                     is entered by the disease trigger itself
+ *       progress_after_s: 30          time at this tier before the next one may be
+ *                                     entered; absent = only the next tier's enter
+ *       systemic_modifier: { stat: multiplier }   ModifierSystem values
+ *       biomarker_mods: [{ marker_id, mode, value }]   applied every tick at this tier
+ *       effects: [effect_id]          spawned on entering the tier
+ *       symptoms: [{ id, name }]      manifested on entering the tier (cumulative)
+ *     }, ...
+ *   ]
+ *
+ * MECHANICS:
+ * - One step per evaluation, up or down
+ * - Down: the current tier's enter no longer holds (remit_value hysteresis applies)
+ * - Up: progress_after_s elapsed at the current tier (if set) and the next tier's
+ *   enter holds (if set); a next tier with neither is never entered
+ * - Elapsed time is supplied by the caller, so it can run faster than the clock
+ *   (DiseaseSystem: interactions with PROGRESSION_RATE)
+ * - No severity_tiers = a single tier 1 that never changes
+ */
+
+/**
+ * Tier definitions of a disease (may be empty)
+ */
+export function getSeverityTiers(disease) {
+  return Array.isArray(disease?.severity_tiers) ? disease.severity_tiers : [];
+}
+
+/**
+ * Definition of tier N (1-based), null if the disease doesn't declare it
+ */
+export function getSeverityTier(disease, tierNumber) {
+  return getSeverityTiers(disease)[tierNumber - 1] || null;
+}
+
+/**
+ * Highest tier a disease can reach (at least 1)
+ */
+export function getMaxTier(disease) {
+  return Math.max(1, getSeverityTiers(disease).length);
+}
+
+/**
+ * Symptoms present at tier N: tiers 1..N, in order
+ */
+export function getTierSymptoms(disease, tierNumber) {
+  return getSeverityTiers(disease)
+    .slice(0, tierNumber)
+    .flatMap((tier) => tier.symptoms || []);
+}
+
+/**
+ * Next tier number for an active disease
+ * state = { tier, elapsed_ms } - elapsed_ms: progression time spent at this tier
+ * holds(expression, tierNumber) → boolean, evaluates a tier's enter expression
+ * (called for the current tier, then for the next one; both evaluated every
+ * time so durations in enter expressions keep counting)
+ */
+export function stepSeverityTier(disease, state, holds) {
+  const tier = Math.min(Math.max(1, state.tier), getMaxTier(disease));
+  const current = getSeverityTier(disease, tier);
+  const next = getSeverityTier(disease, tier + 1);
+
+  const currentHolds = tier > 1 && current?.enter ? holds(current.enter, tier) : true;
+  const nextHolds = next?.enter ? holds(next.enter, tier + 1) : true;
+
+  if (!currentHolds) {
+    return tier - 1;
+  }
+
+  if (!next || (current?.progress_after_s === undefined && !next.enter)) {
+    return tier;
+  }
+
+  const timeReached = state.elapsed_ms >= (current?.progress_after_s || 0) * 1000;
+  return timeReached && nextHolds ? tier + 1 : tier;
+}
@@ -0,0 +1,104 @@
+/**
+ * SimulationClock.js - Deterministic fixed-timestep simulation time
+ *
+ * MECHANICS:
+ * - Owned by SimulationInitializer, advanced exactly once per SIMULATION_TICK
+ * - Time is SIMULATED milliseconds, never wall-clock: tick N always means N × tickDurationMs
+ * - Every system reads time through clock.now() instead of Date.now(),
+ *   so two runs with the same inputs produce identical state and histories
+ * - ManualClock: drop-in replacement for tests, time is set/advanced by hand
+ */
+
+export class SimulationClock {
+  constructor(tickDurationMs = 1000) {
+    this.tickDurationMs = tickDurationMs;
+    this.tickNumber = 0;
+    this.simulatedMs = 0;
+  }
+
+  /**
+   * Advance one fixed step, returns the new tick number
+   */
+  tick() {
+    this.tickNumber++;
+    this.simulatedMs += this.tickDurationMs;
+    return this.tickNumber;
+  }
+
+  /**
+   * Current simulated time in milliseconds
+   */
+  now() {
+    return this.simulatedMs;
+  }
+
+  /**
+   * Current tick number (0 before the first tick)
+   */
+  getTickNumber() {
+    return this.tickNumber;
+  }
+
+  /**
+   * Change the fixed step size (affects future ticks only)
+   */
+  setTickDuration(tickDurationMs) {
+    this.tickDurationMs = tickDurationMs;
+  }
+
+  /**
+   * Back to tick 0 (new game)
+   */
+  reset() {
+    this.tickNumber = 0;
+    this.simulatedMs = 0;
+  }
+
+  /**
+   * Serialize for saves
+   */
+  serialize() {
+    return {
+      tick_number: this.tickNumber,
+      simulated_ms: this.simulatedMs,
+      tick_duration_ms: this.tickDurationMs
+    };
+  }
+
+  /**
+   * Restore from serialize() output
+   */
+  restore(state) {
+    if (!state) return;
+    this.tickNumber = state.tick_number || 0;
+    this.simulatedMs = state.simulated_ms || 0;
+    this.tickDurationMs = state.tick_duration_ms || this.tickDurationMs;
+  }
+
+  /**
+   * Debug: Dump clock state
+   */
+  dump() {
+    return this.serialize();
+  }
+}
+
+/**
+ * Manually driven clock for tests: time only moves when told to
+ */
+export class ManualClock extends SimulationClock {
+  /**
+   * Jump to an absolute simulated time (tick number unchanged)
+   */
+  setTime(simulatedMs) {
+    this.simulatedMs = simulatedMs;
+  }
+
+  /**
+   * Move time forward without counting a tick
+   */
+  advanceBy(ms) {
+    this.simulatedMs += ms;
+    return this.simulatedMs;
+  }
+}
@@ -19,12 +19,22 @@
  */
 
 import BioDatabase from '../data/BioDatabase.js';
+import { SimulationClock } from './SimulationClock.js';
+import { TriggerEvaluator, normalizeTrigger } from './TriggerEvaluator.js';
+import { stepSeverityTier } from './SeverityTiers.js';
 
 class SimulationCore {
-  constructor(eventBus, modifierSystem = null) {
+  constructor(eventBus, modifierSystem = null, clock = null) {
     this.database = BioDatabase;
     this.eventBus = eventBus;
     this.modifierSystem = modifierSystem;
+
+    // Simulated time source; when none is injected, update() drives our own clock
+    this.ownsClock = !clock;
+    this.clock = clock || new SimulationClock();
+
+    // Same trigger expression language as DiseaseSystem
+    this.triggerEvaluator = new TriggerEvaluator();
     
     // Game state (values that change during simulation)
     this.state = {
@@ -116,6 +126,11 @@ class SimulationCore {
    * @param {number} deltaTime - Seconds elapsed since last frame
    */
   update(deltaTime) {
+    if (this.ownsClock) {
+      this.clock.setTickDuration(deltaTime * 1000);
+      this.clock.tick();
+    }
+
     // 1. Process active recipes
     this._updateRecipes(deltaTime);
 
@@ -227,10 +242,12 @@ class SimulationCore {
         active: false
       };
 
-      // Check trigger condition
-      if (!diseaseState.active && this._checkDiseaseTrigger(disease)) {
+      // Check trigger condition (every update, so for_ticks durations keep counting)
+      const triggered = this._checkDiseaseTrigger(disease);
+      if (!diseaseState.active && triggered) {
         diseaseState.active = true;
-        diseaseState.onset_time = Date.now();
+        diseaseState.onset_time = this.clock.now();
+        diseaseState.tier_since = diseaseState.onset_time;
         diseaseState.severity = 1;
         this.state.diseases.set(disease.id, diseaseState);
         
@@ -239,15 +256,25 @@ class SimulationCore {
           disease: disease.id,
           severity: 1
         });
+      } else if (diseaseState.active && !triggered && normalizeTrigger(disease)) {
+        // Remission (past the remit_value thresholds); EVENT diseases stay active
+        diseaseState.active = false;
+        diseaseState.severity = 0;
+        this.eventBus.emit('DISEASE_REMITTED', {
+          disease_id: disease.id,
+          disease_name: disease.name,
+          remission_time: this.clock.now()
+        });
       }
 
-      // Update severity based on persistence
+      // Severity tier up / down (BioDatabase severity_tiers)
       if (diseaseState.active) {
         const prevSeverity = diseaseState.severity;
-        diseaseState.severity = this._calculateDiseaseSeverity(disease);
+        diseaseState.severity = this._calculateDiseaseSeverity(disease, diseaseState);
         
-        if (diseaseState.severity > prevSeverity) {
-          this.eventBus.emit('DISEASE_PROGRESSED', {
+        if (diseaseState.severity !== prevSeverity) {
+          diseaseState.tier_since = this.clock.now();
+          this.eventBus.emit(diseaseState.severity > prevSeverity ? 'DISEASE_PROGRESSED' : 'DISEASE_REGRESSED', {
             disease: disease.id,
             oldSeverity: prevSeverity,
             newSeverity: diseaseState.severity
@@ -261,52 +288,43 @@ class SimulationCore {
 
   /**
    * Check if disease trigger condition is met
+   * Legacy trigger types (RESOURCE_ACCUMULATION / RESOURCE_THRESHOLD) and
+   * trigger expressions both go through TriggerEvaluator; leaves read
+   * resource_id from resources and marker_id from biomarkers
    */
   _checkDiseaseTrigger(disease) {
-    if (!disease.trigger) return false;
+    const expression = normalizeTrigger(disease);
+    if (!expression) return false; // No trigger, or EVENT (triggered by other systems)
 
-    switch (disease.trigger.type) {
-      case 'RESOURCE_ACCUMULATION':
-        const resourceAmount = this.state.resources[disease.trigger.resource] || 0;
-        return resourceAmount >= disease.trigger.threshold;
-
-      case 'RESOURCE_THRESHOLD':
-        const currentAmount = this.state.resources[disease.trigger.resource] || 0;
-        return currentAmount < disease.trigger.below;
-
-      case 'EVENT':
-        // Events are triggered by other game systems
-        return false;
-
-      default:
-        return false;
-    }
+    return this._evaluateExpression(expression, disease.id, Boolean(this.state.diseases.get(disease.id)?.active));
   }
 
   /**
-   * Calculate disease severity (1-3) based on trigger intensity
+   * Evaluate a trigger expression against resources / biomarkers
    */
-  _calculateDiseaseSeverity(disease) {
-    if (!disease.trigger) return 1;
-
-    switch (disease.trigger.type) {
-      case 'RESOURCE_ACCUMULATION': {
-        const resourceAmount = this.state.resources[disease.trigger.resource] || 0;
-        const threshold = disease.trigger.threshold;
-        const ratio = resourceAmount / threshold;
-        return Math.min(3, Math.ceil(ratio)); // Tier 1-3
-      }
-
-      case 'RESOURCE_THRESHOLD': {
-        const currentAmount = this.state.resources[disease.trigger.resource] || 0;
-        const below = disease.trigger.below;
-        const ratio = below / Math.max(1, currentAmount);
-        return Math.min(3, Math.ceil(ratio));
-      }
+  _evaluateExpression(expression, key, active) {
+    return this.triggerEvaluator.evaluate(expression, {
+      key,
+      tick: this.clock.getTickNumber(),
+      time_ms: this.clock.now(),
+      active,
+      getValue: leaf => (leaf.resource_id
+        ? this.state.resources[leaf.resource_id] || 0
+        : this.state.biomarkers[leaf.marker_id]?.current)
+    });
+  }
 
-      default:
-        return 1;
-    }
+  /**
+   * Severity tier from the disease's severity_tiers (see SeverityTiers.js):
+   * enter expressions + progress_after_s, one tier per update
+   */
+  _calculateDiseaseSeverity(disease, diseaseState) {
+    return stepSeverityTier(
+      disease,
+      { tier: diseaseState.severity, elapsed_ms: this.clock.now() - (diseaseState.tier_since ?? diseaseState.onset_time) },
+      (expression, tierNumber) =>
+        this._evaluateExpression(expression, `${disease.id}/tier${tierNumber}`, diseaseState.severity >= tierNumber)
+    );
   }
 
   /**
@@ -342,7 +360,7 @@ class SimulationCore {
 
       this.state.biomarkers[biomarker.id] = {
         current: currentValue,
-        lastUpdate: Date.now()
+        lastUpdate: this.clock.now()
       };
     }
   }
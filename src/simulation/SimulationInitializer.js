@@ -2,7 +2,7 @@
  * SimulationInitializer.js - Initializes and wires all v5.1.0 systems
  * 
  * Core startup sequence:
- * 1. Initialize EventBus
+ * 1. Initialize EventBus + SimulationClock
  * 2. Load BioDatabase
  * 3. Create core systems (Biomarker, Disease, Recipe, Building, etc)
  * 4. Wire systems together via events
@@ -14,8 +14,13 @@
  */
 
 import BioDatabase from "../data/BioDatabase.js";
-import { EventBus } from "../core/EventBus.js";
+import {
+  validateBioDatabase,
+  formatValidationReport
+} from "../data/BioDatabaseValidator.js";
+import EventBus from "../core/EventBus.js";
 import { BiomarkerSystem } from "../simulation/BiomarkerSystem.js";
+import { AcidBaseSystem } from "../simulation/AcidBaseSystem.js";
 import { DiseaseSystem } from "../simulation/DiseaseSystem.js";
 import { RecipeUnlockSystem } from "../simulation/RecipeUnlockSystem.js";
 import { BuildingBehaviorSystem } from "../simulation/BuildingBehaviorSystem.js";
@@ -24,7 +29,15 @@ import { DiffusionCascadeSystem } from "../simulation/DiffusionCascadeSystem.js"
 import { EffectsSystem } from "../simulation/EffectsSystem.js";
 import { PressureSystem } from "../simulation/PressureSystem.js";
 import { DrugProfileSystem } from "../simulation/DrugProfileSystem.js";
-import { ModifierSystem } from "../simulation/ModifierSystem.js";
+import { DrugRegimenSystem } from "../simulation/DrugRegimenSystem.js";
+import { DrugDeliverySystem } from "../simulation/DrugDeliverySystem.js";
+import { ThrombosisSystem } from "../simulation/ThrombosisSystem.js";
+import ModifierSystem from "../simulation/ModifierSystem.js";
+import PathologySystem from "../simulation/PathologySystem.js";
+import { SimulationClock } from "../simulation/SimulationClock.js";
+import simulationSpeed from "../core/SimulationSpeed.js";
+import dataPackManager from "../core/DataPackManager.js";
+import { summarizeDiff } from "../data/BioDatabaseDiff.js";
 import { SaveManagerExtension } from "../systems/SaveManagerExtension.js";
 import { UIUpdateBridge } from "../ui/UIUpdateBridge.js";
 
@@ -33,10 +46,24 @@ export class SimulationInitializer {
     this.eventBus = null;
     this.systems = {};
     this.initialized = false;
+
+    // Single source of simulated time for every system (see SimulationClock.js)
+    this.clock = null;
+
+    // Scaled time not yet converted into whole ticks (see advance())
+    this.accumulatorMs = 0;
+
+    // Last BioDatabaseValidator report ({ valid, errors, warnings })
+    this.validation = null;
+
+    // DataPackManager subscription (hot reload), see applyDatabaseReload()
+    this.unsubscribeDataPacks = null;
   }
 
   /**
    * Initialize all systems
+   * options.clock: inject a clock (e.g. ManualClock in tests)
+   * options.tickDurationMs: fixed step of the default clock
    */
   async initialize(options = {}) {
     console.log("[SimulationInitializer] Starting initialization...");
@@ -46,15 +73,36 @@ export class SimulationInitializer {
       this.eventBus = new EventBus();
       console.log("[SimulationInitializer] ✓ EventBus created");
 
+      this.clock = options.clock || new SimulationClock(options.tickDurationMs || 1000);
+      const clock = this.clock;
+      simulationSpeed.setTickDuration(clock.tickDurationMs);
+      console.log(
+        `[SimulationInitializer] ✓ SimulationClock (${clock.tickDurationMs}ms ticks)`
+      );
+
       // Step 2: Load BioDatabase (already loaded at module level)
       const db = BioDatabase;
-      if (!db || db.version !== "5.1.0") {
+      if (!db || db.meta?.version !== "5.1.0") {
         console.warn("[SimulationInitializer] BioDatabase version mismatch");
       }
       console.log(
-        `[SimulationInitializer] ✓ BioDatabase loaded v${db.version}`
+        `[SimulationInitializer] ✓ BioDatabase loaded v${db.meta?.version}`
       );
 
+      // Schema + cross-reference check (broken data is reported, not fatal)
+      this.validation = validateBioDatabase(db);
+      if (!this.validation.valid) {
+        console.error(
+          `[SimulationInitializer] BioDatabase validation failed:\n${formatValidationReport(this.validation)}`
+        );
+      } else if (this.validation.warnings.length > 0) {
+        console.warn(
+          `[SimulationInitializer] BioDatabase validation:\n${formatValidationReport(this.validation)}`
+        );
+      } else {
+        console.log("[SimulationInitializer] ✓ BioDatabase validated");
+      }
+
       // Step 3: Create core systems (ORDER MATTERS - dependencies)
       console.log("[SimulationInitializer] Initializing core systems...");
 
@@ -62,35 +110,43 @@ export class SimulationInitializer {
       this.systems.biomarkers = new BiomarkerSystem(this.eventBus, db);
       console.log("[SimulationInitializer] ✓ BiomarkerSystem");
 
+      // Acid-base model drives pH / lactate (ticks before diseases read them)
+      this.systems.acidBase = new AcidBaseSystem(this.eventBus, db, clock);
+      console.log("[SimulationInitializer] ✓ AcidBaseSystem");
+
       // Diseases depend on biomarkers
       this.systems.diseases = new DiseaseSystem(
         this.eventBus,
         this.systems.biomarkers,
-        db
+        db,
+        clock
       );
       console.log("[SimulationInitializer] ✓ DiseaseSystem");
 
-      // Effects depend on biomarkers
+      // Waste system (independent)
+      this.systems.waste = new WasteInventorySystem(this.eventBus, 64, 64, clock);
+      console.log("[SimulationInitializer] ✓ WasteInventorySystem");
+
+      // Effects depend on biomarkers (waste amplifies their spread)
       this.systems.effects = new EffectsSystem(
         this.eventBus,
         this.systems.biomarkers,
-        db
+        db,
+        this.systems.waste,
+        clock
       );
       console.log("[SimulationInitializer] ✓ EffectsSystem");
 
-      // Waste system (independent)
-      this.systems.waste = new WasteInventorySystem(this.eventBus);
-      console.log("[SimulationInitializer] ✓ WasteInventorySystem");
-
       // Diffusion cascade (depends on waste, biomarkers)
       this.systems.diffusion = new DiffusionCascadeSystem(
         this.eventBus,
-        db
+        db,
+        clock
       );
       console.log("[SimulationInitializer] ✓ DiffusionCascadeSystem");
 
       // Recipes/Research (independent)
-      this.systems.recipes = new RecipeUnlockSystem(this.eventBus, db);
+      this.systems.recipes = new RecipeUnlockSystem(this.eventBus, db, clock);
       console.log("[SimulationInitializer] ✓ RecipeUnlockSystem");
 
       // Buildings (depends on recipes)
@@ -102,7 +158,7 @@ export class SimulationInitializer {
       console.log("[SimulationInitializer] ✓ BuildingBehaviorSystem");
 
       // Logistics (depends on buildings)
-      this.systems.pressure = new PressureSystem(this.eventBus, db);
+      this.systems.pressure = new PressureSystem(this.eventBus, db, clock);
       console.log("[SimulationInitializer] ✓ PressureSystem");
 
       // Medications (depends on diseases, biomarkers)
@@ -110,14 +166,50 @@ export class SimulationInitializer {
         this.eventBus,
         db,
         this.systems.diseases,
-        this.systems.biomarkers
+        this.systems.biomarkers,
+        clock
       );
       console.log("[SimulationInitializer] ✓ DrugProfileSystem");
 
+      // Dosing regimens (feed DRUG_ADMINISTERED to DrugProfileSystem)
+      this.systems.regimens = new DrugRegimenSystem(this.eventBus, db, clock);
+      console.log("[SimulationInitializer] ✓ DrugRegimenSystem");
+
+      // Vessel delivery (depends on pressure, biomarker regions; feeds DrugProfileSystem)
+      this.systems.delivery = new DrugDeliverySystem(
+        this.eventBus,
+        db,
+        this.systems.pressure,
+        this.systems.biomarkers,
+        clock
+      );
+      console.log("[SimulationInitializer] ✓ DrugDeliverySystem");
+
+      // Thrombi in vessels (depends on pressure, effects, drugs, biomarker regions)
+      this.systems.thrombosis = new ThrombosisSystem(
+        this.eventBus,
+        db,
+        this.systems.pressure,
+        this.systems.effects,
+        this.systems.drugs,
+        this.systems.biomarkers,
+        clock
+      );
+      console.log("[SimulationInitializer] ✓ ThrombosisSystem");
+
       // Modifiers (applies global effect multipliers)
       this.systems.modifiers = new ModifierSystem(this.eventBus);
       console.log("[SimulationInitializer] ✓ ModifierSystem");
 
+      // Pathology applies disease severity tiers (depends on diseases, modifiers)
+      this.systems.pathology = new PathologySystem(
+        this.eventBus,
+        null, // no SimulationCore in this pipeline - DiseaseSystem drives tiers
+        this.systems.modifiers,
+        clock
+      );
+      console.log("[SimulationInitializer] ✓ PathologySystem");
+
       // Step 4: Verify system wiring
       this.verifyEventWiring();
       console.log("[SimulationInitializer] ✓ Event wiring verified");
@@ -126,6 +218,12 @@ export class SimulationInitializer {
       this.saveManager = new SaveManagerExtension(null);
       console.log("[SimulationInitializer] ✓ SaveManager initialized");
 
+      // Step 6: Hot reload - pack changes are pushed into the live systems
+      this.unsubscribeDataPacks?.();
+      this.unsubscribeDataPacks = dataPackManager.onChange(({ diff }) => {
+        this.applyDatabaseReload(diff);
+      });
+
       this.initialized = true;
       console.log("[SimulationInitializer] ✓ All systems initialized successfully");
 
@@ -136,6 +234,53 @@ export class SimulationInitializer {
     }
   }
 
+  /**
+   * Hot reload: BioDatabase was replaced in place (DataPackManager.reload())
+   * Systems that cache definitions re-resolve them and keep live state;
+   * live instances whose definition disappeared come back as orphans.
+   * Emits BIODATABASE_RELOADED { sections, settings, orphans, validation_errors }
+   */
+  applyDatabaseReload(diff) {
+    if (!this.initialized || !diff || !diff.changed) {
+      return null;
+    }
+
+    console.log("[SimulationInitializer] BioDatabase reloaded:");
+    summarizeDiff(diff).forEach((line) => console.log(`  ${line}`));
+
+    this.validation = validateBioDatabase(BioDatabase);
+    if (!this.validation.valid) {
+      console.error(
+        `[SimulationInitializer] Reloaded BioDatabase has errors:\n${formatValidationReport(this.validation)}`
+      );
+    }
+
+    // Order: definitions first (biomarkers, recipes), then their users
+    const orphans = [];
+    ["biomarkers", "acidBase", "effects", "recipes", "buildings", "diseases", "regimens", "pressure", "thrombosis", "delivery"].forEach((name) => {
+      const system = this.systems[name];
+      if (system && typeof system.handleDatabaseReload === "function") {
+        orphans.push(...system.handleDatabaseReload(diff));
+      }
+    });
+
+    orphans.forEach((orphan) => {
+      console.warn(
+        `[SimulationInitializer] ⚠ ${orphan.section}/${orphan.entity_id} removed → ` +
+          `${orphan.instance_id}: ${orphan.action}`
+      );
+    });
+
+    const report = {
+      sections: diff.sections,
+      settings: diff.settings,
+      orphans,
+      validation_errors: this.validation.errors.length
+    };
+    this.eventBus.emit("BIODATABASE_RELOADED", report);
+    return report;
+  }
+
   /**
    * Wire UI to systems (called after UI is ready)
    */
@@ -152,9 +297,61 @@ export class SimulationInitializer {
       hudManager
     );
 
+    // Regimen doses are paid from the player's inventory; the HUD drugs panel
+    // prescribes through the EventBus and reads regimens / PK curves, infusion
+    // ports and regional levels
+    if (hudManager?.inventory) {
+      this.systems.regimens.setResourcePool(hudManager.inventory);
+    }
+    hudManager?.setDrugSystems?.(
+      this.eventBus,
+      this.systems.drugs,
+      this.systems.regimens,
+      this.systems.delivery,
+      this.systems.biomarkers
+    );
+
     console.log("[SimulationInitializer] ✓ UI bridge wired");
   }
 
+  /**
+   * Feed the rendered Grid's terrain to the simulation (effect spread barriers)
+   * and let the Grid draw active effects (visual_filter overlay); thrombi show on
+   * the vessels of resourceTransport and re-route its packets
+   */
+  wireWorld(grid, resourceTransport = null) {
+    if (!this.initialized) {
+      console.warn("[SimulationInitializer] Systems not initialized yet");
+      return;
+    }
+
+    const names = Object.fromEntries(
+      Object.entries(grid.TERRAIN_TYPES).map(([name, id]) => [id, name])
+    );
+    const cells = [];
+    for (let x = 0; x < grid.gridSize; x++) {
+      for (let y = 0; y < grid.gridSize; y++) {
+        cells.push({ x, y, terrain: names[grid.getCellTypeId(x, y)] });
+      }
+    }
+
+    this.eventBus.emit("TERRAIN_CHANGED", { cells });
+    grid.setEffectSource?.(this.systems.effects);
+    console.log(`[SimulationInitializer] ✓ Terrain wired (${cells.length} cells)`);
+
+    if (resourceTransport) {
+      const obstruct = ({ position }, obstruction) => {
+        resourceTransport.setVesselObstruction(position.x, position.y, obstruction);
+      };
+      this.eventBus.on("THROMBUS_FORMED", (eventData) => obstruct(eventData, eventData.obstruction));
+      this.eventBus.on("THROMBUS_CHANGED", (eventData) => obstruct(eventData, eventData.obstruction));
+      this.eventBus.on("VESSEL_BLOCKED", (eventData) => obstruct(eventData, 1));
+      this.eventBus.on("VESSEL_REOPENED", (eventData) => obstruct(eventData, eventData.obstruction));
+      this.eventBus.on("THROMBUS_CLEARED", (eventData) => obstruct(eventData, 0));
+      console.log("[SimulationInitializer] ✓ Vessel thrombi wired");
+    }
+  }
+
   /**
    * Start simulation loop (should be called from Engine or main game loop)
    */
@@ -164,21 +361,14 @@ export class SimulationInitializer {
       return null;
     }
 
-    let tickNumber = 0;
+    this.clock.setTickDuration(tickDurationMs);
+    simulationSpeed.setTickDuration(tickDurationMs);
     const intervalId = setInterval(() => {
-      tickNumber++;
-
-      // Emit SIMULATION_TICK event
-      this.eventBus.emit("SIMULATION_TICK", {
-        tick_number: tickNumber,
-        timestamp: Date.now(),
-        delta_time_ms: tickDurationMs
-      });
-
-      // Emit DIFFUSION_TICK (waste diffusion)
-      this.eventBus.emit("DIFFUSION_TICK", {
-        dbResources: BioDatabase.resources
-      });
+      // Paused → 0 ticks (or queued single steps), 2x/4x/8x → several ticks
+      const ticks = simulationSpeed.ticksPerInterval();
+      for (let i = 0; i < ticks; i++) {
+        this.step();
+      }
     }, tickDurationMs);
 
     console.log(`[SimulationInitializer] Simulation loop started (${tickDurationMs}ms ticks)`);
@@ -186,6 +376,70 @@ export class SimulationInitializer {
     return intervalId;
   }
 
+  /**
+   * Advance the simulation by exactly one tick
+   * Used by the interval loop and by headless runs
+   */
+  step() {
+    if (!this.initialized) {
+      console.error("[SimulationInitializer] Cannot step: systems not initialized");
+      return null;
+    }
+
+    const tickNumber = this.clock.tick();
+
+    // Emit SIMULATION_TICK event (timestamp is simulated ms, not wall-clock)
+    this.eventBus.emit("SIMULATION_TICK", {
+      tick_number: tickNumber,
+      timestamp: this.clock.now(),
+      delta_time_ms: this.clock.tickDurationMs
+    });
+
+    // Emit DIFFUSION_TICK (waste diffusion)
+    this.eventBus.emit("DIFFUSION_TICK", {
+      dbResources: BioDatabase.resources
+    });
+
+    return tickNumber;
+  }
+
+  /**
+   * Advance by elapsed simulated time (seconds, already scaled by SimulationSpeed)
+   * Runs whole fixed ticks; the remainder carries over to the next call.
+   * Called from Engine.onUpdate so ticks stay in sync with frame-driven systems.
+   */
+  advance(deltaSeconds, maxTicks = 32) {
+    if (!this.initialized) return 0;
+
+    const tickMs = this.clock.tickDurationMs;
+    this.accumulatorMs += deltaSeconds * 1000;
+
+    let ticks = 0;
+    while (this.accumulatorMs >= tickMs && ticks < maxTicks) {
+      this.accumulatorMs -= tickMs;
+      this.step();
+      ticks++;
+    }
+
+    // Drop the backlog after a long stall (e.g. background tab) instead of spiralling
+    if (ticks === maxTicks) {
+      this.accumulatorMs = 0;
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Advance the simulation by N ticks synchronously (no timers)
+   */
+  runTicks(count) {
+    for (let i = 0; i < count; i++) {
+      this.step();
+    }
+
+    return this.clock.getTickNumber();
+  }
+
   /**
    * Stop simulation loop
    */
@@ -224,31 +478,94 @@ export class SimulationInitializer {
       return null;
     }
 
+    this.restoreState(state);
+    console.log("[SimulationInitializer] Save loaded and systems restored");
+    return state;
+  }
+
+  /**
+   * Restore every system from a save object (buildings/vessels must be placed first)
+   */
+  restoreState(state) {
     // Restore systems
+    if (state.clock) {
+      this.saveManager.restoreClock(this.clock, state);
+    }
+
     if (state.biomarkers) {
       this.saveManager.restoreBiomarkers(this.systems.biomarkers, state);
     }
 
+    if (state.acid_base) {
+      this.saveManager.restoreAcidBase(this.systems.acidBase, state);
+    }
+
+    if (state.diseases) {
+      this.saveManager.restoreDiseases(this.systems.diseases, state);
+    }
+
     if (state.research) {
       this.saveManager.restoreResearch(this.systems.recipes, state);
     }
 
-    console.log("[SimulationInitializer] Save loaded and systems restored");
-    return state;
+    if (state.medications) {
+      this.saveManager.restoreMedications(this.systems.drugs, state);
+    }
+
+    if (state.regimens) {
+      this.saveManager.restoreRegimens(this.systems.regimens, state);
+    }
+
+    if (state.delivery) {
+      this.saveManager.restoreDelivery(this.systems.delivery, state);
+    }
+
+    if (state.thrombosis) {
+      this.saveManager.restoreThrombosis(this.systems.thrombosis, state);
+    }
+  }
+
+  /**
+   * Systems under the names SaveManagerExtension.serializeGameState() expects
+   * (this.systems uses short keys: diseases, drugs, regimens, ...)
+   */
+  getSaveSystems() {
+    return {
+      biomarkerSystem: this.systems.biomarkers,
+      acidBaseSystem: this.systems.acidBase,
+      diseaseSystem: this.systems.diseases,
+      recipeUnlockSystem: this.systems.recipes,
+      buildingBehaviorSystem: this.systems.buildings,
+      wasteInventorySystem: this.systems.waste,
+      effectsSystem: this.systems.effects,
+      drugProfileSystem: this.systems.drugs,
+      drugRegimenSystem: this.systems.regimens,
+      drugDeliverySystem: this.systems.delivery,
+      pressureSystem: this.systems.pressure,
+      thrombosisSystem: this.systems.thrombosis,
+      clock: this.clock
+    };
+  }
+
+  /**
+   * Serialize every system into a save object (no localStorage)
+   */
+  serializeState() {
+    return this.saveManager.serializeGameState(this.getSaveSystems());
   }
 
   /**
    * Save game state
    */
   async save() {
-    return this.saveManager.saveGameState(this.systems);
+    return this.saveManager.saveGameState(this.getSaveSystems());
   }
 
   /**
    * Export save file
    */
   exportSave(filename) {
-    this.saveManager.exportSave(this.systems, filename);
+    this.saveManager.exportSave(this.getSaveSystems(), filename);
   }
 
   /**
@@ -265,6 +582,13 @@ export class SimulationInitializer {
     return { ...this.systems };
   }
 
+  /**
+   * Get the simulation clock
+   */
+  getClock() {
+    return this.clock;
+  }
+
   /**
    * Get EventBus
    */
@@ -278,6 +602,7 @@ export class SimulationInitializer {
   debugDump() {
     const dump = {
       initialized: this.initialized,
+      clock: this.clock ? this.clock.dump() : null,
       systems: {}
     };
 
@@ -297,7 +622,9 @@ export class SimulationInitializer {
    */
   reset() {
     if (this.initialized) {
-      this.eventBus.emit("GAME_RESET", { timestamp: Date.now() });
+      this.clock.reset();
+      this.accumulatorMs = 0;
+      this.eventBus.emit("GAME_RESET", { timestamp: this.clock.now() });
 
       // Reset each system
       Object.values(this.systems).forEach((system) => {
@@ -0,0 +1,281 @@
+/**
+ * ThrombosisSystem.js - Thrombi forming in vessels, narrowing and blocking them
+ *
+ * Rules come from pressure_system.thrombosis:
+ *
+ *   low_flow:              { pressure_ratio, chance_per_s }
+ *   atheroma:              { effect_tags, chance_per_s }
+ *   wrong_resource_chance: per refused transfer
+ *   initial_obstruction, growth_per_s
+ *   lysis:                 { drug_tags, rate_per_s }
+ *
+ * MECHANICS:
+ * - Every tick each clear vessel rolls for a thrombus (seeded stream
+ *   "simulation.thrombosis", chance × dt):
+ *     low flow - the vessel sits on a pump-fed network (vessel.pump_fed, also
+ *       when a thrombus cuts it off) but below pressure_ratio × pump_head
+ *       (vessels with no pump carry nothing to clot)
+ *     atheroma - terrain effects with one of effect_tags on the vessel's cell,
+ *       chance × their intensity
+ * - A transfer refused because the vessel class does not carry the resource
+ *   (VESSEL_TRANSFER_FAILED resource_not_allowed) clots the destination with
+ *   wrong_resource_chance
+ * - A thrombus starts at initial_obstruction and grows by growth_per_s; the
+ *   obstruction goes to PressureSystem.setVesselObstructions (narrower pipes,
+ *   at 1 the vessel is blocked)
+ * - Thrombolytics dissolve it: rate_per_s × the power of drugs with one of
+ *   lysis.drug_tags at the vessel's region plus systemic (DrugProfileSystem,
+ *   0 below the therapeutic window). At 0 the thrombus is gone
+ * - Deconstructing the vessel removes its thrombus
+ * - Growth and lysis are reported (THROMBUS_CHANGED) every OBSTRUCTION_REPORT_STEP
+ *   of obstruction, so the world (packets, vessel mesh) follows the narrowing
+ * - Events: THROMBUS_FORMED, THROMBUS_CHANGED, VESSEL_BLOCKED, VESSEL_REOPENED,
+ *   THROMBUS_CLEARED
+ */
+
+import { SimulationClock } from "./SimulationClock.js";
+import randomService from "../core/RandomService.js";
+
+const OBSTRUCTION_REPORT_STEP = 0.05;
+
+export class ThrombosisSystem {
+  constructor(eventBus, bioDatabase, pressureSystem, effectsSystem, drugSystem, biomarkerSystem, clock = null) {
+    this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
+    this.bioDatabase = bioDatabase;
+    this.pressureSystem = pressureSystem;
+    this.effectsSystem = effectsSystem;
+    this.drugSystem = drugSystem;
+    this.biomarkerSystem = biomarkerSystem;
+    this.rng = randomService.stream("simulation.thrombosis");
+
+    // thrombi[vessel_id] = { position: { x, y }, cause, obstruction, reported_obstruction, formed_at_ms }
+    // reported_obstruction: last value sent out in an event
+    this.thrombi = new Map();
+
+    this.eventBus.on("SIMULATION_TICK", (eventData) => {
+      this.update(eventData);
+    });
+
+    this.eventBus.on("VESSEL_TRANSFER_FAILED", (eventData) => {
+      if (eventData.reason === "resource_not_allowed") {
+        this.handleWrongResource(eventData);
+      }
+    });
+
+    this.eventBus.on("BUILDING_DESTROYED", (eventData) => {
+      this.removeThrombus(eventData.building_id, "deconstructed");
+    });
+  }
+
+  /**
+   * pressure_system.thrombosis with defaults (null: no thrombosis)
+   */
+  getConfig() {
+    const config = this.bioDatabase.pressure_system?.thrombosis;
+    if (!config) return null;
+
+    return {
+      low_flow: { pressure_ratio: 0, chance_per_s: 0, ...config.low_flow },
+      atheroma: { effect_tags: [], chance_per_s: 0, ...config.atheroma },
+      wrong_resource_chance: config.wrong_resource_chance || 0,
+      initial_obstruction: config.initial_obstruction ?? 0.3,
+      growth_per_s: config.growth_per_s || 0,
+      lysis: { drug_tags: [], rate_per_s: 0, ...config.lysis }
+    };
+  }
+
+  /**
+   * One tick: new thrombi, then growth and lysis of every thrombus
+   */
+  update(eventData) {
+    const config = this.getConfig();
+    if (!config) return;
+
+    const dt = (eventData.delta_time_ms || this.clock.tickDurationMs) / 1000;
+    const { pump_head } = this.pressureSystem.getHydraulicsConfig();
+
+    this.pressureSystem.vesselNetwork.forEach((vessel, vesselId) => {
+      if (this.thrombi.has(vesselId)) return;
+
+      const lowFlow = vessel.pump_fed && vessel.pressure < config.low_flow.pressure_ratio * pump_head;
+      if (lowFlow && this.rng.chance(config.low_flow.chance_per_s * dt)) {
+        this.formThrombus(vesselId, "low_flow", config);
+        return;
+      }
+
+      const atheroma = this.getAtheromaIntensity(vessel.position, config);
+      if (atheroma > 0 && this.rng.chance(config.atheroma.chance_per_s * atheroma * dt)) {
+        this.formThrombus(vesselId, "atheroma", config);
+      }
+    });
+
+    if (this.thrombi.size === 0) return;
+
+    const obstructions = {};
+    Array.from(this.thrombi.entries()).forEach(([vesselId, thrombus]) => {
+      const lysis = config.lysis.rate_per_s * this.getLysisPower(thrombus.position, config);
+      const previous = thrombus.obstruction;
+      thrombus.obstruction = Math.min(1, previous + (config.growth_per_s - lysis) * dt);
+
+      if (thrombus.obstruction <= 0) {
+        this.removeThrombus(vesselId, "lysis");
+        obstructions[vesselId] = 0;
+        return;
+      }
+
+      if (thrombus.obstruction >= 1 && previous < 1) {
+        thrombus.reported_obstruction = 1;
+        this.eventBus.emit("VESSEL_BLOCKED", { vessel_id: vesselId, position: thrombus.position, cause: thrombus.cause });
+      } else if (thrombus.obstruction < 1 && previous >= 1) {
+        thrombus.reported_obstruction = thrombus.obstruction;
+        this.eventBus.emit("VESSEL_REOPENED", {
+          vessel_id: vesselId,
+          position: thrombus.position,
+          obstruction: thrombus.obstruction
+        });
+      } else if (Math.abs(thrombus.obstruction - thrombus.reported_obstruction) >= OBSTRUCTION_REPORT_STEP) {
+        thrombus.reported_obstruction = thrombus.obstruction;
+        this.eventBus.emit("THROMBUS_CHANGED", {
+          vessel_id: vesselId,
+          position: thrombus.position,
+          obstruction: thrombus.obstruction
+        });
+      }
+      obstructions[vesselId] = thrombus.obstruction;
+    });
+
+    this.pressureSystem.setVesselObstructions(obstructions);
+  }
+
+  /**
+   * Intensity of atheroma effects (effect tags in atheroma.effect_tags) on a cell
+   */
+  getAtheromaIntensity(position, config) {
+    if (!this.effectsSystem || config.atheroma.effect_tags.length === 0) return 0;
+
+    return this.effectsSystem.getTerrainEffects(position.x, position.y)
+      .filter((effect) => {
+        const tags = (this.bioDatabase.effects || []).find((e) => e.id === effect.effect_id)?.tags || [];
+        return tags.some((tag) => config.atheroma.effect_tags.includes(tag));
+      })
+      .reduce((sum, effect) => sum + effect.intensity, 0);
+  }
+
+  /**
+   * Power of thrombolytics reaching a vessel: systemic plus its region
+   */
+  getLysisPower(position, config) {
+    if (!this.drugSystem) return 0;
+
+    const locations = ["systemic"];
+    if (this.biomarkerSystem) {
+      locations.push(this.biomarkerSystem.getRegionId(position.x, position.y));
+    }
+
+    return locations
+      .flatMap((locationId) => this.drugSystem.getMedicationsAt(locationId))
+      .filter((med) => this.drugSystem.getDrug(med.drug_id)?.tags?.some((tag) => config.lysis.drug_tags.includes(tag)))
+      .reduce((sum, med) => sum + (med.power || 0), 0);
+  }
+
+  /**
+   * A refused transfer may clot the vessel it was pushed into
+   */
+  handleWrongResource(eventData) {
+    const config = this.getConfig();
+    const { vessel_id } = eventData;
+    if (!config || this.thrombi.has(vessel_id) || !this.pressureSystem.vesselNetwork.has(vessel_id)) return;
+
+    if (this.rng.chance(config.wrong_resource_chance)) {
+      this.formThrombus(vessel_id, "wrong_resource", config);
+      this.pressureSystem.setVesselObstructions({ [vessel_id]: config.initial_obstruction });
+    }
+  }
+
+  formThrombus(vesselId, cause, config) {
+    const vessel = this.pressureSystem.vesselNetwork.get(vesselId);
+    this.thrombi.set(vesselId, {
+      position: vessel.position,
+      cause,
+      obstruction: config.initial_obstruction,
+      reported_obstruction: config.initial_obstruction,
+      formed_at_ms: this.clock.now()
+    });
+
+    this.eventBus.emit("THROMBUS_FORMED", {
+      vessel_id: vesselId,
+      position: vessel.position,
+      cause,
+      obstruction: config.initial_obstruction
+    });
+  }
+
+  /**
+   * Drop a thrombus (reason: "lysis" / "deconstructed"); the caller re-opens the vessel
+   */
+  removeThrombus(vesselId, reason) {
+    const thrombus = this.thrombi.get(vesselId);
+    if (!thrombus) return;
+
+    this.thrombi.delete(vesselId);
+    this.eventBus.emit("THROMBUS_CLEARED", {
+      vessel_id: vesselId,
+      position: thrombus.position,
+      cause: thrombus.cause,
+      reason,
+      duration_ms: this.clock.now() - thrombus.formed_at_ms
+    });
+  }
+
+  /**
+   * Hot reload: thrombi of vessels PressureSystem dropped go with them
+   */
+  handleDatabaseReload(diff) {
+    this.thrombi.forEach((thrombus, vesselId) => {
+      if (!this.pressureSystem.vesselNetwork.has(vesselId)) {
+        this.thrombi.delete(vesselId);
+      }
+    });
+    return [];
+  }
+
+  serialize() {
+    return {
+      thrombi: Array.from(this.thrombi.entries()).map(([vesselId, thrombus]) => ({
+        vessel_id: vesselId,
+        ...thrombus
+      }))
+    };
+  }
+
+  /**
+   * Restore thrombi (vessels must be placed first) and re-apply their obstruction
+   */
+  restore(data) {
+    if (!data) return;
+
+    this.thrombi = new Map(
+      (data.thrombi || []).map(({ vessel_id, ...thrombus }) => [
+        vessel_id,
+        { reported_obstruction: thrombus.obstruction, ...thrombus }
+      ])
+    );
+    this.pressureSystem.setVesselObstructions(
+      Object.fromEntries(Array.from(this.thrombi.entries()).map(([vesselId, t]) => [vesselId, t.obstruction]))
+    );
+  }
+
+  /**
+   * Debug: Dump system state
+   */
+  dump() {
+    return {
+      thrombi: Array.from(this.thrombi.entries()).map(([vesselId, thrombus]) => ({
+        vessel_id: vesselId,
+        ...thrombus,
+        blocked: thrombus.obstruction >= 1
+      }))
+    };
+  }
+}
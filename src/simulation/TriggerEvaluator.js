@@ -0,0 +1,212 @@
+/**
+ * TriggerEvaluator.js - One trigger expression language for disease onset/remission
+ *
+ * Used by DiseaseSystem (biomarkers, systemic + regional) and SimulationCore
+ * (resources). Expressions live in BioDatabase (diseases[].triggers):
+ *
+ *   Leaf:      { marker_id | resource_id, op, value }
+ *              op: > >= < <= == !=
+ *              scope: "systemic" (default) | "regional"        (DiseaseSystem)
+ *              remit_value: threshold used while the disease is active (hysteresis)
+ *              measure: "value" (default) | "rate" - rate = change per simulated
+ *                       second over the last window_ticks ticks (default 10)
+ *   Composite: { all: [expr, ...] } | { any: [expr, ...] } | { not: expr }
+ *   Duration:  for_ticks: N on any node - true only after N consecutive true ticks
+ *
+ *   triggers: [leaf, ...]   (legacy list) = { all: [leaf, ...] }
+ *   trigger: { type: "RESOURCE_ACCUMULATION" | "RESOURCE_THRESHOLD", ... } (legacy
+ *   SimulationCore shape) is converted to a resource leaf
+ *
+ * MECHANICS:
+ * - evaluate(expression, context) walks the tree; every child is evaluated (no
+ *   short-circuit) so durations and rate samples never skip a tick
+ * - Per-node state (streaks, rate samples) is keyed by context.key + node path;
+ *   repeated evaluations within one tick overwrite, never double-count
+ * - context = { key, tick, time_ms, active, getValue(leaf) → number | undefined }
+ */
+
+export const TRIGGER_OPS = [">", ">=", "<", "<=", "==", "!="];
+export const TRIGGER_MEASURES = ["value", "rate"];
+
+const DEFAULT_RATE_WINDOW_TICKS = 10;
+const FLOAT_EPSILON = 0.001;
+
+export class TriggerEvaluator {
+  constructor() {
+    // memory[key/path] = { tick, base, streak } (for_ticks)
+    //                  | { samples: [{ tick, time_ms, value }] } (rate)
+    this.memory = new Map();
+  }
+
+  /**
+   * True if the expression holds in this context
+   */
+  evaluate(expression, context) {
+    if (!expression) return false;
+    return this.evaluateNode(expression, context, "root");
+  }
+
+  evaluateNode(node, context, path) {
+    let result;
+
+    if (Array.isArray(node.all)) {
+      result = node.all
+        .map((child, index) => this.evaluateNode(child, context, `${path}.${index}`))
+        .every(Boolean);
+    } else if (Array.isArray(node.any)) {
+      result = node.any
+        .map((child, index) => this.evaluateNode(child, context, `${path}.${index}`))
+        .some(Boolean);
+    } else if (node.not) {
+      result = !this.evaluateNode(node.not, context, `${path}.not`);
+    } else {
+      result = this.evaluateLeaf(node, context, path);
+    }
+
+    if (node.for_ticks > 0) {
+      const streak = this.updateStreak(`${context.key}/${path}`, result, context.tick);
+      result = streak >= node.for_ticks;
+    }
+
+    return result;
+  }
+
+  evaluateLeaf(leaf, context, path) {
+    let current = context.getValue(leaf);
+    if (current === undefined || current === null) {
+      return false; // Marker / resource doesn't exist
+    }
+
+    if (leaf.measure === "rate") {
+      current = this.updateRate(`${context.key}/${path}`, leaf, current, context);
+      if (current === null) return false; // Not enough samples yet
+    }
+
+    const threshold =
+      context.active && Number.isFinite(leaf.remit_value) ? leaf.remit_value : leaf.value;
+    return compare(current, leaf.op, threshold);
+  }
+
+  /**
+   * Consecutive true ticks, idempotent within one tick
+   */
+  updateStreak(key, value, tick) {
+    let state = this.memory.get(key);
+    if (!state) {
+      state = { tick: null, base: 0, streak: 0 };
+      this.memory.set(key, state);
+    }
+
+    if (state.tick !== tick) {
+      // A gap (context not evaluated last tick) restarts the streak
+      state.base = state.tick === tick - 1 ? state.streak : 0;
+      state.tick = tick;
+    }
+    state.streak = value ? state.base + 1 : 0;
+    return state.streak;
+  }
+
+  /**
+   * Change per simulated second over the sample window, null until 2 samples
+   */
+  updateRate(key, leaf, value, context) {
+    const window = leaf.window_ticks || DEFAULT_RATE_WINDOW_TICKS;
+    let state = this.memory.get(key);
+    if (!state) {
+      state = { samples: [] };
+      this.memory.set(key, state);
+    }
+
+    const { samples } = state;
+    const sample = { tick: context.tick, time_ms: context.time_ms, value };
+    if (samples.length > 0 && samples[samples.length - 1].tick === context.tick) {
+      samples[samples.length - 1] = sample;
+    } else {
+      samples.push(sample);
+    }
+    while (samples.length > window + 1) {
+      samples.shift();
+    }
+
+    const first = samples[0];
+    const elapsedMs = sample.time_ms - first.time_ms;
+    if (samples.length < 2 || elapsedMs <= 0) return null;
+
+    return (sample.value - first.value) / (elapsedMs / 1000);
+  }
+
+  /**
+   * Drop state of one context and its sub-contexts ("key@region")
+   * (e.g. a disease definition removed)
+   */
+  forget(key) {
+    Array.from(this.memory.keys()).forEach((memoryKey) => {
+      if (memoryKey.startsWith(`${key}/`) || memoryKey.startsWith(`${key}@`)) {
+        this.memory.delete(memoryKey);
+      }
+    });
+  }
+
+  reset() {
+    this.memory.clear();
+  }
+}
+
+/**
+ * Trigger expression of a disease, null if it has none
+ */
+export function normalizeTrigger(disease) {
+  const { triggers, trigger } = disease;
+
+  if (Array.isArray(triggers)) {
+    return triggers.length > 0 ? { all: triggers } : null;
+  }
+  if (triggers && typeof triggers === "object") {
+    return triggers;
+  }
+
+  // Legacy SimulationCore shape
+  switch (trigger?.type) {
+    case "RESOURCE_ACCUMULATION":
+      return { resource_id: trigger.resource, op: ">=", value: trigger.threshold };
+    case "RESOURCE_THRESHOLD":
+      return { resource_id: trigger.resource, op: "<", value: trigger.below };
+    default:
+      return null; // "EVENT" triggers come from other systems
+  }
+}
+
+/**
+ * All leaves of an expression (depth-first)
+ */
+export function collectLeaves(expression, leaves = []) {
+  if (!expression) return leaves;
+
+  if (Array.isArray(expression.all) || Array.isArray(expression.any)) {
+    (expression.all || expression.any).forEach((child) => collectLeaves(child, leaves));
+  } else if (expression.not) {
+    collectLeaves(expression.not, leaves);
+  } else {
+    leaves.push(expression);
+  }
+  return leaves;
+}
+
+function compare(current, op, value) {
+  switch (op) {
+    case ">=":
+      return current >= value;
+    case "<=":
+      return current <= value;
+    case ">":
+      return current > value;
+    case "<":
+      return current < value;
+    case "==":
+      return Math.abs(current - value) < FLOAT_EPSILON; // Float equality
+    case "!=":
+      return Math.abs(current - value) >= FLOAT_EPSILON;
+    default:
+      return false;
+  }
+}
@@ -12,9 +12,12 @@
  * - Events: WASTE_ACCUMULATED, SPILLAGE_OCCURRED, WASTE_CLEARED
  */
 
+import { SimulationClock } from "./SimulationClock.js";
+
 export class WasteInventorySystem {
-  constructor(eventBus, cellWidth = 64, cellHeight = 64) {
+  constructor(eventBus, cellWidth = 64, cellHeight = 64, clock = null) {
     this.eventBus = eventBus;
+    this.clock = clock || new SimulationClock();
     this.cellWidth = cellWidth;
     this.cellHeight = cellHeight;
 
@@ -127,7 +130,7 @@ export class WasteInventorySystem {
       excess_amount: excess,
       spilled_resources: waste_outputs,
       affected_neighbors: [],
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
 
     // Spread to neighbors (up to 8 adjacent cells)
@@ -261,7 +264,7 @@ export class WasteInventorySystem {
    * Get spillage history for a time window (debugging, stats)
    */
   getSpillageHistory(timeWindow = 60000) {
-    const now = Date.now();
+    const now = this.clock.now();
     return this.spillage_history.filter(
       (s) => now - s.timestamp <= timeWindow
     );
@@ -8,11 +8,13 @@
  * Amyloid: Flat plates (wide or tall) + spiral decoration
  * 
  * All spawn data read from BioDatabase.particles config
+ * Placement is seeded via RandomService (same map seed → same deposits)
  */
 
 import * as THREE from 'three';
 import BioDatabase from '../data/BioDatabase.js';
 import { COLORS } from '../data/Colors.js';
+import randomService from '../core/RandomService.js';
 
 class ParticleSpawner {
   constructor(scene, grid) {
@@ -56,6 +58,7 @@ class ParticleSpawner {
    * Cluster logic: 5 * random(1-4) particles per spawn zone
    */
   _spawnCalcium(config) {
+    const rng = randomService.stream('particles.calcium');
     const gridSize = config.gridSize || this.grid.gridSize;
     const clusterFrequency = config.clusterFrequency || 0.15; // 15% of cells spawn clusters
     const baseSize = config.baseSize || 0.3; // 30cm per particle unit
@@ -84,10 +87,10 @@ class ParticleSpawner {
     for (let x = 0; x < gridSize; x++) {
       for (let z = 0; z < gridSize; z++) {
         // Random chance to spawn cluster
-        if (Math.random() > clusterFrequency) continue;
+        if (rng.next() > clusterFrequency) continue;
         
         // Determine cluster size: 5 * random(1-4)
-        const multiplier = Math.floor(Math.random() * 4) + 1; // 1-4
+        const multiplier = Math.floor(rng.next() * 4) + 1; // 1-4
         const clusterCount = 5 * multiplier; // 5, 10, 15, or 20
         
         // Spawn particles in cluster
@@ -96,7 +99,7 @@ class ParticleSpawner {
           
           // Determine particle size variant
           let sizeScale = 1.0; // 1x1 (default)
-          const sizeRoll = Math.random();
+          const sizeRoll = rng.next();
           if (sizeRoll < 1/5) {
             sizeScale = 2.0; // 2x2 (~1/5 chance)
           } else if (sizeRoll < 1/5 + 1/25) {
@@ -104,8 +107,8 @@ class ParticleSpawner {
           }
           
           // Random offset within cluster
-          const offsetX = (Math.random() - 0.5) * 0.8;
-          const offsetZ = (Math.random() - 0.5) * 0.8;
+          const offsetX = (rng.next() - 0.5) * 0.8;
+          const offsetZ = (rng.next() - 0.5) * 0.8;
           const offsetY = baseSize/2 * sizeScale; // Sit on ground
           
           // World position
@@ -140,6 +143,7 @@ class ParticleSpawner {
    * Plates (wide+flat OR tall+narrow) + spiral decoration
    */
   _spawnAmyloid(config) {
+    const rng = randomService.stream('particles.amyloid');
     const gridSize = config.gridSize || this.grid.gridSize;
     const spawnFrequency = config.spawnFrequency || 0.08; // 8% of cells
     const plateWidth = config.plateWidth || 0.5;
@@ -192,17 +196,17 @@ class ParticleSpawner {
     for (let x = 0; x < gridSize; x++) {
       for (let z = 0; z < gridSize; z++) {
         // Random spawn chance
-        if (Math.random() > spawnFrequency) continue;
+        if (rng.next() > spawnFrequency) continue;
         
         const worldPos = this.grid.getWorldPosition(x, z);
         
         // 50/50 chance for wide or tall variant
-        const isWide = Math.random() > 0.5;
+        const isWide = rng.next() > 0.5;
         
         // Random rotation (plate edge orientation)
-        const rotationY = Math.random() * Math.PI * 2;
-        const rotationX = (Math.random() - 0.5) * 0.3; // Tilt
-        const rotationZ = (Math.random() - 0.5) * 0.2;
+        const rotationY = rng.next() * Math.PI * 2;
+        const rotationX = (rng.next() - 0.5) * 0.3; // Tilt
+        const rotationZ = (rng.next() - 0.5) * 0.2;
         
         // Position plate
         dummy.position.copy(worldPos);
@@ -1,11 +1,26 @@
 import * as THREE from 'three';
+import BioDatabase from '../data/BioDatabase.js';
+import { vesselClassAllows } from '../data/VesselClasses.js';
 
 /**
  * ResourceTransport: Manages resource packets moving through vessel networks
  * 
  * Features:
  * - Resource packet creation from extractor buildings
- * - Manhattan pathfinding through vessel networks
+ * - Demand-aware routing: storages advertise free room per resource
+ *   (building.getDemand); each packet goes to the destination with the best
+ *   route cost + congestion + fullness, never to one its resource cannot fill
+ * - A* through vessel networks, each step costing 1 / vessel speed (class speed ×
+ *   open lumen); routes are cached until the network changes
+ * - Vessel classes: packets only route through vessels whose class allows their
+ *   resource (lipids take lymph, arteries refuse them) and move at the class speed
+ * - Thrombi (setVesselObstruction, from the simulation's ThrombosisSystem): narrowed
+ *   vessels slow packets, blocked ones are routed around; packets with no way left
+ *   are dropped and the broken route reported (stats.routesBroken)
+ * - Backpressure: a vessel holds packetsPerVessel × its class capacity packets, and
+ *   packets wait while the next cell is full. An extractor whose output queue is
+ *   full, or whose resource no storage has room for, stalls instead of spawning
+ *   (building.setTransportStalled). getBottlenecks() lists where queues form (HUD)
  * - Packet movement along paths with configurable speed
  * - Resource deposit into storage buildings
  * - Visual trail showing resource movement (particle effect)
@@ -30,10 +45,23 @@ class ResourceTransport {
         this.storages = new Map();        // gridKey -> building
         this.vessels = new Map();         // gridKey -> building (for pathfinding)
         
+        // routeCache["x,z>x,z:resource"] = { path: [{ x, z }], cost } | null (unreachable)
+        // Cleared whenever vessels, storages or obstructions change
+        this.routeCache = new Map();
+        
+        // queues["x,z"] = packets that waited there for room in the next cell (last update)
+        this.queues = new Map();
+        
         // Transport configuration
         this.packetsPerSecond = 2;        // How many packets per second from each extractor
         this.packetSpeed = 0.5;           // Grid cells per second
         this.packetSize = 0.08;           // Visual size of resource packet
+        this.packetsPerVessel = 2;        // Packets one vessel cell holds (× class capacity)
+        this.extractorBuffer = 2;         // Packets waiting at an extractor before it stalls
+        
+        // Routing weights (in route cost: one tile of a speed-1 vessel = 1)
+        this.congestionWeight = 0.5;      // Per packet already queued on a route cell
+        this.fullnessPenalty = 4;         // × destination fullness (0 empty - 1 full)
         
         // Trail effect configuration
         this.trailParticles = [];         // Array of trail particles
@@ -49,7 +77,8 @@ class ResourceTransport {
             totalPacketsDelivered: 0,
             totalResourceDelivered: {},   // resourceType -> amount
             lastMinutePackets: 0,
-            lastMinuteResources: {}
+            lastMinuteResources: {},
+            routesBroken: 0
         };
         this.statsUpdateTimer = 0;
         
@@ -66,7 +95,8 @@ class ResourceTransport {
             z: gridZ,
             building: building,
             resourceType: building.resourceType || 'RES_ATP',
-            outputPerSecond: building.atp_production_per_minute / 60
+            outputPerSecond: building.atp_production_per_minute / 60,
+            stallReason: null             // Backpressure: 'queue_full' / 'no_destination'
         });
         this.extractorTimers.set(key, 0);
         console.log(`[ResourceTransport] Registered extractor at [${gridX},${gridZ}]`);
@@ -83,19 +113,45 @@ class ResourceTransport {
             building: building,
             capacity: building.capacity || { 'RES_ATP': 100 }
         });
+        this._invalidateRoutes();
         console.log(`[ResourceTransport] Registered storage at [${gridX},${gridZ}]`);
     }
 
     /**
      * Register a vessel for pathfinding
+     * @param {Object|null} vesselClass - vessel_classes entry (null = carries anything at base speed)
      */
-    registerVessel(gridX, gridZ, building) {
+    registerVessel(gridX, gridZ, building, vesselClass = null) {
         const key = `${gridX},${gridZ}`;
         this.vessels.set(key, {
             x: gridX,
             z: gridZ,
-            building: building
+            building: building,
+            vesselClass: vesselClass,
+            obstruction: 0
         });
+        this._invalidateRoutes();
+    }
+
+    /**
+     * Narrow or block a vessel (thrombus obstruction 0-1, 1 = blocked)
+     * Blocking re-routes every packet whose path runs through it
+     */
+    setVesselObstruction(gridX, gridZ, obstruction) {
+        const vessel = this.vessels.get(`${gridX},${gridZ}`);
+        if (!vessel || vessel.obstruction === obstruction) return;
+
+        vessel.obstruction = obstruction;
+        vessel.building?.setObstruction?.(obstruction);
+        this._invalidateRoutes();
+
+        if (obstruction >= 1) {
+            this._reroutePackets();
+        }
+    }
+
+    _isBlocked(key) {
+        return (this.vessels.get(key)?.obstruction || 0) >= 1;
     }
 
     /**
@@ -106,6 +162,14 @@ class ResourceTransport {
         this.extractors.delete(key);
         this.storages.delete(key);
         this.vessels.delete(key);
+        this._invalidateRoutes();
+    }
+
+    /**
+     * Drop every cached route (vessel network changed)
+     */
+    _invalidateRoutes() {
+        this.routeCache.clear();
     }
 
     /**
@@ -124,95 +188,273 @@ class ResourceTransport {
 
     /**
      * Generate resource packets from extractors
+     * Backpressure: with its output queue full or no storage wanting its resource,
+     * an extractor stalls and holds its next packet until there is room
      */
     _generatePackets(deltaTime) {
+        const timeBetweenPackets = 1.0 / this.packetsPerSecond;
+        const occupancy = this._getOccupancy();
+        
         for (const [key, extractor] of this.extractors) {
-            const timer = this.extractorTimers.get(key) || 0;
-            const timeBetweenPackets = 1.0 / this.packetsPerSecond;
-            
-            this.extractorTimers.set(key, timer + deltaTime);
+            this.extractorTimers.set(key, (this.extractorTimers.get(key) || 0) + deltaTime);
             
             // Generate packets at configured rate
             while (this.extractorTimers.get(key) >= timeBetweenPackets) {
+                // Create packet and route it to the best destination
+                const startPos = { x: extractor.x, z: extractor.z };
+                const queueFull = (occupancy.get(key) || 0) >= this.extractorBuffer;
+                const route = queueFull ? null : this._routePacket(startPos, extractor.resourceType);
+                if (!queueFull) {
+                    this._reportRoute(extractor, route !== null);
+                }
+                this._setStalled(extractor, route ? null : (queueFull ? 'queue_full' : 'no_destination'));
+                
+                if (!route) {
+                    // Hold the packet: nothing accumulates while stalled
+                    this.extractorTimers.set(key, timeBetweenPackets);
+                    break;
+                }
                 this.extractorTimers.set(key, this.extractorTimers.get(key) - timeBetweenPackets);
                 
-                // Create packet and find path to nearest storage
-                const startPos = { x: extractor.x, z: extractor.z };
                 const packet = {
                     id: this.packetIdCounter++,
                     resourceType: extractor.resourceType,
                     amount: 1,
                     current: { ...startPos },
-                    path: [],
+                    destination: route.destination,
+                    path: route.path,
                     progress: 0,
                     mesh: null
                 };
                 
-                // Find path to storage
-                packet.path = this._findPathToStorage(startPos);
+                // Create visual representation
+                packet.mesh = this._createPacketMesh(packet.resourceType);
+                this.scene.add(packet.mesh);
                 
-                if (packet.path.length > 0) {
-                    // Create visual representation
-                    packet.mesh = this._createPacketMesh(packet.resourceType);
-                    this.scene.add(packet.mesh);
-                    
-                    this.activePackets.push(packet);
-                    
-                    // Update statistics
-                    this.stats.totalPacketsCreated++;
-                    
-                    console.log(`[ResourceTransport] Created packet #${packet.id} (${packet.resourceType})`);
-                }
+                this.activePackets.push(packet);
+                occupancy.set(key, (occupancy.get(key) || 0) + 1);
+                
+                // Update statistics
+                this.stats.totalPacketsCreated++;
+                
+                console.log(`[ResourceTransport] Created packet #${packet.id} (${packet.resourceType})`);
             }
         }
     }
 
     /**
-     * Find path from source to nearest storage using BFS
+     * Stall or resume an extractor (reason: 'queue_full' / 'no_destination', null = running)
      */
-    _findPathToStorage(start) {
-        // BFS to find reachable storage
-        const visited = new Set();
-        const queue = [{ pos: { ...start }, path: [] }];
-        visited.add(`${start.x},${start.z}`);
+    _setStalled(extractor, reason) {
+        if (extractor.stallReason === reason) return;
         
-        while (queue.length > 0) {
-            const current = queue.shift();
-            
-            // Check if we reached a storage
-            const storageKey = `${current.pos.x},${current.pos.z}`;
-            if (this.storages.has(storageKey)) {
-                return [...current.path, current.pos];
+        const wasStalled = Boolean(extractor.stallReason);
+        extractor.stallReason = reason;
+        if (wasStalled !== Boolean(reason)) {
+            extractor.building?.setTransportStalled?.(Boolean(reason));
+            console.log(`[ResourceTransport] Extractor at [${extractor.x},${extractor.z}] ${reason ? `stalled (${reason})` : 'resumed'}`);
+        }
+    }
+
+    /**
+     * Log when an extractor loses (or regains) every route to a storage that wants its resource
+     */
+    _reportRoute(extractor, routed) {
+        const broken = !routed;
+        if (broken === Boolean(extractor.routeBroken)) return;
+
+        extractor.routeBroken = broken;
+        if (broken) {
+            this.stats.routesBroken++;
+            console.warn(`[ResourceTransport] Route broken: extractor at [${extractor.x},${extractor.z}] has no route to a storage with room for ${extractor.resourceType}`);
+        } else {
+            console.log(`[ResourceTransport] Route restored for extractor at [${extractor.x},${extractor.z}]`);
+        }
+    }
+
+    /**
+     * A vessel was blocked: packets whose remaining path runs through it look
+     * for another way from where they are; stuck in the clot or with no way
+     * left, they are dropped
+     */
+    _reroutePackets() {
+        for (let i = this.activePackets.length - 1; i >= 0; i--) {
+            const packet = this.activePackets[i];
+            if (!packet.path.some((cell) => this._isBlocked(`${cell.x},${cell.z}`))) continue;
+
+            const from = packet.path[0];
+            const route = this._isBlocked(`${from.x},${from.z}`)
+                ? null
+                : this._routePacket(from, packet.resourceType, packet);
+
+            if (route) {
+                packet.destination = route.destination;
+                packet.path = route.path;
+                packet.progress = 0;
+            } else {
+                this.stats.routesBroken++;
+                console.warn(`[ResourceTransport] Route broken: packet #${packet.id} (${packet.resourceType}) dropped at [${from.x},${from.z}]`);
+                this._removePacket(packet);
             }
-            
-            // Expand to adjacent vessels/storages
+        }
+    }
+
+    /**
+     * Pick a packet's destination and the path there
+     * Storages with no free room for the resource (after what packets already on
+     * their way will bring) are skipped; the rest score route cost + congestion
+     * (packets queued on the route's cells) + fullness, lowest wins
+     * @param {Object|null} packet - packet being re-routed (its own load is not counted as in flight)
+     * @returns {{ destination: string, path: Array }|null} path starts at `start` (a fresh copy)
+     */
+    _routePacket(start, resourceType, packet = null) {
+        const inFlight = this._getInFlight(resourceType, packet);
+        const congestion = this._getOccupancy();
+        let best = null;
+
+        for (const [key, storage] of this.storages) {
+            const demand = storage.building?.getDemand?.(resourceType) || { free: Infinity, capacity: Infinity };
+            const free = demand.free - (inFlight.get(key) || 0);
+            if (free <= 0) continue;
+
+            const route = this._getRoute(start, storage, resourceType);
+            if (!route) continue;
+
+            const queued = route.path.reduce((sum, cell) => sum + (congestion.get(`${cell.x},${cell.z}`) || 0), 0);
+            const fullness = Number.isFinite(demand.capacity) && demand.capacity > 0 ? 1 - free / demand.capacity : 0;
+            const score = route.cost + this.congestionWeight * queued + this.fullnessPenalty * fullness;
+
+            if (!best || score < best.score) {
+                best = { destination: key, path: route.path, score };
+            }
+        }
+
+        return best ? { destination: best.destination, path: [...best.path] } : null;
+    }
+
+    /**
+     * Amount of a resource already travelling to each storage (gridKey -> amount)
+     */
+    _getInFlight(resourceType, exclude = null) {
+        const inFlight = new Map();
+        for (const packet of this.activePackets) {
+            if (packet === exclude || !packet.destination || packet.resourceType !== resourceType) continue;
+            inFlight.set(packet.destination, (inFlight.get(packet.destination) || 0) + packet.amount);
+        }
+        return inFlight;
+    }
+
+    /**
+     * Packets on each cell right now (gridKey -> count)
+     */
+    _getOccupancy() {
+        const occupancy = new Map();
+        for (const packet of this.activePackets) {
+            const cell = packet.path[0];
+            if (!cell) continue;
+            const key = `${cell.x},${cell.z}`;
+            occupancy.set(key, (occupancy.get(key) || 0) + 1);
+        }
+        return occupancy;
+    }
+
+    /**
+     * Packets a cell holds: vessels by class capacity, anything else unlimited
+     */
+    _getCellCapacity(key) {
+        const vessel = this.vessels.get(key);
+        if (!vessel) return Infinity;
+        
+        return Math.max(1, Math.round(this.packetsPerVessel * (vessel.vesselClass?.capacity || 1)));
+    }
+
+    /**
+     * Cached route between a start cell and a storage for one resource
+     * @returns {{ path: Array, cost: number }|null}
+     */
+    _getRoute(start, storage, resourceType) {
+        const key = `${start.x},${start.z}>${storage.x},${storage.z}:${resourceType}`;
+        if (!this.routeCache.has(key)) {
+            this.routeCache.set(key, this._findPath(start, storage, resourceType));
+        }
+        return this.routeCache.get(key);
+    }
+
+    /**
+     * A* from start to a goal cell through vessels that carry the resource
+     * Entering a cell costs 1 / its speed (narrowed vessels cost more, blocked ones
+     * are never entered); the heuristic is Manhattan distance / the fastest vessel
+     * @returns {{ path: Array, cost: number }|null} path from start to goal inclusive
+     */
+    _findPath(start, goal, resourceType) {
+        const startKey = `${start.x},${start.z}`;
+        const goalKey = `${goal.x},${goal.z}`;
+
+        let maxSpeed = 1;
+        for (const vessel of this.vessels.values()) {
+            maxSpeed = Math.max(maxSpeed, vessel.vesselClass?.speed || 1);
+        }
+        const heuristic = (x, z) => (Math.abs(goal.x - x) + Math.abs(goal.z - z)) / maxSpeed;
+
+        // open[key] = { x, z, f }; few hundred cells at most, so a plain scan picks the next one
+        const open = new Map([[startKey, { x: start.x, z: start.z, f: heuristic(start.x, start.z) }]]);
+        const costs = new Map([[startKey, 0]]);
+        const cameFrom = new Map();   // gridKey -> previous cell
+        const closed = new Set();
+
+        while (open.size > 0) {
+            let currentKey = null;
+            let current = null;
+            for (const [key, node] of open) {
+                if (!current || node.f < current.f) {
+                    currentKey = key;
+                    current = node;
+                }
+            }
+            open.delete(currentKey);
+
+            if (currentKey === goalKey) {
+                const path = [{ x: current.x, z: current.z }];
+                for (let key = currentKey; cameFrom.has(key);) {
+                    const previous = cameFrom.get(key);
+                    path.push(previous);
+                    key = `${previous.x},${previous.z}`;
+                }
+                return { path: path.reverse(), cost: costs.get(goalKey) };
+            }
+            closed.add(currentKey);
+
             const neighbors = [
-                { x: current.pos.x + 1, z: current.pos.z },
-                { x: current.pos.x - 1, z: current.pos.z },
-                { x: current.pos.x, z: current.pos.z + 1 },
-                { x: current.pos.x, z: current.pos.z - 1 }
+                { x: current.x + 1, z: current.z },
+                { x: current.x - 1, z: current.z },
+                { x: current.x, z: current.z + 1 },
+                { x: current.x, z: current.z - 1 }
             ];
-            
+
             for (const neighbor of neighbors) {
                 if (neighbor.x < 0 || neighbor.x >= this.grid.width ||
                     neighbor.z < 0 || neighbor.z >= this.grid.height) continue;
-                
+
                 const nKey = `${neighbor.x},${neighbor.z}`;
-                if (visited.has(nKey)) continue;
-                
-                // Can traverse vessels or reach storage
-                if (this.vessels.has(nKey) || this.storages.has(nKey)) {
-                    visited.add(nKey);
-                    queue.push({
-                        pos: neighbor,
-                        path: [...current.path, current.pos]
-                    });
-                }
+                if (closed.has(nKey)) continue;
+
+                // Vessels that carry this resource, or the goal itself
+                const vessel = this.vessels.get(nKey);
+                const canTraverse = vessel && vessel.obstruction < 1 &&
+                    vesselClassAllows(BioDatabase, vessel.vesselClass, resourceType);
+                if (!canTraverse && nKey !== goalKey) continue;
+
+                const cost = costs.get(currentKey) + 1 / this._getCellSpeed(neighbor);
+                if (costs.has(nKey) && cost >= costs.get(nKey)) continue;
+
+                costs.set(nKey, cost);
+                cameFrom.set(nKey, { x: current.x, z: current.z });
+                open.set(nKey, { ...neighbor, f: cost + heuristic(neighbor.x, neighbor.z) });
             }
         }
-        
+
         // No path found
-        return [];
+        return null;
     }
 
     /**
@@ -220,6 +462,8 @@ class ResourceTransport {
      */
     _updatePackets(deltaTime) {
         this.trailUpdateCounter++;
+        this.queues = new Map();
+        const occupancy = this._getOccupancy();
         
         for (let i = this.activePackets.length - 1; i >= 0; i--) {
             const packet = this.activePackets[i];
@@ -230,13 +474,28 @@ class ResourceTransport {
                 continue;
             }
             
-            // Move packet along path
-            packet.progress += (this.packetSpeed * deltaTime) / packet.path.length;
+            // Move packet along path (faster in arteries, slower in lymph)
+            const speed = this.packetSpeed * this._getCellSpeed(packet.path[0]);
+            packet.progress += (speed * deltaTime) / packet.path.length;
             
             if (packet.progress >= 1.0) {
-                // Reached end of path
-                packet.progress = 0;
-                packet.path.shift(); // Remove current waypoint
+                const hereKey = `${packet.path[0].x},${packet.path[0].z}`;
+                const next = packet.path[1];
+                const nextKey = next && `${next.x},${next.z}`;
+                
+                if (next && (occupancy.get(nextKey) || 0) >= this._getCellCapacity(nextKey)) {
+                    // Next cell full: wait here (backpressure)
+                    packet.progress = 1.0;
+                    this.queues.set(hereKey, (this.queues.get(hereKey) || 0) + 1);
+                } else {
+                    // Reached end of path
+                    packet.progress = 0;
+                    packet.path.shift(); // Remove current waypoint
+                    occupancy.set(hereKey, occupancy.get(hereKey) - 1);
+                    if (next) {
+                        occupancy.set(nextKey, (occupancy.get(nextKey) || 0) + 1);
+                    }
+                }
             }
             
             // Interpolate position
@@ -266,6 +525,16 @@ class ResourceTransport {
         this._updateTrailParticles(deltaTime);
     }
 
+    /**
+     * Speed multiplier at a cell: vessel class speed × open lumen (1 off-vessel or classless)
+     */
+    _getCellSpeed(cell) {
+        const vessel = this.vessels.get(`${cell.x},${cell.z}`);
+        if (!vessel) return 1;
+
+        return (vessel.vesselClass?.speed || 1) * (1 - vessel.obstruction);
+    }
+
     /**
      * Create a trail particle behind a moving packet
      */
@@ -275,7 +544,8 @@ class ResourceTransport {
             'RES_GLUCOSE': 0x4CAF50,
             'RES_OXYGEN': 0x64B5F6,
             'RES_LACTATE': 0xFF7043,
-            'RES_AMINO_ACIDS': 0xFF69B4
+            'RES_AMINO_ACIDS': 0xFF69B4,
+            'RES_LIPID': 0xF0E68C
         };
         
         const color = colorMap[packet.resourceType] || 0xFFFFFF;
@@ -335,31 +605,37 @@ class ResourceTransport {
             const cellKey = `${Math.round(packet.current.x)},${Math.round(packet.current.z)}`;
             const storage = this.storages.get(cellKey);
             
-            if (storage && packet.path.length === 0) {
-                // Transfer resource to storage building
-                if (storage.building && storage.building.receiveResource) {
-                    storage.building.receiveResource(packet.resourceType, packet.amount);
-                    
-                    // Update statistics
-                    this.stats.totalPacketsDelivered++;
-                    this.stats.lastMinutePackets++;
-                    
-                    if (!this.stats.totalResourceDelivered[packet.resourceType]) {
-                        this.stats.totalResourceDelivered[packet.resourceType] = 0;
-                    }
-                    this.stats.totalResourceDelivered[packet.resourceType] += packet.amount;
-                    
-                    if (!this.stats.lastMinuteResources[packet.resourceType]) {
-                        this.stats.lastMinuteResources[packet.resourceType] = 0;
-                    }
-                    this.stats.lastMinuteResources[packet.resourceType] += packet.amount;
-                    
-                    console.log(`[ResourceTransport] ✓ Deposited ${packet.amount} × ${packet.resourceType} at storage`);
-                }
-                
-                // Mark for removal
-                this._removePacket(packet);
+            if (!storage || packet.path.length > 0) continue;
+            
+            // Transfer resource to storage building
+            if (!storage.building?.receiveResource?.(packet.resourceType, packet.amount)) {
+                // Filled up meanwhile: try another storage, else wait here for room
+                const cell = { x: storage.x, z: storage.z };
+                const route = this._routePacket(cell, packet.resourceType, packet);
+                packet.destination = route ? route.destination : cellKey;
+                packet.path = route ? route.path : [cell];
+                packet.progress = 0;
+                this.queues.set(cellKey, (this.queues.get(cellKey) || 0) + 1);
+                continue;
+            }
+            
+            // Update statistics
+            this.stats.totalPacketsDelivered++;
+            this.stats.lastMinutePackets++;
+            
+            if (!this.stats.totalResourceDelivered[packet.resourceType]) {
+                this.stats.totalResourceDelivered[packet.resourceType] = 0;
+            }
+            this.stats.totalResourceDelivered[packet.resourceType] += packet.amount;
+            
+            if (!this.stats.lastMinuteResources[packet.resourceType]) {
+                this.stats.lastMinuteResources[packet.resourceType] = 0;
             }
+            this.stats.lastMinuteResources[packet.resourceType] += packet.amount;
+            
+            console.log(`[ResourceTransport] ✓ Deposited ${packet.amount} × ${packet.resourceType} at storage`);
+            
+            this._removePacket(packet);
         }
     }
 
@@ -373,7 +649,8 @@ class ResourceTransport {
             'RES_GLUCOSE': 0x4CAF50,
             'RES_OXYGEN': 0x64B5F6,
             'RES_LACTATE': 0xFF7043,
-            'RES_AMINO_ACIDS': 0xFF69B4
+            'RES_AMINO_ACIDS': 0xFF69B4,
+            'RES_LIPID': 0xF0E68C
         };
         
         const color = colorMap[resourceType] || 0xFFFFFF;
@@ -430,6 +707,36 @@ class ResourceTransport {
         this.storages.clear();
         this.vessels.clear();
         this.extractorTimers.clear();
+        this.queues.clear();
+        this._invalidateRoutes();
+    }
+
+    /**
+     * Where packets queue up, for the HUD
+     * queues: cells where packets waited on the last update, longest first
+     *   (capacity: packets the cell holds, Infinity off-vessel)
+     * stalled: extractors held back by backpressure (reason 'queue_full' / 'no_destination')
+     */
+    getBottlenecks() {
+        const queues = Array.from(this.queues.entries())
+            .map(([key, queued]) => {
+                const [x, z] = key.split(',').map(Number);
+                const kind = this.vessels.has(key) ? 'vessel' : (this.extractors.has(key) ? 'extractor' : 'storage');
+                const capacity = kind === 'extractor' ? this.extractorBuffer : this._getCellCapacity(key);
+                return { x, z, kind, queued, capacity };
+            })
+            .sort((a, b) => b.queued - a.queued);
+        
+        const stalled = Array.from(this.extractors.values())
+            .filter((extractor) => extractor.stallReason)
+            .map((extractor) => ({
+                x: extractor.x,
+                z: extractor.z,
+                resourceType: extractor.resourceType,
+                reason: extractor.stallReason
+            }));
+        
+        return { queues, stalled };
     }
 
     /**
@@ -458,6 +765,10 @@ class ResourceTransport {
             // Lifetime statistics
             totalPacketsCreated: this.stats.totalPacketsCreated,
             totalPacketsDelivered: this.stats.totalPacketsDelivered,
+            routesBroken: this.stats.routesBroken,
+            queuedPackets: Array.from(this.queues.values()).reduce((sum, queued) => sum + queued, 0),
+            stalledExtractors: Array.from(this.extractors.values()).filter((extractor) => extractor.stallReason).length,
+            cachedRoutes: this.routeCache.size,
             deliveryRate: this.stats.totalPacketsCreated > 0 
                 ? (this.stats.totalPacketsDelivered / this.stats.totalPacketsCreated * 100).toFixed(1) + '%'
                 : 'N/A',
@@ -4,10 +4,13 @@
  * Saves ONLY essential data:
  * - unlocked_entries: Array of entry IDs the player has discovered
  * - tracked_stats: Player's lifetime statistics
+ * - map_seed: RandomService seed the current map was generated from
  * 
  * Does NOT save the entire BioDatabase (that's static)
  */
 
+import randomService from '../core/RandomService.js';
+
 class SaveManager {
   constructor() {
     this.storageKey = "bio_factory_save_v1";
@@ -42,6 +45,7 @@ class SaveManager {
    * Expected format:
    * {
    *   meta: { save_version: 1.0, timestamp: number },
+   *   map_seed: string,
    *   unlocked_entries: string[],
    *   tracked_stats: {
    *     total_energy_produced: number,
@@ -65,6 +69,7 @@ class SaveManager {
           save_version: 1.0,
           timestamp: Date.now()
         },
+        map_seed: randomService.getSeed(),
         ...gameState
       };
       
@@ -101,6 +106,41 @@ class SaveManager {
     }
   }
   
+  /**
+   * Read the saved map seed synchronously (needed before the Grid is built)
+   * Returns null when there is no save or it predates seeds
+   */
+  getSavedSeed() {
+    try {
+      const jsonString = localStorage.getItem(this.storageKey);
+      if (!jsonString) return null;
+
+      return JSON.parse(jsonString).map_seed ?? null;
+    } catch (error) {
+      console.error("[SaveManager] Failed to read map seed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a new map seed, keeping the rest of the save (progression) intact
+   */
+  saveSeed(seed) {
+    try {
+      const jsonString = localStorage.getItem(this.storageKey);
+      const saveData = jsonString ? JSON.parse(jsonString) : { meta: { save_version: 1.0 } };
+      saveData.map_seed = seed;
+      saveData.meta = { ...saveData.meta, timestamp: Date.now() };
+
+      localStorage.setItem(this.storageKey, JSON.stringify(saveData, null, 2));
+      console.log(`[SaveManager] Map seed saved: ${seed}`);
+      return true;
+    } catch (error) {
+      console.error("[SaveManager] Failed to save map seed:", error);
+      return false;
+    }
+  }
+  
   /**
    * Delete save game
    */
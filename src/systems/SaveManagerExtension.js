@@ -9,7 +9,9 @@
  * - WasteInventorySystem: Waste accumulation
  * - EffectsSystem: Active terrain/unit effects
  * - DrugProfileSystem: Active medications
+ * - DrugRegimenSystem: Running dosing regimens
  * - PressureSystem: Vessel network + pump state
+ * - SimulationClock: Tick number + simulated time
  * 
  * FORMAT: JSON with version 5.1.0
  */
@@ -26,13 +28,18 @@ export class SaveManagerExtension {
   serializeGameState(systems) {
     const {
       biomarkerSystem,
+      acidBaseSystem,
       diseaseSystem,
       recipeUnlockSystem,
       buildingBehaviorSystem,
       wasteInventorySystem,
       effectsSystem,
       drugProfileSystem,
-      pressureSystem
+      drugRegimenSystem,
+      drugDeliverySystem,
+      pressureSystem,
+      thrombosisSystem,
+      clock
     } = systems;
 
     return {
@@ -42,8 +49,12 @@ export class SaveManagerExtension {
         timezone: new Date().getTimezoneOffset()
       },
 
+      clock: clock ? clock.serialize() : null,
+
       biomarkers: biomarkerSystem ? this.serializeBiomarkers(biomarkerSystem) : {},
 
+      acid_base: acidBaseSystem ? acidBaseSystem.serialize() : {},
+
       diseases: diseaseSystem ? this.serializeDiseases(diseaseSystem) : {},
 
       research: recipeUnlockSystem
@@ -60,7 +71,13 @@ export class SaveManagerExtension {
 
       medications: drugProfileSystem ? this.serializeMedications(drugProfileSystem) : {},
 
-      pressure: pressureSystem ? this.serializePressure(pressureSystem) : {}
+      regimens: drugRegimenSystem ? drugRegimenSystem.serialize() : {},
+
+      delivery: drugDeliverySystem ? drugDeliverySystem.serialize() : {},
+
+      pressure: pressureSystem ? this.serializePressure(pressureSystem) : {},
+
+      thrombosis: thrombosisSystem ? thrombosisSystem.serialize() : {}
     };
   }
 
@@ -75,7 +92,8 @@ export class SaveManagerExtension {
           biomarker_id: id,
           history: history.slice(-100) // Last 100 values
         })
-      )
+      ),
+      regions: biomarkerSystem.serializeRegions()
     };
   }
 
@@ -118,7 +136,8 @@ export class SaveManagerExtension {
         position: state.position,
         storage: state.storage,
         current_recipe: state.current_recipe,
-        recipe_progress: state.recipe_progress
+        recipe_progress: state.recipe_progress,
+        hp: state.hp
       });
     });
 
@@ -179,24 +198,10 @@ export class SaveManagerExtension {
   }
 
   /**
-   * Serialize active medications
+   * Serialize active medications (doses + dose history for PK curves)
    */
   serializeMedications(drugProfileSystem) {
-    const medications = [];
-
-    drugProfileSystem.activeMedications.forEach((meds, locationId) => {
-      meds.forEach((med) => {
-        medications.push({
-          location_id: locationId,
-          drug_id: med.drug_id,
-          drug_tag: med.drug_tag,
-          concentration: med.concentration,
-          time_remaining_ms: med.duration_ms - (Date.now() - med.onset_time)
-        });
-      });
-    });
-
-    return { active_medications: medications };
+    return drugProfileSystem.serialize();
   }
 
   /**
@@ -209,6 +214,7 @@ export class SaveManagerExtension {
         vessel_id: vesselId,
         position: vessel.position,
         efficiency: vessel.efficiency,
+        obstruction: vessel.obstruction,
         connections_count: vessel.connections.length,
         pumps_upstream_count: vessel.pumps_upstream.length
       });
@@ -280,13 +286,23 @@ export class SaveManagerExtension {
     }
   }
 
+  /**
+   * Restore simulation clock (tick number + simulated time)
+   */
+  restoreClock(clock, data) {
+    if (!data || !data.clock) return;
+
+    clock.restore(data.clock);
+    console.log(`[SaveManager] Restored clock at tick ${clock.getTickNumber()}`);
+  }
+
   /**
    * Restore biomarker state
    */
   restoreBiomarkers(biomarkerSystem, data) {
     if (!data || !data.biomarkers) return;
 
-    const { current_values, history } = data.biomarkers;
+    const { current_values, history, regions } = data.biomarkers;
 
     // Restore current values
     Object.entries(current_values).forEach(([id, value]) => {
@@ -300,9 +316,77 @@ export class SaveManagerExtension {
       }
     });
 
+    // Restore regional values (saves before regions have none)
+    biomarkerSystem.restoreRegions(regions);
+
     console.log("[SaveManager] Restored biomarker state");
   }
 
+  /**
+   * Restore acid-base state (HCO3-, PaCO2, lactate load)
+   */
+  restoreAcidBase(acidBaseSystem, data) {
+    if (!data || !data.acid_base) return;
+
+    acidBaseSystem.restore(data.acid_base);
+    console.log(`[SaveManager] Restored acid-base state (pH ${acidBaseSystem.getState().ph.toFixed(2)})`);
+  }
+
+  /**
+   * Restore active diseases with their tier, timing and resistance
+   * (timing is relative to the simulated clock - restore it first)
+   */
+  restoreDiseases(diseaseSystem, data) {
+    if (!data || !data.diseases?.active_diseases) return;
+
+    diseaseSystem.restore(data.diseases.active_diseases);
+    console.log(
+      `[SaveManager] Restored ${diseaseSystem.getActiveDiseases().length} active diseases`
+    );
+  }
+
+  /**
+   * Restore medications (doses are timed on the simulated clock - restore it first)
+   */
+  restoreMedications(drugProfileSystem, data) {
+    if (!data || !data.medications) return;
+
+    drugProfileSystem.restore(data.medications);
+    console.log(
+      `[SaveManager] Restored ${drugProfileSystem.getAllActiveMedications().length} active medications`
+    );
+  }
+
+  /**
+   * Restore running dosing regimens
+   */
+  restoreRegimens(drugRegimenSystem, data) {
+    if (!data || !data.regimens) return;
+
+    drugRegimenSystem.restore(data.regimens);
+    console.log(`[SaveManager] Restored ${drugRegimenSystem.getRegimens().length} dosing regimens`);
+  }
+
+  /**
+   * Restore drug boluses still travelling through the vessels
+   */
+  restoreDelivery(drugDeliverySystem, data) {
+    if (!data || !data.delivery) return;
+
+    drugDeliverySystem.restore(data.delivery);
+    console.log(`[SaveManager] Restored ${drugDeliverySystem.inTransit.length} drug boluses in transit`);
+  }
+
+  /**
+   * Restore thrombi (after the vessels are back in PressureSystem)
+   */
+  restoreThrombosis(thrombosisSystem, data) {
+    if (!data || !data.thrombosis) return;
+
+    thrombosisSystem.restore(data.thrombosis);
+    console.log(`[SaveManager] Restored ${thrombosisSystem.thrombi.size} thrombi`);
+  }
+
   /**
    * Restore research/recipe state
    */
@@ -5,8 +5,12 @@
  * - Unlocked entries: Show full details
  * - Locked entries: Show "???" with hint on when they unlock
  * - Searchable and categorized
+ * - Names, descriptions and labels in the selected language (Localization)
  */
 
+import BioDatabase from '../data/BioDatabase.js';
+import localization from '../core/Localization.js';
+
 class GuideUI {
   constructor(hudManager, progressionManager) {
     this.hudManager = hudManager;
@@ -39,6 +43,7 @@ class GuideUI {
     
     // Populate initial content
     this.populateGuide();
+    localization.onChange(() => this.populateGuide(this.searchInput?.value || ""));
     
     console.log("[GuideUI] Initialized");
   }
@@ -53,11 +58,11 @@ class GuideUI {
     
     const db = BioDatabase;
     const types = [
-      { key: 'buildings', icon: '🏗', label: 'Buildings' },
-      { key: 'resources', icon: '📦', label: 'Resources' },
-      { key: 'units', icon: '🧬', label: 'Units' },
-      { key: 'terrain', icon: '🌍', label: 'Terrain' },
-      { key: 'technologies', icon: '🧪', label: 'Technologies' }
+      { key: 'buildings', icon: '🏗', label: localization.t('guide.section.buildings') },
+      { key: 'resources', icon: '📦', label: localization.t('guide.section.resources') },
+      { key: 'units', icon: '🧬', label: localization.t('guide.section.units') },
+      { key: 'terrain', icon: '🌍', label: localization.t('guide.section.terrain') },
+      { key: 'technologies', icon: '🧪', label: localization.t('guide.section.technologies') }
     ];
     
     for (const typeInfo of types) {
@@ -66,8 +71,10 @@ class GuideUI {
       // Filter by search term
       const filtered = entries.filter(entry => {
         const searchLower = searchTerm.toLowerCase();
-        return entry.name.toLowerCase().includes(searchLower) ||
-               entry.description.toLowerCase().includes(searchLower);
+        const name = localization.entityName(entry.id, entry.name);
+        const description = localization.entityText(entry.id, 'description', '');
+        return name.toLowerCase().includes(searchLower) ||
+               description.toLowerCase().includes(searchLower);
       });
       
       if (filtered.length === 0) continue;
@@ -116,9 +123,9 @@ class GuideUI {
       wrapper.innerHTML = `
         <div class="entry-header">
           <span class="entry-icon">${entry.icon || '❓'}</span>
-          <span class="entry-name">${entry.name}</span>
+          <span class="entry-name">${localization.entityName(entry.id, entry.name)}</span>
         </div>
-        <div class="entry-description">${entry.description}</div>
+        <div class="entry-description">${localization.entityText(entry.id, 'description', '')}</div>
         ${this.formatEntryStats(entry)}
       `;
     } else {
@@ -127,9 +134,9 @@ class GuideUI {
       wrapper.innerHTML = `
         <div class="entry-header">
           <span class="entry-icon">❓</span>
-          <span class="entry-name">??? Unknown</span>
+          <span class="entry-name">${localization.t('guide.unknown_entry')}</span>
         </div>
-        <div class="entry-description locked-hint">${hint || 'Requirements unknown'}</div>
+        <div class="entry-description locked-hint">${hint || localization.t('guide.requirements_unknown')}</div>
       `;
     }
     
@@ -144,40 +151,40 @@ class GuideUI {
     
     // Cost
     if (entry.cost && Object.keys(entry.cost).length > 0) {
-      html += '<div class="entry-stat"><strong>Cost:</strong> ';
+      html += `<div class="entry-stat"><strong>${localization.t('guide.stat.cost')}</strong> `;
       html += Object.entries(entry.cost)
-        .map(([res, amt]) => `${amt} ${res}`)
+        .map(([res, amt]) => `${amt} ${localization.entityName(res)}`)
         .join(', ');
       html += '</div>';
     }
     
     // Production
     if (entry.production && Object.keys(entry.production).length > 0) {
-      html += '<div class="entry-stat"><strong>Produces:</strong> ';
+      html += `<div class="entry-stat"><strong>${localization.t('guide.stat.produces')}</strong> `;
       html += Object.entries(entry.production)
-        .map(([res, amt]) => `${amt} ${res}`)
+        .map(([res, amt]) => `${amt} ${localization.entityName(res)}`)
         .join(', ');
       html += '</div>';
     }
     
     // Consumption
     if (entry.consumption && Object.keys(entry.consumption).length > 0) {
-      html += '<div class="entry-stat"><strong>Consumes:</strong> ';
+      html += `<div class="entry-stat"><strong>${localization.t('guide.stat.consumes')}</strong> `;
       html += Object.entries(entry.consumption)
-        .map(([res, amt]) => `${amt} ${res}`)
+        .map(([res, amt]) => `${amt} ${localization.entityName(res)}`)
         .join(', ');
       html += '</div>';
     }
     
     // Health, Speed, etc.
     if (entry.health) {
-      html += `<div class="entry-stat"><strong>Health:</strong> ${entry.health}</div>`;
+      html += `<div class="entry-stat"><strong>${localization.t('guide.stat.health')}</strong> ${entry.health}</div>`;
     }
     if (entry.speed) {
-      html += `<div class="entry-stat"><strong>Speed:</strong> ${entry.speed}</div>`;
+      html += `<div class="entry-stat"><strong>${localization.t('guide.stat.speed')}</strong> ${entry.speed}</div>`;
     }
     if (entry.attack) {
-      html += `<div class="entry-stat"><strong>Attack:</strong> ${entry.attack}</div>`;
+      html += `<div class="entry-stat"><strong>${localization.t('guide.stat.attack')}</strong> ${entry.attack}</div>`;
     }
     
     // Tips
@@ -187,7 +194,7 @@ class GuideUI {
     
     // Behavior Patterns (for units)
     if (entry.behavior_patterns && entry.behavior_patterns.length > 0) {
-      html += '<div class="entry-stat"><strong>Behaviors:</strong> ';
+      html += `<div class="entry-stat"><strong>${localization.t('guide.stat.behaviors')}</strong> `;
       html += entry.behavior_patterns
         .map(b => `<span class="behavior-tag">${b.name}</span>`)
         .join(' ');
@@ -233,7 +240,7 @@ class GuideUI {
       <div class="notification-content">
         <span class="notification-icon">${entry.icon || '🔓'}</span>
         <span class="notification-text">
-          <strong>Unlocked:</strong> ${entry.name}
+          <strong>${localization.t('guide.unlocked')}</strong> ${localization.entityName(entry.id, entry.name)}
         </span>
       </div>
     `;
@@ -262,7 +269,4 @@ class GuideUI {
   }
 }
 
-// Export for use
-if (typeof module !== "undefined" && module.exports) {
-  module.exports = GuideUI;
-}
+export default GuideUI;
@@ -5,15 +5,19 @@ import BioDatabase from '../data/BioDatabase.js';
 import ProgressionManager from '../systems/ProgressionManager.js';
 import SaveManager from '../systems/SaveManager.js';
 import shaderProfileManager from '../core/ShaderProfileManager.js';
+import randomService from '../core/RandomService.js';
+import simulationSpeed from '../core/SimulationSpeed.js';
+import dataPackManager from '../core/DataPackManager.js';
+import localization from '../core/Localization.js';
 
 /**
  * HUD.js (RESTRUCTURED): Medical Glass themed HUD system
  * Layout:
  * - TOP: Grid coordinates + terrain info + building hover details
  * - TOP-LEFT: Settings + Guide buttons
- * - TOP-RIGHT: Resource toggle (All vs Loaded Only)
+ * - TOP-RIGHT: Simulation speed widget (pause / step / 1x-8x + tick)
  * - BOTTOM-LEFT: Hotbar (1-6 building selection)
- * - BOTTOM-RIGHT: Resources + Buildings toggle buttons + expandable panels
+ * - BOTTOM-RIGHT: Resources + Buildings + Drugs toggle buttons + expandable panels
  */
 class HUD {
     constructor(inputManager) {
@@ -32,6 +36,8 @@ class HUD {
         this.guideVisible = false;      // Guide panel toggle
         this.settingsVisible = false;   // Settings panel toggle
         this.draftVisible = false;      // Draft panel toggle
+        this.drugsVisible = false;      // Drugs (prescriptions) panel toggle
+        this.drugSystems = null;        // { eventBus, drugs, regimens, delivery, biomarkers } set by SimulationInitializer.wireUI
         this.inventoryVisible = false;  // Inventory toggle
         this.vesselModeActive = false;  // Vessel tracing mode
 
@@ -64,7 +70,8 @@ class HUD {
         // Create HUD structure
         this.createTopPanel();           // Grid coordinates + info
         this.createTopLeftMenu();        // Settings + Guide + Diagnostics
-        this.createBottomRightToggle();  // Resources + Buildings + Draft toggles
+        this.createSpeedWidget();        // Pause / step / fast-forward + tick counter
+        this.createBottomRightToggle();  // Resources + Buildings + Draft + Drugs toggles
         this.createInventoryToggle();    // Inventory button (bottom-right)
         this.createSelectionActionPanel();     // Selection actions (Cancel, Move, Cell Death)
         this.createResourcesPanel();     // Resources panel (hidden by default)
@@ -72,12 +79,40 @@ class HUD {
         this.createGuidePanel();         // Guide panel (hidden by default)
         this.createSettingsPanel();      // Settings panel (hidden by default)
         this.createDraftPanel();         // Draft panel (hidden by default)
+        this.createDrugsPanel();         // Drugs panel (hidden by default)
 
         // Wire inventory callback for resource updates
         this.inventory.onResourceChange = (type, amount) => this.updateResourcesUI();
 
         // Setup interactivity
         this.setupEventListeners();
+
+        // Static texts in the selected language; re-render on switch
+        localization.applyTo(document.body);
+        localization.onChange(() => this.applyLanguage());
+    }
+
+    /**
+     * Re-render every localized HUD text after a language switch
+     */
+    applyLanguage() {
+        localization.applyTo(document.body);
+
+        const languageSelect = document.querySelector('#settings-language');
+        if (languageSelect) {
+            languageSelect.value = localization.getLanguage();
+        }
+
+        this.populateBuildingsList();
+        this.populateGuide();
+        this.renderDataPacks();
+        this.populateDrugForm();
+        this.updateDrugPanel();
+        this.updateSpeedWidget();
+        this.updateResourcesUI();
+        this.updateTransportQueues(this.transportBottlenecks);
+        this.updateBuildingHoverInfo(this.hoveredBuilding);
+        console.log(`[HUD] Language applied: ${localization.getLanguage()}`);
     }
 
     /**
@@ -98,22 +133,26 @@ class HUD {
         
         panel.innerHTML = `
             <div class="info-section">
-                <div class="info-label">POSITION</div>
+                <div class="info-label" data-i18n="hud.position">POSITION</div>
                 <div class="info-value"><span id="info-coords">-- , --</span></div>
             </div>
             <div class="info-section">
-                <div class="info-label">TERRAIN</div>
+                <div class="info-label" data-i18n="hud.terrain">TERRAIN</div>
                 <div class="info-value"><span id="info-terrain">Unknown</span></div>
             </div>
             <div class="info-section building-info">
-                <div class="info-label">BUILDING</div>
+                <div class="info-label" data-i18n="hud.building">BUILDING</div>
                 <div class="info-value"><span id="info-building-name">None</span></div>
                 <div class="building-cost"><span id="info-building-cost"></span></div>
             </div>
             <div class="info-section selection-info">
-                <div class="info-label">SELECTION</div>
+                <div class="info-label" data-i18n="hud.selection">SELECTION</div>
                 <div class="info-value"><span id="hud-selected-cell">None</span></div>
             </div>
+            <div class="info-section seed-info" data-i18n-title="hud.seed_title" title="Map seed - share it to reproduce this map">
+                <div class="info-label" data-i18n="hud.seed">SEED</div>
+                <div class="info-value"><span id="info-seed">${randomService.getSeed()}</span></div>
+            </div>
         `;
 
         document.body.appendChild(panel);
@@ -122,8 +161,78 @@ class HUD {
             coords: panel.querySelector('#info-coords'),
             terrain: panel.querySelector('#info-terrain'),
             buildingName: panel.querySelector('#info-building-name'),
-            buildingCost: panel.querySelector('#info-building-cost')
+            buildingCost: panel.querySelector('#info-building-cost'),
+            seed: panel.querySelector('#info-seed')
+        };
+    }
+
+    /**
+     * TOP-RIGHT: Simulation speed widget (pause, step, 1x/2x/4x/8x) + tick counter
+     */
+    createSpeedWidget() {
+        const widget = document.createElement('div');
+        widget.id = 'hud-speed-widget';
+        widget.className = 'hud-speed-widget';
+        
+        const speedButtons = simulationSpeed.getLevels().map(level =>
+            `<button class="hud-btn speed-btn" data-speed="${level}" title="Speed ${level}x">${level}x</button>`
+        ).join('');
+        
+        widget.innerHTML = `
+            <div class="speed-controls">
+                <button id="btn-speed-pause" class="hud-btn speed-btn" data-i18n-title="speed.pause_title" title="Pause / resume [Space]">⏸</button>
+                <button id="btn-speed-step" class="hud-btn speed-btn" data-i18n-title="speed.step_title" title="Step one tick [.]">⏭</button>
+                ${speedButtons}
+            </div>
+            <div class="speed-status">
+                <span id="speed-label">1x</span>
+                <span class="speed-tick"><span data-i18n="speed.tick">TICK</span> <span id="speed-tick">0</span></span>
+            </div>
+        `;
+        
+        document.body.appendChild(widget);
+        
+        this.speedWidget = {
+            pauseBtn: widget.querySelector('#btn-speed-pause'),
+            stepBtn: widget.querySelector('#btn-speed-step'),
+            speedBtns: widget.querySelectorAll('[data-speed]'),
+            label: widget.querySelector('#speed-label'),
+            tick: widget.querySelector('#speed-tick')
         };
+        
+        this.speedWidget.pauseBtn.addEventListener('click', () => simulationSpeed.togglePause());
+        this.speedWidget.stepBtn.addEventListener('click', () => simulationSpeed.step());
+        this.speedWidget.speedBtns.forEach(btn => {
+            btn.addEventListener('click', () => simulationSpeed.setSpeed(parseInt(btn.dataset.speed, 10)));
+        });
+        
+        simulationSpeed.onChange(() => this.updateSpeedWidget());
+        this.updateSpeedWidget();
+    }
+
+    /**
+     * Refresh speed widget buttons/label from SimulationSpeed
+     */
+    updateSpeedWidget() {
+        if (!this.speedWidget) return;
+        
+        const { paused, speed } = simulationSpeed;
+        this.speedWidget.pauseBtn.textContent = paused ? '▶' : '⏸';
+        this.speedWidget.pauseBtn.classList.toggle('active', paused);
+        this.speedWidget.label.textContent = paused ? localization.t('speed.paused') : `${speed}x`;
+        this.speedWidget.speedBtns.forEach(btn => {
+            btn.classList.toggle('active', !paused && parseInt(btn.dataset.speed, 10) === speed);
+            btn.title = localization.t('speed.speed_title', { speed: btn.dataset.speed });
+        });
+    }
+
+    /**
+     * Show current simulation tick (called by UIUpdateBridge on SIMULATION_TICK)
+     */
+    updateSimulationTick(tickNumber) {
+        if (this.speedWidget) {
+            this.speedWidget.tick.textContent = tickNumber;
+        }
     }
 
     /**
@@ -135,14 +244,14 @@ class HUD {
         menu.className = 'hud-top-left-menu';
         
         menu.innerHTML = `
-            <button id="btn-vessel-mode" class="hud-btn hud-btn-menu" title="Vessel Tracing Mode [V]">
-                ⚓ VESSELS
+            <button id="btn-vessel-mode" class="hud-btn hud-btn-menu" data-i18n-title="menu.vessels_title" title="Vessel Tracing Mode [V]">
+                ⚓ <span data-i18n="menu.vessels">VESSELS</span>
             </button>
-            <button id="btn-settings" class="hud-btn hud-btn-menu" title="Settings">
-                ⚙ SETTINGS
+            <button id="btn-settings" class="hud-btn hud-btn-menu" data-i18n-title="menu.settings_title" title="Settings">
+                ⚙ <span data-i18n="menu.settings">SETTINGS</span>
             </button>
-            <button id="btn-guide" class="hud-btn hud-btn-guide" title="Game Guide">
-                📖 GUIDE
+            <button id="btn-guide" class="hud-btn hud-btn-guide" data-i18n-title="menu.guide_title" title="Game Guide">
+                📖 <span data-i18n="menu.guide">GUIDE</span>
             </button>
         `;
 
@@ -162,14 +271,17 @@ class HUD {
         toggle.className = 'hud-left-side-toggle';
         
         toggle.innerHTML = `
-            <button id="btn-resources" class="hud-btn hud-btn-toggle" title="Toggle resources panel [R]">
-                📊 RESOURCES
+            <button id="btn-resources" class="hud-btn hud-btn-toggle" data-i18n-title="toggle.resources_title" title="Toggle resources panel [R]">
+                📊 <span data-i18n="toggle.resources">RESOURCES</span>
+            </button>
+            <button id="btn-buildings" class="hud-btn hud-btn-toggle" data-i18n-title="toggle.buildings_title" title="Toggle buildings panel [B]">
+                🏗 <span data-i18n="toggle.buildings">BUILDINGS</span>
             </button>
-            <button id="btn-buildings" class="hud-btn hud-btn-toggle" title="Toggle buildings panel [B]">
-                🏗 BUILDINGS
+            <button id="btn-draft" class="hud-btn hud-btn-toggle" data-i18n-title="toggle.draft_title" title="Toggle draft panel [D]">
+                📝 <span data-i18n="toggle.draft">DRAFT</span>
             </button>
-            <button id="btn-draft" class="hud-btn hud-btn-toggle" title="Toggle draft panel [D]">
-                📝 DRAFT
+            <button id="btn-drugs" class="hud-btn hud-btn-toggle" data-i18n-title="toggle.drugs_title" title="Toggle drugs panel [M]">
+                💊 <span data-i18n="toggle.drugs">DRUGS</span>
             </button>
         `;
 
@@ -178,6 +290,7 @@ class HUD {
         this.resourcesBtn = toggle.querySelector('#btn-resources');
         this.buildingsBtn = toggle.querySelector('#btn-buildings');
         this.draftBtn = toggle.querySelector('#btn-draft');
+        this.drugsBtn = toggle.querySelector('#btn-drugs');
     }
 
     /**
@@ -188,7 +301,8 @@ class HUD {
         toggle.id = 'btn-inventory';
         toggle.className = 'hud-btn hud-btn-inventory';
         toggle.title = 'Toggle inventory panel [I]';
-        toggle.innerHTML = '🎒 INVENTORY';
+        toggle.dataset.i18nTitle = 'toggle.inventory_title';
+        toggle.innerHTML = '🎒 <span data-i18n="toggle.inventory">INVENTORY</span>';
         
         document.body.appendChild(toggle);
         
@@ -206,18 +320,18 @@ class HUD {
         
         panel.innerHTML = `
             <div class="selection-actions-header">
-                <span class="selection-actions-title">⚡ ACTIONS</span>
+                <span class="selection-actions-title">⚡ <span data-i18n="actions.title">ACTIONS</span></span>
                 <button class="panel-close" id="close-selection-actions">✕</button>
             </div>
             <div class="selection-actions-container">
-                <button id="btn-action-cancel" class="selection-action-btn action-cancel" title="Deselect buildings [Esc]">
-                    ❌ CANCEL
+                <button id="btn-action-cancel" class="selection-action-btn action-cancel" data-i18n-title="actions.cancel_title" title="Deselect buildings [Esc]">
+                    ❌ <span data-i18n="actions.cancel">CANCEL</span>
                 </button>
-                <button id="btn-action-move" class="selection-action-btn action-move" title="Move selected buildings">
-                    ➡️ MOVE
+                <button id="btn-action-move" class="selection-action-btn action-move" data-i18n-title="actions.move_title" title="Move selected buildings">
+                    ➡️ <span data-i18n="actions.move">MOVE</span>
                 </button>
-                <button id="btn-action-cell-death" class="selection-action-btn action-cell-death" title="Deconstruct buildings">
-                    💀 CELL DEATH
+                <button id="btn-action-cell-death" class="selection-action-btn action-cell-death" data-i18n-title="actions.cell_death_title" title="Deconstruct buildings">
+                    💀 <span data-i18n="actions.cell_death">CELL DEATH</span>
                 </button>
             </div>
         `;
@@ -243,7 +357,7 @@ class HUD {
         this.actionBtnMove.addEventListener('click', () => {
             console.log('[HUD] Move action clicked');
             // TODO: Implement move action
-            alert('Move action - not yet implemented');
+            alert(localization.t('actions.move_todo'));
         });
         
         this.actionBtnCellDeath.addEventListener('click', () => {
@@ -295,18 +409,58 @@ class HUD {
         
         panel.innerHTML = `
             <div class="resources-header-with-toggle">
-                <span class="resources-title">📊 RESOURCES</span>
-                <button id="btn-resource-toggle-in-panel" class="toggle-filter-btn" title="Toggle resource display mode">
-                    ALL
+                <span class="resources-title">📊 <span data-i18n="resources.title">RESOURCES</span></span>
+                <button id="btn-resource-toggle-in-panel" class="toggle-filter-btn" data-i18n-title="resources.filter_title" title="Toggle resource display mode">
+                    <span data-i18n="resources.all">ALL</span>
                 </button>
                 <button class="panel-close" id="close-resources">✕</button>
             </div>
             <div id="resources-container" class="resources-container"></div>
+            <div class="transport-queues">
+                <div class="drugs-section-title" data-i18n="transport.title">TRANSPORT QUEUES</div>
+                <ul id="transport-queues-list" class="drugs-list"></ul>
+            </div>
         `;
         
         document.body.appendChild(panel);
         this.resourcesPanel = panel;
+        this.transportBottlenecks = null;
         this.updateResourcesUI(); // Populate resources on creation
+        this.updateTransportQueues(null);
+    }
+
+    /**
+     * Show where packets queue up and which extractors stalled (ResourceTransport.getBottlenecks)
+     * Called by Engine every 500ms; null = no transport running
+     */
+    updateTransportQueues(bottlenecks) {
+        const list = this.resourcesPanel?.querySelector('#transport-queues-list');
+        if (!list) return;
+
+        this.transportBottlenecks = bottlenecks;
+        if (!bottlenecks || (bottlenecks.queues.length === 0 && bottlenecks.stalled.length === 0)) {
+            list.innerHTML = `<li class="drugs-empty">${localization.t('transport.no_queues')}</li>`;
+            return;
+        }
+
+        const stalledRows = bottlenecks.stalled.map(extractor => `
+            <li class="drugs-item transport-stalled">
+                <span class="drugs-item-name">${localization.t('transport.stalled', { x: extractor.x, z: extractor.z })}</span>
+                <span class="drugs-item-detail">${localization.t(`transport.reason.${extractor.reason}`, {
+                    resource: localization.entityName(extractor.resourceType)
+                })}</span>
+            </li>
+        `);
+        const queueRows = bottlenecks.queues.slice(0, 5).map(queue => `
+            <li class="drugs-item transport-queue">
+                <span class="drugs-item-name">${localization.t(`transport.kind.${queue.kind}`)} [${queue.x},${queue.z}]</span>
+                <span class="drugs-item-detail">${localization.t('transport.queue_row', {
+                    queued: queue.queued,
+                    capacity: Number.isFinite(queue.capacity) ? queue.capacity : '∞'
+                })}</span>
+            </li>
+        `);
+        list.innerHTML = [...stalledRows, ...queueRows].join('');
     }
 
     /**
@@ -319,11 +473,11 @@ class HUD {
         
         panel.innerHTML = `
             <div class="draft-header">
-                <span class="draft-title">📝 DRAFT</span>
+                <span class="draft-title">📝 <span data-i18n="draft.title">DRAFT</span></span>
                 <button class="panel-close" id="close-draft">✕</button>
             </div>
             <div id="draft-container" class="draft-container">
-                <div class="draft-empty">No drafts yet. Plan your construction here!</div>
+                <div class="draft-empty" data-i18n="draft.empty">No drafts yet. Plan your construction here!</div>
             </div>
         `;
         
@@ -331,6 +485,458 @@ class HUD {
         this.draftPanel = panel;
     }
 
+    /**
+     * DRUGS PANEL: Prescribe dosing regimens, cancel them, watch plasma levels
+     * Talks to DrugRegimenSystem / DrugProfileSystem through setDrugSystems
+     */
+    createDrugsPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'drugs-panel';
+        panel.className = 'drugs-panel hidden';
+
+        panel.innerHTML = `
+            <div class="drugs-header">
+                <span class="drugs-title">💊 <span data-i18n="drugs.title">DRUGS</span></span>
+                <button class="panel-close" id="close-drugs">✕</button>
+            </div>
+            <div class="drugs-container">
+                <div class="drugs-form">
+                    <label class="drugs-label" data-i18n="drugs.drug">Drug</label>
+                    <select id="drugs-select" class="settings-select"></select>
+                    <label class="drugs-label" data-i18n="drugs.route">Route</label>
+                    <select id="drugs-route" class="settings-select"></select>
+                    <label class="drugs-label" data-i18n="drugs.delivery">Delivery</label>
+                    <select id="drugs-delivery" class="settings-select"></select>
+                    <div class="drugs-grid">
+                        <label class="drugs-label" data-i18n="drugs.loading_dose">Loading dose, mg</label>
+                        <input type="number" id="drugs-loading-dose" class="settings-input" min="0" />
+                        <label class="drugs-label" data-i18n="drugs.dose">Dose, mg</label>
+                        <input type="number" id="drugs-dose" class="settings-input" min="0" />
+                        <label class="drugs-label" data-i18n="drugs.interval">Every N ticks</label>
+                        <input type="number" id="drugs-interval" class="settings-input" min="1" />
+                        <label class="drugs-label" data-i18n="drugs.doses">Doses</label>
+                        <input type="number" id="drugs-doses" class="settings-input" min="1" />
+                    </div>
+                    <span id="drugs-cost" class="settings-description"></span>
+                    <ul id="drugs-warnings" class="drugs-warnings"></ul>
+                    <button id="btn-drugs-prescribe" class="settings-btn">
+                        ➕ <span data-i18n="drugs.prescribe">PRESCRIBE</span>
+                    </button>
+                </div>
+                <div class="drugs-section-title" data-i18n="drugs.regimens">Regimens</div>
+                <ul id="drugs-regimens" class="drugs-list"></ul>
+                <div class="drugs-section-title" data-i18n="drugs.levels">Plasma levels</div>
+                <ul id="drugs-levels" class="drugs-list"></ul>
+                <div class="drugs-section-title" data-i18n="drugs.regions">Regional levels</div>
+                <canvas id="drugs-region-map" class="drugs-region-map" width="160" height="160"></canvas>
+                <span id="drugs-region-legend" class="settings-description"></span>
+            </div>
+        `;
+
+        document.body.appendChild(panel);
+        this.drugsPanel = panel;
+
+        const drugSelect = panel.querySelector('#drugs-select');
+        drugSelect.addEventListener('change', () => {
+            this.fillDrugForm(drugSelect.value);
+            this.drawRegionMap();
+        });
+        panel.querySelector('.drugs-form').addEventListener('input', () => this.updateDrugWarnings());
+        panel.querySelector('#btn-drugs-prescribe').addEventListener('click', () => this.prescribeFromForm());
+
+        // Cancel buttons live in the regimen rows (kept across ticks, see patchDrugList)
+        panel.querySelector('#drugs-regimens').addEventListener('click', (e) => {
+            const regimenId = e.target.closest('[data-regimen-id]')?.dataset.regimenId;
+            if (regimenId && this.drugSystems) {
+                this.drugSystems.eventBus.emit('REGIMEN_CANCEL_REQUESTED', { regimen_id: regimenId });
+            }
+        });
+
+        this.populateDrugForm();
+        this.updateDrugPanel();
+    }
+
+    /**
+     * Connect the drugs panel to the simulation (called by SimulationInitializer.wireUI)
+     * delivery / biomarkers (optional): infusion ports and the region grid for the overlay
+     */
+    setDrugSystems(eventBus, drugs, regimens, delivery = null, biomarkers = null) {
+        this.drugSystems = { eventBus, drugs, regimens, delivery, biomarkers };
+        this.updateDrugPanel();
+    }
+
+    /**
+     * Delivery picker: systemic (global) or one of the infusion ports (DrugDeliverySystem)
+     */
+    updateDeliveryOptions() {
+        const select = this.drugsPanel?.querySelector('#drugs-delivery');
+        if (!select) return;
+
+        const ports = this.drugSystems?.delivery?.getPorts() || [];
+        const options = [
+            `<option value="systemic">${localization.t('drugs.delivery_systemic')}</option>`,
+            ...ports.map(port =>
+                `<option value="${port.building_id}">${localization.t('drugs.delivery_port', {
+                    id: port.building_id,
+                    x: port.position.x,
+                    y: port.position.y
+                })}</option>`
+            )
+        ].join('');
+        // Called every tick: only rebuild when a port was placed/removed (or the language changed),
+        // so an open picker is not closed under the player
+        if (options === this.deliveryOptionsHtml) return;
+        this.deliveryOptionsHtml = options;
+
+        const selected = select.value;
+        select.innerHTML = options;
+        if (ports.some(port => port.building_id === selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Drug picker from BioDatabase.drugs (localized names)
+     */
+    populateDrugForm() {
+        const drugSelect = document.querySelector('#drugs-select');
+        if (!drugSelect) return;
+
+        const selected = drugSelect.value;
+        drugSelect.innerHTML = (BioDatabase.drugs || []).map(drug =>
+            `<option value="${drug.id}">${localization.entityName(drug.id, drug.name)}</option>`
+        ).join('');
+
+        if (selected && (BioDatabase.drugs || []).some(drug => drug.id === selected)) {
+            drugSelect.value = selected;
+        }
+        this.fillDrugForm(drugSelect.value);
+    }
+
+    /**
+     * Pre-fill routes, doses and interval from the drug's default_regimen
+     */
+    fillDrugForm(drugId) {
+        const drug = (BioDatabase.drugs || []).find(d => d.id === drugId);
+        const panel = this.drugsPanel;
+        if (!panel) return;
+
+        const routes = Object.keys(drug?.pk?.routes || {});
+        const defaults = drug?.default_regimen || {};
+        const routeSelect = panel.querySelector('#drugs-route');
+        routeSelect.innerHTML = routes.map(route =>
+            `<option value="${route}">${localization.t(`drugs.route.${route}`)}</option>`
+        ).join('');
+        routeSelect.value = defaults.route || routes[0] || '';
+
+        panel.querySelector('#drugs-loading-dose').value = defaults.loading_dose_mg ?? '';
+        panel.querySelector('#drugs-dose').value = defaults.dose_mg ?? drug?.default_dose_mg ?? '';
+        panel.querySelector('#drugs-interval').value = defaults.interval_ticks ?? 1;
+        panel.querySelector('#drugs-doses').value = defaults.doses ?? 1;
+
+        const cost = (drug?.cost || [])
+            .map(({ id, amount }) => `${amount} ${localization.entityName(id)}`)
+            .join(', ');
+        panel.querySelector('#drugs-cost').textContent =
+            localization.t('drugs.cost', { cost: cost || localization.t('common.free') });
+        this.updateDrugWarnings();
+    }
+
+    /**
+     * Current form values as a regimen request (empty / invalid fields omitted)
+     */
+    readDrugForm() {
+        const panel = this.drugsPanel;
+        const number = (selector) => {
+            const value = parseFloat(panel.querySelector(selector).value);
+            return Number.isFinite(value) && value > 0 ? value : undefined;
+        };
+
+        const delivery = panel.querySelector('#drugs-delivery').value;
+
+        return {
+            drug_id: panel.querySelector('#drugs-select').value,
+            route: panel.querySelector('#drugs-route').value,
+            building_id: delivery && delivery !== 'systemic' ? delivery : undefined,
+            loading_dose_mg: number('#drugs-loading-dose'),
+            dose_mg: number('#drugs-dose'),
+            interval_ticks: number('#drugs-interval') && Math.round(number('#drugs-interval')),
+            doses: number('#drugs-doses') && Math.round(number('#drugs-doses')),
+            location_id: 'systemic'
+        };
+    }
+
+    /**
+     * Send the form as REGIMEN_PRESCRIBE_REQUESTED (DrugRegimenSystem fills the rest)
+     */
+    prescribeFromForm() {
+        if (!this.drugSystems || !this.drugsPanel) return;
+
+        this.drugSystems.eventBus.emit('REGIMEN_PRESCRIBE_REQUESTED', this.readDrugForm());
+    }
+
+    /**
+     * Predicted interactions and projected peak of the regimen in the form, before prescribing
+     * (DrugProfileSystem.predictAdministration over the whole dose schedule)
+     */
+    updateDrugWarnings() {
+        const list = this.drugsPanel?.querySelector('#drugs-warnings');
+        if (!list) return;
+        if (!this.drugSystems) {
+            list.innerHTML = '';
+            return;
+        }
+
+        const form = this.readDrugForm();
+        const drug = (BioDatabase.drugs || []).find(d => d.id === form.drug_id);
+        const dose = form.dose_mg ?? drug?.default_dose_mg ?? 0;
+        const interval = (form.interval_ticks || 1) * this.drugSystems.drugs.clock.tickDurationMs;
+        const doses = Array.from({ length: form.doses || 1 }, (_, index) => ({
+            amount_mg: index === 0 && form.loading_dose_mg ? form.loading_dose_mg : dose,
+            offset_ms: index * interval
+        }));
+
+        const prediction = this.drugSystems.drugs.predictAdministration(form.drug_id, {
+            route: form.route,
+            location_id: form.location_id,
+            doses
+        });
+        if (!prediction) {
+            list.innerHTML = '';
+            return;
+        }
+
+        const warnings = prediction.interactions.map(interaction =>
+            localization.t('drugs.warning_interaction', {
+                type: localization.t(`drugs.interaction.${interaction.type}`),
+                name: localization.entityName(interaction.with_drug_id)
+            })
+        );
+        if (['SUPRATHERAPEUTIC', 'TOXIC'].includes(prediction.projected_window)) {
+            warnings.push(localization.t('drugs.warning_peak', {
+                cmax: prediction.projected_cmax.toFixed(1),
+                window: localization.t(`drugs.window.${prediction.projected_window}`)
+            }));
+        }
+
+        const level = prediction.projected_window === 'TOXIC' ? 'drugs-warning-critical' : '';
+        list.innerHTML = warnings.map(warning => `<li class="drugs-warning ${level}">⚠ ${warning}</li>`).join('');
+    }
+
+    /**
+     * Patch running regimens and plasma levels in place (UIUpdateBridge: regimen events + ticks)
+     */
+    updateDrugPanel() {
+        if (!this.drugsPanel) return;
+
+        const regimenList = this.drugsPanel.querySelector('#drugs-regimens');
+        const levelList = this.drugsPanel.querySelector('#drugs-levels');
+
+        if (!this.drugSystems) {
+            regimenList.innerHTML = `<li class="drugs-empty">${localization.t('drugs.offline')}</li>`;
+            levelList.innerHTML = '';
+            return;
+        }
+        if (!this.drugsVisible) return;
+
+        const regimens = this.drugSystems.regimens.getRegimens();
+        this.patchDrugList(regimenList, regimens, regimen => regimen.regimen_id, localization.t('drugs.no_regimens'),
+            regimen => `
+                <span class="drugs-item-name"></span>
+                <span class="drugs-item-detail"></span>
+                <button class="panel-close" data-regimen-id="${regimen.regimen_id}">✕</button>
+            `,
+            (row, regimen) => {
+                this.setText(row.querySelector('.drugs-item-name'), localization.entityName(regimen.drug_id));
+                this.setText(row.querySelector('.drugs-item-detail'), localization.t('drugs.regimen_row', {
+                    route: localization.t(`drugs.route.${regimen.route}`),
+                    dose: regimen.dose_mg,
+                    given: regimen.doses_given + regimen.doses_missed,
+                    total: regimen.doses,
+                    next: regimen.next_tick
+                }));
+                row.querySelector('[data-regimen-id]').title = localization.t('drugs.cancel_title');
+            });
+
+        const format = (value) => (value === null || value === undefined ? localization.t('common.na') : value.toFixed(2));
+        const medications = this.drugSystems.drugs.getAllActiveMedications();
+        this.patchDrugList(levelList, medications, med => `${med.drug_id}@${med.location_id}`, null,
+            med => `
+                <span class="drugs-item-name"></span>
+                <span class="drugs-item-detail"></span>
+                <canvas class="drugs-curve" width="240" height="40" data-drug-id="${med.drug_id}" data-location-id="${med.location_id}"></canvas>
+            `,
+            (row, med) => {
+                const summary = this.drugSystems.drugs.getPkSummary(med.drug_id, med.location_id) || {};
+                const trough = summary.troughs?.[summary.troughs.length - 1]?.concentration;
+                const detail = row.querySelector('.drugs-item-detail');
+                this.setText(row.querySelector('.drugs-item-name'), localization.entityName(med.drug_id));
+                detail.className = `drugs-item-detail drugs-window-${med.window}`;
+                this.setText(detail, localization.t('drugs.level_row', {
+                    current: format(med.concentration),
+                    window: localization.t(`drugs.window.${med.window}`),
+                    cmax: format(summary.cmax),
+                    tmax: summary.tmax_ms === null || summary.tmax_ms === undefined ? localization.t('common.na') : Math.round(summary.tmax_ms / 1000),
+                    trough: format(trough)
+                }));
+                this.drawConcentrationCurve(
+                    row.querySelector('canvas.drugs-curve'),
+                    this.drugSystems.drugs.getConcentrationCurve(med.drug_id, med.location_id),
+                    this.drugSystems.drugs.getDrug(med.drug_id)?.toxicity?.threshold_mg_l
+                );
+            });
+
+        // Interactions follow what is already given
+        this.updateDeliveryOptions();
+        this.updateDrugWarnings();
+        this.drawRegionMap();
+    }
+
+    /**
+     * Keep one <li class="drugs-item"> per key instead of re-rendering the list every tick:
+     * rows of new keys are created from rowHtml(item), every row is patched by updateRow(row, item),
+     * rows whose key is gone are removed. emptyText (null = nothing) fills an empty list
+     */
+    patchDrugList(list, items, getKey, emptyText, rowHtml, updateRow) {
+        if (items.length === 0) {
+            if (emptyText === null) {
+                if (list.children.length > 0) list.innerHTML = '';
+            } else if (list.children.length !== 1 || list.querySelector('.drugs-empty')?.textContent !== emptyText) {
+                list.innerHTML = `<li class="drugs-empty">${emptyText}</li>`;
+            }
+            return;
+        }
+
+        list.querySelector('.drugs-empty')?.remove();
+        const keys = items.map(getKey);
+        const rows = new Map();
+        Array.from(list.children).forEach(row => {
+            if (keys.includes(row.dataset.rowKey)) {
+                rows.set(row.dataset.rowKey, row);
+            } else {
+                row.remove();
+            }
+        });
+
+        items.forEach((item, index) => {
+            let row = rows.get(keys[index]);
+            if (!row) {
+                row = document.createElement('li');
+                row.className = 'drugs-item';
+                row.dataset.rowKey = keys[index];
+                row.innerHTML = rowHtml(item);
+            }
+            updateRow(row, item);
+            if (list.children[index] !== row) {
+                list.insertBefore(row, list.children[index] || null);
+            }
+        });
+    }
+
+    /**
+     * textContent only when it changed (patched rows are touched every tick)
+     */
+    setText(element, text) {
+        if (element.textContent !== text) element.textContent = text;
+    }
+
+    /**
+     * Region overlay: the selected drug's concentration in every region it was
+     * delivered to through the vessels, coloured by therapeutic window
+     * (DrugProfileSystem.getRegionalConcentrations); empty cells got none
+     */
+    drawRegionMap() {
+        const canvas = this.drugsPanel?.querySelector('#drugs-region-map');
+        const legend = this.drugsPanel?.querySelector('#drugs-region-legend');
+        const context = canvas?.getContext('2d');
+        if (!context) return;
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.drugSystems) return;
+
+        const drugId = this.drugsPanel.querySelector('#drugs-select').value;
+        const drug = this.drugSystems.drugs.getDrug(drugId);
+        const levels = this.drugSystems.drugs.getRegionalConcentrations(drugId);
+        const perSide = this.drugSystems.biomarkers?.getRegionsPerSide() || 1;
+        const cell = canvas.width / perSide;
+        const windowColors = {
+            SUBTHERAPEUTIC: '80, 140, 255',
+            THERAPEUTIC: '80, 220, 120',
+            SUPRATHERAPEUTIC: '255, 170, 60',
+            TOXIC: '255, 80, 80'
+        };
+        // Opacity follows C up to the top of the window (or the highest level shown)
+        const scale = drug?.therapeutic_window?.max_mg_l
+            || Math.max(...Object.values(levels).map(level => level.concentration), 1);
+
+        context.font = '10px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        for (let ry = 0; ry < perSide; ry++) {
+            for (let rx = 0; rx < perSide; rx++) {
+                const level = levels[`${rx},${ry}`];
+                context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                context.strokeRect(rx * cell, ry * cell, cell, cell);
+                if (!level) continue;
+
+                const alpha = 0.25 + 0.75 * Math.min(1, level.concentration / scale);
+                context.fillStyle = `rgba(${windowColors[level.window]}, ${alpha.toFixed(2)})`;
+                context.fillRect(rx * cell + 1, ry * cell + 1, cell - 2, cell - 2);
+                context.fillStyle = '#fff';
+                context.fillText(level.concentration.toFixed(1), (rx + 0.5) * cell, (ry + 0.5) * cell);
+            }
+        }
+
+        if (legend) {
+            legend.textContent = Object.keys(levels).length === 0
+                ? localization.t('drugs.regions_empty', { name: localization.entityName(drugId) })
+                : localization.t('drugs.regions_legend', { name: localization.entityName(drugId) });
+        }
+    }
+
+    /**
+     * Sparkline: measured part solid, projection (doses given so far) dimmed,
+     * toxic threshold dashed when the curve reaches it
+     */
+    drawConcentrationCurve(canvas, curve, toxicThreshold = null) {
+        const context = canvas.getContext('2d');
+        if (!context || curve.length < 2) return;
+
+        const max = Math.max(...curve.map(sample => sample.concentration)) || 1;
+        const x = (index) => (index / (curve.length - 1)) * canvas.width;
+        const y = (value) => canvas.height - 2 - (value / max) * (canvas.height - 4);
+
+        // The projection starts at the last measured sample so both lines join
+        const firstProjected = curve.findIndex(sample => sample.projected);
+        const split = firstProjected === -1 ? curve.length - 1 : Math.max(0, firstProjected - 1);
+        const segments = [
+            { from: 0, to: split, style: 'rgba(0, 212, 255, 1)' },
+            { from: split, to: curve.length - 1, style: 'rgba(0, 212, 255, 0.35)' }
+        ];
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.lineWidth = 1.5;
+        segments.forEach(({ from, to, style }) => {
+            context.beginPath();
+            context.strokeStyle = style;
+            context.moveTo(x(from), y(curve[from].concentration));
+            for (let index = from + 1; index <= to; index++) {
+                context.lineTo(x(index), y(curve[index].concentration));
+            }
+            context.stroke();
+        });
+
+        if (toxicThreshold && toxicThreshold <= max) {
+            context.beginPath();
+            context.setLineDash([3, 3]);
+            context.strokeStyle = 'rgba(255, 80, 80, 0.8)';
+            context.moveTo(0, y(toxicThreshold));
+            context.lineTo(canvas.width, y(toxicThreshold));
+            context.stroke();
+            context.setLineDash([]);
+        }
+    }
+
     /**
      * BUILDINGS PANEL: Show available buildings for selection or hotbar assignment
      */
@@ -341,7 +947,7 @@ class HUD {
         
         panel.innerHTML = `
             <div class="buildings-header">
-                <span class="buildings-title">🏗 BUILDINGS</span>
+                <span class="buildings-title">🏗 <span data-i18n="buildings.title">BUILDINGS</span></span>
                 <button class="panel-close" id="close-buildings">✕</button>
             </div>
             <div id="buildings-container" class="buildings-container"></div>
@@ -362,11 +968,11 @@ class HUD {
         
         panel.innerHTML = `
             <div class="guide-header">
-                <span class="guide-title">📖 GUIDE</span>
+                <span class="guide-title">📖 <span data-i18n="guide.title">GUIDE</span></span>
                 <button class="panel-close" id="close-guide">✕</button>
             </div>
             <div class="guide-search-container">
-                <input type="text" id="guide-search-input" placeholder="Search guide..." />
+                <input type="text" id="guide-search-input" data-i18n-placeholder="guide.search" placeholder="Search guide..." />
             </div>
             <div id="guide-container" class="guide-container"></div>
         `;
@@ -390,32 +996,60 @@ class HUD {
             `<option value="${p.id}" ${p.id === shaderProfileManager.getCurrentProfileId() ? 'selected' : ''}>${p.name}</option>`
         ).join('');
         
+        // Build language options
+        const languageOptions = localization.getLanguages().map(lang =>
+            `<option value="${lang.id}" ${lang.id === localization.getLanguage() ? 'selected' : ''}>${lang.label}</option>`
+        ).join('');
+        
         panel.innerHTML = `
             <div class="settings-header">
-                <span class="settings-title">⚙ SETTINGS</span>
+                <span class="settings-title">⚙ <span data-i18n="settings.title">SETTINGS</span></span>
                 <button class="panel-close" id="close-settings">✕</button>
             </div>
             <div class="settings-content">
                 <div class="settings-group">
-                    <label class="settings-label">🎨 Shader Profile</label>
+                    <label class="settings-label">🌐 <span data-i18n="settings.language">Language</span></label>
+                    <select id="settings-language" class="settings-select">
+                        ${languageOptions}
+                    </select>
+                    <span class="settings-description" data-i18n="settings.language_hint">Names without a translation are shown from BioDatabase</span>
+                </div>
+                <div class="settings-group">
+                    <label class="settings-label">🎨 <span data-i18n="settings.shader_profile">Shader Profile</span></label>
                     <select id="settings-shader-profile" class="settings-select">
                         ${profileOptions}
                     </select>
                     <span id="settings-shader-description" class="settings-description">Select building visual style</span>
                 </div>
                 <div class="settings-group">
-                    <label class="settings-label">🔊 Volume</label>
+                    <label class="settings-label">🔊 <span data-i18n="settings.volume">Volume</span></label>
                     <input type="range" id="settings-volume" class="settings-slider" min="0" max="100" value="50" />
                     <span id="settings-volume-value">50%</span>
                 </div>
                 <div class="settings-group">
-                    <button id="btn-save-game" class="settings-btn" title="Save your progress">
-                        💾 SAVE GAME
+                    <label class="settings-label">🗺 <span data-i18n="settings.map_seed">Map Seed</span></label>
+                    <input type="text" id="settings-map-seed" class="settings-input" value="${randomService.getSeed()}" data-i18n-placeholder="settings.map_seed_placeholder" placeholder="Empty = random seed" />
+                    <button id="btn-new-map-seed" class="settings-btn" data-i18n-title="settings.new_map_title" title="Rebuild the map from this seed (progress is kept)">
+                        🗺 <span data-i18n="settings.new_map">NEW MAP FROM SEED</span>
                     </button>
+                    <span class="settings-description" data-i18n="settings.map_seed_hint">Same seed → same terrain, structures and deposits</span>
                 </div>
                 <div class="settings-group">
-                    <button id="btn-load-game" class="settings-btn" title="Load saved game">
-                        ⬆️ LOAD GAME
+                    <label class="settings-label">📦 <span data-i18n="settings.data_packs">Data Packs</span></label>
+                    <ul id="settings-data-packs" class="settings-pack-list"></ul>
+                    <button id="btn-reload-data" class="settings-btn" data-i18n-title="settings.reload_data_title" title="Re-read the pack JSON files into the running game (factory is kept)">
+                        ⟳ <span data-i18n="settings.reload_data">RELOAD DATA</span>
+                    </button>
+                    <span class="settings-description" data-i18n="settings.data_packs_hint">Set in public/packs/manifest.json or with ?packs=name1,name2</span>
+                </div>
+                <div class="settings-group">
+                    <button id="btn-save-game" class="settings-btn" data-i18n-title="settings.save_title" title="Save your progress">
+                        💾 <span data-i18n="settings.save">SAVE GAME</span>
+                    </button>
+                </div>
+                <div class="settings-group">
+                    <button id="btn-load-game" class="settings-btn" data-i18n-title="settings.load_title" title="Load saved game">
+                        ⬆️ <span data-i18n="settings.load">LOAD GAME</span>
                     </button>
                 </div>
             </div>
@@ -424,6 +1058,14 @@ class HUD {
         document.body.appendChild(panel);
         this.settingsPanel = panel;
         
+        // Setup language switcher (choice is saved by Localization)
+        const languageSelect = panel.querySelector('#settings-language');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (e) => {
+                localization.setLanguage(e.target.value);
+            });
+        }
+        
         // Setup shader profile selector
         const profileSelect = panel.querySelector('#settings-shader-profile');
         const profileDesc = panel.querySelector('#settings-shader-description');
@@ -458,6 +1100,72 @@ class HUD {
                 volumeValue.textContent = e.target.value + '%';
             });
         }
+
+        // Active BioDatabase packs (base + overrides, in merge order)
+        this.dataPackList = panel.querySelector('#settings-data-packs');
+        this.renderDataPacks();
+        dataPackManager.onChange(() => this.renderDataPacks());
+        const reloadDataBtn = panel.querySelector('#btn-reload-data');
+        if (reloadDataBtn) {
+            reloadDataBtn.addEventListener('click', () => {
+                dataPackManager.reload().catch((error) => {
+                    console.error('[HUD] Data reload failed:', error);
+                });
+            });
+        }
+
+        // New map from seed: persist the seed, then rebuild the world from it
+        const seedInput = panel.querySelector('#settings-map-seed');
+        const newMapBtn = panel.querySelector('#btn-new-map-seed');
+        if (seedInput && newMapBtn) {
+            newMapBtn.addEventListener('click', () => {
+                this.newMapFromSeed(seedInput.value);
+            });
+        }
+    }
+
+    /**
+     * List the base database and every active override pack in the settings panel
+     */
+    renderDataPacks() {
+        if (!this.dataPackList) return;
+
+        const base = dataPackManager.getBaseSource();
+        const rows = [
+            `<li class="settings-pack base">BioDatabase v${BioDatabase.meta?.version || '?'} <span class="settings-pack-source">${base}</span></li>`
+        ];
+        dataPackManager.getActivePacks().forEach(pack => {
+            rows.push(
+                `<li class="settings-pack" title="${pack.description}">` +
+                `+ ${pack.name}${pack.version ? ` v${pack.version}` : ''} ` +
+                `<span class="settings-pack-source">${pack.id}</span></li>`
+            );
+        });
+
+        const errorCount = dataPackManager.getIssues().errors.length;
+        if (errorCount > 0) {
+            rows.push(`<li class="settings-pack error">⚠ ${localization.t('settings.pack_errors', { count: errorCount })}</li>`);
+        }
+
+        this.dataPackList.innerHTML = rows.join('');
+    }
+
+    /**
+     * Regenerate the map from a seed (empty → random)
+     * The seed is written to the save and the page reloads, so Grid, MapGenerator
+     * and ParticleSpawner all rebuild from it in their normal startup order.
+     */
+    newMapFromSeed(seedValue) {
+        const seed = randomService.setSeed(seedValue);
+        const saveManager = this.saveManager || new SaveManager();
+        saveManager.saveSeed(seed);
+
+        if (this.infoPanel?.seed) {
+            this.infoPanel.seed.textContent = seed;
+        }
+
+        console.log(`[HUD] New map from seed: ${seed}`);
+        window.location.reload();
     }
 
     /**
@@ -478,20 +1186,26 @@ class HUD {
             card.id = `building-${building.id}`;
             
             // Format cost nicely
-            let costStr = 'Free';
+            let costStr = localization.t('common.free');
             if (building.cost && Object.keys(building.cost).length > 0) {
                 costStr = Object.entries(building.cost)
-                    .map(([res, amt]) => `${amt} ${res}`)
+                    .map(([res, amt]) => `${amt} ${localization.entityName(res)}`)
                     .join('\n');
             }
             
             // Use icon from BioDatabase, fallback to default
             const icon = building.icon || '🏢';
             
+            // Hover tooltip: localized description (BioDatabase text when untranslated)
+            const description = localization.entityText(building.id, 'description');
+            if (description) {
+                card.title = description;
+            }
+            
             card.innerHTML = `
                 <div class="building-card-icon">${icon}</div>
                 <div class="building-card-info">
-                    <div class="building-card-name">${building.name}</div>
+                    <div class="building-card-name">${localization.entityName(building.id)}</div>
                     <div class="building-card-cost">${costStr}</div>
                 </div>
             `;
@@ -517,11 +1231,11 @@ class HUD {
         
         // Map BioDatabase keys to display names
         const typeMap = {
-            resources: 'RESOURCES',
-            buildings: 'BUILDINGS',
-            units: 'UNITS',
-            terrain: 'TERRAIN',
-            technologies: 'TECHNOLOGIES'
+            resources: localization.t('guide.section.resources'),
+            buildings: localization.t('guide.section.buildings'),
+            units: localization.t('guide.section.units'),
+            terrain: localization.t('guide.section.terrain'),
+            technologies: localization.t('guide.section.technologies')
         };
         
         let totalEntries = 0;
@@ -561,10 +1275,10 @@ class HUD {
                     // Show full details
                     entryDiv.innerHTML = `
                         <div class="guide-entry-header">
-                            ${entry.icon} ${entry.name}
+                            ${entry.icon} ${localization.entityName(entry.id)}
                         </div>
                         <div class="guide-entry-content">
-                            <p>${entry.description || ''}</p>
+                            <p>${localization.entityText(entry.id, 'description') || ''}</p>
                             ${entry.tips ? `<p class="guide-entry-tip">💡 ${entry.tips}</p>` : ''}
                         </div>
                     `;
@@ -576,7 +1290,7 @@ class HUD {
                             ${entry.icon} ???
                         </div>
                         <div class="guide-entry-content">
-                            <p class="guide-entry-locked">🔒 LOCKED</p>
+                            <p class="guide-entry-locked">🔒 ${localization.t('guide.locked')}</p>
                             ${hint ? `<p class="guide-entry-hint">📋 ${hint}</p>` : ''}
                         </div>
                     `;
@@ -609,7 +1323,7 @@ class HUD {
             const resourceEntries = Object.entries(resources);
             
             if (resourceEntries.length === 0) {
-                container.innerHTML = '<div class="resources-empty">No resources yet</div>';
+                container.innerHTML = `<div class="resources-empty">${localization.t('resources.empty')}</div>`;
                 return;
             }
             
@@ -650,7 +1364,7 @@ class HUD {
             this.infoPanel.coords.textContent = `${x}, ${z}`;
         }
         if (this.infoPanel.terrain) {
-            this.infoPanel.terrain.textContent = terrainName || 'Unknown';
+            this.infoPanel.terrain.textContent = terrainName || localization.t('common.unknown');
         }
     }
 
@@ -670,7 +1384,7 @@ class HUD {
     updateTerrainInfo(terrainType) {
         this.terrainType = terrainType;
         if (this.infoPanel.terrain) {
-            this.infoPanel.terrain.textContent = terrainType || 'Unknown';
+            this.infoPanel.terrain.textContent = terrainType || localization.t('common.unknown');
         }
     }
 
@@ -678,18 +1392,27 @@ class HUD {
      * Update building hover info from a Building object
      */
     updateBuildingHoverInfo(building) {
+        this.hoveredBuilding = building || null;  // Re-rendered on language change
+        
         if (!building) {
             if (this.infoPanel && this.infoPanel.buildingName) {
-                this.infoPanel.buildingName.textContent = 'None';
+                this.infoPanel.buildingName.textContent = localization.t('common.none');
+                this.infoPanel.buildingName.title = '';
                 this.infoPanel.buildingCost.textContent = '';
             }
             return;
         }
         
-        // Display building name and icon from the building object
+        // Display building name and icon (localized via its BioDatabase id when linked)
         if (this.infoPanel && this.infoPanel.buildingName) {
-            const displayName = building.icon ? `${building.icon} ${building.name}` : (building.name || 'Unknown');
+            const name = building.bioId
+                ? localization.entityName(building.bioId, building.name)
+                : (building.name || localization.t('common.unknown'));
+            const displayName = building.icon ? `${building.icon} ${name}` : name;
             this.infoPanel.buildingName.textContent = displayName;
+            this.infoPanel.buildingName.title = building.bioId
+                ? (localization.entityText(building.bioId, 'description') || '')
+                : '';
             this.infoPanel.buildingCost.textContent = '';
         }
     }
@@ -705,7 +1428,7 @@ class HUD {
         const selectedInfoDiv = document.getElementById('hud-selected-cell');
         if (selectedInfoDiv) {
             selectedInfoDiv.style.display = 'block';
-            selectedInfoDiv.textContent = `✓ SELECTED: [${cell.x}, ${cell.z}]`;
+            selectedInfoDiv.textContent = localization.t('selection.selected', { x: cell.x, z: cell.z });
             selectedInfoDiv.style.animation = 'none';
             setTimeout(() => {
                 selectedInfoDiv.style.animation = 'selectionPulse 0.5s ease-out';
@@ -740,7 +1463,7 @@ class HUD {
         const selectedInfoDiv = document.getElementById('hud-selected-cell');
         if (selectedInfoDiv) {
             selectedInfoDiv.style.display = 'block';
-            selectedInfoDiv.innerHTML = `📦 SELECTING: [${minX},${minZ}] → [${maxX},${maxZ}] (${width}×${height}=${cellCount} cells)<br><small style="color: #888;">Start: [${start.x},${start.z}] | Current: [${current.x},${current.z}]</small>`;
+            selectedInfoDiv.innerHTML = `${localization.t('selection.selecting', { minX, minZ, maxX, maxZ, width, height, count: cellCount })}<br><small style="color: #888;">Start: [${start.x},${start.z}] | Current: [${current.x},${current.z}]</small>`;
         }
     }
 
@@ -764,7 +1487,7 @@ class HUD {
         const selectedInfoDiv = document.getElementById('hud-selected-cell');
         if (selectedInfoDiv) {
             selectedInfoDiv.style.display = 'block';
-            selectedInfoDiv.textContent = `✅ BUILDINGS HIGHLIGHTED: ${count} cells [${minX},${minZ}]→[${maxX},${maxZ}]`;
+            selectedInfoDiv.textContent = localization.t('selection.highlighted', { count, minX, minZ, maxX, maxZ });
             selectedInfoDiv.style.animation = 'none';
             setTimeout(() => {
                 selectedInfoDiv.style.animation = 'selectionPulse 0.5s ease-out';
@@ -796,7 +1519,7 @@ class HUD {
         const selectedInfoDiv = document.getElementById('hud-selected-cell');
         if (selectedInfoDiv) {
             selectedInfoDiv.style.display = 'block';
-            selectedInfoDiv.textContent = 'None';
+            selectedInfoDiv.textContent = localization.t('common.none');
         }
     }
 
@@ -819,7 +1542,7 @@ class HUD {
         const header = document.createElement('div');
         header.className = 'properties-header';
         header.innerHTML = `
-            <span class="properties-title">Cell [${cellData.x}, ${cellData.z}] Properties</span>
+            <span class="properties-title">${localization.t('properties.title', { x: cellData.x, z: cellData.z })}</span>
             <button class="properties-close">&times;</button>
         `;
         
@@ -829,31 +1552,31 @@ class HUD {
         
         let contentHTML = `
             <div class="property-item">
-                <span class="property-label">Position:</span>
+                <span class="property-label">${localization.t('properties.position')}</span>
                 <span class="property-value">[${cellData.x}, ${cellData.z}]</span>
             </div>
             <div class="property-item">
-                <span class="property-label">Terrain:</span>
-                <span class="property-value">${cellData.terrain || 'Unknown'}</span>
+                <span class="property-label">${localization.t('properties.terrain')}</span>
+                <span class="property-value">${cellData.terrain || localization.t('common.unknown')}</span>
             </div>
         `;
         
         if (cellData.building) {
             contentHTML += `
                 <div class="property-item">
-                    <span class="property-label">Building:</span>
-                    <span class="property-value">${cellData.building.name || 'Unknown'}</span>
+                    <span class="property-label">${localization.t('properties.building')}</span>
+                    <span class="property-value">${cellData.building.name || localization.t('common.unknown')}</span>
                 </div>
                 <div class="property-item">
-                    <span class="property-label">Health:</span>
-                    <span class="property-value">${cellData.building.health || 'N/A'}</span>
+                    <span class="property-label">${localization.t('properties.health')}</span>
+                    <span class="property-value">${cellData.building.health || localization.t('common.na')}</span>
                 </div>
             `;
         } else {
             contentHTML += `
                 <div class="property-item">
-                    <span class="property-label">Building:</span>
-                    <span class="property-value">None</span>
+                    <span class="property-label">${localization.t('properties.building')}</span>
+                    <span class="property-value">${localization.t('common.none')}</span>
                 </div>
             `;
         }
@@ -1014,6 +1737,23 @@ class HUD {
         }
     }
 
+    /**
+     * Toggle drugs panel visibility
+     */
+    toggleDrugs() {
+        this.drugsVisible = !this.drugsVisible;
+        if (this.drugsPanel) {
+            if (this.drugsVisible) {
+                this.drugsPanel.classList.remove('hidden');
+                this.drugsBtn.classList.add('active');
+                this.updateDrugPanel();
+            } else {
+                this.drugsPanel.classList.add('hidden');
+                this.drugsBtn.classList.remove('active');
+            }
+        }
+    }
+
     /**
      * Toggle inventory panel visibility
      */
@@ -1048,8 +1788,8 @@ class HUD {
         const btn = document.querySelector('#btn-resource-toggle-in-panel');
         if (btn) {
             btn.textContent = this.showAllResources 
-                ? '📊 ALL' 
-                : '📊 LOADED';
+                ? `📊 ${localization.t('resources.all')}` 
+                : `📊 ${localization.t('resources.loaded')}`;
         }
     }
 
@@ -1098,7 +1838,7 @@ class HUD {
         slot.innerHTML = `
             <div class="hotbar-item-icon">${building.icon}</div>
             <div class="hotbar-item-key">${slotIndex + 1}</div>
-            <div class="hotbar-item-name">${building.name?.substring(0, 10)}</div>
+            <div class="hotbar-item-name">${localization.entityName(building.id, building.name)?.substring(0, 10)}</div>
         `;
         
         console.log(`[HUD] Assigned ${building.name} to hotbar slot ${slotIndex + 1}`);
@@ -1228,6 +1968,15 @@ class HUD {
             console.log('[HUD] Draft button wired');
         }
         
+        // DRUGS BUTTON
+        if (this.drugsBtn) {
+            this.drugsBtn.addEventListener('click', () => {
+                console.log('[HUD] Drugs button clicked');
+                this.toggleDrugs();
+            });
+            console.log('[HUD] Drugs button wired');
+        }
+
         // INVENTORY BUTTON
         if (this.inventoryBtn) {
             this.inventoryBtn.addEventListener('click', () => {
@@ -1272,6 +2021,13 @@ class HUD {
                 this.toggleDraft();
             });
         }
+
+        const closeDrugsBtn = document.querySelector('#close-drugs');
+        if (closeDrugsBtn) {
+            closeDrugsBtn.addEventListener('click', () => {
+                this.toggleDrugs();
+            });
+        }
         
         // RESOURCE TOGGLE (inside resources panel header)
         setTimeout(() => {
@@ -1350,6 +2106,11 @@ class HUD {
         
         // KEYBOARD SHORTCUTS
         document.addEventListener('keydown', (e) => {
+            // Typing in a text field (seed, guide search) must not trigger shortcuts
+            if (e.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+                return;
+            }
+
             // Regular shortcuts
             if (e.key.toLowerCase() === 'r') {
                 console.log('[HUD] R key pressed - toggling resources');
@@ -1363,6 +2124,10 @@ class HUD {
                 console.log('[HUD] G key pressed - toggling guide');
                 this.toggleGuide();
             }
+            if (e.key.toLowerCase() === 'm') {
+                console.log('[HUD] M key pressed - toggling drugs');
+                this.toggleDrugs();
+            }
             if (e.key.toLowerCase() === 'v') {
                 console.log('[HUD] V key pressed - toggling vessel mode');
                 if (this.vesselModeBtn) {
@@ -1379,7 +2144,7 @@ class HUD {
                     this.selectedCell = null;
                     const selectedInfoDiv = document.getElementById('hud-selected-cell');
                     if (selectedInfoDiv) {
-                        selectedInfoDiv.textContent = 'None';
+                        selectedInfoDiv.textContent = localization.t('common.none');
                     }
                 }
             }
@@ -1388,6 +2153,20 @@ class HUD {
                 console.log('[HUD] Escape key pressed - clearing all selections');
                 this.clearSelection();
             }
+            // Simulation speed: Space pause, '.' single tick, '+'/'-' faster/slower
+            if (e.code === 'Space') {
+                e.preventDefault();
+                simulationSpeed.togglePause();
+            }
+            if (e.key === '.') {
+                simulationSpeed.step();
+            }
+            if (e.key === '+' || e.key === '=') {
+                simulationSpeed.faster();
+            }
+            if (e.key === '-') {
+                simulationSpeed.slower();
+            }
             // ALT+number for hotbar assignment
             if (e.altKey && e.key >= '1' && e.key <= '6') {
                 e.preventDefault();
@@ -1404,6 +2183,7 @@ class HUD {
         this.makeDraggable(this.resourcesPanel, 'resources-panel');
         this.makeDraggable(this.buildingsPanel, 'buildings-panel');
         this.makeDraggable(this.guidePanel, 'guide-panel');
+        this.makeDraggable(this.drugsPanel, 'drugs-panel');
         
         // Make hotbar draggable
         const hotbar = document.querySelector('#hotbar-panel');
@@ -1446,6 +2226,7 @@ class HUD {
                         element.querySelector('.resources-header-with-toggle') ||
                         element.querySelector('.buildings-header') ||
                         element.querySelector('.guide-header') ||
+                        element.querySelector('.drugs-header') ||
                         element.querySelector('.hotbar-label') ||
                         element;
         
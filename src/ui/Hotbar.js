@@ -26,7 +26,7 @@ class Hotbar {
         hotbar.className = 'hotbar-panel';
         
         hotbar.innerHTML = `
-            <div class="hotbar-label">HOTBAR</div>
+            <div class="hotbar-label" data-i18n="hotbar.label">HOTBAR</div>
             <div class="hotbar-items" id="hotbar-items"></div>
         `;
 
@@ -43,7 +43,7 @@ class Hotbar {
             item.innerHTML = `
                 <div class="hotbar-item-icon">+</div>
                 <div class="hotbar-item-key">${i}</div>
-                <div class="hotbar-item-name">Empty</div>
+                <div class="hotbar-item-name" data-i18n="hotbar.empty">Empty</div>
             `;
 
             item.addEventListener('click', () => {
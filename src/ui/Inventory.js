@@ -4,6 +4,7 @@
  * No DOM manipulation - HUD_NEW.js handles all UI updates
  */
 import BioDatabase from '../data/BioDatabase.js';
+import localization from '../core/Localization.js';
 
 class Inventory {
     constructor(hud) {
@@ -12,17 +13,56 @@ class Inventory {
         this.onResourceChange = null; // Callback: function(resourceType, newAmount)
         this.onBuildingChange = null; // Callback: function(buildingKey, newState)
         
-        // Resource inventory with starting amounts
-        this.resources = {
-            glucose: { name: 'Glucose', amount: 100, icon: '🍯', unit: 'mg/dL' },
-            oxygen: { name: 'Oxygen', amount: 100, icon: '💨', unit: '%' },
-            atp: { name: 'ATP', amount: 50, icon: '⚡', unit: 'μmol' },
-            lactate: { name: 'Lactate', amount: 0, icon: '☒', unit: 'mmol' },
-            lipid: { name: 'Lipid', amount: 0, icon: '◆', unit: 'mg/dL' }
-        };
+        // Resource inventory: BioDatabase resources with an inventory block (starting amounts)
+        this.resources = this._initializeResourcesFromDatabase();
 
         // Building catalog (with data-driven defaults from BioDatabase)
         this.buildings = this._initializeBuildingsFromDatabase();
+
+        // Display names follow the selected language
+        this.refreshLocalizedNames();
+        localization.onChange(() => this.refreshLocalizedNames());
+    }
+
+    /**
+     * Re-resolve resource and building names/descriptions in the current language
+     * BioDatabase buildings go through entity text, legacy UI keys through inventory.* strings
+     */
+    refreshLocalizedNames() {
+        for (const [key, resource] of Object.entries(this.resources)) {
+            resource.name = localization.t(`inventory.resource.${key}`);
+        }
+
+        for (const [key, building] of Object.entries(this.buildings)) {
+            if (building.databaseId) {
+                building.name = localization.entityName(building.databaseId, building.name);
+                building.description = localization.entityText(building.databaseId, 'description', '');
+            } else {
+                building.name = localization.t(`inventory.building.${key}.name`);
+                building.description = localization.t(`inventory.building.${key}.description`);
+            }
+        }
+    }
+
+    /**
+     * Initialize resources from BioDatabase: every resources[] entry with
+     * inventory: { start, icon, unit }, keyed like 'glucose' (see resourceKey)
+     */
+    _initializeResourcesFromDatabase() {
+        const resources = {};
+
+        (this.database.resources || []).forEach((dbResource) => {
+            if (!dbResource.inventory) return;
+
+            resources[this.resourceKey(dbResource.id)] = {
+                name: dbResource.name,
+                amount: dbResource.inventory.start || 0,
+                icon: dbResource.inventory.icon || '•',
+                unit: dbResource.inventory.unit || dbResource.metric || ''
+            };
+        });
+
+        return resources;
     }
 
     /**
@@ -239,6 +279,38 @@ class Inventory {
         return true;
     }
 
+    /**
+     * Inventory key of a BioDatabase resource id (RES_GLUCOSE → glucose)
+     */
+    resourceKey(resourceId) {
+        return resourceId.replace(/^RES_/, '').toLowerCase();
+    }
+
+    /**
+     * Check a BioDatabase cost list: [{ id: RES_*, amount }]
+     * (DrugRegimenSystem resource pool; resources without an inventory block can't be paid,
+     * the validator rejects them in drugs[].cost)
+     */
+    canAffordResources(cost) {
+        return cost.every(({ id, amount }) => {
+            const resource = this.resources[this.resourceKey(id)];
+            return resource && resource.amount >= amount;
+        });
+    }
+
+    /**
+     * Deduct a BioDatabase cost list: [{ id: RES_*, amount }]
+     */
+    spendResources(cost) {
+        if (!this.canAffordResources(cost)) return false;
+
+        cost.forEach(({ id, amount }) => {
+            const key = this.resourceKey(id);
+            this.updateResource(key, this.resources[key].amount - amount);
+        });
+        return true;
+    }
+
     /**
      * Get building by hotkey
      */
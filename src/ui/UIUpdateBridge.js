@@ -11,8 +11,15 @@
  * - RecipeUnlockSystem -> RECIPE_UNLOCKED -> update recipe UI
  * - BuildingBehaviorSystem -> RECIPE_STARTED -> show progress
  * - WasteInventorySystem -> SPILLAGE_OCCURRED -> show warning
+ * - SimulationInitializer -> SIMULATION_TICK -> HUD speed widget tick counter
+ * - DrugRegimenSystem / DrugProfileSystem -> REGIMEN_*, DRUG_* -> HUD drugs panel
+ *
+ * Alert texts come from Localization (alert.* keys); entity ids in payloads
+ * are shown by their localized names.
  */
 
+import localization from "../core/Localization.js";
+
 export class UIUpdateBridge {
   constructor(eventBus, uiManager, biomarkerMonitor, hudManager) {
     this.eventBus = eventBus;
@@ -26,6 +33,8 @@ export class UIUpdateBridge {
     this.setupRecipeListeners();
     this.setupBuildingListeners();
     this.setupWasteListeners();
+    this.setupDrugListeners();
+    this.setupSimulationListeners();
   }
 
   /**
@@ -48,21 +57,83 @@ export class UIUpdateBridge {
    */
   setupDiseaseListeners() {
     this.eventBus.on("DISEASE_TRIGGERED", (eventData) => {
-      const { disease_id, disease_name } = eventData;
-      this.showDiseaseAlert(disease_name, "triggered");
+      const { disease_id, disease_name, region_ids, causal_chain } = eventData;
+      const name = this.formatCausalChain(causal_chain, localization.entityName(disease_id, disease_name));
+
+      // Regional diseases name the affected grid regions
+      if (region_ids && region_ids.length > 0) {
+        this.showAlert(
+          localization.t("alert.disease_regional", { name, regions: region_ids.join("; ") }),
+          "info"
+        );
+        return;
+      }
+      this.showDiseaseAlert(name, "triggered");
     });
 
     this.eventBus.on("DISEASE_PROGRESSED", (eventData) => {
-      const { disease_name, new_severity_tier } = eventData;
+      const { disease_id, disease_name, new_severity_tier } = eventData;
       this.showDiseaseAlert(
-        `${disease_name} - Severity Tier ${new_severity_tier}`,
+        localization.t("alert.disease_progressed", {
+          name: localization.entityName(disease_id, disease_name),
+          tier: new_severity_tier
+        }),
         "progressed"
       );
     });
 
+    this.eventBus.on("DISEASE_REGRESSED", (eventData) => {
+      const { disease_id, disease_name, new_severity_tier } = eventData;
+      this.showDiseaseAlert(
+        localization.t("alert.disease_regressed", {
+          name: localization.entityName(disease_id, disease_name),
+          tier: new_severity_tier
+        }),
+        "regressed"
+      );
+    });
+
+    this.eventBus.on("DISEASE_SYMPTOMS_MANIFESTED", (eventData) => {
+      const { disease_id, disease_name, symptom_id, symptom_name } = eventData;
+      this.showAlert(
+        localization.t("alert.disease_symptom", {
+          name: localization.entityName(disease_id, disease_name),
+          symptom: localization.entityName(symptom_id, symptom_name)
+        }),
+        "warning"
+      );
+    });
+
+    // Under-dosing selected resistant strains (every 10% step)
+    this.eventBus.on("DISEASE_RESISTANCE_CHANGED", (eventData) => {
+      const { disease_id, disease_name, drug_tag, drug_id, resistance } = eventData;
+      this.showAlert(
+        localization.t("alert.disease_resistance", {
+          name: localization.entityName(disease_id, disease_name),
+          tag: localization.entityName(drug_tag),
+          percent: Math.round(resistance * 100),
+          drug: localization.entityName(drug_id)
+        }),
+        resistance >= 0.5 ? "critical" : "warning"
+      );
+    });
+
     this.eventBus.on("DISEASE_REMITTED", (eventData) => {
-      const { disease_name } = eventData;
-      this.showDiseaseAlert(`${disease_name} REMITTED`, "remitted");
+      const { disease_id, disease_name, reason, caused_by } = eventData;
+      const name = localization.entityName(disease_id, disease_name);
+
+      // Ended by an interaction rule (SUPPRESSED_BY / REQUIRES)
+      if (reason === "suppressed" || reason === "requirement_lost") {
+        this.showDiseaseAlert(
+          localization.t(`alert.disease_${reason}`, {
+            name,
+            cause: localization.entityName(caused_by?.[0])
+          }),
+          "remitted"
+        );
+        return;
+      }
+      this.showDiseaseAlert(localization.t("alert.disease_remitted", { name }), "remitted");
     });
 
     this.eventBus.on("TREATMENT_OPTIONS_AVAILABLE", (eventData) => {
@@ -75,8 +146,8 @@ export class UIUpdateBridge {
    */
   setupRecipeListeners() {
     this.eventBus.on("RECIPE_UNLOCKED", (eventData) => {
-      const { recipe_name, reason } = eventData;
-      this.showRecipeUnlock(recipe_name, reason);
+      const { recipe_id, recipe_name, reason } = eventData;
+      this.showRecipeUnlock(localization.entityName(recipe_id, recipe_name), reason);
     });
 
     this.eventBus.on("RECIPE_STARTED", (eventData) => {
@@ -103,6 +174,23 @@ export class UIUpdateBridge {
     this.eventBus.on("STORAGE_NEAR_CAPACITY", (eventData) => {
       this.showStorageWarning(eventData);
     });
+
+    this.eventBus.on("VESSEL_BLOCKED", (eventData) => {
+      const { vessel_id, cause } = eventData;
+      this.showAlert(
+        localization.t("alert.vessel_blocked", {
+          vessel: vessel_id,
+          cause: localization.t(`alert.thrombus_cause.${cause}`)
+        }),
+        "warning"
+      );
+    });
+
+    this.eventBus.on("THROMBUS_CLEARED", (eventData) => {
+      const { vessel_id, reason } = eventData;
+      if (reason !== "lysis") return;
+      this.showAlert(localization.t("alert.thrombus_dissolved", { vessel: vessel_id }), "info");
+    });
   }
 
   /**
@@ -120,6 +208,126 @@ export class UIUpdateBridge {
     });
   }
 
+  /**
+   * Listen to regimen and drug events (drugs panel + alerts)
+   */
+  setupDrugListeners() {
+    [
+      "REGIMEN_PRESCRIBED",
+      "REGIMEN_CANCELLED",
+      "DRUG_ACTIVE",
+      "DRUG_CLEARED",
+      "DRUG_INTERACTION_ENDED",
+      "DRUG_DELIVERED"
+    ].forEach((eventName) => {
+      this.eventBus.on(eventName, () => {
+        this.hudManager?.updateDrugPanel?.();
+      });
+    });
+
+    // Rising into the upper bands only; falling back is silent
+    this.eventBus.on("DRUG_WINDOW_CHANGED", (eventData) => {
+      const { drug_id, window, previous_window, concentration, toxic_threshold_mg_l } = eventData;
+      const name = localization.entityName(drug_id);
+
+      if (window === "TOXIC") {
+        this.showAlert(
+          localization.t("alert.drug_toxic", {
+            name,
+            concentration: concentration.toFixed(1),
+            threshold: toxic_threshold_mg_l
+          }),
+          "critical"
+        );
+      } else if (window === "SUPRATHERAPEUTIC" && previous_window !== "TOXIC") {
+        this.showAlert(
+          localization.t("alert.drug_above_window", { name, concentration: concentration.toFixed(1) }),
+          "warning"
+        );
+      }
+      this.hudManager?.updateDrugPanel?.();
+    });
+
+    this.eventBus.on("DRUG_INTERACTION_STARTED", (eventData) => {
+      const { type, drug_ids } = eventData;
+      this.showAlert(
+        localization.t("alert.drug_interaction", {
+          names: drug_ids.map((drugId) => localization.entityName(drugId)).join(" + "),
+          type: localization.t(`drugs.interaction.${type}`)
+        }),
+        type === "SYNERGY" ? "info" : "warning"
+      );
+      this.hudManager?.updateDrugPanel?.();
+    });
+
+    this.eventBus.on("REGIMEN_DOSE_SKIPPED", (eventData) => {
+      const { drug_id, dose_number } = eventData;
+      this.showAlert(
+        localization.t("alert.regimen_dose_skipped", {
+          name: localization.entityName(drug_id),
+          dose: dose_number
+        }),
+        "warning"
+      );
+      this.hudManager?.updateDrugPanel?.();
+    });
+
+    this.eventBus.on("DRUG_DELIVERY_FAILED", (eventData) => {
+      const { drug_id, building_id, reason } = eventData;
+      this.showAlert(
+        localization.t("alert.drug_delivery_failed", {
+          name: localization.entityName(drug_id),
+          port: building_id,
+          reason: localization.t(`alert.drug_delivery_reason.${reason}`)
+        }),
+        "warning"
+      );
+    });
+
+    this.eventBus.on("REGIMEN_COMPLETED", (eventData) => {
+      const { drug_id, doses_given } = eventData;
+      this.showAlert(
+        localization.t("alert.regimen_completed", {
+          name: localization.entityName(drug_id),
+          given: doses_given
+        }),
+        "info"
+      );
+      this.hudManager?.updateDrugPanel?.();
+    });
+  }
+
+  /**
+   * Listen to simulation clock ticks
+   */
+  setupSimulationListeners() {
+    this.eventBus.on("SIMULATION_TICK", (eventData) => {
+      const { tick_number, timestamp } = eventData;
+      if (this.hudManager) {
+        this.hudManager.updateSimulationTick?.(tick_number, timestamp);
+        this.hudManager.updateDrugPanel?.();
+      }
+    });
+
+    this.eventBus.on("BIODATABASE_RELOADED", (eventData) => {
+      const { sections, settings, orphans, validation_errors } = eventData;
+      const touched = [...Object.keys(sections), ...settings].join(", ");
+      this.showAlert(localization.t("alert.data_reloaded", { sections: touched }), "info");
+
+      // One alert per live instance whose definition is gone
+      orphans.forEach(({ section, entity_id, instance_id, action }) => {
+        this.showAlert(
+          localization.t("alert.data_orphan", { section, id: entity_id, instance: instance_id, action }),
+          "warning"
+        );
+      });
+
+      if (validation_errors > 0) {
+        this.showAlert(localization.t("alert.data_errors", { count: validation_errors }), "critical");
+      }
+    });
+  }
+
   /**
    * Update biomarker display in monitor
    */
@@ -163,7 +371,7 @@ export class UIUpdateBridge {
         : "warning";
 
     this.showAlert(
-      `Biomarker Alert: ${biomarkerId} ${thresholdType}`,
+      localization.t("alert.biomarker", { name: localization.entityName(biomarkerId), threshold: thresholdType }),
       alertLevel
     );
   }
@@ -173,29 +381,82 @@ export class UIUpdateBridge {
    */
   showDiseaseAlert(diseaseName, eventType) {
     const alertLevel = eventType === "progressed" ? "warning" : "info";
-    this.showAlert(`Disease: ${diseaseName}`, alertLevel);
+    this.showAlert(localization.t("alert.disease", { name: diseaseName }), alertLevel);
   }
 
   /**
-   * Show treatment options
+   * Causal chain of a disease as "Cause → ... → Disease" (single disease: its name)
+   */
+  formatCausalChain(chain, fallbackName) {
+    if (!chain || chain.length < 2) return fallbackName;
+    return chain.map((diseaseId) => localization.entityName(diseaseId)).join(" → ");
+  }
+
+  /**
+   * Show treatment options, then a warning per candidate drug whose default dose
+   * would interact with what is already given or leave its therapeutic window
    */
   showTreatmentOptions(eventData) {
-    const { disease_name, effective_drugs } = eventData;
+    const { disease_id, disease_name, effective_drugs } = eventData;
     const drugList = effective_drugs
-      .map((d) => d.drug_tag)
+      .map((d) => localization.entityName(d.drug_tag))
       .join(", ");
     this.showAlert(
-      `Treatment available for ${disease_name}: ${drugList}`,
+      localization.t("alert.treatment", {
+        name: localization.entityName(disease_id, disease_name),
+        drugs: drugList
+      }),
       "info"
     );
+
+    effective_drugs
+      .flatMap((d) => d.predictions || [])
+      .forEach((prediction) => {
+        const warnings = this.formatDrugWarnings(prediction);
+        if (warnings.length === 0) return;
+
+        this.showAlert(
+          localization.t("alert.treatment_warning", {
+            name: localization.entityName(prediction.drug_id),
+            warnings: warnings.join("; ")
+          }),
+          prediction.projected_window === "TOXIC" ? "critical" : "warning"
+        );
+      });
+  }
+
+  /**
+   * Warning lines of a DrugProfileSystem.predictAdministration result:
+   * predicted interactions, and the projected peak if it leaves the therapeutic window
+   */
+  formatDrugWarnings(prediction) {
+    const warnings = prediction.interactions.map((interaction) =>
+      localization.t("drugs.warning_interaction", {
+        type: localization.t(`drugs.interaction.${interaction.type}`),
+        name: localization.entityName(interaction.with_drug_id)
+      })
+    );
+
+    if (["SUPRATHERAPEUTIC", "TOXIC"].includes(prediction.projected_window)) {
+      warnings.push(
+        localization.t("drugs.warning_peak", {
+          cmax: prediction.projected_cmax.toFixed(1),
+          window: localization.t(`drugs.window.${prediction.projected_window}`)
+        })
+      );
+    }
+
+    return warnings;
   }
 
   /**
    * Show recipe unlock notification
    */
   showRecipeUnlock(recipeName, reason) {
-    const reasonText = reason === "research_complete" ? "Research Complete" : "Available";
-    this.showAlert(`Recipe Unlocked: ${recipeName} (${reasonText})`, "info");
+    const reasonText = localization.t(
+      reason === "research_complete" ? "alert.reason_research" : "alert.reason_default"
+    );
+    this.showAlert(localization.t("alert.recipe_unlocked", { name: recipeName, reason: reasonText }), "info");
   }
 
   /**
@@ -214,9 +475,9 @@ export class UIUpdateBridge {
    */
   showRecipeCompletion(eventData) {
     const outputs = eventData.outputs
-      ?.map((o) => `${o.id}: ${o.amount}`)
+      ?.map((o) => `${localization.entityName(o.id)}: ${o.amount}`)
       .join(", ");
-    this.showAlert(`Recipe Complete: ${outputs}`, "success");
+    this.showAlert(localization.t("alert.recipe_complete", { outputs }), "success");
   }
 
   /**
@@ -235,7 +496,7 @@ export class UIUpdateBridge {
   showStorageWarning(eventData) {
     const { building_id, ratio_full } = eventData;
     const percentage = Math.round(ratio_full * 100);
-    this.showAlert(`Storage ${percentage}% full at ${building_id}`, "warning");
+    this.showAlert(localization.t("alert.storage_full", { percent: percentage, building: building_id }), "warning");
   }
 
   /**
@@ -243,7 +504,7 @@ export class UIUpdateBridge {
    */
   showSpillageWarning(excessAmount, affectedCells) {
     this.showAlert(
-      `Spillage: ${excessAmount.toFixed(2)} units affecting ${affectedCells} cells`,
+      localization.t("alert.spillage", { amount: excessAmount.toFixed(2), cells: affectedCells }),
       "warning"
     );
   }
@@ -255,7 +516,7 @@ export class UIUpdateBridge {
     const percentage = Math.round(ratioFull * 100);
     const icon = severity === "critical" ? "⚠️" : "⚡";
     this.showAlert(
-      `${icon} ${resourceId}: ${percentage}% accumulated`,
+      localization.t("alert.waste", { icon, name: localization.entityName(resourceId), percent: percentage }),
       severity === "critical" ? "critical" : "warning"
     );
   }
@@ -0,0 +1,48 @@
+/**
+ * validate-db.js - Node entry point for BioDatabase validation
+ *
+ * Usage:
+ *   npm run validate:db -- [--json] [--strict] [--packs public/packs/diabetes.json,other.json]
+ *
+ * --packs validates the database AFTER layering those override packs (in order).
+ * Prints every error / warning with its path (e.g. recipes[1].machine_ids[0]).
+ * Exit code 1 on errors (or on warnings with --strict), 0 otherwise.
+ */
+
+import fs from 'node:fs';
+import BioDatabase from './data/BioDatabase.js';
+import { validateBioDatabase, formatValidationReport } from './data/BioDatabaseValidator.js';
+import { mergePacks } from './data/DataPackMerge.js';
+
+const args = process.argv.slice(2);
+let packPaths = [];
+const flags = [];
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--packs') {
+        packPaths = (args[++i] || '').split(',').filter(Boolean);
+    } else if (args[i] === '--json' || args[i] === '--strict') {
+        flags.push(args[i]);
+    } else {
+        console.error(`[ValidateDB] Unknown argument: ${args[i]}`);
+        process.exit(2);
+    }
+}
+
+// Pack merge problems (add of an existing id, replace of a missing one) count as issues too
+const packs = packPaths.map(path => JSON.parse(fs.readFileSync(path, 'utf8')));
+const merged = mergePacks(BioDatabase, packs);
+const report = validateBioDatabase(merged.db);
+report.errors.unshift(...merged.errors);
+report.warnings.unshift(...merged.warnings);
+report.valid = report.errors.length === 0;
+
+if (flags.includes('--json')) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+} else {
+    const layers = merged.active.map(pack => ` + ${pack.id}`).join('');
+    console.log(`[ValidateDB] BioDatabase v${merged.db.meta?.version}${layers}`);
+    console.log(formatValidationReport(report));
+}
+
+const failed = !report.valid || (flags.includes('--strict') && report.warnings.length > 0);
+process.exit(failed ? 1 : 0);
@@ -2,6 +2,16 @@ import * as THREE from 'three';
 import { COLORS } from '../data/Colors.js';
 import shaderProfileManager from '../core/ShaderProfileManager.js';
 import ParticleSpawner from '../systems/ParticleSpawner.js';
+import EffectOverlayShader, { visualFilterColor } from '../shaders/EffectOverlayShader.js';
+import randomService from '../core/RandomService.js';
+
+// Effect overlay tuning (seconds, intensity units)
+const EFFECT_OVERLAY = {
+    sampleInterval: 0.25,   // rebuild the target from EffectsSystem at most this often
+    fadeRate: 3,            // easing towards the target, 1/s
+    fullIntensity: 1,       // intensity drawn at full strength
+    maxOpacity: 0.6
+};
 
 class Grid {
     constructor(scene) {
@@ -23,7 +33,7 @@ class Grid {
         };
 
         // Generate terrain map
-        console.log('[Grid] Generating terrain map...');
+        console.log(`[Grid] Generating terrain map (seed ${randomService.getSeed()})...`);
         this.terrainMap = this.generateTerrainMap();
         
         // Create grid
@@ -44,15 +54,17 @@ class Grid {
     /**
      * Generate procedural terrain map
      * Creates a 2D array of terrain types with some structure
+     * Seeded via RandomService: same seed → same map
      */
     generateTerrainMap() {
+        const rng = randomService.stream('grid.terrain');
         const map = [];
         for (let x = 0; x < this.gridSize; x++) {
             map[x] = [];
             for (let z = 0; z < this.gridSize; z++) {
                 // Procedural terrain generation
                 // 70% Endothelium, 15% Capillary (resource zones), 15% Calcified (bone)
-                const random = Math.random();
+                const random = rng.next();
                 
                 // Create some clusters
                 const cellX = x / this.gridSize;
@@ -84,6 +96,126 @@ class Grid {
         
         // Create visible grid lines
         this.createGridLines(halfSize);
+
+        // Tint layer for active effects (EffectsSystem)
+        this.createEffectOverlay(totalSize);
+    }
+
+    /**
+     * Effect overlay: one transparent quad over the grid, one RGBA texel per cell
+     * Filled from EffectsSystem.getVisualLayers() by updateEffectOverlay()
+     */
+    createEffectOverlay(totalSize) {
+        const cellCount = this.gridSize * this.gridSize;
+        this.effectTexture = new THREE.DataTexture(
+            new Uint8Array(cellCount * 4),
+            this.gridSize,
+            this.gridSize,
+            THREE.RGBAFormat
+        );
+        this.effectTexture.magFilter = THREE.LinearFilter;
+        this.effectTexture.minFilter = THREE.LinearFilter;
+        this.effectTexture.needsUpdate = true;
+
+        // Target colour per cell (from the simulation) and the displayed one easing towards it
+        this.effectTarget = new Float32Array(cellCount * 4);
+        this.effectCurrent = new Float32Array(cellCount * 4);
+        this.effectSource = null;           // EffectsSystem, see setEffectSource()
+        this.effectSampleTime = -Infinity;  // last time the target was rebuilt
+        this.effectFrameTime = null;        // last frame time (easing step)
+        this.effectOverlayActive = false;   // anything visible or still fading
+
+        this.effectOverlayMaterial = new EffectOverlayShader(this.effectTexture, this.gridSize);
+        const overlay = new THREE.Mesh(new THREE.PlaneGeometry(totalSize, totalSize), this.effectOverlayMaterial);
+        overlay.name = 'effectOverlay';
+        overlay.rotation.x = -Math.PI / 2;
+        overlay.position.y = 0.02;          // Above tiles (0.01) and grid lines
+        overlay.renderOrder = 1;
+        this.gridGroup.add(overlay);
+        this.effectOverlay = overlay;
+    }
+
+    /**
+     * Connect the overlay to the simulation's EffectsSystem (SimulationInitializer.wireWorld)
+     */
+    setEffectSource(effectsSystem) {
+        this.effectSource = effectsSystem;
+        this.effectSampleTime = -Infinity;
+    }
+
+    /**
+     * Rebuild the per-cell target: preset colours blended by intensity,
+     * alpha from the summed intensity (full at EFFECT_OVERLAY.fullIntensity)
+     */
+    sampleEffectLayers() {
+        const target = this.effectTarget;
+        target.fill(0);
+        if (!this.effectSource) return;
+
+        const weights = new Float32Array(this.gridSize * this.gridSize);
+        this.effectSource.getVisualLayers().forEach((layer) => {
+            const color = visualFilterColor(layer.visual_filter);
+            layer.cells.forEach(({ x, y, intensity }) => {
+                if (x < 0 || y < 0 || x >= this.gridSize || y >= this.gridSize) return;
+
+                const cell = x + y * this.gridSize;
+                const weight = Math.min(1, intensity / EFFECT_OVERLAY.fullIntensity);
+                target[cell * 4] += color.r * weight;
+                target[cell * 4 + 1] += color.g * weight;
+                target[cell * 4 + 2] += color.b * weight;
+                weights[cell] += weight;
+            });
+        });
+
+        for (let cell = 0; cell < weights.length; cell++) {
+            const weight = weights[cell];
+            if (weight === 0) continue;
+
+            target[cell * 4] /= weight;
+            target[cell * 4 + 1] /= weight;
+            target[cell * 4 + 2] /= weight;
+            target[cell * 4 + 3] = Math.min(1, weight) * EFFECT_OVERLAY.maxOpacity;
+        }
+        this.effectOverlayActive = true;
+    }
+
+    /**
+     * Ease the displayed overlay towards the target (simulation ticks are
+     * coarse; the fade keeps the spread smooth) and upload it
+     */
+    updateEffectOverlay(time) {
+        if (!this.effectOverlayMaterial) return;
+
+        this.effectOverlayMaterial.updateTime(time);
+
+        if (time - this.effectSampleTime >= EFFECT_OVERLAY.sampleInterval) {
+            this.effectSampleTime = time;
+            this.sampleEffectLayers();
+        }
+
+        const dt = this.effectFrameTime === null ? 0 : Math.max(0, time - this.effectFrameTime);
+        this.effectFrameTime = time;
+        if (!this.effectOverlayActive) return;
+
+        const blend = 1 - Math.exp(-dt * EFFECT_OVERLAY.fadeRate);
+        const current = this.effectCurrent;
+        const target = this.effectTarget;
+        const data = this.effectTexture.image.data;
+        let visible = false;
+
+        for (let i = 0; i < current.length; i += 4) {
+            // Fading cells keep their colour; only alpha goes to zero
+            const fadingOut = target[i + 3] === 0;
+            for (let channel = 0; channel < 4; channel++) {
+                if (fadingOut && channel < 3) continue;
+                current[i + channel] += (target[i + channel] - current[i + channel]) * blend;
+                data[i + channel] = Math.round(current[i + channel] * 255);
+            }
+            if (data[i + 3] > 0) visible = true;
+        }
+
+        this.effectTexture.needsUpdate = true;
+        this.effectOverlayActive = visible || target.some((value) => value > 0);
     }
 
     /**
@@ -91,6 +223,7 @@ class Grid {
      * Generates 3D height illusion from grain/cracks
      */
     createNormalMapFromFlesh(size = 512) {
+        const rng = randomService.stream('grid.normalMap');
         const canvas = document.createElement('canvas');
         canvas.width = canvas.height = size;
         const ctx = canvas.getContext('2d');
@@ -106,7 +239,7 @@ class Grid {
         const grainSize = 32;
         for (let y = 0; y < size; y += grainSize) {
             for (let x = 0; x < size; x += grainSize) {
-                const blockValue = Math.random();
+                const blockValue = rng.next();
                 const normalStrength = (blockValue - 0.5) * 0.6;  // Varied surface angle
                 
                 for (let yi = y; yi < Math.min(y + grainSize, size); yi++) {
@@ -125,11 +258,11 @@ class Grid {
         
         // Add directional cracks to normal map - creates ravines
         for (let i = 0; i < 15; i++) {
-            const startX = Math.random() * size;
-            const startY = Math.random() * size;
-            const angle = Math.random() * Math.PI * 2;
-            const length = size * (0.3 + Math.random() * 0.5);
-            const width = Math.random() * 15 + 10;
+            const startX = rng.next() * size;
+            const startY = rng.next() * size;
+            const angle = rng.next() * Math.PI * 2;
+            const length = size * (0.3 + rng.next() * 0.5);
+            const width = rng.next() * 15 + 10;
             
             for (let step = 0; step < length; step += 2) {
                 const x = startX + Math.cos(angle) * step;
@@ -178,6 +311,7 @@ class Grid {
      * Create procedural wet flesh texture (red with organic roughness)
      */
     createFleshTexture(size = 512) {
+        const rng = randomService.stream('grid.fleshTexture');
         const canvas = document.createElement('canvas');
         canvas.width = canvas.height = size;
         const ctx = canvas.getContext('2d');
@@ -195,7 +329,7 @@ class Grid {
         for (let y = 0; y < size; y += grainSize) {
             for (let x = 0; x < size; x += grainSize) {
                 // Random value for this grain block
-                const blockValue = Math.random();
+                const blockValue = rng.next();
                 
                 // Fill this block with grain
                 for (let yi = y; yi < Math.min(y + grainSize, size); yi++) {
@@ -220,11 +354,11 @@ class Grid {
         // Second pass: Add larger directional streaks/cracks for roughness
         for (let i = 0; i < 15; i++) {
             // Random starting point and direction
-            const startX = Math.random() * size;
-            const startY = Math.random() * size;
-            const angle = Math.random() * Math.PI * 2;
-            const length = size * (0.3 + Math.random() * 0.5);
-            const width = Math.random() * 20 + 15;  // Wide cracks
+            const startX = rng.next() * size;
+            const startY = rng.next() * size;
+            const angle = rng.next() * Math.PI * 2;
+            const length = size * (0.3 + rng.next() * 0.5);
+            const width = rng.next() * 20 + 15;  // Wide cracks
             
             // Draw streak
             for (let step = 0; step < length; step += 2) {
@@ -257,7 +391,7 @@ class Grid {
         
         // Third pass: Add very dark veins sparsely for extra texture
         for (let i = 0; i < data.length; i += 4) {
-            const rand = Math.random();
+            const rand = rng.next();
             if (rand > 0.98) {  // Very sparse (2% probability)
                 // Make this pixel much darker - aggressive cracks
                 data[i] = Math.max(60, data[i] - 140);
@@ -269,9 +403,9 @@ class Grid {
         // Fourth pass: Add MANY glossy/wet spots on top for WETNESS appearance
         // This is the key to making it look wet, not plastic!
         for (let j = 0; j < 50; j++) {  // Many more spots (was 25, now 50)
-            const x = Math.floor(Math.random() * size);
-            const y = Math.floor(Math.random() * size);
-            const radius = Math.random() * 40 + 20;  // Larger wet spots
+            const x = Math.floor(rng.next() * size);
+            const y = Math.floor(rng.next() * size);
+            const radius = rng.next() * 40 + 20;  // Larger wet spots
             
             for (let yi = Math.max(0, y - radius); yi < Math.min(size, y + radius); yi++) {
                 for (let xi = Math.max(0, x - radius); xi < Math.min(size, x + radius); xi++) {
@@ -338,6 +472,7 @@ class Grid {
      * Dark = smooth/wet, Light = rough/dry edges
      */
     createRoughnessFromFlesh(size = 512) {
+        const rng = randomService.stream('grid.roughness');
         const canvas = document.createElement('canvas');
         canvas.width = canvas.height = size;
         const ctx = canvas.getContext('2d');
@@ -353,7 +488,7 @@ class Grid {
         const block = 32;
         for (let y = 0; y < size; y += block) {
             for (let x = 0; x < size; x += block) {
-                const v = 0.55 + (Math.random() - 0.5) * 0.25;  // ~0.42..0.67
+                const v = 0.55 + (rng.next() - 0.5) * 0.25;  // ~0.42..0.67
                 for (let yi = y; yi < Math.min(y + block, size); yi++) {
                     for (let xi = x; xi < Math.min(x + block, size); xi++) {
                         const idx = (yi * size + xi) * 4;
@@ -368,11 +503,11 @@ class Grid {
         // Cracks: rougher edges, smooth core
         const cracks = 14;
         for (let i = 0; i < cracks; i++) {
-            const sx = Math.random() * size;
-            const sy = Math.random() * size;
-            const ang = Math.random() * Math.PI * 2;
-            const len = size * (0.35 + Math.random() * 0.45);
-            const w = 10 + Math.random() * 14;
+            const sx = rng.next() * size;
+            const sy = rng.next() * size;
+            const ang = rng.next() * Math.PI * 2;
+            const len = size * (0.35 + rng.next() * 0.45);
+            const w = 10 + rng.next() * 14;
             
             for (let t = 0; t < len; t += 2) {
                 const cx = Math.floor(sx + Math.cos(ang) * t);
@@ -410,6 +545,7 @@ class Grid {
      * Create ambient occlusion map (emphasize cracks/crevices)
      */
     createAOFromFlesh(size = 512) {
+        const rng = randomService.stream('grid.ao');
         const canvas = document.createElement('canvas');
         canvas.width = canvas.height = size;
         const ctx = canvas.getContext('2d');
@@ -424,11 +560,11 @@ class Grid {
         // Same crack pattern, but darkened
         const cracks = 14;
         for (let i = 0; i < cracks; i++) {
-            const sx = Math.random() * size;
-            const sy = Math.random() * size;
-            const ang = Math.random() * Math.PI * 2;
-            const len = size * (0.35 + Math.random() * 0.5);
-            const w = 10 + Math.random() * 14;
+            const sx = rng.next() * size;
+            const sy = rng.next() * size;
+            const ang = rng.next() * Math.PI * 2;
+            const len = size * (0.35 + rng.next() * 0.5);
+            const w = 10 + rng.next() * 14;
             
             for (let t = 0; t < len; t += 1.5) {
                 const cx = Math.floor(sx + Math.cos(ang) * t);
@@ -655,7 +791,8 @@ class Grid {
     }
 
     updateShaderTime(time) {
-        // Grid lines use LineBasicMaterial, no shader time needed
+        // Grid lines use LineBasicMaterial, no shader time needed; the effect overlay does
+        this.updateEffectOverlay(time);
     }
 
     /**
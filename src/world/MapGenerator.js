@@ -1,5 +1,6 @@
 import BioDatabase from '../data/BioDatabase.js';
 import ProgressionManager from '../systems/ProgressionManager.js';
+import randomService from '../core/RandomService.js';
 
 /**
  * MapGenerator: Procedural structure placement system
@@ -8,6 +9,7 @@ import ProgressionManager from '../systems/ProgressionManager.js';
  * - Structures include Capillary Beds, Mitochondrial Factories, Lysosomes, etc.
  * - Each biome gets 5-20 structures placed procedurally
  * - Considers unlock conditions from BioDatabase
+ * - Placement is seeded via RandomService ('map.structures' stream)
  */
 class MapGenerator {
     constructor(grid, scene) {
@@ -15,6 +17,7 @@ class MapGenerator {
         this.scene = scene;
         this.database = BioDatabase;
         this.progressionManager = null; // Will be set later
+        this.rng = null; // Seeded stream, created per generateMap() call
         
         // Track placed structures
         this.structures = new Map(); // gridX_gridZ -> structure data
@@ -52,6 +55,19 @@ class MapGenerator {
     generateMap() {
         console.log('[MapGenerator] Generating map with structures...');
         
+        // Restart the seeded stream so regeneration with the same seed is identical
+        this.rng = randomService.stream('map.structures');
+        
+        // Structures are data-driven; without definitions there is nothing to place
+        if (!Array.isArray(this.database?.structures)) {
+            console.warn('[MapGenerator] BioDatabase has no structures section - skipping structure placement');
+            return {
+                structures: this.structures,
+                biomeMap: this.biomeMap,
+                stats: this.getStats()
+            };
+        }
+        
         // Get grid dimensions
         const gridSize = this.grid.gridSize || 50;
         
@@ -126,7 +142,7 @@ class MapGenerator {
         
         // Determine how many structures to place
         const count = Math.floor(
-            Math.random() * (biomeConfig.count_max - biomeConfig.count_min + 1) + biomeConfig.count_min
+            this.rng.next() * (biomeConfig.count_max - biomeConfig.count_min + 1) + biomeConfig.count_min
         );
         
         console.log(`[MapGenerator] Populating ${biomeName} with ${count} structures`);
@@ -137,15 +153,15 @@ class MapGenerator {
         for (let attempt = 0; attempt < attempts && placed < count; attempt++) {
             // Random cell in biome
             const gridX = Math.floor(
-                Math.random() * (biomeNode.maxX - biomeNode.minX + 1) + biomeNode.minX
+                this.rng.next() * (biomeNode.maxX - biomeNode.minX + 1) + biomeNode.minX
             );
             const gridZ = Math.floor(
-                Math.random() * (biomeNode.maxZ - biomeNode.minZ + 1) + biomeNode.minZ
+                this.rng.next() * (biomeNode.maxZ - biomeNode.minZ + 1) + biomeNode.minZ
             );
             
             // Pick random structure for this biome
             const structureId = biomeConfig.structures[
-                Math.floor(Math.random() * biomeConfig.structures.length)
+                Math.floor(this.rng.next() * biomeConfig.structures.length)
             ];
             
             // Try to place it